@@ -3,19 +3,33 @@
  * Congregation Volunteer Scheduler — Admin Assignments Management
  *
  * Features:
- * - Locations x Time Slot grid (for a selected date)
+ * - Locations x Time Slot grid (for a selected date), plus week (locations x days x slots) and month (fill ratio) views
  * - Drag-and-drop volunteers from the side list into grid cells to assign
  * - Manual assignment form (select volunteer, location, slot, date)
  * - Detect & warn about double-booking (overlapping times on same date)
  * - Show current assignments in each cell, with ability to remove
+ * - Move assignments by dragging them to another cell, or with the ⇄ button (keyboard friendly);
+ *   moves keep the booking id/createdAt/status and are recorded in booking.moves
  * - Bulk assign multiple selected volunteers to the same slot
  * - Conflicts shown in red; warnings for conflicts before assigning
- * - Data persisted to localStorage under "cvsa_bookings"
+ * - Volunteer availability (volunteer-availability.js) treated as a clash; unavailable volunteers greyed or hidden
+ * - Shift limits (shift-limits.js) checked on drop, manual and bulk assign and moves: warnings can be
+ *   overridden, blocking limits refuse the assignment
+ * - Reliability (volunteer-reliability.js) shown next to each volunteer in the picker
+ * - Qualifications (volunteer-eligibility.js): the picker can show only volunteers qualified for a
+ *   location, missing S-73 / seminar is tagged, and unqualified volunteers can't be assigned there
+ * - Shift lead (shift-leads.js): ★ marks one eligible volunteer per cell as lead; staffed cells
+ *   without a lead show a warning
+ * - Pairing (volunteer-pairing.js): trainees are tagged in the picker; assigning a trainee without an
+ *   experienced partner or a "never with" pair asks first, and such cells are flagged
+ * - Data persisted under "cvsa_bookings" through DataRepository (data-repository.js)
+ * - Entry points for auto-fill (admin-autofill.js), recurring series (admin-recurring.js) and swap approvals (shift-swaps.js)
+ * - "Find substitute" (admin-substitutes.js) in cells below the slot's minVol
  *
  * Integration notes:
  * - Requires an Admin > Assignments tab container with id="tab-assignments" in index.html
- * - Reads volunteers from localStorage key "cvsa_volunteers"
- * - Reads locations from AdminLocations.getLocations() or localStorage "cvsa_locations"
+ * - Reads volunteers from "cvsa_volunteers" (DataRepository)
+ * - Reads locations from AdminLocations.getLocations() or "cvsa_locations" (DataRepository)
  * - Reads per-location slots from AdminSchedules.getSlotsForLocation(locationId) if available,
  *   otherwise falls back to AdminSchedules.DEFAULT_SLOTS or a built-in default.
  * - Uses existing modal elements if present (#modal-backdrop, #modal-title, #modal-body, #modal-confirm, #modal-cancel)
@@ -33,6 +47,9 @@
   const LS_VOLUNTEERS = 'cvsa_volunteers';
   const LS_LOCATIONS = 'cvsa_locations';
 
+  // Grid view (day | week | month) and anchor date survive buildAssignmentsUI() rebuilds
+  const viewState = { mode: 'day', date: null };
+
   // Fallback time slots (if AdminSchedules isn't present)
   const FALLBACK_SLOTS = [
     { id: '6-8am', label: '6:00 AM - 8:00 AM', startHour: 6, endHour: 8 },
@@ -45,41 +62,32 @@
   ];
 
   /* -------------------------
-     Storage helpers
+     Storage helpers (data-repository.js; saving bookings emits cvsa:bookings:updated)
      ------------------------- */
   function saveBookings(list) {
-    try { localStorage.setItem(LS_BOOKINGS, JSON.stringify(list)); }
-    catch (e) { console.error('admin-assignments: saveBookings', e); }
+    DataRepository.write(LS_BOOKINGS, list);
   }
   function loadBookings() {
-    try {
-      const raw = localStorage.getItem(LS_BOOKINGS);
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) { console.error('admin-assignments: loadBookings', e); return []; }
+    return DataRepository.read(LS_BOOKINGS, []);
   }
 
   function loadVolunteers() {
-    try {
-      const raw = localStorage.getItem(LS_VOLUNTEERS);
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) { console.error('admin-assignments: loadVolunteers', e); return []; }
+    return DataRepository.read(LS_VOLUNTEERS, []);
   }
 
   function loadLocations() {
-    try {
-      // prefer AdminLocations.getLocations() if present
-      if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
-        return window.AdminLocations.getLocations();
-      }
-      const raw = localStorage.getItem(LS_LOCATIONS);
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) { console.error('admin-assignments: loadLocations', e); return []; }
+    // prefer AdminLocations.getLocations() if present
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations();
+    }
+    return DataRepository.read(LS_LOCATIONS, []);
   }
 
-  function getSlotsForLocation(locationId) {
+  // dateStr (optional) limits the result to slots that run on that weekday
+  function getSlotsForLocation(locationId, dateStr) {
     try {
       if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
-        return window.AdminSchedules.getSlotsForLocation(locationId);
+        return window.AdminSchedules.getSlotsForLocation(locationId, dateStr);
       }
       if (window.AdminSchedules && Array.isArray(window.AdminSchedules.DEFAULT_SLOTS)) {
         return window.AdminSchedules.DEFAULT_SLOTS;
@@ -126,6 +134,11 @@
     return locs.find(l => l.id === id) || null;
   }
 
+  function currentUsername() {
+    const session = DataRepository.read('cvsa_session', null);
+    return session ? session.username : null;
+  }
+
   /* -------------------------
      Modal helper (uses existing modal in page)
      ------------------------- */
@@ -176,16 +189,21 @@
   /* -------------------------
      Assignment model helpers
      ------------------------- */
+  // cancelled bookings are kept for reliability tracking (volunteer-reliability.js) but hold no place
+  function isActiveBooking(b) {
+    return b && b.status !== 'cancelled';
+  }
+
   function getAssignmentsForCell(locationId, dateStr, slotId) {
     const all = loadBookings();
-    return all.filter(b => b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+    return all.filter(b => isActiveBooking(b) && b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
   }
 
   function getAssignmentsForVolunteerOnDate(volIdOrName, dateStr) {
     // volIdOrName may be volunteer.id or volunteer.name or email or username
     const all = loadBookings();
     return all.filter(b => {
-      if (b.date !== dateStr) return false;
+      if (b.date !== dateStr || !isActiveBooking(b)) return false;
       // heuristics: if booking.username equals volunteer id/email/name or booking.displayName equals name
       if (!volIdOrName) return false;
       const v = volIdOrName.toString().toLowerCase();
@@ -198,27 +216,46 @@
   }
 
   function addAssignment(assignment) {
+    // in draft mode (admin-publishing.js) new bookings stay hidden from volunteers until published
+    if (window.AdminPublishing) AdminPublishing.stampDraft(assignment);
     const all = loadBookings();
     all.push(assignment);
     saveBookings(all);
   }
 
   function removeAssignmentById(id) {
+    // published bookings removed in draft mode stay visible until the schedule is published
+    if (window.AdminPublishing && AdminPublishing.stageRemoval(id)) return;
+    const removed = loadBookings().find(b => b.id === id);
     const all = loadBookings().filter(b => b.id !== id);
     saveBookings(all);
+    // promote from the waitlist into the freed place
+    if (removed && window.Waitlist) Waitlist.promoteFor(removed.locationId, removed.date, removed.slotId);
   }
 
   /* -------------------------
      Conflict detection
      ------------------------- */
-  function detectConflictFor(volIdentifier, dateStr, newSlot) {
+  function detectConflictFor(volIdentifier, dateStr, newSlot, ignoreBookingId) {
     // volIdentifier: volunteer.id or name or email/username
+    // ignoreBookingId: skip this booking (used when moving it, so it doesn't clash with itself)
+    // structured availability (weekly windows / dated unavailability) counts as a clash
+    if (window.VolunteerAvailability && typeof VolunteerAvailability.checkAvailability === 'function') {
+      const avail = VolunteerAvailability.checkAvailability(volIdentifier, dateStr, newSlot);
+      if (!avail.available) {
+        return { conflict: true, booking: null, existingSlot: { id: 'unavailable', label: avail.detail }, reason: 'unavailable' };
+      }
+    }
     const existing = getAssignmentsForVolunteerOnDate(volIdentifier, dateStr);
     const newRange = slotRange(newSlot);
     for (const b of existing) {
-      // find slot object for booking slot
-      const slots = getSlotsForLocation(b.locationId);
-      const slotObj = slots.find(s => s.id === b.slotId) || { startHour: b.startHour || 0, endHour: b.endHour || 0 };
+      if (ignoreBookingId && b.id === ignoreBookingId) continue;
+      // a removal staged in draft mode is gone once the schedule is published
+      if (b.pendingRemoval) continue;
+      // find slot object for booking slot (date-specific extra slots first, then the regular list)
+      const slotObj = getSlotsForLocation(b.locationId, b.date).find(s => s.id === b.slotId)
+        || getSlotsForLocation(b.locationId).find(s => s.id === b.slotId)
+        || { startHour: b.startHour || 0, endHour: b.endHour || 0 };
       const existingRange = slotRange(slotObj);
       if (rangesOverlap(newRange.start, newRange.end, existingRange.start, existingRange.end)) {
         return { conflict: true, booking: b, existingSlot: slotObj };
@@ -227,6 +264,214 @@
     return { conflict: false };
   }
 
+  // Human-readable description of a detectConflictFor result, used in the confirm dialogs
+  function describeConflict(conflict) {
+    const label = conflict.existingSlot.label || conflict.existingSlot.id;
+    return conflict.reason === 'unavailable' ? `is not available (${label})` : `has an overlapping assignment (${label})`;
+  }
+
+  // Shift limits (shift-limits.js): shifts per day/week/month, rest between shifts, consecutive days
+  function checkLimitsFor(volIdentifier, dateStr, slot, ignoreBookingId) {
+    if (!window.ShiftLimits) return { ok: true, block: false, violations: [] };
+    return ShiftLimits.check(volIdentifier, dateStr, slot, { ignoreBookingId });
+  }
+
+  function limitMessages(limits) {
+    return limits.violations.map(v => v.message).join(' ');
+  }
+
+  // Location qualifications (volunteer-eligibility.js): S-73 approval, seminar, active record
+  function eligibilityFor(vol, locationId) {
+    if (!window.VolunteerEligibility) return { eligible: true, reasons: [] };
+    return VolunteerEligibility.checkVolunteer(vol, locationId);
+  }
+
+  function eligibilityMessages(elig) {
+    return elig.reasons.map(r => r.short).join(', ');
+  }
+
+  // Pairing rules (volunteer-pairing.js): trainees need an experienced partner, "never with" pairs
+  function cellVolunteers(locationId, dateStr, slotId, ignoreBookingId) {
+    if (!window.VolunteerPairing) return [];
+    const bookings = getAssignmentsForCell(locationId, dateStr, slotId).filter(b => b.id !== ignoreBookingId && !b.pendingRemoval);
+    return VolunteerPairing.volunteersForBookings(bookings);
+  }
+
+  function pairingIssuesFor(newVols, locationId, dateStr, slotId, ignoreBookingId) {
+    if (!window.VolunteerPairing) return [];
+    return VolunteerPairing.issuesForAdding(newVols.filter(Boolean), cellVolunteers(locationId, dateStr, slotId, ignoreBookingId));
+  }
+
+  function pairingHtml(issues) {
+    return `<div class="small" style="margin:0.4rem 0; padding:0.4rem 0.6rem; background:#fffbeb; border-left:3px solid #f59e0b; border-radius:4px;">` +
+      issues.map(i => escapeHtml(i.message)).join('<br>') + '</div>';
+  }
+
+  /* -------------------------
+     Moving assignments
+     ------------------------- */
+
+  /**
+   * Check moving a booking to target { locationId, date, slotId }.
+   * returns { ok: false, error } when the target can't take bookings at all,
+   * otherwise { ok: true, location, slot, warnings: [] } (conflicts / capacity can be overridden).
+   */
+  function checkMove(booking, target) {
+    const location = findLocationById(target.locationId);
+    if (!location) return { ok: false, error: 'Location not found.' };
+    if (window.AdminSchedules && typeof window.AdminSchedules.isClosed === 'function' && window.AdminSchedules.isClosed(location.id, target.date)) {
+      return { ok: false, error: `${location.name} is closed on ${target.date}.` };
+    }
+    const slot = getSlotsForLocation(location.id, target.date).find(s => s.id === target.slotId);
+    if (!slot) return { ok: false, error: `${location.name} has no such time slot on ${target.date}.` };
+    if (booking.locationId === location.id && booking.date === target.date && booking.slotId === slot.id) {
+      return { ok: false, error: 'The assignment is already in this slot.' };
+    }
+
+    const volRecord = window.VolunteerEligibility
+      ? VolunteerEligibility.findVolunteer(booking.volunteerId || booking.username) || VolunteerEligibility.findVolunteer(booking.displayName)
+      : null;
+    const elig = eligibilityFor(volRecord, location.id);
+    if (!elig.eligible) return { ok: false, error: `${booking.displayName || booking.username} is not qualified for ${location.name} (${eligibilityMessages(elig)}).` };
+    const warnings = [];
+    const occupants = getAssignmentsForCell(location.id, target.date, slot.id).filter(b => b.id !== booking.id && b.status !== 'cancelled');
+    const capacity = Number(slot.maxVol || location.slotCapacity || 0);
+    if (capacity && occupants.length >= capacity) warnings.push(`The target slot is full (${occupants.length}/${capacity}).`);
+    const conflict = detectConflictFor(booking.volunteerId || booking.username || booking.displayName, target.date, slot, booking.id);
+    if (conflict && conflict.conflict) warnings.push(`${booking.displayName || booking.username} ${describeConflict(conflict)}.`);
+    const limits = checkLimitsFor(booking.volunteerId || booking.username || booking.displayName, target.date, slot, booking.id);
+    if (limits.block) return { ok: false, error: `Shift limit reached: ${limitMessages(limits)}` };
+    if (!limits.ok) warnings.push(`Over a shift limit: ${limitMessages(limits)}`);
+    pairingIssuesFor([volRecord], location.id, target.date, slot.id, booking.id).forEach(i => warnings.push(i.message));
+    // leaving the old slot can strand a trainee there
+    if (volRecord && window.VolunteerPairing && VolunteerPairing.isExperienced(volRecord)) {
+      const left = cellVolunteers(booking.locationId, booking.date, booking.slotId, booking.id).filter(v => v.id !== volRecord.id);
+      VolunteerPairing.groupIssues(left)
+        .filter(i => i.rule === 'trainee-alone')
+        .forEach(i => warnings.push(`After the move: ${i.message}`));
+    }
+    return { ok: true, location, slot, warnings };
+  }
+
+  /**
+   * Move a booking in place: id, createdAt, status and history are kept and the move is
+   * appended to booking.moves. In draft mode a published booking is not changed: its removal is
+   * staged and the moved copy (new id) is a draft until publishing. Returns the updated booking or null.
+   */
+  function moveAssignment(bookingId, target) {
+    let all = loadBookings();
+    let booking = all.find(b => b.id === bookingId);
+    if (!booking) return null;
+    const check = checkMove(booking, target);
+    if (!check.ok) return null;
+    const from = { locationId: booking.locationId, date: booking.date, slotId: booking.slotId, slotLabel: booking.slotLabel };
+    const staged = !!(window.AdminPublishing && AdminPublishing.stageRemoval(booking.id));
+    if (staged) {
+      all = loadBookings();
+      booking = Object.assign(JSON.parse(JSON.stringify(booking)), { id: uid('bk-'), draft: true });
+      all.push(booking);
+    }
+
+    Object.assign(booking, {
+      locationId: check.location.id,
+      locationName: check.location.name,
+      date: target.date,
+      slotId: check.slot.id,
+      slotLabel: check.slot.label,
+      startHour: check.slot.startHour,
+      endHour: check.slot.endHour,
+      updatedAt: Date.now()
+    });
+    booking.moves = (booking.moves || []).concat({
+      from,
+      to: { locationId: booking.locationId, date: booking.date, slotId: booking.slotId, slotLabel: booking.slotLabel },
+      at: Date.now(),
+      by: currentUsername()
+    });
+    // the lead role belonged to the old slot (shift-leads.js)
+    delete booking.lead;
+    // the volunteer agreed to the old shift, not the new one
+    if (booking.confirmation && window.AssignmentConfirmations) AssignmentConfirmations.requestConfirmation(booking);
+    // a moved series occurrence becomes an exception so the series doesn't recreate it
+    if (booking.seriesId && !booking.seriesEnded && from.date !== booking.date) {
+      booking.seriesException = true;
+      if (window.AdminRecurring && typeof window.AdminRecurring.addException === 'function') {
+        window.AdminRecurring.addException(booking.seriesId, from.date);
+      }
+    }
+    saveBookings(all);
+    // the vacated place can go to the waitlist (a staged removal frees it on publishing)
+    if (!staged && window.Waitlist) Waitlist.promoteFor(from.locationId, from.date, from.slotId);
+    return booking;
+  }
+
+  // Validate, ask about overridable warnings, then move. onDone runs after a successful move.
+  function requestMove(booking, target, onDone) {
+    const check = checkMove(booking, target);
+    if (!check.ok) return openModal({ title: 'Cannot move assignment', content: `<p>${escapeHtml(check.error)}</p>` });
+    const doMove = () => {
+      if (moveAssignment(booking.id, target) && onDone) onDone();
+    };
+    if (!check.warnings.length) return doMove();
+    openModal({
+      title: 'Move anyway?',
+      content: check.warnings.map(w => `<p>${escapeHtml(w)}</p>`).join(''),
+      showConfirm: true,
+      confirmText: 'Move anyway',
+      onConfirm: doMove
+    });
+  }
+
+  // Keyboard-accessible alternative to drag-and-drop: pick date, location and slot in a form
+  function openMoveModal(booking, onDone) {
+    const form = document.createElement('form');
+    form.style.display = 'grid';
+    form.style.gap = '0.5rem';
+    form.innerHTML = `<div class="small muted">Moving <strong>${escapeHtml(booking.displayName || booking.username)}</strong>
+      from ${escapeHtml(booking.locationName || booking.locationId)} · ${escapeHtml(booking.date)} · ${escapeHtml(booking.slotLabel || booking.slotId)}</div>`;
+
+    const dateRow = document.createElement('label'); dateRow.className = 'form-row'; dateRow.textContent = 'Date';
+    const dateIn = document.createElement('input'); dateIn.type = 'date'; dateIn.value = booking.date;
+    dateRow.appendChild(dateIn);
+
+    const locRow = document.createElement('label'); locRow.className = 'form-row'; locRow.textContent = 'Location';
+    const locSel = document.createElement('select');
+    locSel.innerHTML = loadLocations().map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+    locSel.value = booking.locationId;
+    locRow.appendChild(locSel);
+
+    const slotRow = document.createElement('label'); slotRow.className = 'form-row'; slotRow.textContent = 'Time slot';
+    const slotSel = document.createElement('select');
+    slotRow.appendChild(slotSel);
+
+    function fillSlots() {
+      const slots = getSlotsForLocation(locSel.value, dateIn.value);
+      slotSel.innerHTML = slots.length
+        ? slots.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label)}</option>`).join('')
+        : '<option value="">No slots on this date</option>';
+      if (slots.some(s => s.id === booking.slotId)) slotSel.value = booking.slotId;
+    }
+    dateIn.addEventListener('change', fillSlots);
+    locSel.addEventListener('change', fillSlots);
+    fillSlots();
+
+    form.appendChild(dateRow);
+    form.appendChild(locRow);
+    form.appendChild(slotRow);
+
+    openModal({
+      title: 'Move assignment',
+      content: form,
+      showConfirm: true,
+      confirmText: 'Move',
+      onConfirm: () => {
+        const target = { locationId: locSel.value, date: dateIn.value, slotId: slotSel.value };
+        // the confirm modal closes after this handler, so open any follow-up modal afterwards
+        setTimeout(() => requestMove(booking, target, onDone), 0);
+      }
+    });
+  }
+
   /* -------------------------
      UI Rendering
      ------------------------- */
@@ -252,12 +497,31 @@
     dateLabel.style.fontWeight = 700;
     const dateInput = document.createElement('input');
     dateInput.type = 'date';
-    dateInput.value = formatDate(new Date());
+    dateInput.value = viewState.date || formatDate(new Date());
     dateInput.id = 'assign-date';
     dateInput.style.marginLeft = '0.25rem';
 
+    // view switcher: single day, week (locations x days x slots) or month (fill ratios)
+    const viewSelect = document.createElement('select');
+    viewSelect.id = 'assign-view';
+    viewSelect.setAttribute('aria-label', 'Grid view');
+    viewSelect.innerHTML = '<option value="day">Day</option><option value="week">Week</option><option value="month">Month</option>';
+    viewSelect.value = viewState.mode;
+
+    const prevBtn = document.createElement('button');
+    prevBtn.className = 'muted-btn';
+    prevBtn.textContent = '◀';
+    prevBtn.title = 'Previous';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'muted-btn';
+    nextBtn.textContent = '▶';
+    nextBtn.title = 'Next';
+
     header.appendChild(dateLabel);
+    header.appendChild(prevBtn);
     header.appendChild(dateInput);
+    header.appendChild(nextBtn);
+    header.appendChild(viewSelect);
 
     // bulk assign controls
     const bulkBtn = document.createElement('button');
@@ -266,6 +530,100 @@
     bulkBtn.style.marginLeft = 'auto';
     header.appendChild(bulkBtn);
 
+    // auto-fill (admin-autofill.js) proposes bookings for a date range
+    const autoBtn = document.createElement('button');
+    autoBtn.textContent = 'Auto-fill…';
+    autoBtn.className = 'muted-btn';
+    autoBtn.addEventListener('click', () => {
+      if (window.AdminAutofill && typeof window.AdminAutofill.openAutofillModal === 'function') {
+        window.AdminAutofill.openAutofillModal(dateInput.value);
+      } else {
+        openModal({ title: 'Auto-fill unavailable', content: 'The auto-fill module (admin-autofill.js) is not loaded.' });
+      }
+    });
+    header.appendChild(autoBtn);
+
+    // copy a week's bookings into later weeks (admin-copy-week.js)
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy week to…';
+    copyBtn.className = 'muted-btn';
+    copyBtn.addEventListener('click', () => {
+      if (window.AdminCopyWeek && typeof window.AdminCopyWeek.openCopyWeekModal === 'function') {
+        window.AdminCopyWeek.openCopyWeekModal(dateInput.value);
+      } else {
+        openModal({ title: 'Copy week unavailable', content: 'The copy-week module (admin-copy-week.js) is not loaded.' });
+      }
+    });
+    header.appendChild(copyBtn);
+
+    // recurring (standing) assignments live in admin-recurring.js
+    const seriesBtn = document.createElement('button');
+    seriesBtn.textContent = 'Recurring…';
+    seriesBtn.className = 'muted-btn';
+    seriesBtn.addEventListener('click', () => {
+      if (window.AdminRecurring && typeof window.AdminRecurring.openSeriesListModal === 'function') {
+        window.AdminRecurring.openSeriesListModal();
+      } else {
+        openModal({ title: 'Recurring assignments unavailable', content: 'The recurring module (admin-recurring.js) is not loaded.' });
+      }
+    });
+    header.appendChild(seriesBtn);
+
+    // volunteer swap/handover requests awaiting approval (shift-swaps.js)
+    if (window.ShiftSwaps) {
+      const swapsBtn = document.createElement('button');
+      const pending = ShiftSwaps.pendingCount();
+      swapsBtn.textContent = pending ? `Swaps (${pending})…` : 'Swaps…';
+      swapsBtn.className = 'muted-btn';
+      swapsBtn.addEventListener('click', () => ShiftSwaps.openApprovalQueue());
+      header.appendChild(swapsBtn);
+    }
+
+    // schedule versions, diff and rollback (admin-history.js)
+    if (window.AdminHistory) {
+      const historyBtn = document.createElement('button');
+      historyBtn.textContent = 'History…';
+      historyBtn.className = 'muted-btn';
+      historyBtn.addEventListener('click', () => AdminHistory.openHistoryModal());
+      header.appendChild(historyBtn);
+    }
+
+    // self-service bookings waiting for approval (booking-approvals.js)
+    if (window.BookingApprovals) {
+      const approvalsBtn = document.createElement('button');
+      const waiting = BookingApprovals.pendingCount();
+      approvalsBtn.textContent = waiting ? `Approvals (${waiting})…` : 'Approvals…';
+      approvalsBtn.className = 'muted-btn';
+      approvalsBtn.addEventListener('click', () => BookingApprovals.openApprovalQueue());
+      header.appendChild(approvalsBtn);
+    }
+
+    // draft mode + publish (admin-publishing.js)
+    if (window.AdminPublishing) {
+      const draftLabel = document.createElement('label');
+      draftLabel.className = 'small';
+      draftLabel.style.display = 'flex';
+      draftLabel.style.alignItems = 'center';
+      draftLabel.style.gap = '0.3rem';
+      draftLabel.title = 'New assignments are hidden from volunteers until you publish';
+      const draftToggle = document.createElement('input');
+      draftToggle.type = 'checkbox';
+      draftToggle.id = 'assign-draft-mode';
+      draftToggle.checked = AdminPublishing.isDraftMode();
+      draftToggle.addEventListener('change', () => AdminPublishing.setDraftMode(draftToggle.checked));
+      draftLabel.appendChild(draftToggle);
+      draftLabel.appendChild(document.createTextNode('Draft mode'));
+      header.appendChild(draftLabel);
+
+      const publishBtn = document.createElement('button');
+      publishBtn.id = 'publish-schedule-btn';
+      const pendingChanges = AdminPublishing.pendingCount();
+      publishBtn.textContent = pendingChanges ? `Publish (${pendingChanges})…` : 'Publish…';
+      publishBtn.className = 'muted-btn';
+      publishBtn.addEventListener('click', () => AdminPublishing.openPublishModal());
+      header.appendChild(publishBtn);
+    }
+
     panel.appendChild(header);
 
     const layout = document.createElement('div');
@@ -303,6 +661,27 @@
 
     left.appendChild(leftHeader);
 
+    // hide volunteers marked unavailable for the whole selected date (travel, illness)
+    const hideUnavailLabel = document.createElement('label');
+    hideUnavailLabel.className = 'small';
+    hideUnavailLabel.style.display = 'flex';
+    hideUnavailLabel.style.alignItems = 'center';
+    hideUnavailLabel.style.gap = '0.35rem';
+    const hideUnavail = document.createElement('input');
+    hideUnavail.type = 'checkbox';
+    hideUnavail.id = 'assign-hide-unavailable';
+    hideUnavailLabel.appendChild(hideUnavail);
+    hideUnavailLabel.appendChild(document.createTextNode('Hide unavailable on this date'));
+    left.appendChild(hideUnavailLabel);
+
+    // show only volunteers who qualify for one location (volunteer-eligibility.js)
+    const qualifiedFor = document.createElement('select');
+    qualifiedFor.id = 'assign-qualified-for';
+    qualifiedFor.className = 'small';
+    qualifiedFor.innerHTML = '<option value="">Qualified for: any location</option>' +
+      loadLocations().map(l => `<option value="${escapeHtml(l.id)}">Qualified for: ${escapeHtml(l.name)}</option>`).join('');
+    if (window.VolunteerEligibility) left.appendChild(qualifiedFor);
+
     const volList = document.createElement('div');
     volList.id = 'assign-vol-list';
     volList.style.display = 'grid';
@@ -345,6 +724,12 @@
         .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
         .filter(v => !q || `${v.name || ''} ${v.email || ''} ${v.phone || ''} ${v.congregation || ''}`.toLowerCase().includes(q))
         .forEach(v => {
+          // dated unavailability for the selected date (weekly windows are checked per slot on assign)
+          const avail = window.VolunteerAvailability ? VolunteerAvailability.checkAvailability(v.id, dateInput.value, null) : { available: true };
+          if (!avail.available && hideUnavail.checked) return;
+          if (qualifiedFor.value && !eligibilityFor(v, qualifiedFor.value).eligible) return;
+          const missing = window.VolunteerEligibility ? VolunteerEligibility.missingQualifications(v) : [];
+
           const row = document.createElement('div');
           row.style.display = 'flex';
           row.style.alignItems = 'center';
@@ -352,6 +737,10 @@
           row.style.padding = '0.4rem';
           row.style.border = '1px solid #f1f5f9';
           row.style.borderRadius = '8px';
+          if (!avail.available) {
+            row.style.opacity = '0.55';
+            row.title = avail.detail;
+          }
 
           const cb = document.createElement('input');
           cb.type = 'checkbox';
@@ -373,11 +762,21 @@
 
           const info = document.createElement('div');
           info.style.flex = '1';
-          info.innerHTML = `<div style="font-weight:700">${escapeHtml(v.name)}</div><div class="small muted">${escapeHtml(v.congregation || '')} · ${escapeHtml(v.email || '')}</div>`;
+          const traineeTag = window.VolunteerPairing && VolunteerPairing.isTrainee(v)
+            ? ' <span class="small" style="color:#1d4ed8;font-weight:400" title="Needs an experienced partner in the same slot">Trainee</span>' : '';
+          info.innerHTML = `<div style="font-weight:700">${escapeHtml(v.name)}${traineeTag}</div><div class="small muted">${escapeHtml(v.congregation || '')} · ${escapeHtml(v.email || '')}</div>`
+            + (avail.available ? '' : `<div class="small" style="color:#b91c1c">${escapeHtml(avail.detail)}</div>`)
+            + (missing.length ? `<div class="small" style="color:#b45309">${escapeHtml(missing.join(' · '))}</div>` : '');
 
           const shifts = document.createElement('div');
           shifts.className = 'small';
           shifts.textContent = `${countShiftsForVolunteer(v)} shifts`;
+          if (window.VolunteerReliability) {
+            // check-ins vs. no-shows and late cancels, full breakdown in the tooltip
+            const reliability = document.createElement('div');
+            reliability.innerHTML = VolunteerReliability.renderBadge(VolunteerReliability.getReliability(v));
+            shifts.appendChild(reliability);
+          }
 
           // clicking name opens quick actions (details/assign)
           info.addEventListener('click', () => openVolunteerDetails(v));
@@ -395,7 +794,243 @@
       const all = loadBookings();
       const name = (vol.name || '').trim().toLowerCase();
       const email = (vol.email || '').trim().toLowerCase();
-      return all.filter(b => (b.displayName && b.displayName.toLowerCase() === name) || (b.username && b.username.toLowerCase() === email) || (b.volunteerId && b.volunteerId === vol.id)).length;
+      return all.filter(b => isActiveBooking(b) && ((b.displayName && b.displayName.toLowerCase() === name) || (b.username && b.username.toLowerCase() === email) || (b.volunteerId && b.volunteerId === vol.id))).length;
+    }
+
+    // One grid cell (location x slot x date): assignment badges, remove, drop-to-assign, click-to-assign.
+    // Shared by the day and week views so both use the same actions and conflict checks.
+    function renderAssignmentCell(td, loc, slotObj, dateStr, compact) {
+      const assignments = getAssignmentsForCell(loc.id, dateStr, slotObj.id);
+      const list = document.createElement('div');
+      list.style.display = 'grid';
+      list.style.gap = '0.3rem';
+
+      assignments.forEach(a => {
+        const volBadge = document.createElement('div');
+        volBadge.style.display = 'flex';
+        volBadge.style.alignItems = 'center';
+        volBadge.style.justifyContent = 'space-between';
+        volBadge.style.gap = '0.5rem';
+        volBadge.style.padding = '0.3rem 0.4rem';
+        volBadge.style.border = '1px solid #eef1f5';
+        volBadge.style.borderRadius = '6px';
+        volBadge.style.background = '#f8fafc';
+        volBadge.className = 'assignment-badge';
+        volBadge.dataset.assignmentId = a.id;
+        // drag an existing assignment onto another cell to move it
+        volBadge.draggable = !a.pendingRemoval;
+        volBadge.style.cursor = a.pendingRemoval ? 'default' : 'grab';
+        volBadge.addEventListener('dragstart', (ev) => {
+          ev.stopPropagation();
+          ev.dataTransfer.setData('text/assignment-id', a.id);
+          ev.dataTransfer.effectAllowed = 'move';
+        });
+
+        // unpublished changes (admin-publishing.js): drafts are dashed, staged removals struck through
+        const nameStyle = 'font-weight:700' + (a.pendingRemoval ? ';text-decoration:line-through' : '');
+        const stateTag = a.pendingRemoval ? '<div class="small" style="color:#b91c1c">Removal pending</div>'
+          : a.draft ? '<div class="small" style="color:#1d4ed8">Draft</div>'
+          : (window.BookingApprovals && BookingApprovals.isPending(a)) ? '<div class="small" style="color:#6d28d9">Awaiting approval</div>'
+          : (window.AssignmentConfirmations && AssignmentConfirmations.isAwaiting(a)) ? '<div class="small" style="color:#b45309">Unconfirmed</div>' : '';
+        if (a.draft) {
+          volBadge.style.borderStyle = 'dashed';
+          volBadge.style.borderColor = '#93c5fd';
+          volBadge.title = 'Draft — not visible to volunteers until published';
+        }
+        // awaiting the volunteer's confirmation (assignment-confirmations.js); released after the deadline
+        const awaiting = window.AssignmentConfirmations && AssignmentConfirmations.isAwaiting(a);
+        if (awaiting) {
+          volBadge.style.borderColor = '#fcd34d';
+          volBadge.style.background = '#fffbeb';
+          volBadge.title = `Not confirmed yet — released if still unconfirmed by ${AssignmentConfirmations.describeDeadline(a)}`;
+        }
+        // self-service booking at an approval-mode location (booking-approvals.js); it holds the place
+        if (window.BookingApprovals && BookingApprovals.isPending(a)) {
+          volBadge.style.borderColor = '#c4b5fd';
+          volBadge.style.background = '#f5f3ff';
+          volBadge.title = 'Awaiting coordinator approval — counts toward capacity';
+        }
+        if (a.pendingRemoval) {
+          volBadge.style.opacity = '0.6';
+          volBadge.title = 'Removed in the draft — still visible to volunteers until published';
+        }
+
+        // designated shift lead (shift-leads.js)
+        const isLead = window.ShiftLeads && ShiftLeads.isLead(a);
+        const leadTag = isLead ? ' <span class="small" style="color:#1d4ed8" title="Shift lead — responsible for equipment and literature">★ Lead</span>' : '';
+        const left = document.createElement('div');
+        left.innerHTML = compact
+          ? `<div class="small" style="${nameStyle}">${escapeHtml(a.displayName || a.username || 'Volunteer')}${leadTag}</div>${stateTag}`
+          : `<div style="${nameStyle}">${escapeHtml(a.displayName || a.username || 'Volunteer')}${leadTag}</div><div class="small muted">${escapeHtml(a.role || '')}</div>${stateTag}`;
+
+        const right = document.createElement('div');
+        right.style.display = 'flex';
+        right.style.gap = '0.4rem';
+        right.style.alignItems = 'center';
+
+        // recurring series occurrences (admin-recurring.js) get scoped edit/cancel
+        const inSeries = a.seriesId && !a.seriesEnded && window.AdminRecurring;
+        if (inSeries) {
+          const rec = document.createElement('button');
+          rec.className = 'muted-btn';
+          rec.textContent = '↻';
+          rec.title = 'Recurring assignment — edit';
+          rec.addEventListener('click', (ev) => {
+            ev.stopPropagation();
+            window.AdminRecurring.openScopeChooser(a, 'edit');
+          });
+          right.appendChild(rec);
+        }
+
+        if (a.pendingRemoval && window.AdminPublishing) {
+          const undo = document.createElement('button');
+          undo.className = 'muted-btn';
+          undo.textContent = '↺';
+          undo.title = 'Keep this assignment';
+          undo.addEventListener('click', (ev) => {
+            ev.stopPropagation();
+            AdminPublishing.undoRemoval(a.id);
+            renderView();
+          });
+          right.appendChild(undo);
+          volBadge.appendChild(left);
+          volBadge.appendChild(right);
+          list.appendChild(volBadge);
+          return;
+        }
+
+        if (window.ShiftLeads && (isLead || ShiftLeads.canLeadBooking(a))) {
+          const leadBtn = document.createElement('button');
+          if (!isLead) leadBtn.className = 'muted-btn';
+          leadBtn.textContent = '★';
+          leadBtn.title = isLead ? 'Shift lead — click to unset' : 'Make shift lead';
+          leadBtn.setAttribute('aria-label', `${isLead ? 'Unset' : 'Make'} ${a.displayName || a.username || 'volunteer'} shift lead`);
+          leadBtn.addEventListener('click', (ev) => {
+            ev.stopPropagation();
+            if (isLead) ShiftLeads.clearLead(a.id);
+            else {
+              const res = ShiftLeads.setLead(a.id);
+              if (!res.ok) return openModal({ title: 'Cannot set lead', content: `<p>${escapeHtml(res.error)}</p>` });
+            }
+            renderView();
+          });
+          right.appendChild(leadBtn);
+        }
+
+        const move = document.createElement('button');
+        move.className = 'muted-btn';
+        move.textContent = '⇄';
+        move.title = 'Move assignment';
+        move.setAttribute('aria-label', `Move ${a.displayName || a.username || 'assignment'}`);
+        move.addEventListener('click', (ev) => {
+          ev.stopPropagation();
+          openMoveModal(a, renderView);
+        });
+        right.appendChild(move);
+
+        const del = document.createElement('button');
+        del.className = 'danger';
+        del.textContent = '✕';
+        del.title = 'Remove assignment';
+        del.addEventListener('click', (ev) => {
+          ev.stopPropagation();
+          if (inSeries) return window.AdminRecurring.openScopeChooser(a, 'cancel');
+          openModal({
+            title: 'Remove assignment',
+            content: `<p>Remove ${escapeHtml(a.displayName || a.username)} from ${escapeHtml(loc.name)} ${escapeHtml(slotObj.label)} on ${escapeHtml(dateStr)}?</p>`,
+            showConfirm: true,
+            confirmText: 'Remove',
+            onConfirm: () => { removeAssignmentById(a.id); renderView(); }
+          });
+        });
+
+        right.appendChild(del);
+        volBadge.appendChild(left);
+        volBadge.appendChild(right);
+
+        // mark conflict visually if overlapping elsewhere
+        const conflict = detectConflictFor(a.username || a.displayName || a.volunteerId, dateStr, slotObj);
+        if (conflict && conflict.conflict) {
+          volBadge.style.borderColor = '#fca5a5';
+          volBadge.style.background = '#fff1f2';
+          const warn = document.createElement('div');
+          warn.className = 'small';
+          warn.style.color = '#b91c1c';
+          warn.textContent = conflict.reason === 'unavailable' ? 'Unavailable' : 'Conflict';
+          if (conflict.reason === 'unavailable') warn.title = conflict.existingSlot.label;
+          right.appendChild(warn);
+        }
+
+        list.appendChild(volBadge);
+      });
+
+      // staffed but nobody responsible for equipment and literature (shift-leads.js)
+      if (window.ShiftLeads && ShiftLeads.missingLead(loc.id, dateStr, slotObj.id, assignments)) {
+        const leadWarn = document.createElement('div');
+        leadWarn.className = 'small lead-warning';
+        leadWarn.style.color = '#b45309';
+        leadWarn.textContent = '⚠ No shift lead';
+        leadWarn.title = `Mark one volunteer with ★ (${ShiftLeads.LEAD_PRIVILEGES.join(', ')})`;
+        list.appendChild(leadWarn);
+      }
+
+      // pairing rules broken by the people in this cell (volunteer-pairing.js)
+      const pairingIssues = window.VolunteerPairing ? VolunteerPairing.groupIssues(cellVolunteers(loc.id, dateStr, slotObj.id)) : [];
+      if (pairingIssues.length) {
+        const pairWarn = document.createElement('div');
+        pairWarn.className = 'small pairing-warning';
+        pairWarn.style.color = '#b91c1c';
+        pairWarn.textContent = compact ? `⚠ Pairing (${pairingIssues.length})` : pairingIssues.map(i => `⚠ ${i.message}`).join(' ');
+        pairWarn.title = pairingIssues.map(i => i.message).join('\n');
+        list.appendChild(pairWarn);
+      }
+
+      // below the slot minimum: offer ranked substitutes (admin-substitutes.js)
+      const minVol = Number(slotObj.minVol || 0);
+      if (window.AdminSubstitutes && assignments.length < minVol) {
+        const subBtn = document.createElement('button');
+        subBtn.className = 'muted-btn small';
+        subBtn.textContent = compact ? `Find (${assignments.length}/${minVol})` : `Find substitute (${assignments.length}/${minVol})`;
+        subBtn.title = 'Below the minimum number of volunteers for this slot';
+        subBtn.addEventListener('click', (ev) => {
+          ev.stopPropagation();
+          window.AdminSubstitutes.openSubstituteFinder(loc.id, dateStr, slotObj.id, { onAssigned: renderView });
+        });
+        list.appendChild(subBtn);
+      }
+
+      // drop target behavior (assign on drop)
+      td.addEventListener('dragover', (ev) => { ev.preventDefault(); td.style.outline = '3px dashed rgba(11,77,167,0.12)'; });
+      td.addEventListener('dragleave', () => { td.style.outline = 'none'; });
+      td.addEventListener('drop', (ev) => {
+        ev.preventDefault();
+        td.style.outline = 'none';
+        // an existing assignment dragged from another cell: move it
+        const movedId = ev.dataTransfer.getData('text/assignment-id');
+        if (movedId) {
+          const booking = loadBookings().find(b => b.id === movedId);
+          if (!booking) return openModal({ title: 'Not found', content: 'Assignment not found.' });
+          return requestMove(booking, { locationId: loc.id, date: dateStr, slotId: slotObj.id }, renderView);
+        }
+        const volId = ev.dataTransfer.getData('text/plain') || ev.dataTransfer.getData('text/vol-id');
+        const vol = findVolunteerById(volId);
+        if (!vol) return openModal({ title: 'Unknown volunteer', content: 'Volunteer not found.' });
+        requestAssign(vol, loc, slotObj, dateStr, renderView);
+      });
+
+      // click on empty cell opens manual assign modal for selected volunteers or single
+      td.addEventListener('click', () => {
+        const selected = Array.from(document.querySelectorAll('.assign-select:checked')).map(cb => cb.dataset.volId);
+        if (selected.length) {
+          // bulk assign
+          handleBulkAssign(selected, loc, slotObj, dateStr);
+        } else {
+          // manual form for single assignment
+          openManualAssignModal(loc, slotObj, dateStr);
+        }
+      });
+
+      td.appendChild(list);
     }
 
     // Render grid for date
@@ -411,7 +1046,7 @@
       const slotHeaders = [];
       const slotMap = {}; // key -> {label, start,end}
       locations.forEach(loc => {
-        const slots = getSlotsForLocation(loc.id) || [];
+        const slots = getSlotsForLocation(loc.id, dateStr) || [];
         slots.forEach(s => {
           if (!slotMap[s.id]) {
             slotMap[s.id] = { label: s.label, startHour: s.startHour, endHour: s.endHour };
@@ -441,8 +1076,25 @@
         tdLoc.innerHTML = `<div style="font-weight:700">${escapeHtml(loc.name)}</div><div class="small muted">${escapeHtml(loc.address || '')}</div>`;
         tr.appendChild(tdLoc);
 
+        // closed on this date (AdminSchedules date exception): list bookings that need rescheduling
+        const closure = window.AdminSchedules && typeof window.AdminSchedules.getOverride === 'function'
+          ? window.AdminSchedules.getOverride(loc.id, dateStr) : null;
+        if (closure && closure.closed) {
+          const td = document.createElement('td');
+          td.colSpan = Math.max(slotHeaders.length, 1);
+          td.style.padding = '0.5rem';
+          td.style.background = '#f3f4f6';
+          td.style.color = '#6b7280';
+          const stranded = loadBookings().filter(b => b.locationId === loc.id && b.date === dateStr && b.status !== 'cancelled');
+          td.innerHTML = `<div class="small"><strong>Closed</strong>${closure.reason ? ' — ' + escapeHtml(closure.reason) : ''}</div>` +
+            stranded.map(b => `<div class="small" style="color:#b91c1c; margin-top:0.25rem;">⚠ ${escapeHtml(b.displayName || b.username || 'Volunteer')} · ${escapeHtml(b.slotLabel || b.slotId)} — needs rescheduling</div>`).join('');
+          tr.appendChild(td);
+          tbody.appendChild(tr);
+          return;
+        }
+
         // get slots for this location (map for quick check)
-        const locSlots = (getSlotsForLocation(loc.id) || []).reduce((m, s) => { m[s.id] = s; return m; }, {});
+        const locSlots = (getSlotsForLocation(loc.id, dateStr) || []).reduce((m, s) => { m[s.id] = s; return m; }, {});
         slotHeaders.forEach(slotId => {
           const td = document.createElement('td');
           td.style.padding = '0.25rem';
@@ -460,114 +1112,7 @@
             td.style.background = '#fbfdfe';
             td.style.color = '#94a3b8';
           } else {
-            // render current assignments for this cell
-            const assignments = getAssignmentsForCell(loc.id, dateStr, slotId);
-            const list = document.createElement('div');
-            list.style.display = 'grid';
-            list.style.gap = '0.3rem';
-
-            assignments.forEach(a => {
-              const volBadge = document.createElement('div');
-              volBadge.style.display = 'flex';
-              volBadge.style.alignItems = 'center';
-              volBadge.style.justifyContent = 'space-between';
-              volBadge.style.gap = '0.5rem';
-              volBadge.style.padding = '0.3rem 0.4rem';
-              volBadge.style.border = '1px solid #eef1f5';
-              volBadge.style.borderRadius = '6px';
-              volBadge.style.background = '#f8fafc';
-              volBadge.className = 'assignment-badge';
-              volBadge.dataset.assignmentId = a.id;
-
-              const left = document.createElement('div');
-              left.innerHTML = `<div style="font-weight:700">${escapeHtml(a.displayName || a.username || 'Volunteer')}</div><div class="small muted">${escapeHtml(a.role || '')}</div>`;
-
-              const right = document.createElement('div');
-              right.style.display = 'flex';
-              right.style.gap = '0.4rem';
-              right.style.alignItems = 'center';
-
-              const del = document.createElement('button');
-              del.className = 'danger';
-              del.textContent = '✕';
-              del.title = 'Remove assignment';
-              del.addEventListener('click', (ev) => {
-                ev.stopPropagation();
-                openModal({
-                  title: 'Remove assignment',
-                  content: `<p>Remove ${escapeHtml(a.displayName || a.username)} from ${escapeHtml(loc.name)} ${escapeHtml(slotMap[slotId].label)} on ${escapeHtml(dateStr)}?</p>`,
-                  showConfirm: true,
-                  confirmText: 'Remove',
-                  onConfirm: () => { removeAssignmentById(a.id); renderGridForDate(dateStr); }
-                });
-              });
-
-              right.appendChild(del);
-              volBadge.appendChild(left);
-              volBadge.appendChild(right);
-
-              // mark conflict visually if overlapping elsewhere
-              const conflict = detectConflictFor(a.username || a.displayName || a.volunteerId, dateStr, slotMap[slotId]);
-              if (conflict && conflict.conflict) {
-                volBadge.style.borderColor = '#fca5a5';
-                volBadge.style.background = '#fff1f2';
-                const warn = document.createElement('div');
-                warn.className = 'small';
-                warn.style.color = '#b91c1c';
-                warn.textContent = 'Conflict';
-                right.appendChild(warn);
-              }
-
-              list.appendChild(volBadge);
-            });
-
-            // drop target behavior (assign on drop)
-            td.addEventListener('dragover', (ev) => { ev.preventDefault(); td.style.outline = '3px dashed rgba(11,77,167,0.12)'; });
-            td.addEventListener('dragleave', () => { td.style.outline = 'none'; });
-            td.addEventListener('drop', (ev) => {
-              ev.preventDefault();
-              td.style.outline = 'none';
-              const volId = ev.dataTransfer.getData('text/plain') || ev.dataTransfer.getData('text/vol-id');
-              const vol = findVolunteerById(volId);
-              if (!vol) return openModal({ title: 'Unknown volunteer', content: 'Volunteer not found.' });
-              // get slot object
-              const slotObj = slotMap[slotId] || locSlots[slotId];
-              if (!slotObj) return openModal({ title: 'Slot not available', content: 'This time slot is not configured for the location.' });
-
-              // conflict detection
-              const conflict = detectConflictFor(vol.id || vol.name || vol.email || vol.username, dateStr, slotObj);
-              if (conflict && conflict.conflict) {
-                openModal({
-                  title: 'Possible double-booking',
-                  content: `<p>${escapeHtml(vol.name)} appears to have an overlapping assignment (${escapeHtml(conflict.existingSlot.label || conflict.existingSlot.id)}) on ${escapeHtml(dateStr)}. Proceed anyway?</p>`,
-                  showConfirm: true,
-                  confirmText: 'Assign anyway',
-                  onConfirm: () => {
-                    const booking = makeBooking(vol, loc, slotObj, dateStr);
-                    addAssignment(booking);
-                    renderGridForDate(dateStr);
-                  }
-                });
-              } else {
-                const booking = makeBooking(vol, loc, slotObj, dateStr);
-                addAssignment(booking);
-                renderGridForDate(dateStr);
-              }
-            });
-
-            // click on empty cell opens manual assign modal for selected volunteers or single
-            td.addEventListener('click', () => {
-              const selected = Array.from(document.querySelectorAll('.assign-select:checked')).map(cb => cb.dataset.volId);
-              if (selected.length) {
-                // bulk assign
-                handleBulkAssign(selected, loc, slotMap[slotId], dateStr);
-              } else {
-                // manual form for single assignment
-                openManualAssignModal(loc, slotMap[slotId], dateStr);
-              }
-            });
-
-            td.appendChild(list);
+            renderAssignmentCell(td, loc, locSlots[slotId], dateStr, false);
           }
           tr.appendChild(td);
         });
@@ -581,15 +1126,193 @@
       // attach assignment badge click handlers are inside creation above
     }
 
+    // Monday of the week containing dateStr
+    function weekStart(dateStr) {
+      const d = parseDateStr(dateStr);
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      return d;
+    }
+
+    function addDaysStr(dateStr, n) {
+      const d = parseDateStr(dateStr);
+      d.setDate(d.getDate() + n);
+      return formatDate(d);
+    }
+
+    function isClosedOn(locationId, dateStr) {
+      return !!(window.AdminSchedules && typeof window.AdminSchedules.isClosed === 'function' && window.AdminSchedules.isClosed(locationId, dateStr));
+    }
+
+    // Week view: one block per location, slot rows x 7 day columns, same cell actions as the day grid
+    function renderWeekGrid(dateStr) {
+      gridWrap.innerHTML = '';
+      const locations = loadLocations();
+      if (!locations.length) {
+        gridWrap.innerHTML = '<div class="small muted">No locations configured</div>';
+        return;
+      }
+      const start = weekStart(dateStr);
+      const days = [];
+      for (let i = 0; i < 7; i++) {
+        const d = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        days.push(formatDate(d));
+      }
+
+      const table = document.createElement('table');
+      table.style.width = '100%';
+      table.style.borderCollapse = 'collapse';
+      const thead = document.createElement('thead');
+      thead.innerHTML = '<tr><th style="width:160px">Location / slot</th>' + days.map(d => {
+        const dt = parseDateStr(d);
+        return `<th style="min-width:120px" class="small">${dt.toLocaleDateString(undefined, { weekday: 'short' })} ${escapeHtml(d.slice(5))}</th>`;
+      }).join('') + '</tr>';
+      table.appendChild(thead);
+
+      const tbody = document.createElement('tbody');
+      locations.forEach(loc => {
+        // union of slots that run on any day this week, in time order
+        const slotsById = {};
+        days.forEach(d => getSlotsForLocation(loc.id, d).forEach(sl => { if (!slotsById[sl.id]) slotsById[sl.id] = sl; }));
+        const slotList = Object.values(slotsById).sort((a, b) => Number(a.startHour) - Number(b.startHour));
+
+        const locRow = document.createElement('tr');
+        locRow.innerHTML = `<td colspan="${days.length + 1}" style="background:#f1f5f9; font-weight:700; padding:0.35rem 0.5rem;">${escapeHtml(loc.name)}</td>`;
+        tbody.appendChild(locRow);
+        if (!slotList.length) {
+          const tr = document.createElement('tr');
+          tr.innerHTML = `<td colspan="${days.length + 1}" class="small muted" style="padding:0.35rem 0.5rem;">No slots this week</td>`;
+          tbody.appendChild(tr);
+          return;
+        }
+
+        slotList.forEach(sl => {
+          const tr = document.createElement('tr');
+          const th = document.createElement('td');
+          th.className = 'small';
+          th.style.padding = '0.25rem 0.5rem';
+          th.style.verticalAlign = 'top';
+          th.textContent = sl.label;
+          tr.appendChild(th);
+          days.forEach(d => {
+            const td = document.createElement('td');
+            td.style.padding = '0.2rem';
+            td.style.verticalAlign = 'top';
+            td.style.borderLeft = '1px solid #f1f5f9';
+            td.className = 'assign-cell';
+            td.dataset.locationId = loc.id;
+            td.dataset.slotId = sl.id;
+            td.dataset.date = d;
+            const daySlot = isClosedOn(loc.id, d) ? null : getSlotsForLocation(loc.id, d).find(x => x.id === sl.id);
+            if (!daySlot) {
+              td.innerHTML = `<div class="small muted">${isClosedOn(loc.id, d) ? 'Closed' : '—'}</div>`;
+              td.style.background = '#fbfdfe';
+              td.style.color = '#94a3b8';
+            } else {
+              renderAssignmentCell(td, loc, daySlot, d, true);
+            }
+            tr.appendChild(td);
+          });
+          tbody.appendChild(tr);
+        });
+      });
+      table.appendChild(tbody);
+      gridWrap.appendChild(table);
+    }
+
+    // Month view: calendar of fill ratios (booked / capacity) per location; click a day to open it
+    function renderMonthGrid(dateStr) {
+      gridWrap.innerHTML = '';
+      const locations = loadLocations();
+      const anchor = parseDateStr(dateStr);
+      const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+      const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+      const bookings = loadBookings().filter(b => b.status !== 'cancelled');
+
+      const title = document.createElement('div');
+      title.style.fontWeight = '700';
+      title.style.marginBottom = '0.4rem';
+      title.textContent = first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+      gridWrap.appendChild(title);
+
+      const cal = document.createElement('div');
+      cal.style.display = 'grid';
+      cal.style.gridTemplateColumns = 'repeat(7, minmax(110px, 1fr))';
+      cal.style.gap = '0.3rem';
+      ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(dn => {
+        const h = document.createElement('div');
+        h.className = 'small muted';
+        h.style.fontWeight = '700';
+        h.textContent = dn;
+        cal.appendChild(h);
+      });
+      for (let i = 0; i < (first.getDay() + 6) % 7; i++) cal.appendChild(document.createElement('div'));
+
+      for (let day = 1; day <= last.getDate(); day++) {
+        const d = formatDate(new Date(first.getFullYear(), first.getMonth(), day));
+        const cell = document.createElement('div');
+        cell.className = 'card';
+        cell.style.padding = '0.35rem';
+        cell.style.cursor = 'pointer';
+        cell.title = 'Open this day';
+        let html = `<div style="font-weight:700;">${day}</div>`;
+        locations.forEach(loc => {
+          if (isClosedOn(loc.id, d)) {
+            html += `<div class="small muted">${escapeHtml(loc.name)}: closed</div>`;
+            return;
+          }
+          const slots = getSlotsForLocation(loc.id, d);
+          if (!slots.length) return;
+          const capacity = slots.reduce((sum, sl) => sum + Number(sl.maxVol || loc.slotCapacity || 0), 0);
+          const booked = slots.reduce((sum, sl) => sum + bookings.filter(b => b.locationId === loc.id && b.date === d && b.slotId === sl.id).length, 0);
+          const under = slots.some(sl => bookings.filter(b => b.locationId === loc.id && b.date === d && b.slotId === sl.id).length < Number(sl.minVol || 0));
+          const pct = capacity ? Math.min(100, Math.round((booked / capacity) * 100)) : 0;
+          html += `<div class="small" title="${escapeHtml(loc.name)}: ${booked}/${capacity}${under ? ' — below minimum' : ''}">
+            <div style="display:flex; justify-content:space-between; gap:0.25rem;"><span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(loc.name)}</span><span>${booked}/${capacity}</span></div>
+            <div style="height:4px; background:#e5e7eb; border-radius:2px;"><div style="height:4px; width:${pct}%; background:${under ? '#dc2626' : '#16a34a'}; border-radius:2px;"></div></div>
+          </div>`;
+        });
+        cell.innerHTML = html;
+        cell.addEventListener('click', () => {
+          viewSelect.value = 'day';
+          dateInput.value = d;
+          renderView();
+        });
+        cal.appendChild(cell);
+      }
+      gridWrap.appendChild(cal);
+    }
+
+    // Re-render whichever view is selected (also used after assign/remove)
+    function renderView() {
+      viewState.mode = viewSelect.value;
+      viewState.date = dateInput.value;
+      renderVolunteerList(search.value);
+      if (viewState.mode === 'week') renderWeekGrid(dateInput.value);
+      else if (viewState.mode === 'month') renderMonthGrid(dateInput.value);
+      else renderGridForDate(dateInput.value);
+    }
+
+    function shiftAnchor(direction) {
+      const d = parseDateStr(dateInput.value || formatDate(new Date()));
+      if (viewSelect.value === 'month') d.setMonth(d.getMonth() + direction, 1);
+      else d.setDate(d.getDate() + direction * (viewSelect.value === 'week' ? 7 : 1));
+      dateInput.value = formatDate(d);
+      renderView();
+    }
+
     // initial render
-    renderVolunteerList();
-    renderGridForDate(dateInput.value);
+    renderView();
 
     // search binding
     search.addEventListener('input', () => renderVolunteerList(search.value));
 
-    // date change binding
-    dateInput.addEventListener('change', () => renderGridForDate(dateInput.value));
+    // date / view change binding
+    dateInput.addEventListener('change', renderView);
+    viewSelect.addEventListener('change', renderView);
+    prevBtn.addEventListener('click', () => shiftAnchor(-1));
+    nextBtn.addEventListener('click', () => shiftAnchor(1));
+    hideUnavail.addEventListener('change', () => renderVolunteerList(search.value));
+    qualifiedFor.addEventListener('change', () => renderVolunteerList(search.value));
 
     // bulk assign button behavior: instructs user to select volunteers then click a cell
     bulkBtn.addEventListener('click', () => {
@@ -597,6 +1320,49 @@
     });
   }
 
+  /* -------------------------
+     Single assign (drop / manual)
+     ------------------------- */
+
+  // Refuse unqualified volunteers and blocking shift limits, ask about conflicts and limit warnings, then assign
+  function requestAssign(vol, location, slotObj, dateStr, onDone) {
+    const elig = eligibilityFor(vol, location.id);
+    if (!elig.eligible) {
+      return openModal({
+        title: 'Not qualified',
+        content: `<p>${escapeHtml(vol.name)} cannot serve at ${escapeHtml(location.name)}: ${escapeHtml(eligibilityMessages(elig))}.</p>`
+      });
+    }
+    const volKey = vol.id || vol.name || vol.email || vol.username;
+    const limits = checkLimitsFor(volKey, dateStr, slotObj);
+    if (limits.block) {
+      return openModal({
+        title: 'Shift limit reached',
+        content: `<p>${escapeHtml(vol.name)} cannot be assigned on ${escapeHtml(dateStr)}:</p>${ShiftLimits.violationsHtml(limits)}`
+      });
+    }
+    const assign = () => {
+      addAssignment(makeBooking(vol, location, slotObj, dateStr));
+      if (onDone) onDone();
+    };
+    const conflict = detectConflictFor(volKey, dateStr, slotObj);
+    const hasConflict = !!(conflict && conflict.conflict);
+    const pairing = pairingIssuesFor([vol], location.id, dateStr, slotObj.id);
+    if (!hasConflict && limits.ok && !pairing.length) return assign();
+    let content = '';
+    if (hasConflict) content += `<p>${escapeHtml(vol.name)} ${escapeHtml(describeConflict(conflict))} on ${escapeHtml(dateStr)}.</p>`;
+    else if (!limits.ok) content += `<p>${escapeHtml(vol.name)} is over a shift limit on ${escapeHtml(dateStr)}.</p>`;
+    if (!limits.ok) content += ShiftLimits.violationsHtml(limits);
+    if (pairing.length) content += pairingHtml(pairing);
+    openModal({
+      title: hasConflict ? 'Possible double-booking' : !limits.ok ? 'Shift limit exceeded' : 'Pairing warning',
+      content: content + '<p>Proceed anyway?</p>',
+      showConfirm: true,
+      confirmText: 'Assign anyway',
+      onConfirm: assign
+    });
+  }
+
   /* -------------------------
      Manual assign modal
      ------------------------- */
@@ -606,13 +1372,21 @@
     form.style.gap = '0.5rem';
 
     // volunteer select
-    const vols = loadVolunteers();
+    // only volunteers qualified for this location are offered (volunteer-eligibility.js)
+    const allVols = loadVolunteers();
+    const vols = allVols.filter(v => eligibilityFor(v, location.id).eligible);
     const volRow = document.createElement('div'); volRow.className = 'form-row';
     const volLabel = document.createElement('label'); volLabel.textContent = 'Volunteer';
     const volSelect = document.createElement('select'); volSelect.name = 'volunteer';
     volSelect.style.width = '100%';
     volSelect.innerHTML = '<option value="">-- select --</option>' + vols.map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)} (${escapeHtml(v.congregation || '')})</option>`).join('');
     volRow.appendChild(volLabel); volRow.appendChild(volSelect);
+    if (vols.length < allVols.length) {
+      const hidden = document.createElement('div');
+      hidden.className = 'small muted';
+      hidden.textContent = `${allVols.length - vols.length} volunteer(s) not shown — not qualified for ${location.name}.`;
+      volRow.appendChild(hidden);
+    }
 
     form.appendChild(volRow);
 
@@ -632,24 +1406,8 @@
         if (!volId) return openModal({ title: 'Validation', content: 'Please select a volunteer.' });
         const vol = findVolunteerById(volId);
         if (!vol) return openModal({ title: 'Error', content: 'Selected volunteer not found.' });
-
-        const conflict = detectConflictFor(vol.id || vol.name || vol.email, dateStr, slotObj);
-        if (conflict && conflict.conflict) {
-          openModal({
-            title: 'Double-booking detected',
-            content: `<p>${escapeHtml(vol.name)} has an overlapping assignment (${escapeHtml(conflict.existingSlot.label || conflict.existingSlot.id)}). Proceed?</p>`,
-            showConfirm: true,
-            confirmText: 'Assign anyway',
-            onConfirm: () => {
-              addAssignment(makeBooking(vol, location, slotObj, dateStr));
-              // refresh UI
-              buildAssignmentsUI();
-            }
-          });
-        } else {
-          addAssignment(makeBooking(vol, location, slotObj, dateStr));
-          buildAssignmentsUI();
-        }
+        // the confirm modal closes after this handler, so open any follow-up modal afterwards
+        setTimeout(() => requestAssign(vol, location, slotObj, dateStr, buildAssignmentsUI), 0);
       },
       onClose: () => {}
     });
@@ -662,39 +1420,64 @@
     const volObjs = volIds.map(id => findVolunteerById(id)).filter(Boolean);
     if (!volObjs.length) return openModal({ title: 'No volunteers selected', content: 'Please select volunteers to bulk assign.' });
 
-    // detect conflicts per volunteer
+    // detect conflicts and shift limits per volunteer; unqualified volunteers and blocking limits leave the volunteer out
     const conflicts = [];
+    const overLimit = [];
+    const blocked = [];
+    const unqualified = [];
     const toAssign = [];
     volObjs.forEach(v => {
+      const elig = eligibilityFor(v, location.id);
+      if (!elig.eligible) return unqualified.push({ vol: v, elig });
+      const limits = checkLimitsFor(v.id || v.name || v.email, dateStr, slotObj);
+      if (limits.block) return blocked.push({ vol: v, limits });
+      if (!limits.ok) overLimit.push({ vol: v, limits });
       const conflict = detectConflictFor(v.id || v.name || v.email, dateStr, slotObj);
       if (conflict && conflict.conflict) conflicts.push({ vol: v, conflict });
       toAssign.push(v);
     });
-
-    if (conflicts.length) {
-      const list = conflicts.map(c => `<div><strong>${escapeHtml(c.vol.name)}</strong> — overlapping: ${escapeHtml(c.conflict.existingSlot.label || c.conflict.existingSlot.id)}</div>`).join('');
+    const pairing = pairingIssuesFor(toAssign, location.id, dateStr, slotObj.id);
+
+    if (conflicts.length || overLimit.length || blocked.length || unqualified.length || pairing.length) {
+      const list = conflicts.map(c => `<div><strong>${escapeHtml(c.vol.name)}</strong> — ${escapeHtml(c.conflict.reason === 'unavailable' ? 'unavailable' : 'overlapping')}: ${escapeHtml(c.conflict.existingSlot.label || c.conflict.existingSlot.id)}</div>`).join('');
+      const limitList = items => items.map(c => `<div><strong>${escapeHtml(c.vol.name)}</strong> — ${escapeHtml(limitMessages(c.limits))}</div>`).join('');
+      let content = '';
+      if (conflicts.length) content += `<p>The following volunteers appear double-booked or unavailable on ${escapeHtml(dateStr)}:</p>${list}`;
+      if (overLimit.length) content += `<p>Over a shift limit:</p>${limitList(overLimit)}`;
+      if (blocked.length) content += `<p>Not assigned — shift limit reached:</p>${limitList(blocked)}`;
+      if (unqualified.length) content += `<p>Not assigned — not qualified for ${escapeHtml(location.name)}:</p>` +
+        unqualified.map(c => `<div><strong>${escapeHtml(c.vol.name)}</strong> — ${escapeHtml(eligibilityMessages(c.elig))}</div>`).join('');
+      if (pairing.length) content += `<p>Pairing:</p>${pairingHtml(pairing)}`;
+      if (toAssign.length) content += `<p>Assign ${blocked.length || unqualified.length ? 'the other' : 'all'} selected volunteers anyway?</p>`;
       openModal({
-        title: 'Conflicts detected',
-        content: `<p>The following volunteers appear double-booked on ${escapeHtml(dateStr)}:</p>${list}<p>Assign all selected volunteers anyway?</p>`,
-        showConfirm: true,
+        title: conflicts.length ? 'Conflicts detected' : overLimit.length || blocked.length ? 'Shift limits' : unqualified.length ? 'Not qualified' : 'Pairing warning',
+        content,
+        showConfirm: toAssign.length > 0,
         confirmText: 'Assign anyway',
         onConfirm: () => {
-          toAssign.forEach(v => addAssignment(makeBooking(v, location, slotObj, dateStr)));
+          assignAll();
           buildAssignmentsUI();
         }
       });
     } else {
       // proceed quietly
-      toAssign.forEach(v => addAssignment(makeBooking(v, location, slotObj, dateStr)));
+      assignAll();
       buildAssignmentsUI();
     }
+
+    // version history (admin-history.js) records bulk assigns as one step
+    function assignAll() {
+      if (window.AdminHistory) AdminHistory.checkpoint();
+      toAssign.forEach(v => addAssignment(makeBooking(v, location, slotObj, dateStr)));
+      if (window.AdminHistory) AdminHistory.snapshot('bulk-assign', `Bulk assign (${toAssign.length} to ${location.name} ${dateStr})`);
+    }
   }
 
   /* -------------------------
      Make booking object (assignment)
      ------------------------- */
   function makeBooking(vol, location, slotObj, dateStr) {
-    return {
+    const booking = {
       id: uid('bk-'),
       username: vol.email || vol.id || (vol.name || '').toLowerCase().replace(/\s+/g, '.'),
       displayName: vol.name || vol.email || 'Volunteer',
@@ -709,6 +1492,9 @@
       endHour: slotObj.endHour,
       createdAt: Date.now()
     };
+    // admin-made bookings wait for the volunteer to confirm (assignment-confirmations.js)
+    if (window.AssignmentConfirmations) AssignmentConfirmations.requestConfirmation(booking);
+    return booking;
   }
 
   /* -------------------------
@@ -749,7 +1535,8 @@
         const vols = loadVolunteers();
         const newVol = { id: 'vol-' + uid(), name, email, phone, congregation, notes: '', createdAt: Date.now(), updatedAt: Date.now() };
         vols.push(newVol);
-        try { localStorage.setItem(LS_VOLUNTEERS, JSON.stringify(vols)); } catch (err) { console.error(err); }
+        const saved = DataRepository.write(LS_VOLUNTEERS, vols);
+        if (!saved.ok) return openModal({ title: 'Validation', content: escapeHtml(saved.errors.join(' ')) });
         // re-render UI
         buildAssignmentsUI();
       }
@@ -770,6 +1557,8 @@
     document.addEventListener('cvsa:volunteers:updated', () => buildAssignmentsUI());
     document.addEventListener('cvsa:locations:updated', () => buildAssignmentsUI());
     document.addEventListener('cvsa:schedules:updated', () => buildAssignmentsUI());
+    document.addEventListener('cvsa:availability:updated', () => buildAssignmentsUI());
+    document.addEventListener('cvsa:swaps:updated', () => buildAssignmentsUI());
   }
 
   // Expose API
@@ -779,7 +1568,10 @@
     getAssignmentsForCell,
     addAssignment,
     removeAssignmentById,
-    detectConflictFor
+    detectConflictFor,
+    checkMove,
+    moveAssignment,
+    makeBooking
   };
 
   init();
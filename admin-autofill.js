@@ -0,0 +1,459 @@
+/**
+ * admin-autofill.js
+ * Congregation Volunteer Scheduler — Admin Auto-fill (schedule generator)
+ *
+ * Features:
+ * - Generates a proposed set of bookings for a date range and selected locations
+ * - Covers each slot's minimum (minVol) first, then optionally tops slots up to maxVol
+ * - Skips inactive volunteers, volunteers not qualified for the location (volunteer-eligibility.js)
+ *   and anyone AdminAssignments.detectConflictFor flags
+ *   (or who already holds an overlapping slot in the same proposal)
+ * - Pairing rules (volunteer-pairing.js): a trainee is only placed next to an experienced volunteer,
+ *   "never with" pairs are kept apart, trainees already booked alone get a partner where there is
+ *   room, and cells that still break a rule are listed as pairing warnings
+ * - Spreads shifts fairly: the volunteer with the fewest shifts in the range is picked first;
+ *   "prefer with" partners and household members of those already in the slot come next
+ * - Uses saved volunteer preferences (cvsa_preferences) to break ties
+ * - Shows the proposal as a diff for review; nothing is written until the admin applies it
+ *
+ * Integration notes:
+ * - Opened from the "Auto-fill" button in the Assignments tab header (admin-assignments.js)
+ * - Reads slots from AdminSchedules.getSlotsForLocation(locationId) and volunteers from
+ *   AdminVolunteers.getVolunteers() (falls back to localStorage "cvsa_volunteers")
+ * - Preferences are stored by advanced-features.js keyed by user id; a volunteer is matched
+ *   by id, email or name
+ * - Applied bookings are appended to localStorage "cvsa_bookings" and carry source: 'auto-fill'
+ * - Dispatches "cvsa:bookings:updated" after applying
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-autofill.js"></script>
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_LOCATIONS = 'cvsa_locations';
+  const LS_PREFERENCES = 'cvsa_preferences';
+
+  // Safety cap so a mistyped range doesn't freeze the page
+  const MAX_RANGE_DAYS = 62;
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadVolunteers() {
+    if (window.AdminVolunteers && typeof window.AdminVolunteers.getVolunteers === 'function') {
+      return window.AdminVolunteers.getVolunteers() || [];
+    }
+    return load(LS_VOLUNTEERS, []);
+  }
+
+  function loadLocations() {
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations() || [];
+    }
+    return load(LS_LOCATIONS, []);
+  }
+
+  function getSlotsForLocation(locationId, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
+      return window.AdminSchedules.getSlotsForLocation(locationId, dateStr) || [];
+    }
+    return [];
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function formatDate(d) {
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${y}-${m}-${day}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function datesInRange(fromStr, toStr) {
+    const out = [];
+    const d = parseDateStr(fromStr);
+    const end = parseDateStr(toStr);
+    while (d <= end && out.length < MAX_RANGE_DAYS) {
+      out.push(formatDate(d));
+      d.setDate(d.getDate() + 1);
+    }
+    return out;
+  }
+
+  function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+    return aStart < bEnd && bStart < aEnd;
+  }
+
+  function isActiveBooking(b) {
+    return b && b.status !== 'cancelled';
+  }
+
+  function bookingBelongsTo(b, vol) {
+    if (b.volunteerId && b.volunteerId === vol.id) return true;
+    const email = (vol.email || '').toLowerCase();
+    const name = (vol.name || '').toLowerCase();
+    if (email && (b.username || '').toLowerCase() === email) return true;
+    if (name && (b.displayName || '').toLowerCase() === name) return true;
+    return false;
+  }
+
+  // AdvancedFeatures saves preferences under the sign-in username (the volunteer's email for most)
+  function preferencesFor(vol, allPrefs) {
+    const keys = [vol.id, vol.username, vol.email, vol.name].filter(Boolean).map(k => String(k).toLowerCase());
+    const match = Object.keys(allPrefs || {}).find(k => keys.indexOf(k.toLowerCase()) !== -1);
+    return match ? allPrefs[match] : null;
+  }
+
+  /* -------------------------
+     Engine
+     ------------------------- */
+
+  /**
+   * Build a proposal without touching storage.
+   * options: { from, to, locationIds?, fillToMax?, usePreferences? }
+   * returns { proposals: [booking], shortfalls: [{date, locationId, locationName, slotId, slotLabel, needed}],
+   *           pairingWarnings: [{date, locationId, locationName, slotId, slotLabel, message}], dates }
+   */
+  function generateProposal(options = {}) {
+    const { from, to, fillToMax = false, usePreferences = true } = options;
+    if (!from || !to || from > to) return { proposals: [], shortfalls: [], pairingWarnings: [], dates: [] };
+
+    const dates = datesInRange(from, to);
+    const locFilter = Array.isArray(options.locationIds) && options.locationIds.length ? new Set(options.locationIds) : null;
+    const locations = loadLocations().filter(l => !locFilter || locFilter.has(l.id));
+    const volunteers = loadVolunteers().filter(v => v && v.active !== false);
+    const bookings = load(LS_BOOKINGS, []).filter(isActiveBooking);
+    const allPrefs = usePreferences ? load(LS_PREFERENCES, {}) : {};
+
+    // Shift counts within the range drive the fairness ordering
+    const dateSet = new Set(dates);
+    const shiftCount = {};
+    volunteers.forEach(v => {
+      shiftCount[v.id] = bookings.filter(b => dateSet.has(b.date) && bookingBelongsTo(b, v)).length;
+    });
+
+    // Proposed slots per volunteer per date (for overlap checks inside the proposal)
+    const proposedByVolDate = {};
+    const proposals = [];
+    const shortfalls = [];
+
+    function proposedOverlap(vol, dateStr, slot) {
+      const list = proposedByVolDate[vol.id + '|' + dateStr] || [];
+      return list.some(p => rangesOverlap(Number(slot.startHour), Number(slot.endHour), Number(p.startHour), Number(p.endHour)));
+    }
+
+    function hasExistingConflict(vol, dateStr, slot) {
+      if (!window.AdminAssignments || typeof window.AdminAssignments.detectConflictFor !== 'function') return false;
+      const ids = [vol.id, vol.email, vol.name].filter(Boolean);
+      return ids.some(id => {
+        const res = window.AdminAssignments.detectConflictFor(id, dateStr, slot);
+        return res && res.conflict;
+      });
+    }
+
+    function preferenceScore(vol, loc, slot) {
+      const prefs = preferencesFor(vol, allPrefs);
+      if (!prefs) return 0;
+      let score = 0;
+      if ((prefs.preferredLocations || []).includes(loc.id)) score += 1;
+      if ((prefs.preferredSlots || []).includes(slot.id)) score += 1;
+      return score;
+    }
+
+    // Build all cells first so minimums across the whole range are covered before any top-up
+    const cells = [];
+    dates.forEach(dateStr => {
+      locations.forEach(loc => {
+        getSlotsForLocation(loc.id, dateStr).forEach(slot => {
+          const assigned = bookings.filter(b => b.locationId === loc.id && b.date === dateStr && b.slotId === slot.id);
+          const max = Number(slot.maxVol || loc.slotCapacity || 0);
+          const min = Math.min(Number(slot.minVol || 0), max || Infinity);
+          cells.push({ dateStr, loc, slot, min, max, assigned, added: [] });
+        });
+      });
+    });
+
+    // Pairing (volunteer-pairing.js): who is in the cell so far, as volunteer records
+    const pairing = window.VolunteerPairing || null;
+    function cellMembers(cell) {
+      if (!pairing) return [];
+      const added = cell.added.map(p => volunteers.find(v => v.id === p.volunteerId)).filter(Boolean);
+      return pairing.volunteersForBookings(cell.assigned).concat(added);
+    }
+
+    function needsPartner(cell) {
+      return !!pairing && pairing.groupIssues(cellMembers(cell)).some(i => i.rule === 'trainee-alone');
+    }
+
+    function fillCell(cell, target, experiencedOnly) {
+      while (cell.assigned.length + cell.added.length < target) {
+        const members = cellMembers(cell);
+        // a trainee alone in the cell gets an experienced partner first
+        const wantExperienced = !!pairing && members.length > 0 && !members.some(pairing.isExperienced);
+        const candidates = volunteers
+          .filter(v => !cell.assigned.some(b => bookingBelongsTo(b, v)))
+          .filter(v => !cell.added.some(p => p.volunteerId === v.id))
+          .filter(v => !proposedOverlap(v, cell.dateStr, cell.slot))
+          .filter(v => !hasExistingConflict(v, cell.dateStr, cell.slot))
+          .filter(v => !window.VolunteerEligibility || VolunteerEligibility.checkVolunteer(v, cell.loc.id).eligible)
+          .filter(v => !pairing || pairing.canJoin(v, members))
+          .filter(v => !experiencedOnly || pairing.isExperienced(v))
+          .sort((a, b) => (wantExperienced ? pairing.isExperienced(b) - pairing.isExperienced(a) : 0)
+            || (shiftCount[a.id] - shiftCount[b.id])
+            || (pairing ? pairing.affinity(b, members) - pairing.affinity(a, members) : 0)
+            || (preferenceScore(b, cell.loc, cell.slot) - preferenceScore(a, cell.loc, cell.slot))
+            || (a.name || '').localeCompare(b.name || ''));
+        const pick = candidates[0];
+        if (!pick) return false;
+
+        const booking = makeBooking(pick, cell.loc, cell.slot, cell.dateStr);
+        cell.added.push(booking);
+        proposals.push(booking);
+        shiftCount[pick.id] = (shiftCount[pick.id] || 0) + 1;
+        const key = pick.id + '|' + cell.dateStr;
+        (proposedByVolDate[key] = proposedByVolDate[key] || []).push(cell.slot);
+      }
+      return true;
+    }
+
+    // Pass 1: minimums
+    cells.forEach(cell => {
+      if (!fillCell(cell, cell.min)) {
+        shortfalls.push({
+          date: cell.dateStr,
+          locationId: cell.loc.id,
+          locationName: cell.loc.name,
+          slotId: cell.slot.id,
+          slotLabel: cell.slot.label,
+          needed: cell.min - cell.assigned.length - cell.added.length
+        });
+      }
+    });
+
+    // Pass 2: trainees already booked alone get an experienced partner where there is room
+    cells.forEach(cell => {
+      const count = cell.assigned.length + cell.added.length;
+      if (needsPartner(cell) && (!cell.max || count < cell.max)) fillCell(cell, count + 1, true);
+    });
+
+    // Pass 3: top up to maximum
+    if (fillToMax) cells.forEach(cell => fillCell(cell, cell.max));
+
+    // Cells that still break a pairing rule, reported in the review
+    const pairingWarnings = [];
+    if (pairing) {
+      cells.forEach(cell => pairing.groupIssues(cellMembers(cell)).forEach(issue => pairingWarnings.push({
+        date: cell.dateStr,
+        locationId: cell.loc.id,
+        locationName: cell.loc.name,
+        slotId: cell.slot.id,
+        slotLabel: cell.slot.label,
+        message: issue.message
+      })));
+    }
+
+    proposals.sort((a, b) => a.date.localeCompare(b.date) || Number(a.startHour) - Number(b.startHour) || a.locationName.localeCompare(b.locationName));
+    return { proposals, shortfalls, pairingWarnings, dates };
+  }
+
+  function makeBooking(vol, location, slotObj, dateStr) {
+    if (window.AdminAssignments && typeof window.AdminAssignments.makeBooking === 'function') {
+      return Object.assign(window.AdminAssignments.makeBooking(vol, location, slotObj, dateStr), { source: 'auto-fill' });
+    }
+    return {
+      id: uid('bk-'),
+      username: vol.email || vol.id,
+      displayName: vol.name || vol.email || 'Volunteer',
+      volunteerId: vol.id,
+      role: 'volunteer',
+      locationId: location.id,
+      locationName: location.name,
+      date: dateStr,
+      slotId: slotObj.id,
+      slotLabel: slotObj.label,
+      startHour: slotObj.startHour,
+      endHour: slotObj.endHour,
+      createdAt: Date.now(),
+      source: 'auto-fill'
+    };
+  }
+
+  /**
+   * Append the given proposed bookings to cvsa_bookings.
+   * Returns { ok: true, added } or { ok: false, errors } when the bookings could not be saved.
+   */
+  function commitProposal(proposals) {
+    if (!Array.isArray(proposals) || !proposals.length) return { ok: true, added: 0 };
+    if (window.AdminHistory) AdminHistory.checkpoint();
+    const all = load(LS_BOOKINGS, []);
+    // admin-publishing.js keeps these hidden from volunteers while draft mode is on
+    proposals.forEach(p => all.push(window.AdminPublishing ? AdminPublishing.stampDraft(p) : p));
+    const res = save(LS_BOOKINGS, all);
+    if (res && !res.ok) return { ok: false, errors: res.errors };
+    if (window.AdminHistory) AdminHistory.snapshot('auto-fill', `Auto-fill (${proposals.length} added)`);
+    if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+      window.AdminAssignments.buildAssignmentsUI();
+    }
+    return { ok: true, added: proposals.length };
+  }
+
+  /* -------------------------
+     UI: options + review diff
+     ------------------------- */
+  function openAutofillModal(startDate) {
+    const from = startDate || formatDate(new Date());
+    const toDate = parseDateStr(from); toDate.setDate(toDate.getDate() + 6);
+    const locations = loadLocations();
+
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.6rem';
+
+    const opts = document.createElement('div');
+    opts.style.display = 'flex';
+    opts.style.flexWrap = 'wrap';
+    opts.style.gap = '0.5rem';
+    opts.style.alignItems = 'center';
+    opts.innerHTML = `
+      <label>From <input type="date" name="from" value="${escapeHtml(from)}"></label>
+      <label>To <input type="date" name="to" value="${escapeHtml(formatDate(toDate))}"></label>
+      <label style="display:flex;align-items:center;gap:0.3rem;"><input type="checkbox" name="fillToMax"> Fill up to max</label>
+      <label style="display:flex;align-items:center;gap:0.3rem;"><input type="checkbox" name="usePreferences" checked> Use preferences</label>
+      <button type="button" class="muted-btn" data-action="generate">Generate proposal</button>
+    `;
+    wrap.appendChild(opts);
+
+    const locBox = document.createElement('div');
+    locBox.className = 'small';
+    locBox.style.display = 'flex';
+    locBox.style.flexWrap = 'wrap';
+    locBox.style.gap = '0.6rem';
+    locBox.innerHTML = '<strong>Locations:</strong>' + locations.map(l => `<label style="display:flex;align-items:center;gap:0.25rem;"><input type="checkbox" name="loc" value="${escapeHtml(l.id)}" checked> ${escapeHtml(l.name)}</label>`).join('');
+    wrap.appendChild(locBox);
+
+    const errorBox = document.createElement('div');
+    errorBox.className = 'small';
+    errorBox.style.color = '#b91c1c';
+    wrap.appendChild(errorBox);
+
+    const review = document.createElement('div');
+    review.style.maxHeight = '50vh';
+    review.style.overflow = 'auto';
+    review.innerHTML = '<div class="small muted">Choose a range and click "Generate proposal". Nothing is saved until you apply.</div>';
+    wrap.appendChild(review);
+
+    let current = null;
+
+    function readOptions() {
+      return {
+        from: opts.querySelector('[name="from"]').value,
+        to: opts.querySelector('[name="to"]').value,
+        fillToMax: opts.querySelector('[name="fillToMax"]').checked,
+        usePreferences: opts.querySelector('[name="usePreferences"]').checked,
+        locationIds: Array.from(locBox.querySelectorAll('input[name="loc"]:checked')).map(cb => cb.value)
+      };
+    }
+
+    function renderReview(result) {
+      review.innerHTML = '';
+      const summary = document.createElement('div');
+      summary.className = 'small';
+      summary.style.marginBottom = '0.4rem';
+      summary.innerHTML = `<strong>${result.proposals.length}</strong> new booking(s) across ${result.dates.length} day(s). ` +
+        (result.shortfalls.length ? `<span style="color:#b91c1c">${result.shortfalls.length} slot(s) still below minimum.</span>` : 'All minimums covered.');
+      review.appendChild(summary);
+
+      if (result.proposals.length) {
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.innerHTML = '<thead><tr><th></th><th>Date</th><th>Location</th><th>Slot</th><th>Volunteer</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        result.proposals.forEach((p, i) => {
+          const tr = document.createElement('tr');
+          tr.style.background = '#f0fdf4';
+          tr.innerHTML = `<td><input type="checkbox" data-index="${i}" checked title="Include this booking"></td>
+                          <td>+ ${escapeHtml(p.date)}</td>
+                          <td>${escapeHtml(p.locationName)}</td>
+                          <td>${escapeHtml(p.slotLabel || p.slotId)}</td>
+                          <td><strong>${escapeHtml(p.displayName)}</strong></td>`;
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        review.appendChild(table);
+      }
+
+      if (result.shortfalls.length) {
+        const h = document.createElement('div');
+        h.style.fontWeight = 700;
+        h.style.marginTop = '0.6rem';
+        h.textContent = 'Unfilled minimums';
+        review.appendChild(h);
+        const list = document.createElement('div');
+        list.className = 'small';
+        list.style.color = '#b91c1c';
+        list.innerHTML = result.shortfalls.map(s => `<div>${escapeHtml(s.date)} · ${escapeHtml(s.locationName)} · ${escapeHtml(s.slotLabel || s.slotId)} — needs ${s.needed} more</div>`).join('');
+        review.appendChild(list);
+      }
+
+      if (result.pairingWarnings && result.pairingWarnings.length) {
+        const h = document.createElement('div');
+        h.style.fontWeight = 700;
+        h.style.marginTop = '0.6rem';
+        h.textContent = 'Pairing warnings';
+        review.appendChild(h);
+        const list = document.createElement('div');
+        list.className = 'small';
+        list.style.color = '#b45309';
+        list.innerHTML = result.pairingWarnings.map(w => `<div>${escapeHtml(w.date)} · ${escapeHtml(w.locationName)} · ${escapeHtml(w.slotLabel || w.slotId)} — ${escapeHtml(w.message)}</div>`).join('');
+        review.appendChild(list);
+      }
+    }
+
+    opts.querySelector('[data-action="generate"]').addEventListener('click', () => {
+      errorBox.textContent = '';
+      const o = readOptions();
+      if (!o.from || !o.to) { errorBox.textContent = 'Please choose both dates.'; return; }
+      if (o.from > o.to) { errorBox.textContent = '"From" must be on or before "To".'; return; }
+      if (Math.round((parseDateStr(o.to) - parseDateStr(o.from)) / 864e5) >= MAX_RANGE_DAYS) {
+        errorBox.textContent = `Range limited to ${MAX_RANGE_DAYS} days.`;
+        return;
+      }
+      current = generateProposal(o);
+      renderReview(current);
+    });
+
+    openModal({
+      title: 'Auto-fill schedule',
+      content: wrap,
+      showConfirm: true,
+      confirmText: 'Apply proposal',
+      onConfirm: () => {
+        if (!current) { errorBox.textContent = 'Generate a proposal first.'; return false; }
+        const keep = Array.from(review.querySelectorAll('input[data-index]:checked')).map(cb => current.proposals[Number(cb.dataset.index)]);
+        if (!keep.length) { errorBox.textContent = 'No bookings selected.'; return false; }
+        const res = commitProposal(keep);
+        if (!res.ok) { errorBox.textContent = `Nothing was added: ${res.errors.join(' ')}`; return false; }
+        if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.success(`${res.added} booking(s) added by auto-fill`);
+      }
+    });
+  }
+
+  // Expose API
+  window.AdminAutofill = {
+    generateProposal,
+    commitProposal,
+    openAutofillModal
+  };
+
+})();
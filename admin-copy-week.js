@@ -0,0 +1,383 @@
+/**
+ * admin-copy-week.js
+ * Congregation Volunteer Scheduler — Copy a week's assignments to later weeks
+ *
+ * Features:
+ * - Clones every active booking in a source week (Monday–Sunday) into one or more target weeks,
+ *   keeping the same weekday, location and slot
+ * - Skips, with a reason, anything that cannot be copied:
+ *     inactive volunteers, closed dates, slots not running on the target date, past dates,
+ *     volunteers already booked there, conflicts/unavailability (AdminAssignments.detectConflictFor)
+ *     and full slots
+ * - Shows a copied/skipped report for review; nothing is written until the admin applies it
+ *
+ * Integration notes:
+ * - Opened from the "Copy week to…" button in the Assignments tab header (admin-assignments.js)
+ * - Copies are built with AdminAssignments.makeBooking when the volunteer is on the roster; bookings
+ *   made by accounts without a roster entry keep their username/displayName
+ * - Copies carry source: 'copy-week' and copiedFrom: <source booking id>; series, swap and move
+ *   history are not carried over
+ * - Dispatches "cvsa:bookings:updated" after applying
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-copy-week.js"></script>
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_LOCATIONS = 'cvsa_locations';
+
+  // how many following weeks are offered as targets in the dialog
+  const TARGET_WEEKS_OFFERED = 8;
+
+  const SKIP_REASONS = {
+    inactive: 'Volunteer is inactive',
+    closed: 'Location closed on this date',
+    'no-slot': 'Slot not running on this date',
+    past: 'Date has already passed',
+    'already-booked': 'Volunteer already booked in this slot',
+    conflict: 'Conflicts with another assignment',
+    unavailable: 'Volunteer unavailable',
+    full: 'Slot is full'
+  };
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadVolunteers() {
+    if (window.AdminVolunteers && typeof window.AdminVolunteers.getVolunteers === 'function') {
+      return window.AdminVolunteers.getVolunteers() || [];
+    }
+    return load(LS_VOLUNTEERS, []);
+  }
+
+  function loadLocations() {
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations() || [];
+    }
+    return load(LS_LOCATIONS, []);
+  }
+
+  function getSlotsForLocation(locationId, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
+      return window.AdminSchedules.getSlotsForLocation(locationId, dateStr) || [];
+    }
+    return [];
+  }
+
+  function isClosed(locationId, dateStr) {
+    return !!(window.AdminSchedules && typeof window.AdminSchedules.isClosed === 'function' && window.AdminSchedules.isClosed(locationId, dateStr));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function formatDate(d) {
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${y}-${m}-${day}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(dateStr, n) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() + n);
+    return formatDate(d);
+  }
+
+  /** Monday of the week containing dateStr (YYYY-MM-DD). */
+  function weekStartOf(dateStr) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return formatDate(d);
+  }
+
+  function daysBetween(fromStr, toStr) {
+    return Math.round((parseDateStr(toStr) - parseDateStr(fromStr)) / 864e5);
+  }
+
+  function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+    return aStart < bEnd && bStart < aEnd;
+  }
+
+  function isActiveBooking(b) {
+    return b && b.status !== 'cancelled';
+  }
+
+  function findVolunteer(b, volunteers) {
+    if (b.volunteerId) {
+      const byId = volunteers.find(v => v.id === b.volunteerId);
+      if (byId) return byId;
+    }
+    const user = (b.username || '').toLowerCase();
+    const name = (b.displayName || '').toLowerCase();
+    return volunteers.find(v => (user && (v.email || '').toLowerCase() === user) || (name && (v.name || '').toLowerCase() === name)) || null;
+  }
+
+  function samePerson(a, b) {
+    if (a.volunteerId && b.volunteerId) return a.volunteerId === b.volunteerId;
+    return (a.username || '').toLowerCase() === (b.username || '').toLowerCase();
+  }
+
+  /* -------------------------
+     Engine
+     ------------------------- */
+
+  function makeCopy(source, vol, loc, slot, dateStr) {
+    let booking;
+    if (vol && window.AdminAssignments && typeof window.AdminAssignments.makeBooking === 'function') {
+      booking = window.AdminAssignments.makeBooking(vol, loc, slot, dateStr);
+    } else {
+      booking = {
+        id: uid('bk-'),
+        username: source.username,
+        displayName: source.displayName,
+        volunteerId: source.volunteerId || (vol && vol.id) || null,
+        role: source.role || 'volunteer',
+        locationId: loc.id,
+        locationName: loc.name,
+        date: dateStr,
+        slotId: slot.id,
+        slotLabel: slot.label,
+        startHour: slot.startHour,
+        endHour: slot.endHour,
+        createdAt: Date.now()
+      };
+      if (window.AssignmentConfirmations) AssignmentConfirmations.requestConfirmation(booking);
+    }
+    return Object.assign(booking, { source: 'copy-week', copiedFrom: source.id });
+  }
+
+  /**
+   * Build a copy plan without touching storage.
+   * sourceDate: any date in the source week; targetDates: any date in each target week.
+   * returns { sourceWeek, targetWeeks, copied: [booking], skipped: [{ booking, date, reason, label }] }
+   */
+  function planCopy(sourceDate, targetDates) {
+    const sourceWeek = weekStartOf(sourceDate);
+    const targetWeeks = Array.from(new Set((targetDates || []).map(weekStartOf))).filter(w => w !== sourceWeek).sort();
+    const result = { sourceWeek, targetWeeks, copied: [], skipped: [] };
+    if (!targetWeeks.length) return result;
+
+    const sourceEnd = addDays(sourceWeek, 6);
+    const all = load(LS_BOOKINGS, []).filter(isActiveBooking);
+    const sources = all
+      .filter(b => b.date >= sourceWeek && b.date <= sourceEnd)
+      .sort((a, b) => a.date.localeCompare(b.date) || Number(a.startHour) - Number(b.startHour) || (a.locationName || '').localeCompare(b.locationName || ''));
+    const volunteers = loadVolunteers();
+    const locations = loadLocations();
+    const today = formatDate(new Date());
+
+    function skip(source, date, reason) {
+      result.skipped.push({ booking: source, date, reason, label: SKIP_REASONS[reason] || reason });
+    }
+
+    targetWeeks.forEach(week => {
+      const offset = daysBetween(sourceWeek, week);
+      sources.forEach(src => {
+        const date = addDays(src.date, offset);
+        const vol = findVolunteer(src, volunteers);
+        const loc = locations.find(l => l.id === src.locationId);
+        if (vol && vol.active === false) return skip(src, date, 'inactive');
+        if (date < today) return skip(src, date, 'past');
+        if (!loc || isClosed(src.locationId, date)) return skip(src, date, 'closed');
+        const slot = getSlotsForLocation(loc.id, date).find(s => s.id === src.slotId);
+        if (!slot) return skip(src, date, 'no-slot');
+
+        const inCell = all.filter(b => b.locationId === loc.id && b.date === date && b.slotId === slot.id)
+          .concat(result.copied.filter(b => b.locationId === loc.id && b.date === date && b.slotId === slot.id));
+        if (inCell.some(b => samePerson(b, src))) return skip(src, date, 'already-booked');
+
+        if (window.AdminAssignments && typeof window.AdminAssignments.detectConflictFor === 'function') {
+          const c = window.AdminAssignments.detectConflictFor(src.volunteerId || src.username, date, slot);
+          if (c && c.conflict) return skip(src, date, c.reason === 'unavailable' ? 'unavailable' : 'conflict');
+        }
+        // overlaps with copies planned earlier in this run
+        const planned = result.copied.some(b => b.date === date && samePerson(b, src) &&
+          rangesOverlap(Number(slot.startHour), Number(slot.endHour), Number(b.startHour), Number(b.endHour)));
+        if (planned) return skip(src, date, 'conflict');
+
+        const max = Number(slot.maxVol || loc.slotCapacity || 0);
+        if (max && inCell.length >= max) return skip(src, date, 'full');
+
+        result.copied.push(makeCopy(src, vol, loc, slot, date));
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Append the planned copies to cvsa_bookings.
+   */
+  function commitCopy(copies) {
+    if (!Array.isArray(copies) || !copies.length) return 0;
+    if (window.AdminHistory) AdminHistory.checkpoint();
+    const all = load(LS_BOOKINGS, []);
+    // admin-publishing.js keeps these hidden from volunteers while draft mode is on
+    copies.forEach(c => all.push(window.AdminPublishing ? AdminPublishing.stampDraft(c) : c));
+    save(LS_BOOKINGS, all);
+    if (window.AdminHistory) AdminHistory.snapshot('copy-week', `Copy week (${copies.length} added)`);
+    if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+      window.AdminAssignments.buildAssignmentsUI();
+    }
+    return copies.length;
+  }
+
+  /* -------------------------
+     UI: week pickers + copied/skipped report
+     ------------------------- */
+  function weekLabel(weekStr) {
+    return `${weekStr} – ${addDays(weekStr, 6)}`;
+  }
+
+  function openCopyWeekModal(dateStr) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.6rem';
+
+    const opts = document.createElement('div');
+    opts.style.display = 'flex';
+    opts.style.flexWrap = 'wrap';
+    opts.style.gap = '0.5rem';
+    opts.style.alignItems = 'center';
+    opts.innerHTML = `
+      <label>Source week containing <input type="date" name="source" value="${escapeHtml(dateStr || formatDate(new Date()))}"></label>
+      <span class="small muted" data-role="source-label"></span>
+    `;
+    wrap.appendChild(opts);
+
+    const targetBox = document.createElement('div');
+    targetBox.className = 'small';
+    targetBox.style.display = 'grid';
+    targetBox.style.gap = '0.2rem';
+    wrap.appendChild(targetBox);
+
+    const actions = document.createElement('div');
+    actions.innerHTML = '<button type="button" class="muted-btn" data-action="preview">Preview copy</button>';
+    wrap.appendChild(actions);
+
+    const errorBox = document.createElement('div');
+    errorBox.className = 'small';
+    errorBox.style.color = '#b91c1c';
+    wrap.appendChild(errorBox);
+
+    const review = document.createElement('div');
+    review.style.maxHeight = '50vh';
+    review.style.overflow = 'auto';
+    review.innerHTML = '<div class="small muted">Pick one or more target weeks and click "Preview copy". Nothing is saved until you apply.</div>';
+    wrap.appendChild(review);
+
+    const sourceInput = opts.querySelector('[name="source"]');
+    let current = null;
+
+    function renderTargets() {
+      current = null;
+      const source = weekStartOf(sourceInput.value || formatDate(new Date()));
+      opts.querySelector('[data-role="source-label"]').textContent = weekLabel(source);
+      let html = '<strong>Copy to:</strong>';
+      for (let i = 1; i <= TARGET_WEEKS_OFFERED; i++) {
+        const w = addDays(source, i * 7);
+        html += `<label style="display:flex;align-items:center;gap:0.3rem;"><input type="checkbox" name="target" value="${escapeHtml(w)}"${i === 1 ? ' checked' : ''}> ${escapeHtml(weekLabel(w))}</label>`;
+      }
+      targetBox.innerHTML = html;
+    }
+
+    function renderReport(plan) {
+      review.innerHTML = '';
+      const summary = document.createElement('div');
+      summary.className = 'small';
+      summary.style.marginBottom = '0.4rem';
+      summary.innerHTML = `<strong>${plan.copied.length}</strong> booking(s) will be copied into ${plan.targetWeeks.length} week(s). ` +
+        (plan.skipped.length ? `<span style="color:#b91c1c">${plan.skipped.length} skipped.</span>` : 'Nothing skipped.');
+      review.appendChild(summary);
+
+      if (plan.copied.length) {
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.innerHTML = '<thead><tr><th>Date</th><th>Location</th><th>Slot</th><th>Volunteer</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        plan.copied.forEach(b => {
+          const tr = document.createElement('tr');
+          tr.style.background = '#f0fdf4';
+          tr.innerHTML = `<td>+ ${escapeHtml(b.date)}</td>
+                          <td>${escapeHtml(b.locationName)}</td>
+                          <td>${escapeHtml(b.slotLabel || b.slotId)}</td>
+                          <td><strong>${escapeHtml(b.displayName)}</strong></td>`;
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        review.appendChild(table);
+      }
+
+      if (plan.skipped.length) {
+        const h = document.createElement('div');
+        h.style.fontWeight = 700;
+        h.style.marginTop = '0.6rem';
+        h.textContent = 'Skipped';
+        review.appendChild(h);
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.innerHTML = '<thead><tr><th>Date</th><th>Location</th><th>Slot</th><th>Volunteer</th><th>Reason</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        plan.skipped.forEach(s => {
+          const tr = document.createElement('tr');
+          tr.style.background = '#fef2f2';
+          tr.innerHTML = `<td>${escapeHtml(s.date)}</td>
+                          <td>${escapeHtml(s.booking.locationName)}</td>
+                          <td>${escapeHtml(s.booking.slotLabel || s.booking.slotId)}</td>
+                          <td>${escapeHtml(s.booking.displayName || s.booking.username)}</td>
+                          <td style="color:#b91c1c">${escapeHtml(s.label)}</td>`;
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        review.appendChild(table);
+      }
+    }
+
+    sourceInput.addEventListener('change', renderTargets);
+    // a preview only matches the weeks it was built for
+    targetBox.addEventListener('change', () => { current = null; });
+    actions.querySelector('[data-action="preview"]').addEventListener('click', () => {
+      errorBox.textContent = '';
+      if (!sourceInput.value) { errorBox.textContent = 'Please choose a source week.'; return; }
+      const targets = Array.from(targetBox.querySelectorAll('input[name="target"]:checked')).map(cb => cb.value);
+      if (!targets.length) { errorBox.textContent = 'Select at least one target week.'; return; }
+      current = planCopy(sourceInput.value, targets);
+      renderReport(current);
+    });
+    renderTargets();
+
+    openModal({
+      title: 'Copy week',
+      content: wrap,
+      showConfirm: true,
+      confirmText: 'Copy bookings',
+      onConfirm: () => {
+        if (!current) { errorBox.textContent = 'Preview the copy first.'; return false; }
+        if (!current.copied.length) { errorBox.textContent = 'Nothing to copy.'; return false; }
+        const n = commitCopy(current.copied);
+        if (window.SharedUtils && SharedUtils.Toast) {
+          SharedUtils.Toast.success(`${n} booking(s) copied` + (current.skipped.length ? `, ${current.skipped.length} skipped` : ''));
+        }
+      }
+    });
+  }
+
+  // Expose API
+  window.AdminCopyWeek = {
+    planCopy,
+    commitCopy,
+    openCopyWeekModal
+  };
+
+})();
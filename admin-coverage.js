@@ -0,0 +1,291 @@
+/**
+ * admin-coverage.js
+ * Congregation Volunteer Scheduler — Coverage dashboard & understaffing alerts
+ *
+ * Features:
+ * - Checks every upcoming location/date/slot against the slot's minVol
+ *     - "under": fewer volunteers than minVol
+ *     - "risk":  minimum met but only one volunteer booked
+ * - 14-day heat map (locations x days) coloured by how much of the minimum is covered
+ * - Alert list with "Open in Assignments" and "Find substitute" (admin-substitutes.js) actions
+ * - Badge on the Admin > Assignments tab with the number of under-staffed slots
+ *
+ * Integration notes:
+ * - Renders into the Admin > Coverage tab panel (id="tab-coverage")
+ * - Slots/capacity/closures come from AdminSchedules (date-aware getSlotsForLocation)
+ * - Refreshes on cvsa:bookings:updated, cvsa:schedules:updated, cvsa:locations:updated and when the tab is activated
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-coverage.js"></script>
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_LOCATIONS = 'cvsa_locations';
+
+  const HORIZON_DAYS = 14;
+
+  const { load, escapeHtml } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadLocations() {
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations() || [];
+    }
+    return load(LS_LOCATIONS, []);
+  }
+
+  function getSlotsForLocation(locationId, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
+      return window.AdminSchedules.getSlotsForLocation(locationId, dateStr) || [];
+    }
+    return [];
+  }
+
+  function isClosed(locationId, dateStr) {
+    return !!(window.AdminSchedules && typeof window.AdminSchedules.isClosed === 'function' && window.AdminSchedules.isClosed(locationId, dateStr));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function formatDate(d) {
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${y}-${m}-${day}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function isActiveBooking(b) {
+    return b && b.status !== 'cancelled';
+  }
+
+  /* -------------------------
+     Coverage computation
+     ------------------------- */
+
+  /**
+   * Coverage for `days` days starting today. Slots that already started today are skipped.
+   * returns { dates, locations, cells: [{ date, location, slot, assigned, min, max, status }], days: { [locId|date]: summary } }
+   */
+  function computeCoverage(days = HORIZON_DAYS) {
+    const today = new Date();
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+      const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
+      dates.push(formatDate(d));
+    }
+    const locations = loadLocations();
+    const bookings = load(LS_BOOKINGS, []).filter(isActiveBooking);
+    const byCell = {};
+    bookings.forEach(b => {
+      const k = `${b.locationId}|${b.date}|${b.slotId}`;
+      byCell[k] = (byCell[k] || 0) + 1;
+    });
+
+    const cells = [];
+    const dayMap = {};
+    dates.forEach(dateStr => {
+      locations.forEach(loc => {
+        const summary = { closed: false, slots: 0, required: 0, covered: 0, under: 0, risk: 0 };
+        dayMap[`${loc.id}|${dateStr}`] = summary;
+        if (isClosed(loc.id, dateStr)) { summary.closed = true; return; }
+        getSlotsForLocation(loc.id, dateStr).forEach(slot => {
+          const start = parseDateStr(dateStr);
+          start.setHours(Number(slot.startHour || 0), 0, 0, 0);
+          if (start < today) return;
+          const assigned = byCell[`${loc.id}|${dateStr}|${slot.id}`] || 0;
+          const min = Number(slot.minVol || 0);
+          const max = Number(slot.maxVol || loc.slotCapacity || 0);
+          let status = 'ok';
+          if (assigned < min) status = 'under';
+          else if (assigned === 1) status = 'risk';
+          summary.slots += 1;
+          summary.required += min;
+          summary.covered += Math.min(assigned, min);
+          if (status === 'under') summary.under += 1;
+          if (status === 'risk') summary.risk += 1;
+          cells.push({ date: dateStr, location: loc, slot, assigned, min, max, status });
+        });
+      });
+    });
+    return { dates, locations, cells, days: dayMap };
+  }
+
+  function getAlerts(days = HORIZON_DAYS) {
+    return computeCoverage(days).cells.filter(c => c.status !== 'ok');
+  }
+
+  function understaffedCount(days = HORIZON_DAYS) {
+    return computeCoverage(days).cells.filter(c => c.status === 'under').length;
+  }
+
+  function heatColour(summary) {
+    if (summary.closed || !summary.slots) return { bg: '#f3f4f6', fg: '#9ca3af' };
+    const ratio = summary.required ? summary.covered / summary.required : 1;
+    if (ratio < 0.5) return { bg: '#fecaca', fg: '#7f1d1d' };
+    if (ratio < 1) return { bg: '#fed7aa', fg: '#7c2d12' };
+    if (summary.risk) return { bg: '#fef08a', fg: '#713f12' };
+    return { bg: '#bbf7d0', fg: '#14532d' };
+  }
+
+  /* -------------------------
+     UI
+     ------------------------- */
+  function openInAssignments(dateStr) {
+    const tab = document.querySelector('.tab[data-tab="assignments"]');
+    if (tab) tab.click();
+    const input = document.getElementById('assign-date');
+    if (input) {
+      input.value = dateStr;
+      input.dispatchEvent(new Event('change'));
+    }
+  }
+
+  function renderCoverage() {
+    const panel = document.getElementById('tab-coverage');
+    if (!panel) return;
+    const data = computeCoverage();
+    panel.innerHTML = '';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Coverage';
+    panel.appendChild(title);
+
+    // Heat map
+    const heatCard = document.createElement('div');
+    heatCard.className = 'card';
+    heatCard.style.overflowX = 'auto';
+    heatCard.innerHTML = `<h4 style="margin-top:0;">Next ${HORIZON_DAYS} days</h4>
+      <div class="small muted" style="margin-bottom:0.5rem;">Share of each day's minimum volunteers that is booked.
+        <span style="background:#bbf7d0; padding:0 0.35rem; border-radius:4px;">covered</span>
+        <span style="background:#fef08a; padding:0 0.35rem; border-radius:4px;">covered, single volunteer</span>
+        <span style="background:#fed7aa; padding:0 0.35rem; border-radius:4px;">partly</span>
+        <span style="background:#fecaca; padding:0 0.35rem; border-radius:4px;">under half</span>
+        <span style="background:#f3f4f6; padding:0 0.35rem; border-radius:4px;">closed / no slots</span></div>`;
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    table.innerHTML = '<thead><tr><th>Location</th>' + data.dates.map(d => {
+      const dt = parseDateStr(d);
+      return `<th class="small" style="min-width:52px; text-align:center;">${dt.toLocaleDateString(undefined, { weekday: 'short' })}<br>${dt.getDate()}</th>`;
+    }).join('') + '</tr></thead>';
+    const tbody = document.createElement('tbody');
+    data.locations.forEach(loc => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td style="font-weight:700; white-space:nowrap; padding-right:0.5rem;">${escapeHtml(loc.name)}</td>`;
+      data.dates.forEach(d => {
+        const s = data.days[`${loc.id}|${d}`];
+        const c = heatColour(s);
+        const td = document.createElement('td');
+        td.style.cssText = `background:${c.bg}; color:${c.fg}; text-align:center; border:2px solid #fff; cursor:pointer; padding:0.35rem;`;
+        td.className = 'small';
+        td.textContent = s.closed ? '—' : (s.slots ? `${s.covered}/${s.required}` : '');
+        td.title = s.closed ? 'Closed' : `${s.slots} slot(s) · ${s.under} under minimum · ${s.risk} with one volunteer`;
+        td.addEventListener('click', () => openInAssignments(d));
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    heatCard.appendChild(table);
+    panel.appendChild(heatCard);
+
+    // Alerts
+    const alerts = data.cells.filter(c => c.status !== 'ok')
+      .sort((a, b) => (a.status === b.status ? 0 : a.status === 'under' ? -1 : 1) || a.date.localeCompare(b.date) || Number(a.slot.startHour) - Number(b.slot.startHour));
+    const alertCard = document.createElement('div');
+    alertCard.className = 'card';
+    alertCard.style.marginTop = '1rem';
+    const under = alerts.filter(a => a.status === 'under').length;
+    alertCard.innerHTML = `<h4 style="margin-top:0;">Alerts <span class="small muted">${under} under minimum · ${alerts.length - under} at risk</span></h4>`;
+    if (!alerts.length) {
+      alertCard.innerHTML += '<div class="small muted">Every upcoming slot meets its minimum with more than one volunteer.</div>';
+    } else {
+      const list = document.createElement('table');
+      list.innerHTML = '<thead><tr><th>Date</th><th>Location</th><th>Time</th><th>Booked</th><th>Status</th><th>Actions</th></tr></thead>';
+      const lb = document.createElement('tbody');
+      alerts.forEach(a => {
+        const tr = document.createElement('tr');
+        const badge = a.status === 'under'
+          ? '<span style="color:#b91c1c; font-weight:700;">Under minimum</span>'
+          : '<span style="color:#b45309; font-weight:700;">At risk (1 volunteer)</span>';
+        tr.innerHTML = `<td>${escapeHtml(a.date)}</td><td>${escapeHtml(a.location.name)}</td><td>${escapeHtml(a.slot.label)}</td>
+          <td>${a.assigned} / min ${a.min}</td><td>${badge}</td><td></td>`;
+        const actions = tr.querySelector('td:last-child');
+        const openBtn = document.createElement('button');
+        openBtn.className = 'muted-btn';
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => openInAssignments(a.date));
+        actions.appendChild(openBtn);
+        if (window.AdminSubstitutes) {
+          const subBtn = document.createElement('button');
+          subBtn.className = 'success';
+          subBtn.textContent = 'Find volunteer';
+          subBtn.style.marginLeft = '0.4rem';
+          subBtn.addEventListener('click', () => window.AdminSubstitutes.openSubstituteFinder(a.location.id, a.date, a.slot.id, { onAssigned: refresh }));
+          actions.appendChild(subBtn);
+        }
+        lb.appendChild(tr);
+      });
+      list.appendChild(lb);
+      alertCard.appendChild(list);
+    }
+    panel.appendChild(alertCard);
+  }
+
+  function updateAssignmentsBadge() {
+    const tab = document.querySelector('.tab[data-tab="assignments"]');
+    if (!tab) return;
+    let badge = tab.querySelector('.tab-badge');
+    const n = understaffedCount();
+    if (!n) { if (badge) badge.remove(); return; }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'tab-badge';
+      badge.style.cssText = 'margin-left:0.35rem; background:#dc2626; color:#fff; border-radius:999px; padding:0 0.45rem; font-size:0.75rem;';
+      tab.appendChild(badge);
+    }
+    badge.textContent = String(n);
+    badge.title = `${n} slot(s) below minimum in the next ${HORIZON_DAYS} days`;
+  }
+
+  function refresh() {
+    updateAssignmentsBadge();
+    const panel = document.getElementById('tab-coverage');
+    if (panel && !panel.hidden) renderCoverage();
+  }
+
+  function init() {
+    function start() {
+      renderCoverage();
+      updateAssignmentsBadge();
+      ['cvsa:bookings:updated', 'cvsa:schedules:updated', 'cvsa:locations:updated'].forEach(evt => document.addEventListener(evt, refresh));
+      document.addEventListener('cvsa:tab:activated', (e) => {
+        if (e.detail && e.detail.tab === 'coverage') renderCoverage();
+      });
+    }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else start();
+  }
+
+  // Expose API
+  window.AdminCoverage = {
+    init,
+    computeCoverage,
+    getAlerts,
+    understaffedCount,
+    renderCoverage,
+    updateAssignmentsBadge
+  };
+
+  init();
+
+})();
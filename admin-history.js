@@ -0,0 +1,395 @@
+/**
+ * admin-history.js
+ * Congregation Volunteer Scheduler — Schedule version history, diff and rollback
+ *
+ * Features:
+ * - Snapshots "cvsa_bookings" on every publish and bulk operation (auto-fill, copy week,
+ *   bulk assign, recurring series changes, discarding drafts, rollback)
+ * - Individual edits made between bulk operations are folded into an "Individual changes"
+ *   version right before the next snapshot, so every step can be compared and restored
+ * - Diff viewer: added, removed and moved assignments between any two versions (or a version
+ *   and the current schedule), grouped per volunteer or per location
+ * - Rollback restores a previous version; the schedule as it was before the rollback is kept
+ *   as its own version so a rollback can itself be undone
+ *
+ * Data:
+ *  - "cvsa_schedule_versions" (stored through DataRepository):
+ *      [{ id, n, createdAt, createdBy, reason, label, count, bookings: [booking] }]
+ *    Only the newest MAX_VERSIONS are kept (older ones are dropped first if storage is full).
+ *
+ * Integration notes:
+ * - Bulk writers call AdminHistory.checkpoint() before and AdminHistory.snapshot(reason, label)
+ *   after they change bookings
+ * - Bookings keep their id when moved (admin-assignments.js), which is how moves are told
+ *   apart from a removal plus an addition
+ * - Opened from the "History…" button in the Assignments tab header
+ * - Dispatches "cvsa:history:updated" and, after a rollback, "cvsa:bookings:updated"
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-history.js"></script>
+ */
+
+(function () {
+  const LS_VERSIONS = 'cvsa_schedule_versions';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_SESSION = 'cvsa_session';
+
+  // browser storage is small; each version holds a full copy of the bookings
+  const MAX_VERSIONS = 30;
+
+  const REASON_LABELS = {
+    initial: 'Initial schedule',
+    manual: 'Individual changes',
+    publish: 'Published',
+    discard: 'Drafts discarded',
+    'auto-fill': 'Auto-fill',
+    'copy-week': 'Copy week',
+    'bulk-assign': 'Bulk assign',
+    recurring: 'Recurring series',
+    rollback: 'Rollback'
+  };
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function getVersions() { return load(LS_VERSIONS, []); }
+
+  function saveVersions(list) {
+    let kept = list.slice(-MAX_VERSIONS);
+    // when storage is full, give up the oldest versions rather than the newest
+    while (kept.length) {
+      if (save(LS_VERSIONS, kept).ok || kept.length === 1) break;
+      kept = kept.slice(1);
+    }
+    document.dispatchEvent(new CustomEvent('cvsa:history:updated'));
+  }
+
+  // IndexedDB reports a full store only after save() has returned: drop the oldest version and retry
+  document.addEventListener('cvsa:storage:error', (event) => {
+    const detail = event.detail || {};
+    if (detail.key !== LS_VERSIONS || !detail.quota) return;
+    const list = getVersions();
+    if (list.length > 1) saveVersions(list.slice(1));
+  });
+
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+
+  function isActiveBooking(b) {
+    return !!b && b.status !== 'cancelled';
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUsername() {
+    const s = load(LS_SESSION, null);
+    return s ? s.username : null;
+  }
+
+  function byDate(a, b) {
+    return a.date.localeCompare(b.date) || Number(a.startHour || 0) - Number(b.startHour || 0);
+  }
+
+  function place(b) {
+    return `${b.date} · ${b.locationName || b.locationId} · ${b.slotLabel || b.slotId}`;
+  }
+
+  function personOf(b) {
+    return b.displayName || b.username || 'Volunteer';
+  }
+
+  function versionTitle(v) {
+    return `v${v.n} — ${v.label || REASON_LABELS[v.reason] || v.reason}`;
+  }
+
+  /* -------------------------
+     Snapshots
+     ------------------------- */
+  function addVersion(reason, label, bookings) {
+    const list = getVersions();
+    const n = list.length ? list[list.length - 1].n + 1 : 1;
+    const version = {
+      id: uid('ver-'),
+      n,
+      createdAt: Date.now(),
+      createdBy: currentUsername(),
+      reason,
+      label: label || REASON_LABELS[reason] || reason,
+      count: bookings.filter(isActiveBooking).length,
+      bookings
+    };
+    list.push(version);
+    saveVersions(list);
+    return version;
+  }
+
+  /**
+   * Record the current schedule if it differs from the newest version (individual edits since
+   * the last snapshot). Call before a bulk operation. Returns the new version or null.
+   */
+  function checkpoint() {
+    const list = getVersions();
+    const bookings = loadBookings();
+    const latest = list[list.length - 1];
+    if (latest && JSON.stringify(latest.bookings) === JSON.stringify(bookings)) return null;
+    if (!latest && !bookings.length) return null;
+    return addVersion(latest ? 'manual' : 'initial', null, bookings);
+  }
+
+  /**
+   * Record the schedule after a publish or bulk operation.
+   */
+  function snapshot(reason, label) {
+    return addVersion(reason, label, loadBookings());
+  }
+
+  function getVersion(id) {
+    return getVersions().find(v => v.id === id) || null;
+  }
+
+  /* -------------------------
+     Diff
+     ------------------------- */
+
+  /**
+   * Compare two booking lists.
+   * returns { added: [booking], removed: [booking], moved: [{ from, to }] }
+   * A booking with the same id but a different volunteer counts as removed + added.
+   * Cancelled bookings (kept for reliability tracking) count as absent.
+   */
+  function diffBookings(fromList, toList) {
+    fromList = (fromList || []).filter(isActiveBooking);
+    toList = (toList || []).filter(isActiveBooking);
+    const fromById = {};
+    (fromList || []).forEach(b => { fromById[b.id] = b; });
+    const toIds = new Set((toList || []).map(b => b.id));
+    const result = { added: [], removed: [], moved: [] };
+
+    (toList || []).forEach(b => {
+      const prev = fromById[b.id];
+      if (!prev) { result.added.push(b); return; }
+      if ((prev.username || '').toLowerCase() !== (b.username || '').toLowerCase()) {
+        result.removed.push(prev);
+        result.added.push(b);
+        return;
+      }
+      if (prev.locationId !== b.locationId || prev.date !== b.date || prev.slotId !== b.slotId) {
+        result.moved.push({ from: prev, to: b });
+      }
+    });
+    (fromList || []).forEach(b => { if (!toIds.has(b.id)) result.removed.push(b); });
+
+    result.added.sort(byDate);
+    result.removed.sort(byDate);
+    result.moved.sort((a, b) => byDate(a.to, b.to));
+    return result;
+  }
+
+  /**
+   * Diff two versions by id; toId 'current' (or omitted) compares with the live schedule.
+   */
+  function diffVersions(fromId, toId) {
+    const from = getVersion(fromId);
+    const to = toId && toId !== 'current' ? getVersion(toId) : null;
+    if (!from || (toId && toId !== 'current' && !to)) return null;
+    return diffBookings(from.bookings, to ? to.bookings : loadBookings());
+  }
+
+  /**
+   * Group a diff per volunteer ('volunteer') or per location ('location').
+   * A move between locations is listed under both locations.
+   * returns [{ key, label, added, removed, moved }]
+   */
+  function groupDiff(diff, by) {
+    const groups = {};
+    function group(key, label) {
+      if (!groups[key]) groups[key] = { key, label, added: [], removed: [], moved: [] };
+      return groups[key];
+    }
+    function keyFor(b) {
+      return by === 'location'
+        ? ['loc:' + b.locationId, b.locationName || b.locationId]
+        : ['vol:' + (b.username || personOf(b)).toLowerCase(), personOf(b)];
+    }
+    diff.added.forEach(b => group(...keyFor(b)).added.push(b));
+    diff.removed.forEach(b => group(...keyFor(b)).removed.push(b));
+    diff.moved.forEach(m => {
+      const [k1, l1] = keyFor(m.to);
+      group(k1, l1).moved.push(m);
+      const [k0, l0] = keyFor(m.from);
+      if (k0 !== k1) group(k0, l0).moved.push(m);
+    });
+    return Object.values(groups).sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /* -------------------------
+     Rollback
+     ------------------------- */
+
+  /**
+   * Restore the bookings of a previous version. The schedule as it was just before is kept
+   * as its own version. Returns { ok: true, version } or { ok: false, errors } when the version
+   * is gone or the bookings could not be saved.
+   */
+  function rollback(versionId) {
+    const target = getVersion(versionId);
+    if (!target) return { ok: false, errors: ['Version not found.'] };
+    checkpoint();
+    // cancellations recorded since then stay, so reliability history survives the rollback;
+    // that includes bookings that were still active in the version and have been cancelled since
+    const cancelled = loadBookings().filter(b => !isActiveBooking(b));
+    const cancelledIds = new Set(cancelled.map(b => b.id));
+    const restored = target.bookings.filter(b => !cancelledIds.has(b.id)).concat(cancelled);
+    const res = save(LS_BOOKINGS, restored);
+    if (res && !res.ok) return { ok: false, errors: res.errors };
+    snapshot('rollback', `Rolled back to v${target.n}`);
+    if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+      window.AdminAssignments.buildAssignmentsUI();
+    }
+    return { ok: true, version: target };
+  }
+
+  /* -------------------------
+     UI: version list + diff viewer
+     ------------------------- */
+  function renderDiff(target, diff, by) {
+    target.innerHTML = '';
+    if (!diff) { target.innerHTML = '<div class="small muted">Version not found.</div>'; return; }
+    const summary = document.createElement('div');
+    summary.className = 'small';
+    summary.style.marginBottom = '0.4rem';
+    summary.innerHTML = `<strong>${diff.added.length}</strong> added · <strong>${diff.removed.length}</strong> removed · <strong>${diff.moved.length}</strong> moved`;
+    target.appendChild(summary);
+    if (!diff.added.length && !diff.removed.length && !diff.moved.length) {
+      const none = document.createElement('div');
+      none.className = 'small muted';
+      none.textContent = 'No differences.';
+      target.appendChild(none);
+      return;
+    }
+    groupDiff(diff, by).forEach(g => {
+      const card = document.createElement('div');
+      card.className = 'card';
+      card.style.padding = '0.5rem 0.7rem';
+      card.style.marginBottom = '0.4rem';
+      // per-volunteer rows name the place; per-location rows name the volunteer too
+      const who = b => by === 'location' ? `${escapeHtml(personOf(b))} — ` : '';
+      card.innerHTML = `<div style="font-weight:700">${escapeHtml(g.label)}</div>` +
+        g.added.map(b => `<div class="small" style="color:#15803d">+ ${who(b)}${escapeHtml(place(b))}</div>`).join('') +
+        g.removed.map(b => `<div class="small" style="color:#b91c1c">− ${who(b)}${escapeHtml(place(b))}</div>`).join('') +
+        g.moved.map(m => `<div class="small" style="color:#1d4ed8">⇄ ${who(m.to)}${escapeHtml(place(m.from))} → ${escapeHtml(place(m.to))}</div>`).join('');
+      target.appendChild(card);
+    });
+  }
+
+  function openHistoryModal() {
+    const versions = getVersions().slice().reverse();
+
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.6rem';
+
+    if (!versions.length) {
+      wrap.innerHTML = '<div class="small muted">No versions yet. A version is saved on every publish and bulk operation (auto-fill, copy week, bulk assign, recurring series).</div>';
+      openModal({ title: 'Schedule history', content: wrap });
+      return;
+    }
+
+    const options = versions.map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(versionTitle(v))}</option>`).join('');
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.flexWrap = 'wrap';
+    controls.style.gap = '0.5rem';
+    controls.style.alignItems = 'center';
+    controls.innerHTML = `
+      <label>From <select name="from">${options}</select></label>
+      <label>To <select name="to"><option value="current">Current schedule</option>${options}</select></label>
+      <label>Group by <select name="by"><option value="volunteer">Volunteer</option><option value="location">Location</option></select></label>
+      <button type="button" class="muted-btn" data-action="compare">Compare</button>
+    `;
+    wrap.appendChild(controls);
+
+    const diffBox = document.createElement('div');
+    diffBox.style.maxHeight = '35vh';
+    diffBox.style.overflow = 'auto';
+    wrap.appendChild(diffBox);
+
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.innerHTML = '<thead><tr><th>Version</th><th>When</th><th>By</th><th>Bookings</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    versions.forEach(v => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td>${escapeHtml(versionTitle(v))}</td>
+                      <td class="small">${escapeHtml(new Date(v.createdAt).toLocaleString())}</td>
+                      <td class="small">${escapeHtml(v.createdBy || '—')}</td>
+                      <td>${v.count}</td>`;
+      const actions = document.createElement('td');
+      actions.style.whiteSpace = 'nowrap';
+      const view = document.createElement('button');
+      view.type = 'button';
+      view.className = 'muted-btn';
+      view.textContent = 'Diff vs current';
+      view.addEventListener('click', () => {
+        controls.querySelector('[name="from"]').value = v.id;
+        controls.querySelector('[name="to"]').value = 'current';
+        compare();
+      });
+      const back = document.createElement('button');
+      back.type = 'button';
+      back.className = 'muted-btn';
+      back.textContent = 'Roll back';
+      let armed = false;
+      back.addEventListener('click', () => {
+        // second click confirms; the current schedule is saved as a version first
+        if (!armed) { armed = true; back.textContent = 'Click again to restore'; back.className = 'danger'; return; }
+        const res = rollback(v.id);
+        if (!res.ok) {
+          if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.error(`Rollback failed: ${res.errors.join(' ')}`);
+          return;
+        }
+        if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.success(`Schedule rolled back to v${v.n}`);
+        openHistoryModal();
+      });
+      actions.appendChild(view);
+      actions.appendChild(back);
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    const tableWrap = document.createElement('div');
+    tableWrap.style.maxHeight = '30vh';
+    tableWrap.style.overflow = 'auto';
+    tableWrap.appendChild(table);
+    wrap.appendChild(tableWrap);
+
+    function compare() {
+      const from = controls.querySelector('[name="from"]').value;
+      const to = controls.querySelector('[name="to"]').value;
+      const by = controls.querySelector('[name="by"]').value;
+      renderDiff(diffBox, diffVersions(from, to), by);
+    }
+    controls.querySelector('[data-action="compare"]').addEventListener('click', compare);
+    controls.querySelector('[name="by"]').addEventListener('change', compare);
+    compare();
+
+    openModal({ title: 'Schedule history', content: wrap });
+  }
+
+  // Expose API
+  window.AdminHistory = {
+    checkpoint,
+    snapshot,
+    getVersions,
+    getVersion,
+    diffBookings,
+    diffVersions,
+    groupDiff,
+    rollback,
+    openHistoryModal
+  };
+
+})();
@@ -6,9 +6,13 @@
  * - Display the 5 default locations in Admin > Locations table
  * - Add new location (name, capacity) via modal form
  * - Edit existing location via modal form
+ * - Per-location "Bookings require approval" flag (location.requiresApproval, see booking-approvals.js)
+ * - Per-location qualification rules: S-73 approval / seminar attendance (location.requiresS73,
+ *   location.requiresSeminar, see volunteer-eligibility.js)
+ * - Per-location booking window / cancellation overrides (location.bookingPolicy, see booking-policies.js)
  * - Delete location with confirmation; blocked if volunteers/bookings reference the location
  * - Shows count of volunteers assigned to each location (based on cvsa_bookings)
- * - Persists data to localStorage under "cvsa_locations"
+ * - Persists data under "cvsa_locations" through DataRepository (data-repository.js)
  *
  * Integration expectations:
  * - A table body with id="locations-table-body" exists in the Admin > Locations tab.
@@ -42,35 +46,25 @@
   ];
 
   /* -------------------------
-     LocalStorage helpers
+     Storage helpers (data-repository.js)
      ------------------------- */
   function save(key, value) {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch (err) {
-      console.error('admin-locations: failed to save to localStorage', err);
-    }
+    return DataRepository.write(key, value);
   }
 
   function load(key) {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (err) {
-      console.error('admin-locations: failed to load from localStorage', err);
-      return null;
-    }
+    return DataRepository.read(key, null);
   }
 
 function ensureDefaultLocations() {
   console.log('🔧 ensureDefaultLocations() called');
   
-  // First, try to load from localStorage
+  // First, try to load from storage
   const existing = load(LS_KEYS.LOCATIONS);
   
   // If we have valid locations in storage, use them
   if (existing && Array.isArray(existing) && existing.length >= 5) {
-    console.log('✅ Loaded locations from localStorage:', existing);
+    console.log('✅ Loaded locations from storage:', existing);
     return existing;
   }
   
@@ -78,7 +72,7 @@ function ensureDefaultLocations() {
   console.log('📦 Initializing with DEFAULT_LOCATIONS:', DEFAULT_LOCATIONS);
   const seed = DEFAULT_LOCATIONS.map(l => Object.assign({}, l));
   save(LS_KEYS.LOCATIONS, seed);
-  console.log('✅ Saved default locations to localStorage');
+  console.log('✅ Saved default locations to storage');
   return seed;
 }
 
@@ -92,7 +86,8 @@ function ensureDefaultLocations() {
   function countAssignedToLocation(locationId) {
     const bookings = loadBookings();
     // count unique bookings referencing the location (each booking represents a slot assignment)
-    return bookings.filter(b => b && b.locationId === locationId).length;
+    // cancelled bookings are kept for reliability tracking (volunteer-reliability.js) but are not assignments
+    return bookings.filter(b => b && b.locationId === locationId && b.status !== 'cancelled').length;
   }
 
   /* -------------------------
@@ -217,6 +212,25 @@ function ensureDefaultLocations() {
       const tdName = document.createElement('td');
       tdName.className = 'loc-name';
       tdName.textContent = loc.name;
+      if (loc.requiresApproval) {
+        const tag = document.createElement('div');
+        tag.className = 'small muted';
+        tag.textContent = 'Bookings require approval';
+        tdName.appendChild(tag);
+      }
+      const requirements = window.VolunteerEligibility ? VolunteerEligibility.requirementsFor(loc) : [];
+      if (requirements.length) {
+        const tag = document.createElement('div');
+        tag.className = 'small muted';
+        tag.textContent = requirements.map(r => r.tag).join(' · ');
+        tdName.appendChild(tag);
+      }
+      if (window.BookingPolicies && BookingPolicies.hasLocationOverrides(loc)) {
+        const tag = document.createElement('div');
+        tag.className = 'small muted';
+        tag.textContent = 'Own booking policy';
+        tdName.appendChild(tag);
+      }
 
       const tdAddress = document.createElement('td');
       tdAddress.className = 'loc-address';
@@ -311,6 +325,68 @@ function ensureDefaultLocations() {
     notesRow.appendChild(notesLabel);
     notesRow.appendChild(notesInput);
 
+    // approval mode for self-service bookings (booking-approvals.js)
+    const approvalRow = document.createElement('div');
+    approvalRow.className = 'form-row';
+    const approvalLabel = document.createElement('label');
+    approvalLabel.style.display = 'flex';
+    approvalLabel.style.alignItems = 'center';
+    approvalLabel.style.gap = '0.4rem';
+    const approvalInput = document.createElement('input');
+    approvalInput.type = 'checkbox';
+    approvalInput.name = 'requiresApproval';
+    approvalInput.checked = !!(location && location.requiresApproval);
+    approvalLabel.appendChild(approvalInput);
+    approvalLabel.appendChild(document.createTextNode('Bookings require approval (volunteer self-bookings stay pending until a coordinator approves)'));
+    approvalRow.appendChild(approvalLabel);
+
+    // who may serve here (volunteer-eligibility.js)
+    const qualRow = document.createElement('div');
+    qualRow.className = 'form-row';
+    const qualInputs = {};
+    if (window.VolunteerEligibility) {
+      VolunteerEligibility.REQUIREMENTS.forEach(({ key, label }) => {
+        const qualLabel = document.createElement('label');
+        qualLabel.style.display = 'flex';
+        qualLabel.style.alignItems = 'center';
+        qualLabel.style.gap = '0.4rem';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = key;
+        input.checked = !!(location && location[key]);
+        qualLabel.appendChild(input);
+        qualLabel.appendChild(document.createTextNode(label));
+        qualRow.appendChild(qualLabel);
+        qualInputs[key] = input;
+      });
+    }
+
+    // booking window / cancellation overrides (booking-policies.js); blank inherits the organization value
+    const policyRow = document.createElement('div');
+    policyRow.className = 'form-row';
+    const policyTitle = document.createElement('label');
+    policyTitle.textContent = 'Booking policy (leave blank to use the organization default)';
+    policyRow.appendChild(policyTitle);
+    const policyInputs = {};
+    if (window.BookingPolicies) {
+      const org = BookingPolicies.getOrgPolicy();
+      const own = (location && location.bookingPolicy) || {};
+      BookingPolicies.FIELDS.forEach(({ key, label }) => {
+        const fieldLabel = document.createElement('label');
+        fieldLabel.style.fontWeight = 'normal';
+        fieldLabel.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = 1;
+        input.placeholder = `Default: ${org[key]}`;
+        if (own[key] !== undefined && own[key] !== null) input.value = own[key];
+        policyRow.appendChild(fieldLabel);
+        policyRow.appendChild(input);
+        policyInputs[key] = input;
+      });
+    }
+
     // error display
     const error = document.createElement('div');
     error.className = 'small';
@@ -322,6 +398,9 @@ function ensureDefaultLocations() {
     form.appendChild(capRow);
     form.appendChild(addrRow);
     form.appendChild(notesRow);
+    form.appendChild(approvalRow);
+    if (window.VolunteerEligibility) form.appendChild(qualRow);
+    if (window.BookingPolicies) form.appendChild(policyRow);
     form.appendChild(error);
 
     // validation on submit (used when modal confirm triggers programmatically)
@@ -330,12 +409,24 @@ function ensureDefaultLocations() {
       const address = (addrInput.value || '').trim();
       const slotCapacity = Number(capInput.value);
       const notes = (notesInput.value || '').trim();
+      const requiresApproval = approvalInput.checked;
+      const requiresS73 = !!(qualInputs.requiresS73 && qualInputs.requiresS73.checked);
+      const requiresSeminar = !!(qualInputs.requiresSeminar && qualInputs.requiresSeminar.checked);
 
       const errors = [];
       if (!name) errors.push('Name is required.');
       if (!Number.isFinite(slotCapacity) || slotCapacity < 1) errors.push('Capacity must be a positive number.');
 
-      return { valid: errors.length === 0, errors, payload: { name, address, slotCapacity, notes } };
+      let bookingPolicy = null;
+      Object.keys(policyInputs).forEach(key => {
+        const raw = (policyInputs[key].value || '').trim();
+        if (raw === '') return;
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < 0) { errors.push('Booking policy values must be whole numbers of 0 or more.'); return; }
+        bookingPolicy = Object.assign(bookingPolicy || {}, { [key]: n });
+      });
+
+      return { valid: errors.length === 0, errors, payload: { name, address, slotCapacity, notes, requiresApproval, requiresS73, requiresSeminar, bookingPolicy } };
     };
 
     return form;
@@ -380,11 +471,21 @@ function ensureDefaultLocations() {
           address: payload.address || '',
           slotCapacity: Number(payload.slotCapacity || 1),
           notes: payload.notes || '',
+          requiresApproval: !!payload.requiresApproval,
+          requiresS73: !!payload.requiresS73,
+          requiresSeminar: !!payload.requiresSeminar,
+          bookingPolicy: payload.bookingPolicy,
           createdAt: Date.now(),
           updatedAt: Date.now()
         };
         locations.push(newLoc);
-        save(LS_KEYS.LOCATIONS, locations);
+        const res = save(LS_KEYS.LOCATIONS, locations);
+        if (!res.ok) {
+          const errEl = form.querySelector('.small');
+          errEl.innerHTML = res.errors.map(x => `<div>${escapeHtml(x)}</div>`).join('');
+          errEl.style.display = 'block';
+          return false;
+        }
         renderLocationsTable();
         syncVolunteerView();
       }
@@ -436,9 +537,19 @@ function ensureDefaultLocations() {
           address: payload.address || '',
           slotCapacity: Number(payload.slotCapacity || 1),
           notes: payload.notes || '',
+          requiresApproval: !!payload.requiresApproval,
+          requiresS73: !!payload.requiresS73,
+          requiresSeminar: !!payload.requiresSeminar,
+          bookingPolicy: payload.bookingPolicy,
           updatedAt: Date.now()
         });
-        save(LS_KEYS.LOCATIONS, locations);
+        const res = save(LS_KEYS.LOCATIONS, locations);
+        if (!res.ok) {
+          const errEl = form.querySelector('.small');
+          errEl.innerHTML = res.errors.map(x => `<div>${escapeHtml(x)}</div>`).join('');
+          errEl.style.display = 'block';
+          return false;
+        }
         renderLocationsTable();
         syncVolunteerView();
       }
@@ -483,11 +594,9 @@ function ensureDefaultLocations() {
   function syncVolunteerView() {
     // If the volunteer dashboard script exposes a rendering function, call it to refresh cards
     try {
+      // other scripts already got "cvsa:locations:updated" from DataRepository when the list was saved
       if (window.VDB && typeof window.VDB.renderLocationCards === 'function') {
         window.VDB.renderLocationCards();
-      } else {
-        // Try re-dispatching an event for other scripts to pick up
-        document.dispatchEvent(new Event('cvsa:locations:updated'));
       }
     } catch (err) {
       console.warn('admin-locations: failed to sync volunteer view', err);
@@ -0,0 +1,333 @@
+/**
+ * admin-publishing.js
+ * Congregation Volunteer Scheduler — Draft vs published schedules
+ *
+ * Features:
+ * - "Draft mode" for admins: while it is on, bookings created from the admin side
+ *   (Assignments grid, auto-fill, copy week, substitutes, recurring series) are saved as drafts
+ *   that volunteers do not see
+ * - Removing an already published booking in draft mode only marks it for removal; volunteers
+ *   keep seeing it until the schedule is published. Moving one marks it for removal and drafts
+ *   the moved copy; recurring series edits and cancellations mark their occurrences the same way
+ * - "Publish" applies all draft changes in one action and sends every affected volunteer an
+ *   in-app notice summarising their new and removed shifts
+ * - Pending draft changes can be discarded
+ *
+ * Data:
+ *  - localStorage "cvsa_publish_state": { draftMode, lastPublishedAt, lastPublishedBy }
+ *  - bookings in "cvsa_bookings" carry draft: true (not yet published) or
+ *    pendingRemoval: true (published, removed in the draft)
+ *
+ * Integration notes:
+ * - Drafts still count toward slot capacity and conflict checks so the draft cannot overbook;
+ *   bookings marked for removal no longer count as conflicts
+ * - VDB (My Assignments) and the elder dashboard filter out draft bookings; the VDB slot lists
+ *   count them against capacity but show only "n places reserved" instead of the names
+ * - Summary notices use "cvsa_notices" (rendered by waitlist.js on the volunteer dashboard)
+ * - Swaps between volunteers (shift-swaps.js) still take effect immediately
+ * - Dispatches "cvsa:publish:updated" when draft mode or pending changes change, and
+ *   "cvsa:bookings:updated" after publishing or discarding
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-publishing.js"></script>
+ *
+ * Security note:
+ * - Drafts are only hidden in the UI; the stored bookings are readable by anyone with browser access.
+ */
+
+(function () {
+  const LS_STATE = 'cvsa_publish_state';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_NOTICES = 'cvsa_notices';
+  const LS_SESSION = 'cvsa_session';
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadState() { return load(LS_STATE, { draftMode: false, lastPublishedAt: null, lastPublishedBy: null }); }
+  function saveState(state) {
+    save(LS_STATE, state);
+    document.dispatchEvent(new CustomEvent('cvsa:publish:updated'));
+  }
+
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+  function saveBookings(list) { save(LS_BOOKINGS, list); }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUsername() {
+    const s = load(LS_SESSION, null);
+    return s ? s.username : null;
+  }
+
+  function byDate(a, b) {
+    return a.date.localeCompare(b.date) || Number(a.startHour || 0) - Number(b.startHour || 0);
+  }
+
+  function describeBooking(b) {
+    return `${b.date} · ${b.locationName || b.locationId} · ${b.slotLabel || b.slotId}`;
+  }
+
+  /* -------------------------
+     Draft state
+     ------------------------- */
+  function isDraftMode() {
+    return !!loadState().draftMode;
+  }
+
+  function setDraftMode(on) {
+    const state = loadState();
+    state.draftMode = !!on;
+    saveState(state);
+  }
+
+  /** Published bookings are the ones volunteers may see. */
+  function isPublished(b) {
+    return !!b && b.draft !== true;
+  }
+
+  /**
+   * Mark an admin-created booking as a draft when draft mode is on. Returns the booking.
+   */
+  function stampDraft(booking) {
+    if (booking && isDraftMode()) booking.draft = true;
+    return booking;
+  }
+
+  /**
+   * In draft mode, mark a published booking for removal instead of deleting it.
+   * Returns true when the removal was staged (the caller must not delete the booking).
+   */
+  function stageRemoval(bookingId) {
+    if (!isDraftMode()) return false;
+    const all = loadBookings();
+    const b = all.find(x => x.id === bookingId);
+    if (!b || b.draft) return false;
+    b.pendingRemoval = true;
+    saveBookings(all);
+    document.dispatchEvent(new CustomEvent('cvsa:publish:updated'));
+    return true;
+  }
+
+  function undoRemoval(bookingId) {
+    const all = loadBookings();
+    const b = all.find(x => x.id === bookingId);
+    if (!b || !b.pendingRemoval) return false;
+    delete b.pendingRemoval;
+    saveBookings(all);
+    document.dispatchEvent(new CustomEvent('cvsa:publish:updated'));
+    return true;
+  }
+
+  function getPendingChanges() {
+    const all = loadBookings();
+    return {
+      added: all.filter(b => b.draft && !b.pendingRemoval).sort(byDate),
+      removed: all.filter(b => b.pendingRemoval && !b.draft).sort(byDate)
+    };
+  }
+
+  function pendingCount() {
+    const p = getPendingChanges();
+    return p.added.length + p.removed.length;
+  }
+
+  /**
+   * Per-volunteer summary of what publishing would change.
+   * returns [{ username, displayName, added: [booking], removed: [booking] }]
+   */
+  function buildChangeSummary() {
+    const { added, removed } = getPendingChanges();
+    const byUser = {};
+    function entry(b) {
+      const key = (b.username || b.volunteerId || b.displayName || '').toLowerCase();
+      if (!byUser[key]) byUser[key] = { username: b.username, displayName: b.displayName || b.username, added: [], removed: [] };
+      return byUser[key];
+    }
+    added.forEach(b => entry(b).added.push(b));
+    removed.forEach(b => entry(b).removed.push(b));
+    return Object.values(byUser).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
+  }
+
+  function summaryMessage(s) {
+    const parts = [];
+    if (s.added.length) parts.push(`New shift(s): ${s.added.map(describeBooking).join('; ')}.`);
+    if (s.removed.length) parts.push(`No longer scheduled: ${s.removed.map(describeBooking).join('; ')}.`);
+    return parts.join(' ');
+  }
+
+  /* -------------------------
+     Publish / discard
+     ------------------------- */
+
+  /**
+   * Publish all draft changes. Returns { added, removed, summaries }.
+   */
+  function publish() {
+    if (window.AdminHistory) AdminHistory.checkpoint();
+    const summaries = buildChangeSummary();
+    const all = loadBookings();
+    const removed = all.filter(b => b.pendingRemoval && !b.draft);
+    let added = 0;
+    const kept = all.filter(b => !(b.pendingRemoval && !b.draft));
+    kept.forEach(b => {
+      if (b.draft) {
+        delete b.draft;
+        added++;
+        // the volunteer only sees it now, so the confirmation deadline starts now
+        if (b.confirmation === 'pending' && window.AssignmentConfirmations) AssignmentConfirmations.requestConfirmation(b);
+      }
+      delete b.pendingRemoval;
+    });
+    saveBookings(kept);
+
+    const notices = load(LS_NOTICES, []);
+    summaries.forEach(s => {
+      if (!s.username) return;
+      notices.push({
+        id: uid('nt-'),
+        username: s.username,
+        title: 'Your schedule has been updated',
+        message: summaryMessage(s),
+        createdAt: Date.now(),
+        read: false
+      });
+    });
+    save(LS_NOTICES, notices);
+    document.dispatchEvent(new CustomEvent('cvsa:notices:updated'));
+
+    // freed places go to the waitlist, as with any other removal
+    if (window.Waitlist) removed.forEach(b => Waitlist.promoteFor(b.locationId, b.date, b.slotId));
+
+    const state = loadState();
+    state.lastPublishedAt = Date.now();
+    state.lastPublishedBy = currentUsername();
+    saveState(state);
+    if (window.AdminHistory) AdminHistory.snapshot('publish', `Published (${added} added, ${removed.length} removed)`);
+    return { added, removed: removed.length, summaries };
+  }
+
+  /** Drop draft bookings and restore bookings marked for removal. */
+  function discardChanges() {
+    if (window.AdminHistory) AdminHistory.checkpoint();
+    const all = loadBookings();
+    const kept = all.filter(b => !b.draft);
+    kept.forEach(b => { delete b.pendingRemoval; });
+    saveBookings(kept);
+    if (window.AdminHistory) AdminHistory.snapshot('discard');
+    document.dispatchEvent(new CustomEvent('cvsa:publish:updated'));
+    return all.length - kept.length;
+  }
+
+  /* -------------------------
+     UI: change summary + publish
+     ------------------------- */
+  function openPublishModal() {
+    const summaries = buildChangeSummary();
+    const state = loadState();
+
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.6rem';
+
+    const intro = document.createElement('div');
+    intro.className = 'small';
+    intro.innerHTML = (state.lastPublishedAt
+      ? `Last published ${escapeHtml(new Date(state.lastPublishedAt).toLocaleString())}${state.lastPublishedBy ? ' by ' + escapeHtml(state.lastPublishedBy) : ''}. `
+      : '') + (summaries.length
+      ? `Publishing will notify <strong>${summaries.length}</strong> volunteer(s):`
+      : 'There are no draft changes to publish.');
+    wrap.appendChild(intro);
+
+    if (summaries.length) {
+      const list = document.createElement('div');
+      list.style.maxHeight = '50vh';
+      list.style.overflow = 'auto';
+      list.style.display = 'grid';
+      list.style.gap = '0.4rem';
+      summaries.forEach(s => {
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.padding = '0.5rem 0.7rem';
+        card.innerHTML = `<div style="font-weight:700">${escapeHtml(s.displayName)}</div>` +
+          s.added.map(b => `<div class="small" style="color:#15803d">+ ${escapeHtml(describeBooking(b))}</div>`).join('') +
+          s.removed.map(b => `<div class="small" style="color:#b91c1c">− ${escapeHtml(describeBooking(b))}</div>`).join('');
+        list.appendChild(card);
+      });
+      wrap.appendChild(list);
+
+      const discard = document.createElement('button');
+      discard.type = 'button';
+      discard.className = 'muted-btn';
+      discard.textContent = 'Discard draft changes';
+      discard.style.justifySelf = 'start';
+      let armed = false;
+      discard.addEventListener('click', () => {
+        // second click confirms, so a stray click doesn't throw away a month of work
+        if (!armed) { armed = true; discard.textContent = 'Click again to discard all draft changes'; discard.className = 'danger'; return; }
+        const n = discardChanges();
+        intro.textContent = `Draft changes discarded (${n} draft booking(s) removed).`;
+        list.remove();
+        discard.remove();
+        if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+          window.AdminAssignments.buildAssignmentsUI();
+        }
+      });
+      wrap.appendChild(discard);
+    }
+
+    openModal({
+      title: 'Publish schedule',
+      content: wrap,
+      showConfirm: summaries.length > 0,
+      confirmText: 'Publish',
+      onConfirm: () => {
+        if (!pendingCount()) return;
+        const res = publish();
+        if (window.SharedUtils && SharedUtils.Toast) {
+          SharedUtils.Toast.success(`Published: ${res.added} added, ${res.removed} removed, ${res.summaries.length} volunteer(s) notified`);
+        }
+        if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+          window.AdminAssignments.buildAssignmentsUI();
+        }
+      }
+    });
+  }
+
+  // keep the "Publish (n)…" button in the Assignments header current
+  function refreshPublishButton() {
+    const btn = document.getElementById('publish-schedule-btn');
+    if (!btn) return;
+    const n = pendingCount();
+    btn.textContent = n ? `Publish (${n})…` : 'Publish…';
+  }
+
+  function init() {
+    document.addEventListener('cvsa:bookings:updated', refreshPublishButton);
+    document.addEventListener('cvsa:publish:updated', refreshPublishButton);
+  }
+
+  // Expose API
+  window.AdminPublishing = {
+    init,
+    isDraftMode,
+    setDraftMode,
+    isPublished,
+    stampDraft,
+    stageRemoval,
+    undoRemoval,
+    getPendingChanges,
+    pendingCount,
+    buildChangeSummary,
+    publish,
+    discardChanges,
+    openPublishModal
+  };
+
+  init();
+
+})();
@@ -0,0 +1,797 @@
+/**
+ * admin-recurring.js
+ * Congregation Volunteer Scheduler — Recurring (standing) assignments
+ *
+ * Features:
+ * - Recurring series: weekly, every two weeks, or nth weekday of the month
+ * - A series ends on a date or after a number of occurrences
+ * - Series materialize into ordinary bookings in "cvsa_bookings" (tagged with seriesId)
+ * - Series list in the Assignments tab; series bookings are marked with ↻ in the grid
+ * - Edit or cancel with scope: this occurrence / this and following / whole series
+ * - Editing one occurrence keeps its status, confirmation and history; a new date, location or
+ *   slot is checked and applied like a move in the Assignments grid
+ * - A series generates at most 104 occurrences; the result says where it stopped
+ *
+ * Series record (localStorage "cvsa_series"):
+ *  { id, volunteerId, locationId, slotId, pattern: 'weekly'|'biweekly'|'monthly',
+ *    startDate, endDate|null, count|null, exceptions: [dateStr], createdAt, updatedAt }
+ *  - For 'monthly' the weekday and week-of-month (1-4 or last) are taken from startDate.
+ *  - exceptions lists occurrence dates that were cancelled or edited individually,
+ *    so regenerating the series never brings them back.
+ *
+ * Integration notes:
+ * - Bookings are created with AdminAssignments.makeBooking(); occurrences that clash with
+ *   AdminAssignments.detectConflictFor, fail the location's qualifications (volunteer-eligibility.js)
+ *   or hit a blocking shift limit (shift-limits.js) are skipped and reported back.
+ * - Whole-series changes only touch occurrences from today onward; past bookings are kept
+ *   as history.
+ * - Dispatches "cvsa:bookings:updated" after any change.
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-recurring.js"></script>
+ */
+
+(function () {
+  const LS_SERIES = 'cvsa_series';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_LOCATIONS = 'cvsa_locations';
+
+  // Hard cap on generated occurrences per series (two years of weekly service)
+  const MAX_OCCURRENCES = 104;
+
+  const PATTERNS = {
+    weekly: 'Every week',
+    biweekly: 'Every two weeks',
+    monthly: 'Monthly (same weekday)'
+  };
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function getSeriesList() { return load(LS_SERIES, []); }
+  function saveSeriesList(list) { save(LS_SERIES, list); }
+  function findSeries(id) { return getSeriesList().find(s => s.id === id) || null; }
+
+  function loadVolunteers() {
+    if (window.AdminVolunteers && typeof window.AdminVolunteers.getVolunteers === 'function') {
+      return window.AdminVolunteers.getVolunteers() || [];
+    }
+    return load(LS_VOLUNTEERS, []);
+  }
+
+  function loadLocations() {
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations() || [];
+    }
+    return load(LS_LOCATIONS, []);
+  }
+
+  function getSlotsForLocation(locationId, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
+      return window.AdminSchedules.getSlotsForLocation(locationId, dateStr) || [];
+    }
+    return [];
+  }
+
+  // the bookings event comes from DataRepository when they are saved; the grid still needs a rebuild
+  function notifyBookingsChanged() {
+    if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+      window.AdminAssignments.buildAssignmentsUI();
+    }
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function formatDate(d) {
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${y}-${m}-${day}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(dateStr, n) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() + n);
+    return formatDate(d);
+  }
+
+  function todayStr() { return formatDate(new Date()); }
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const ORDINALS = ['', '1st', '2nd', '3rd', '4th'];
+
+  // Week-of-month for a date: 1-4, or -1 when it falls in the 5th week (treated as "last")
+  function nthOfMonth(date) {
+    const n = Math.ceil(date.getDate() / 7);
+    return n >= 5 ? -1 : n;
+  }
+
+  function nthWeekdayOfMonth(year, month, weekday, nth) {
+    if (nth === -1) {
+      const d = new Date(year, month + 1, 0);
+      while (d.getDay() !== weekday) d.setDate(d.getDate() - 1);
+      return d;
+    }
+    const d = new Date(year, month, 1);
+    while (d.getDay() !== weekday) d.setDate(d.getDate() + 1);
+    d.setDate(d.getDate() + (nth - 1) * 7);
+    return d;
+  }
+
+  function describeSeries(series) {
+    const start = parseDateStr(series.startDate);
+    const day = WEEKDAYS[start.getDay()];
+    let text;
+    if (series.pattern === 'biweekly') text = `Every other ${day}`;
+    else if (series.pattern === 'monthly') {
+      const n = nthOfMonth(start);
+      text = `${n === -1 ? 'Last' : ORDINALS[n]} ${day} of each month`;
+    } else text = `Every ${day}`;
+    if (series.endDate) text += ` until ${series.endDate}`;
+    else if (series.count) text += `, ${series.count} times`;
+    return text;
+  }
+
+  /* -------------------------
+     Occurrence generation
+     ------------------------- */
+  function occurrenceDates(series, cap = MAX_OCCURRENCES) {
+    const out = [];
+    const start = parseDateStr(series.startDate);
+    const limit = Math.min(Number(series.count) || cap, cap);
+    const end = series.endDate || null;
+
+    if (series.pattern === 'monthly') {
+      const weekday = start.getDay();
+      const nth = nthOfMonth(start);
+      let y = start.getFullYear();
+      let m = start.getMonth();
+      while (out.length < limit) {
+        const ds = formatDate(nthWeekdayOfMonth(y, m, weekday, nth));
+        if (end && ds > end) break;
+        if (ds >= series.startDate) out.push(ds);
+        m += 1;
+        if (m > 11) { m = 0; y += 1; }
+      }
+      return out;
+    }
+
+    const step = series.pattern === 'biweekly' ? 14 : 7;
+    let ds = series.startDate;
+    while (out.length < limit) {
+      if (end && ds > end) break;
+      out.push(ds);
+      ds = addDays(ds, step);
+    }
+    return out;
+  }
+
+  function seriesBookings(seriesId) {
+    return load(LS_BOOKINGS, []).filter(b => b.seriesId === seriesId);
+  }
+
+  // Last date generated when the series runs past MAX_OCCURRENCES, otherwise null
+  function truncatedAfter(series) {
+    const dates = occurrenceDates(series, MAX_OCCURRENCES + 1);
+    return dates.length > MAX_OCCURRENCES ? dates[MAX_OCCURRENCES - 1] : null;
+  }
+
+  /**
+   * Create bookings for every occurrence on/after fromDate that doesn't exist yet.
+   * returns { created: n, skipped: [{date, reason}], truncatedAfter: dateStr|null }
+   */
+  function materializeSeries(series, fromDate) {
+    const result = { created: 0, skipped: [], truncatedAfter: truncatedAfter(series) };
+    const vol = loadVolunteers().find(v => v.id === series.volunteerId);
+    const loc = loadLocations().find(l => l.id === series.locationId);
+    const slot = getSlotsForLocation(series.locationId).find(s => s.id === series.slotId);
+    if (!vol || !loc || !slot) {
+      result.skipped.push({ date: series.startDate, reason: 'Volunteer, location or slot no longer exists' });
+      return result;
+    }
+
+    const from = fromDate || series.startDate;
+    const exceptions = new Set(series.exceptions || []);
+    // occurrences staged for removal (draft mode) don't count: their replacements are drafted next to them
+    const existing = new Set(seriesBookings(series.id).filter(b => !b.pendingRemoval).map(b => b.date));
+    const added = [];
+
+    occurrenceDates(series).forEach(dateStr => {
+      if (dateStr < from || exceptions.has(dateStr) || existing.has(dateStr)) return;
+      const AS = window.AdminSchedules;
+      if (AS && typeof AS.isClosed === 'function' && AS.isClosed(loc.id, dateStr)) {
+        result.skipped.push({ date: dateStr, reason: 'Location closed' });
+        return;
+      }
+      if (AS && typeof AS.slotRunsOnDate === 'function' && !AS.slotRunsOnDate(slot, dateStr)) {
+        result.skipped.push({ date: dateStr, reason: 'Slot does not run on this day' });
+        return;
+      }
+      const AA = window.AdminAssignments;
+      const booking = AA && typeof AA.makeBooking === 'function'
+        ? AA.makeBooking(vol, loc, slot, dateStr)
+        : { id: uid('bk-'), username: vol.email || vol.id, displayName: vol.name, volunteerId: vol.id, role: 'volunteer', locationId: loc.id, locationName: loc.name, date: dateStr, slotId: slot.id, slotLabel: slot.label, startHour: slot.startHour, endHour: slot.endHour, createdAt: Date.now() };
+      // occurrences are on different days, so only the shift limits need the ones added so far
+      const issues = volunteerIssues(vol, booking, added);
+      if (issues.length) {
+        result.skipped.push({ date: dateStr, reason: issues.join(' ') });
+        return;
+      }
+      booking.seriesId = series.id;
+      if (window.AdminPublishing) AdminPublishing.stampDraft(booking);
+      added.push(booking);
+    });
+    if (added.length) {
+      const res = save(LS_BOOKINGS, load(LS_BOOKINGS, []).concat(added));
+      if (res && !res.ok) {
+        added.forEach(b => result.skipped.push({ date: b.date, reason: `Not saved: ${res.errors.join(' ')}` }));
+        return result;
+      }
+    }
+    result.created = added.length;
+    return result;
+  }
+
+  // Remove series bookings dated on/after fromDate. Individually edited occurrences are kept
+  // unless includeDetached is set; cancelled ones always stay for reliability tracking.
+  // In draft mode published occurrences are only marked for removal (admin-publishing.js).
+  function removeSeriesBookings(seriesId, fromDate, includeDetached = false) {
+    const matches = b => b.seriesId === seriesId && b.status !== 'cancelled' && b.date >= fromDate && (includeDetached || !b.seriesException);
+    let staged = 0;
+    if (window.AdminPublishing) {
+      load(LS_BOOKINGS, []).filter(matches).forEach(b => { if (AdminPublishing.stageRemoval(b.id)) staged += 1; });
+    }
+    const all = load(LS_BOOKINGS, []);
+    const kept = all.filter(b => !(matches(b) && !b.pendingRemoval));
+    save(LS_BOOKINGS, kept);
+    return staged + all.length - kept.length;
+  }
+
+  /* -------------------------
+     Series mutations
+     ------------------------- */
+  function createSeries(payload) {
+    if (window.AdminHistory) AdminHistory.checkpoint();
+    const result = insertSeries(payload);
+    if (window.AdminHistory) AdminHistory.snapshot('recurring', `Recurring series added (${result.created} booking(s))`);
+    notifyBookingsChanged();
+    return result;
+  }
+
+  // Save the series record and materialize its bookings (no events, no history)
+  function insertSeries(payload) {
+    const series = {
+      id: uid('ser-'),
+      volunteerId: payload.volunteerId,
+      locationId: payload.locationId,
+      slotId: payload.slotId,
+      pattern: PATTERNS[payload.pattern] ? payload.pattern : 'weekly',
+      startDate: payload.startDate,
+      endDate: payload.endDate || null,
+      count: payload.endDate ? null : (Number(payload.count) || null),
+      exceptions: payload.exceptions || [],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    const list = getSeriesList();
+    list.push(series);
+    saveSeriesList(list);
+    const result = materializeSeries(series);
+    return Object.assign({ series }, result);
+  }
+
+  function updateSeriesRecord(id, patch) {
+    const list = getSeriesList();
+    const idx = list.findIndex(s => s.id === id);
+    if (idx < 0) return null;
+    list[idx] = Object.assign({}, list[idx], patch, { updatedAt: Date.now() });
+    saveSeriesList(list);
+    return list[idx];
+  }
+
+  // Record a date the series should skip (e.g. its occurrence was moved elsewhere)
+  function addException(seriesId, dateStr) {
+    const series = findSeries(seriesId);
+    if (!series) return null;
+    return updateSeriesRecord(series.id, { exceptions: Array.from(new Set((series.exceptions || []).concat(dateStr))) });
+  }
+
+  function deleteSeriesRecord(id) {
+    saveSeriesList(getSeriesList().filter(s => s.id !== id));
+  }
+
+  // Number of occurrences before dateStr (used to carry a remaining count over a split)
+  function occurrencesBefore(series, dateStr) {
+    return occurrenceDates(series).filter(d => d < dateStr).length;
+  }
+
+  // Why vol can't take a booking's place (new occurrences and edits that keep the place);
+  // pending: bookings about to be saved with it, counted by the shift limits
+  function volunteerIssues(vol, booking, pending = []) {
+    const issues = [];
+    const slot = getSlotsForLocation(booking.locationId, booking.date).find(s => s.id === booking.slotId)
+      || { id: booking.slotId, label: booking.slotLabel, startHour: booking.startHour, endHour: booking.endHour };
+    if (window.VolunteerEligibility) {
+      const elig = VolunteerEligibility.checkVolunteer(vol, booking.locationId);
+      if (!elig.eligible) issues.push(`${vol.name} is not qualified for ${booking.locationName || booking.locationId} (${elig.reasons.map(r => r.short).join(', ')}).`);
+    }
+    const AA = window.AdminAssignments;
+    if (AA && typeof AA.detectConflictFor === 'function') {
+      const c = AA.detectConflictFor(vol.id, booking.date, slot, booking.id);
+      if (c && c.conflict) issues.push(`${vol.name} overlaps ${c.existingSlot.label || c.existingSlot.id}.`);
+    }
+    if (window.ShiftLimits) {
+      const limits = ShiftLimits.check(vol.id, booking.date, slot, { ignoreBookingId: booking.id, pending });
+      if (limits.block) issues.push(`Shift limit reached: ${limits.violations.map(v => v.message).join(' ')}`);
+    }
+    return issues;
+  }
+
+  /**
+   * Edit one occurrence. Status, confirmation, lead and history stay on the booking: a new date,
+   * location or slot goes through AdminAssignments.checkMove/moveAssignment and a new volunteer
+   * only replaces the volunteer fields. Nothing is saved when a check fails; the reason is
+   * returned in skipped.
+   */
+  function editOccurrence(series, booking, payload) {
+    const current = load(LS_BOOKINGS, []).find(b => b.id === booking.id);
+    if (!current) return { created: 0, skipped: [{ date: booking.date, reason: 'Booking not found' }] };
+    const vol = loadVolunteers().find(v => v.id === payload.volunteerId);
+    const target = { locationId: payload.locationId, date: payload.date || current.date, slotId: payload.slotId };
+    const refuse = reason => ({ created: 0, skipped: [{ date: target.date, reason }] });
+    if (!vol) return refuse('Volunteer not found');
+    const moving = target.locationId !== current.locationId || target.date !== current.date || target.slotId !== current.slotId;
+    // older bookings may only carry the username
+    const sameVolunteer = current.volunteerId ? vol.id === current.volunteerId : (vol.email || vol.id) === current.username;
+    const volunteer = !sameVolunteer
+      ? { username: vol.email || vol.id, displayName: vol.name || vol.email || 'Volunteer', volunteerId: vol.id }
+      : null;
+    if (!moving && !volunteer) return { created: 0, skipped: [] };
+
+    const AA = window.AdminAssignments;
+    if (moving) {
+      if (!AA || typeof AA.checkMove !== 'function') return refuse('Moving needs the Assignments module');
+      // checked as the new volunteer, which is what moveAssignment sees once the fields are replaced
+      const check = AA.checkMove(Object.assign({}, current, volunteer), target);
+      if (!check.ok) return refuse(check.error);
+      if (check.warnings.length) return refuse(check.warnings.join(' '));
+    } else {
+      const issues = volunteerIssues(vol, current);
+      if (issues.length) return refuse(issues.join(' '));
+    }
+
+    let id = current.id;
+    if (volunteer) {
+      // in draft mode a published booking stays until publishing; the edited copy is a draft
+      const staged = !!(window.AdminPublishing && AdminPublishing.stageRemoval(id));
+      const all = load(LS_BOOKINGS, []);
+      let b = all.find(x => x.id === id);
+      if (staged) {
+        b = Object.assign(JSON.parse(JSON.stringify(b)), { id: uid('bk-'), draft: true });
+        delete b.pendingRemoval;
+        all.push(b);
+      }
+      Object.assign(b, volunteer, { updatedAt: Date.now() });
+      // the lead role and the confirmation belonged to the previous volunteer
+      delete b.lead;
+      if (b.confirmation && window.AssignmentConfirmations) AssignmentConfirmations.requestConfirmation(b);
+      save(LS_BOOKINGS, all);
+      id = b.id;
+    }
+    if (moving) {
+      const moved = AA.moveAssignment(id, target);
+      if (!moved) return refuse('The occurrence could not be moved');
+      id = moved.id;
+    }
+    // edited individually, so whole-series edits leave it alone and don't recreate the old date
+    const all = load(LS_BOOKINGS, []);
+    const edited = all.find(b => b.id === id);
+    if (edited) {
+      edited.seriesException = true;
+      save(LS_BOOKINGS, all);
+    }
+    addException(series.id, current.date);
+    notifyBookingsChanged();
+    return { created: 0, skipped: [] };
+  }
+
+  /**
+   * Edit a series with a scope.
+   * scope: 'occurrence' | 'following' | 'series'
+   * booking: the occurrence the admin started from (required for 'occurrence'/'following')
+   * payload: { volunteerId, locationId, slotId, pattern, startDate, endDate, count, date }
+   */
+  function editSeries(seriesId, scope, booking, payload) {
+    const series = findSeries(seriesId);
+    if (!series) return { created: 0, skipped: [{ date: '', reason: 'Series not found' }] };
+
+    if (scope === 'occurrence') return editOccurrence(series, booking, payload);
+
+    if (window.AdminHistory) AdminHistory.checkpoint();
+
+    if (scope === 'following' && booking && booking.date > series.startDate) {
+      const splitDate = booking.date;
+      const usedBefore = occurrencesBefore(series, splitDate);
+      // close the original series the day before the split
+      updateSeriesRecord(series.id, { endDate: addDays(splitDate, -1), count: null });
+      removeSeriesBookings(series.id, splitDate);
+      const remaining = series.count ? Math.max(series.count - usedBefore, 1) : null;
+      const split = insertSeries({
+        volunteerId: payload.volunteerId,
+        locationId: payload.locationId,
+        slotId: payload.slotId,
+        pattern: payload.pattern,
+        startDate: payload.startDate && payload.startDate >= splitDate ? payload.startDate : splitDate,
+        endDate: payload.endDate || null,
+        count: payload.count || remaining,
+        // cancelled or individually edited dates stay skipped in the new series
+        exceptions: (series.exceptions || []).filter(d => d >= splitDate)
+      });
+      if (window.AdminHistory) AdminHistory.snapshot('recurring', 'Recurring series edited');
+      notifyBookingsChanged();
+      return split;
+    }
+
+    // whole series (also "this and following" from the first occurrence)
+    const from = todayStr() > series.startDate ? todayStr() : series.startDate;
+    const updated = updateSeriesRecord(series.id, {
+      volunteerId: payload.volunteerId,
+      locationId: payload.locationId,
+      slotId: payload.slotId,
+      pattern: PATTERNS[payload.pattern] ? payload.pattern : series.pattern,
+      startDate: payload.startDate || series.startDate,
+      endDate: payload.endDate || null,
+      count: payload.endDate ? null : (Number(payload.count) || null)
+    });
+    removeSeriesBookings(series.id, from);
+    const result = materializeSeries(updated, from);
+    if (window.AdminHistory) AdminHistory.snapshot('recurring', 'Recurring series edited');
+    notifyBookingsChanged();
+    return result;
+  }
+
+  /**
+   * Cancel a series with a scope (same scopes as editSeries).
+   */
+  function cancelSeries(seriesId, scope, booking) {
+    const series = findSeries(seriesId);
+    if (!series) return 0;
+    let removed = 0;
+    const before = seriesBookings(series.id);
+    // a single occurrence is an individual change; wider scopes are bulk and get a version
+    const bulk = !(scope === 'occurrence' && booking);
+    if (bulk && window.AdminHistory) AdminHistory.checkpoint();
+
+    if (scope === 'occurrence' && booking) {
+      if (!(window.AdminPublishing && AdminPublishing.stageRemoval(booking.id))) {
+        save(LS_BOOKINGS, load(LS_BOOKINGS, []).filter(b => b.id !== booking.id));
+      }
+      updateSeriesRecord(series.id, { exceptions: Array.from(new Set((series.exceptions || []).concat(booking.date))) });
+      removed = 1;
+    } else if (scope === 'following' && booking && booking.date > series.startDate) {
+      removed = removeSeriesBookings(series.id, booking.date, true);
+      updateSeriesRecord(series.id, { endDate: addDays(booking.date, -1), count: null });
+    } else {
+      const from = todayStr() > series.startDate ? todayStr() : series.startDate;
+      removed = removeSeriesBookings(series.id, from, true);
+      deleteSeriesRecord(series.id);
+      // past occurrences stay as history but no longer point to a live series
+      const all = load(LS_BOOKINGS, []);
+      all.forEach(b => { if (b.seriesId === series.id) { b.seriesEnded = true; } });
+      save(LS_BOOKINGS, all);
+    }
+    // freed places go to the waitlist
+    if (window.Waitlist) {
+      const remaining = load(LS_BOOKINGS, []).map(b => b.id);
+      before.filter(b => remaining.indexOf(b.id) === -1).forEach(b => Waitlist.promoteFor(b.locationId, b.date, b.slotId));
+    }
+    if (bulk && window.AdminHistory) AdminHistory.snapshot('recurring', `Recurring series cancelled (${removed} removed)`);
+    notifyBookingsChanged();
+    return removed;
+  }
+
+  function showResult(title, result) {
+    const skipped = result.skipped || [];
+    const content = `<p>${result.created || 0} booking(s) created.</p>` +
+      (skipped.length ? `<p class="small" style="color:#b91c1c">Skipped ${skipped.length} occurrence(s):</p>` +
+        skipped.map(s => `<div class="small">${escapeHtml(s.date)} — ${escapeHtml(s.reason)}</div>`).join('') : '') +
+      (result.truncatedAfter ? `<p class="small" style="color:#b45309">A series is limited to ${MAX_OCCURRENCES} occurrences; none were scheduled after ${escapeHtml(result.truncatedAfter)}.</p>` : '');
+    openModal({ title, content });
+  }
+
+  /* -------------------------
+     UI: series form
+     ------------------------- */
+  function buildSeriesForm(series, options = {}) {
+    const form = document.createElement('form');
+    form.style.display = 'grid';
+    form.style.gap = '0.5rem';
+
+    const vols = loadVolunteers().filter(v => v.active !== false || (series && v.id === series.volunteerId));
+    const locs = loadLocations();
+    const s = series || {};
+
+    function row(labelText, control) {
+      const r = document.createElement('div'); r.className = 'form-row';
+      const l = document.createElement('label'); l.textContent = labelText;
+      r.appendChild(l); r.appendChild(control);
+      form.appendChild(r);
+      return r;
+    }
+
+    const volSel = document.createElement('select'); volSel.name = 'volunteerId'; volSel.style.width = '100%';
+    volSel.innerHTML = '<option value="">-- select --</option>' + vols.map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`).join('');
+    volSel.value = s.volunteerId || '';
+    row('Volunteer', volSel);
+
+    const locSel = document.createElement('select'); locSel.name = 'locationId'; locSel.style.width = '100%';
+    locSel.innerHTML = '<option value="">-- select --</option>' + locs.map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+    locSel.value = s.locationId || '';
+    row('Location', locSel);
+
+    const slotSel = document.createElement('select'); slotSel.name = 'slotId'; slotSel.style.width = '100%';
+    row('Time slot', slotSel);
+
+    let dateInput = null;
+    if (options.singleDate) {
+      dateInput = document.createElement('input'); dateInput.type = 'date'; dateInput.name = 'date';
+      dateInput.value = options.singleDate;
+      row('Date', dateInput);
+    }
+
+    const patternSel = document.createElement('select'); patternSel.name = 'pattern'; patternSel.style.width = '100%';
+    patternSel.innerHTML = Object.keys(PATTERNS).map(k => `<option value="${k}">${escapeHtml(PATTERNS[k])}</option>`).join('');
+    patternSel.value = s.pattern || 'weekly';
+    const startInput = document.createElement('input'); startInput.type = 'date'; startInput.name = 'startDate';
+    startInput.value = s.startDate || todayStr();
+    const endInput = document.createElement('input'); endInput.type = 'date'; endInput.name = 'endDate';
+    endInput.value = s.endDate || '';
+    const countInput = document.createElement('input'); countInput.type = 'number'; countInput.name = 'count';
+    countInput.min = '1'; countInput.max = String(MAX_OCCURRENCES);
+    countInput.value = s.count || (s.endDate ? '' : '8');
+    countInput.placeholder = 'e.g. 8';
+
+    // a single occurrence offers the slots of its date; a series the regular slots that run on the
+    // weekday of its start date (a closure on that one day doesn't hide them). The choice is kept
+    // when it is still offered.
+    function fillSlots(selected = slotSel.value) {
+      const AS = window.AdminSchedules;
+      let slots = [];
+      if (locSel.value && dateInput) slots = getSlotsForLocation(locSel.value, dateInput.value || undefined);
+      else if (locSel.value) {
+        slots = getSlotsForLocation(locSel.value).filter(sl => !startInput.value || !AS || typeof AS.slotRunsOnDate !== 'function' || AS.slotRunsOnDate(sl, startInput.value));
+      }
+      slotSel.innerHTML = '<option value="">-- select --</option>' + slots.map(sl => `<option value="${escapeHtml(sl.id)}">${escapeHtml(sl.label)}</option>`).join('');
+      slotSel.value = slots.some(sl => sl.id === selected) ? selected : '';
+    }
+    fillSlots(s.slotId || '');
+    locSel.addEventListener('change', () => fillSlots());
+    (dateInput || startInput).addEventListener('change', () => fillSlots());
+
+    const hint = document.createElement('div');
+    hint.className = 'small muted';
+    function updateHint() {
+      if (!startInput.value) { hint.textContent = ''; return; }
+      hint.textContent = describeSeries({ pattern: patternSel.value, startDate: startInput.value, endDate: endInput.value || null, count: endInput.value ? null : Number(countInput.value) || null });
+    }
+    [patternSel, startInput, endInput, countInput].forEach(el => el.addEventListener('input', updateHint));
+    [patternSel, startInput, endInput, countInput].forEach(el => el.addEventListener('change', updateHint));
+    updateHint();
+
+    if (!options.singleDate) {
+      row('Repeats', patternSel);
+      row('Starts on', startInput);
+      row('Ends on (optional)', endInput);
+      row('Or after N occurrences', countInput);
+      form.appendChild(hint);
+    }
+
+    const err = document.createElement('div');
+    err.className = 'small';
+    err.style.color = '#b91c1c';
+    err.style.display = 'none';
+    form.appendChild(err);
+
+    form._collectAndValidate = function () {
+      const errors = [];
+      const payload = {
+        volunteerId: volSel.value,
+        locationId: locSel.value,
+        slotId: slotSel.value,
+        pattern: patternSel.value,
+        startDate: startInput.value,
+        endDate: endInput.value || null,
+        count: countInput.value ? Number(countInput.value) : null,
+        date: dateInput ? dateInput.value : null
+      };
+      if (!payload.volunteerId) errors.push('Please select a volunteer.');
+      if (!payload.locationId) errors.push('Please select a location.');
+      if (!payload.slotId) errors.push('Please select a time slot.');
+      if (options.singleDate) {
+        if (!payload.date) errors.push('Please choose a date.');
+      } else {
+        if (!payload.startDate) errors.push('Please choose a start date.');
+        if (!payload.endDate && !payload.count) errors.push('Set an end date or a number of occurrences.');
+        if (payload.endDate && payload.startDate && payload.endDate < payload.startDate) errors.push('End date must be after the start date.');
+        if (payload.count && (payload.count < 1 || payload.count > MAX_OCCURRENCES)) errors.push(`Occurrences must be between 1 and ${MAX_OCCURRENCES}.`);
+      }
+      err.innerHTML = errors.map(x => `<div>${escapeHtml(x)}</div>`).join('');
+      err.style.display = errors.length ? 'block' : 'none';
+      return { valid: errors.length === 0, payload };
+    };
+
+    return form;
+  }
+
+  /* -------------------------
+     UI: modals
+     ------------------------- */
+  function openNewSeriesModal(defaults = {}) {
+    const form = buildSeriesForm(defaults);
+    openModal({
+      title: 'New recurring assignment',
+      content: form,
+      showConfirm: true,
+      confirmText: 'Create series',
+      onConfirm: () => {
+        const { valid, payload } = form._collectAndValidate();
+        if (!valid) return false;
+        const result = createSeries(payload);
+        setTimeout(() => showResult('Series created', result), 0);
+      }
+    });
+  }
+
+  function openEditSeriesModal(seriesId, scope, booking) {
+    const series = findSeries(seriesId);
+    if (!series) return openModal({ title: 'Series not found', content: 'This series no longer exists.' });
+    const single = scope === 'occurrence';
+    const base = single
+      ? { volunteerId: booking.volunteerId, locationId: booking.locationId, slotId: booking.slotId }
+      : Object.assign({}, series, scope === 'following' && booking ? {
+        startDate: booking.date,
+        count: series.count ? Math.max(series.count - occurrencesBefore(series, booking.date), 1) : null
+      } : {});
+    const form = buildSeriesForm(base, { singleDate: single ? booking.date : null });
+    const titles = { occurrence: 'Edit this occurrence', following: 'Edit this and following', series: 'Edit whole series' };
+    openModal({
+      title: titles[scope] || titles.series,
+      content: form,
+      showConfirm: true,
+      confirmText: 'Save',
+      onConfirm: () => {
+        const { valid, payload } = form._collectAndValidate();
+        if (!valid) return false;
+        const result = editSeries(seriesId, scope, booking, payload);
+        if (single && result.skipped.length) setTimeout(() => openModal({ title: 'Occurrence not changed', content: `<p>${escapeHtml(result.skipped[0].reason)}</p>` }), 0);
+        else if (!single) setTimeout(() => showResult('Series updated', result), 0);
+      }
+    });
+  }
+
+  // Ask which occurrences an edit/cancel applies to, then run it
+  function openScopeChooser(booking, action) {
+    const series = findSeries(booking.seriesId);
+    if (!series) {
+      return openModal({ title: 'Series ended', content: '<p>This booking belonged to a series that has been cancelled. Remove it like a single assignment.</p>' });
+    }
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.5rem';
+    wrap.innerHTML = `<p>${escapeHtml(booking.displayName || '')} · ${escapeHtml(booking.locationName || '')} · ${escapeHtml(booking.slotLabel || '')}<br><span class="small muted">${escapeHtml(describeSeries(series))}</span></p>`;
+
+    const modal = { close: () => {} };
+    [['occurrence', 'This occurrence (' + booking.date + ')'], ['following', 'This and following'], ['series', 'Whole series']].forEach(([scope, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = action === 'cancel' && scope !== 'occurrence' ? 'danger' : 'muted-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        modal.close();
+        if (action === 'edit') {
+          openEditSeriesModal(series.id, scope, booking);
+        } else {
+          const removed = cancelSeries(series.id, scope, booking);
+          if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.success(`${removed} occurrence(s) cancelled`);
+        }
+      });
+      wrap.appendChild(btn);
+    });
+
+    const m = openModal({ title: action === 'edit' ? 'Edit recurring assignment' : 'Cancel recurring assignment', content: wrap });
+    if (m) modal.close = m.close;
+  }
+
+  function openSeriesListModal() {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.5rem';
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'success';
+    addBtn.textContent = 'New series';
+    addBtn.style.justifySelf = 'start';
+    wrap.appendChild(addBtn);
+
+    const list = getSeriesList();
+    const vols = loadVolunteers();
+    const locs = loadLocations();
+    const today = todayStr();
+
+    if (!list.length) {
+      const empty = document.createElement('div');
+      empty.className = 'small muted';
+      empty.textContent = 'No recurring assignments yet.';
+      wrap.appendChild(empty);
+    } else {
+      const table = document.createElement('table');
+      table.style.width = '100%';
+      table.innerHTML = '<thead><tr><th>Volunteer</th><th>Where / when</th><th>Pattern</th><th>Next</th><th></th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      list.forEach(series => {
+        const vol = vols.find(v => v.id === series.volunteerId);
+        const loc = locs.find(l => l.id === series.locationId);
+        const slot = getSlotsForLocation(series.locationId).find(s => s.id === series.slotId);
+        const upcoming = seriesBookings(series.id).map(b => b.date).filter(d => d >= today).sort();
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td><strong>${escapeHtml(vol ? vol.name : series.volunteerId)}</strong></td>
+                        <td>${escapeHtml(loc ? loc.name : series.locationId)}<div class="small muted">${escapeHtml(slot ? slot.label : series.slotId)}</div></td>
+                        <td class="small">${escapeHtml(describeSeries(series))}</td>
+                        <td class="small">${escapeHtml(upcoming[0] || '—')}<div class="muted">${upcoming.length} upcoming</div></td>`;
+        const td = document.createElement('td');
+        td.style.whiteSpace = 'nowrap';
+        const edit = document.createElement('button');
+        edit.type = 'button'; edit.className = 'muted-btn'; edit.textContent = 'Edit';
+        edit.addEventListener('click', () => openEditSeriesModal(series.id, 'series'));
+        const del = document.createElement('button');
+        del.type = 'button'; del.className = 'danger'; del.textContent = 'Cancel series';
+        del.style.marginLeft = '0.25rem';
+        del.addEventListener('click', () => {
+          openModal({
+            title: 'Cancel series',
+            content: `<p>Cancel all upcoming occurrences of this series? Past occurrences are kept.</p>`,
+            showConfirm: true,
+            confirmText: 'Cancel series',
+            onConfirm: () => { cancelSeries(series.id, 'series'); }
+          });
+        });
+        td.appendChild(edit); td.appendChild(del);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      wrap.appendChild(table);
+    }
+
+    addBtn.addEventListener('click', () => openNewSeriesModal());
+    openModal({ title: `Recurring assignments (${list.length})`, content: wrap });
+  }
+
+  // Expose API
+  window.AdminRecurring = {
+    getSeriesList,
+    findSeries,
+    occurrenceDates,
+    describeSeries,
+    createSeries,
+    editSeries,
+    cancelSeries,
+    materializeSeries,
+    openSeriesListModal,
+    openNewSeriesModal,
+    openScopeChooser,
+    addException
+  };
+
+})();
@@ -8,10 +8,15 @@
  * - Report by Date Range: filter assignments by date
  * - Export to CSV (Excel-friendly)
  * - Mark no-shows / check-ins (attendance tracking)
+ * - "Substitute" action per booking to replace a drop-out (admin-substitutes.js)
+ * - Flags bookings still awaiting the volunteer's confirmation (assignment-confirmations.js)
+ * - Cancelled bookings show their notice; Report by Volunteer shows reliability (volunteer-reliability.js)
+ * - Shift leads (shift-leads.js) marked on screen and in print; Report by Location lists staffed
+ *   slots without a lead
  * - Attendance statistics (counts, percentages)
  * - Service hours calculation per booking, per volunteer, per location, and totals
  * - Printable report format (print-friendly window)
- * - All data read/written to localStorage:
+ * - All data read/written through DataRepository (data-repository.js):
  *     - cvsa_bookings  (assignments/bookings)
  *     - cvsa_volunteers
  *     - cvsa_locations
@@ -21,7 +26,7 @@
  * - This script expects an Admin > Reports tab panel with id="tab-reports" in index.html.
  * - Uses existing modal elements with ids: modal-backdrop, modal-title, modal-body, modal-confirm, modal-cancel
  * - If AdminSchedules is available, uses AdminSchedules.getSlotsForLocation(locationId) to get slot times.
- * - Persist changes to bookings back to localStorage under "cvsa_bookings".
+ * - Persist changes to bookings back under "cvsa_bookings".
  *
  * Usage:
  *   Include after other admin scripts:
@@ -43,6 +48,8 @@
  *     endHour,            // optional number
  *     status: "assigned" | "checked-in" | "no-show" | "cancelled",
  *     checkedInAt: timestamp | null,
+ *     cancelledAt, cancelLeadMinutes, cancelledBy   // when status is "cancelled"
+ *     lead: true          // optional; the slot's shift lead (shift-leads.js)
  *     createdAt: timestamp
  *   }
  *
@@ -56,26 +63,17 @@
   const LS_SLOTS = 'cvsa_location_slots';
 
   /* -------------------------
-     Storage helpers
+     Storage helpers (data-repository.js)
      ------------------------- */
-  function loadBookings() {
-    try { const raw = localStorage.getItem(LS_BOOKINGS); return raw ? JSON.parse(raw) : []; }
-    catch (e) { console.error('admin-reports: loadBookings', e); return []; }
-  }
-  function saveBookings(list) {
-    try { localStorage.setItem(LS_BOOKINGS, JSON.stringify(list)); }
-    catch (e) { console.error('admin-reports: saveBookings', e); }
-  }
-  function loadVolunteers() {
-    try { const raw = localStorage.getItem(LS_VOLUNTEERS); return raw ? JSON.parse(raw) : []; }
-    catch (e) { console.error('admin-reports: loadVolunteers', e); return []; }
-  }
+  function loadBookings() { return DataRepository.read(LS_BOOKINGS, []); }
+  function saveBookings(list) { return DataRepository.write(LS_BOOKINGS, list); }
+  function loadVolunteers() { return DataRepository.read(LS_VOLUNTEERS, []); }
   function loadLocations() {
     try {
       if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
         return window.AdminLocations.getLocations();
       }
-      const raw = localStorage.getItem(LS_LOCATIONS); return raw ? JSON.parse(raw) : [];
+      return DataRepository.read(LS_LOCATIONS, []);
     } catch (e) { console.error('admin-reports: loadLocations', e); return []; }
   }
 
@@ -84,11 +82,8 @@
       if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
         return window.AdminSchedules.getSlotsForLocation(locationId);
       }
-      const raw = localStorage.getItem(LS_SLOTS);
-      if (raw) {
-        const map = JSON.parse(raw);
-        return (map && map[locationId]) ? map[locationId] : null;
-      }
+      const map = DataRepository.read(LS_SLOTS, null);
+      if (map) return map[locationId] || null;
     } catch (e) {
       console.warn('admin-reports: getSlotsForLocation error', e);
     }
@@ -137,6 +132,7 @@
   }
 
   function durationHoursFromBooking(b) {
+    if (b.status === 'cancelled') return 0;
     const h = slotHoursFromBooking(b);
     let dur = (h.end - h.start);
     if (!isFinite(dur) || dur < 0) dur = 0;
@@ -334,9 +330,14 @@
     const totalAssignments = bookings.length;
     const checkedIn = bookings.filter(b => b.status === 'checked-in').length;
     const noShows = bookings.filter(b => b.status === 'no-show').length;
-    const cancelled = bookings.filter(b => b.status === 'cancelled').length;
+    const CF = window.AssignmentConfirmations;
+    const cancelled = bookings.filter(b => b.status === 'cancelled' && !(CF && CF.isReleased(b))).length;
+    const VR = window.VolunteerReliability;
+    const lateCancels = VR ? bookings.filter(VR.isLateCancel).length : 0;
     const assigned = bookings.filter(b => !b.status || b.status === 'assigned').length;
     const totalHours = bookings.reduce((acc, b) => acc + durationHoursFromBooking(b), 0);
+    const unconfirmed = CF ? bookings.filter(b => CF.isAwaiting(b)).length : 0;
+    const released = CF ? bookings.filter(b => CF.isReleased(b)) : [];
 
     // stats card
     statsArea.innerHTML = `
@@ -345,7 +346,10 @@
         <div><strong>Checked in:</strong> ${checkedIn}</div>
         <div><strong>No-shows:</strong> ${noShows}</div>
         <div><strong>Cancelled:</strong> ${cancelled}</div>
+        ${VR ? `<div title="Cancelled less than ${VR.LATE_CANCEL_HOURS} hours before the shift"><strong>Late cancels:</strong> ${lateCancels}</div>` : ''}
         <div><strong>Pending:</strong> ${assigned}</div>
+        ${CF ? `<div><strong>Unconfirmed:</strong> ${unconfirmed}</div>
+        <div title="Declined by the volunteer or released after the confirmation deadline"><strong>Declined/released:</strong> ${released.length}</div>` : ''}
         <div><strong>Service hours total:</strong> ${totalHours.toFixed(2)} h</div>
       </div>
     `;
@@ -384,6 +388,7 @@
           <div>
             <h4 style="margin:0">${escapeHtml(loc.name)} <span class="small muted">(${assignmentCount} assignments)</span></h4>
             <div class="small muted">${escapeHtml(loc.address || '')} · Service hours total: ${hours.toFixed(2)} h</div>
+            ${renderMissingLeads(list)}
           </div>
           <div class="small">Checked-in: ${checked} · No-shows: <span style="color:${noshow ? '#b91c1c' : 'inherit'}">${noshow}</span></div>
         </div>`;
@@ -400,9 +405,9 @@
         const tr = document.createElement('tr');
         tr.innerHTML = `<td>${escapeHtml(bk.date)}</td>
                         <td>${escapeHtml(bk.slotLabel || bk.slotId || '')}</td>
-                        <td>${escapeHtml(vol.name || bk.displayName || bk.username)}</td>
+                        <td>${escapeHtml(vol.name || bk.displayName || bk.username)}${renderLeadTag(bk)}</td>
                         <td class="small muted">${escapeHtml(vol.congregation || '')}</td>
-                        <td>${renderStatusBadge(bk.status)}</td>
+                        <td>${renderStatusBadge(bk.status, bk)}${renderConfirmationFlag(bk)}</td>
                         <td>${dur.toFixed(2)}</td>
                         <td></td>`;
         const actionsTd = tr.querySelector('td:last-child');
@@ -440,6 +445,7 @@
         actionsTd.appendChild(checkBtn);
         actionsTd.appendChild(noshowBtn);
         actionsTd.appendChild(removeBtn);
+        if (window.AdminSubstitutes) actionsTd.appendChild(buildSubstituteButton(bk));
 
         tbody.appendChild(tr);
       });
@@ -462,7 +468,7 @@
         tbl.innerHTML = `<thead><tr><th>Date</th><th>Time</th><th>Volunteer</th><th>Status</th><th>Hours</th></tr></thead>`;
         const tb = document.createElement('tbody');
         list.forEach(bk => {
-          tb.innerHTML += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.slotLabel)}</td><td>${escapeHtml(bk.displayName || bk.username)}</td><td>${renderStatusBadge(bk.status)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
+          tb.innerHTML += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.slotLabel)}</td><td>${escapeHtml(bk.displayName || bk.username)}</td><td>${renderStatusBadge(bk.status, bk)}${renderConfirmationFlag(bk)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
         });
         tbl.appendChild(tb);
         unknownCard.appendChild(tbl);
@@ -494,7 +500,7 @@
       card.innerHTML = `<div style="display:flex; justify-content:space-between;">
           <div><h4 style="margin:0">${escapeHtml(vol.name)} <span class="small muted">(${escapeHtml(vol.congregation || '')})</span></h4>
             <div class="small muted">${escapeHtml(vol.email || '')} · ${escapeHtml(vol.phone || '')}</div></div>
-          <div class="small">Hours: ${totalHours.toFixed(2)} · Checked-in: ${checked} · No-shows: <span style="color:${noshow ? '#b91c1c' : 'inherit'}">${noshow}</span></div>
+          <div class="small">Hours: ${totalHours.toFixed(2)} · Checked-in: ${checked} · No-shows: <span style="color:${noshow ? '#b91c1c' : 'inherit'}">${noshow}</span>${renderReliability(list)}</div>
         </div>`;
       const tbl = document.createElement('table'); tbl.style.marginTop = '0.6rem';
       tbl.innerHTML = `<thead><tr><th>Date</th><th>Location</th><th>Time</th><th>Status</th><th>Hours</th><th>Actions</th></tr></thead>`;
@@ -503,8 +509,8 @@
         const tr = document.createElement('tr');
         tr.innerHTML = `<td>${escapeHtml(bk.date)}</td>
                         <td>${escapeHtml((locMap[bk.locationId] && locMap[bk.locationId].name) || bk.locationName || '')}</td>
-                        <td>${escapeHtml(bk.slotLabel || '')}</td>
-                        <td>${renderStatusBadge(bk.status)}</td>
+                        <td>${escapeHtml(bk.slotLabel || '')}${renderLeadTag(bk)}</td>
+                        <td>${renderStatusBadge(bk.status, bk)}${renderConfirmationFlag(bk)}</td>
                         <td>${durationHoursFromBooking(bk).toFixed(2)}</td>
                         <td></td>`;
         const actionsTd = tr.querySelector('td:last-child');
@@ -515,6 +521,7 @@
         const removeBtn = document.createElement('button'); removeBtn.className = 'muted-btn'; removeBtn.textContent = 'Remove';
         removeBtn.addEventListener('click', () => removeBookingByIdConfirmation(bk.id));
         actionsTd.appendChild(checkBtn); actionsTd.appendChild(noshowBtn); actionsTd.appendChild(removeBtn);
+        if (window.AdminSubstitutes) actionsTd.appendChild(buildSubstituteButton(bk));
         tbody.appendChild(tr);
       });
       tbl.appendChild(tbody);
@@ -533,13 +540,13 @@
       const totalHours = list.reduce((a, b) => a + durationHoursFromBooking(b), 0);
       card.innerHTML = `<div style="display:flex; justify-content:space-between;">
           <div><h4 style="margin:0">${escapeHtml(identifier)}</h4></div>
-          <div class="small">Hours: ${totalHours.toFixed(2)}</div>
+          <div class="small">Hours: ${totalHours.toFixed(2)}${renderReliability(list)}</div>
         </div>`;
       const tbl = document.createElement('table'); tbl.style.marginTop = '0.6rem';
       tbl.innerHTML = `<thead><tr><th>Date</th><th>Location</th><th>Time</th><th>Status</th><th>Hours</th></tr></thead>`;
       const tbody = document.createElement('tbody');
       list.forEach(bk => {
-        tbody.innerHTML += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${renderStatusBadge(bk.status)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
+        tbody.innerHTML += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${renderStatusBadge(bk.status, bk)}${renderConfirmationFlag(bk)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
       });
       tbl.appendChild(tbody);
       card.appendChild(tbl);
@@ -561,7 +568,7 @@
       const vol = vols[bk.volunteerId] || loadVolunteers().find(v => (v.email || '').toLowerCase() === (bk.username || '').toLowerCase()) || { name: bk.displayName || bk.username, congregation: '' };
       const loc = locs[bk.locationId] || { name: bk.locationName || '' };
       const tr = document.createElement('tr');
-      tr.innerHTML = `<td>${escapeHtml(bk.date)}</td><td>${escapeHtml(loc.name)}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(vol.name)}</td><td class="small muted">${escapeHtml(vol.congregation || '')}</td><td>${renderStatusBadge(bk.status)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td><td></td>`;
+      tr.innerHTML = `<td>${escapeHtml(bk.date)}</td><td>${escapeHtml(loc.name)}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(vol.name)}${renderLeadTag(bk)}</td><td class="small muted">${escapeHtml(vol.congregation || '')}</td><td>${renderStatusBadge(bk.status, bk)}${renderConfirmationFlag(bk)}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td><td></td>`;
       const actionsTd = tr.querySelector('td:last-child');
       const checkBtn = document.createElement('button'); checkBtn.className = 'success'; checkBtn.textContent = 'Check in';
       checkBtn.addEventListener('click', () => { bk.status = 'checked-in'; bk.checkedInAt = Date.now(); saveBookingUpdate(bk); generateReport(qs('#report-type').value, qs('#report-from').value, qs('#report-to').value); });
@@ -570,13 +577,51 @@
       const removeBtn = document.createElement('button'); removeBtn.className = 'muted-btn'; removeBtn.textContent = 'Remove';
       removeBtn.addEventListener('click', () => removeBookingByIdConfirmation(bk.id));
       actionsTd.appendChild(checkBtn); actionsTd.appendChild(noshowBtn); actionsTd.appendChild(removeBtn);
+      if (window.AdminSubstitutes) actionsTd.appendChild(buildSubstituteButton(bk));
       tbody.appendChild(tr);
     });
     tbl.appendChild(tbody);
     container.appendChild(tbl);
   }
 
-  function renderStatusBadge(status) {
+  // admin-made bookings not yet confirmed, declined or released (assignment-confirmations.js)
+  function renderConfirmationFlag(bk) {
+    if (!window.AssignmentConfirmations) return '';
+    if (bk.confirmation === 'declined') return '<div class="small" style="color:#b45309">Declined by the volunteer</div>';
+    if (bk.confirmation === 'expired') return '<div class="small" style="color:#b45309">Released — not confirmed in time</div>';
+    if (!AssignmentConfirmations.isAwaiting(bk)) return '';
+    return `<div class="small" style="color:#b45309" title="Released if still unconfirmed by the deadline">Unconfirmed · due ${escapeHtml(AssignmentConfirmations.describeDeadline(bk))}</div>`;
+  }
+
+  // designated shift lead (shift-leads.js)
+  function renderLeadTag(bk) {
+    return window.ShiftLeads && ShiftLeads.isLead(bk) ? ' <span class="small" style="color:#1d4ed8">★ Lead</span>' : '';
+  }
+
+  function leadText(bk) {
+    return window.ShiftLeads && ShiftLeads.isLead(bk) ? ' (lead)' : '';
+  }
+
+  function renderMissingLeads(list) {
+    const missing = window.ShiftLeads ? ShiftLeads.slotsWithoutLead(list) : [];
+    if (!missing.length) return '';
+    const detail = missing.map(c => `${c.date} ${c.slotLabel || c.slotId}`).join(', ');
+    return `<div class="small" style="color:#b45309" title="${escapeHtml(detail)}">No shift lead: ${missing.length} staffed slot(s)</div>`;
+  }
+
+  // reliability over the bookings in the report's date range (volunteer-reliability.js)
+  function renderReliability(list) {
+    if (!window.VolunteerReliability) return '';
+    const stats = VolunteerReliability.summarize(list);
+    return `<div>${VolunteerReliability.renderBadge(stats)} · Late cancels: <span style="color:${stats.lateCancels ? '#b91c1c' : 'inherit'}">${stats.lateCancels}</span></div>`;
+  }
+
+  function renderStatusBadge(status, bk) {
+    if (status === 'cancelled' && bk && bk.cancelledAt) {
+      const late = window.VolunteerReliability && VolunteerReliability.isLateCancel(bk);
+      return `<span style="color:${late ? '#b91c1c' : '#6b7280'};" title="Cancelled ${escapeHtml(new Date(bk.cancelledAt).toLocaleString())}">Cancelled${late ? ' late' : ''}</span>`
+        + `<div class="small muted">${escapeHtml(describeLead(bk.cancelLeadMinutes))} before the shift</div>`;
+    }
     if (!status || status === 'assigned') return `<span class="small muted">Assigned</span>`;
     if (status === 'checked-in') return `<span style="color:#065f46; font-weight:700">Checked-in</span>`;
     if (status === 'no-show') return `<span style="color:#b91c1c; font-weight:700">No-show</span>`;
@@ -584,6 +629,13 @@
     return escapeHtml(status);
   }
 
+  function describeLead(minutes) {
+    const m = Math.max(0, Number(minutes) || 0);
+    if (m >= 2880) return `${Math.floor(m / 1440)} days`;
+    if (m >= 120) return `${Math.floor(m / 60)} hours`;
+    return `${m} min`;
+  }
+
   /* -------------------------
      Mutations
      ------------------------- */
@@ -593,10 +645,20 @@
     if (idx >= 0) { all[idx] = bk; } else { all.push(bk); }
     saveBookings(all);
   }
-  function removeBookingById(id) {
-    const all = loadBookings().filter(b => b.id !== id);
-    saveBookings(all);
+  // "Substitute" action: replace the booked volunteer with a ranked candidate (admin-substitutes.js)
+  function buildSubstituteButton(bk) {
+    const btn = document.createElement('button'); btn.className = 'muted-btn'; btn.textContent = 'Substitute';
+    btn.style.marginLeft = '0.4rem';
+    btn.addEventListener('click', () => {
+      window.AdminSubstitutes.openSubstituteFinder(bk.locationId, bk.date, bk.slotId, {
+        // a cancelled booking already freed its place; keep it as a record instead of replacing it
+        replaceBookingId: bk.status === 'cancelled' ? null : bk.id,
+        onAssigned: () => generateReport(qs('#report-type').value, qs('#report-from').value, qs('#report-to').value)
+      });
+    });
+    return btn;
   }
+
   function removeBookingByIdConfirmation(id) {
     openConfirmModal('Remove assignment', 'Are you sure you want to remove this assignment?', () => {
       removeBookingById(id);
@@ -742,9 +804,11 @@
         html += `<h2>${escapeHtml(loc.name)} — ${list.length} assignments</h2>`;
         html += '<table><thead><tr><th>Date</th><th>Time</th><th>Volunteer</th><th>Status</th><th>Hours</th></tr></thead><tbody>';
         list.sort((a, b) => a.date.localeCompare(b.date)).forEach(bk => {
-          html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(bk.displayName || bk.username || '')}</td><td>${escapeHtml(bk.status || 'assigned')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
+          html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(bk.displayName || bk.username || '')}${leadText(bk)}</td><td>${escapeHtml(bk.status || 'assigned')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
         });
         html += '</tbody></table>';
+        const missing = window.ShiftLeads ? ShiftLeads.slotsWithoutLead(list) : [];
+        if (missing.length) html += `<div class="muted">No shift lead: ${escapeHtml(missing.map(c => `${c.date} ${c.slotLabel || c.slotId}`).join(', '))}</div>`;
       });
     } else if (type === 'volunteer') {
       const vols = loadVolunteers();
@@ -754,7 +818,7 @@
         html += `<h2>${escapeHtml(vol.name)} (${escapeHtml(vol.congregation || '')}) — ${list.length} assignments</h2>`;
         html += '<table><thead><tr><th>Date</th><th>Location</th><th>Time</th><th>Status</th><th>Hours</th></tr></thead><tbody>';
         list.forEach(bk => {
-          html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(bk.status || '')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
+          html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}${leadText(bk)}</td><td>${escapeHtml(bk.status || '')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
         });
         html += '</tbody></table>';
       });
@@ -762,7 +826,7 @@
       // date range flat
       html += '<table><thead><tr><th>Date</th><th>Location</th><th>Time</th><th>Volunteer</th><th>Status</th><th>Hours</th></tr></thead><tbody>';
       bookings.forEach(bk => {
-        html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(bk.displayName || bk.username || '')}</td><td>${escapeHtml(bk.status || '')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
+        html += `<tr><td>${escapeHtml(bk.date)}</td><td>${escapeHtml(bk.locationName || '')}</td><td>${escapeHtml(bk.slotLabel || '')}</td><td>${escapeHtml(bk.displayName || bk.username || '')}${leadText(bk)}</td><td>${escapeHtml(bk.status || '')}</td><td>${durationHoursFromBooking(bk).toFixed(2)}</td></tr>`;
       });
       html += '</tbody></table>';
     }
@@ -795,10 +859,13 @@
      Helper CRUD wrappers and event triggers
      ------------------------- */
   function removeBookingById(id) {
+    // published bookings removed in draft mode stay visible until the schedule is published
+    if (window.AdminPublishing && AdminPublishing.stageRemoval(id)) return;
+    const removed = loadBookings().find(b => b.id === id);
     const all = loadBookings().filter(b => b.id !== id);
     saveBookings(all);
-    // notify
-    document.dispatchEvent(new Event('cvsa:bookings:updated'));
+    // promote from the waitlist into the freed place
+    if (removed && window.Waitlist) Waitlist.promoteFor(removed.locationId, removed.date, removed.slotId);
   }
 
   function saveBookingUpdate(bk) {
@@ -806,7 +873,6 @@
     const idx = all.findIndex(x => x.id === bk.id);
     if (idx >= 0) { all[idx] = bk; } else { all.push(bk); }
     saveBookings(all);
-    document.dispatchEvent(new Event('cvsa:bookings:updated'));
   }
 
   /* -------------------------
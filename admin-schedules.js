@@ -7,8 +7,11 @@
  * - Allows Admin to customize time slots per location
  * - Add / remove / edit time slots for specific locations
  * - Set minimum volunteers required and maximum volunteers allowed per time slot
+ * - Restrict a slot to certain weekdays (slot.days: 0=Sun ... 6=Sat), e.g. weekend-only locations
+ * - Date exceptions per location: closed for the day, extra slots, or a changed capacity
+ *   (persisted under "cvsa_slot_overrides"); bookings on closed dates are flagged for rescheduling
  * - Display which locations have which time slots (overview in Admin > Schedules)
- * - Persist all schedule data to localStorage under key "cvsa_location_slots"
+ * - Persist all schedule data under key "cvsa_location_slots" through DataRepository (data-repository.js)
  * - Emits cvsa:schedules:updated event after changes so other modules can react
  *
  * Integration expectations:
@@ -21,10 +24,15 @@
  * - This is client-side demo code. For production, perform server-side validation and persist schedules to a backend.
  * - To make volunteer booking follow per-location configured slots, integrate VDB (volunteer-dashboard) to read per-location slots
  *   from getSlotsForLocation(locationId) (see below) instead of its built-in TIMESLOTS constant.
+ * - Pass a date to getSlotsForLocation(locationId, 'YYYY-MM-DD') to get only the slots running on that weekday,
+ *   with that date's exceptions applied (closed -> [], extra slots appended, capacity -> maxVol).
+ *   Without a date every regular slot is returned (used for lookups by slot id).
+ * - Override shape: { [locationId]: { [date]: { closed, reason, capacity|null, extraSlots: [slot] } } }
  */
 
 (function () {
   const LS_KEY = 'cvsa_location_slots';
+  const LS_OVERRIDES = 'cvsa_slot_overrides';
   const LS_LOCATIONS = 'cvsa_locations';
   const LS_BOOKINGS = 'cvsa_bookings';
 
@@ -39,24 +47,17 @@
     { id: '6-8pm', label: '6:00 PM - 8:00 PM', startHour: 18, endHour: 20, minVol: 1, maxVol: 4 }
   ];
 
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
   /* -------------------------
-     LocalStorage helpers
+     Storage helpers (data-repository.js)
      ------------------------- */
   function save(obj) {
-    try {
-      localStorage.setItem(LS_KEY, JSON.stringify(obj));
-    } catch (err) {
-      console.error('admin-schedules: save error', err);
-    }
+    return DataRepository.write(LS_KEY, obj);
   }
   function load() {
-    try {
-      const raw = localStorage.getItem(LS_KEY);
-      return raw ? JSON.parse(raw) : null;
-    } catch (err) {
-      console.error('admin-schedules: load error', err);
-      return null;
-    }
+    return DataRepository.read(LS_KEY, null);
   }
 
   // Ensure baseline data structure exists: mapping locationId -> [slotObj...]
@@ -81,28 +82,43 @@
         return window.AdminLocations.getLocations();
       }
     } catch (e) { /* ignore */ }
-    // Fallback to localStorage cvsa_locations
-    try {
-      const raw = localStorage.getItem(LS_LOCATIONS);
-      return raw ? JSON.parse(raw) : [];
-    } catch (err) {
-      console.warn('admin-schedules: could not load locations', err);
-      return [];
-    }
+    // Fallback to the stored cvsa_locations
+    return DataRepository.read(LS_LOCATIONS, []);
   }
 
   /* -------------------------
      CRUD: per-location slots
      ------------------------- */
-  function getSlotsForLocation(locationId) {
+  function getSlotsForLocation(locationId, dateStr) {
     const map = ensureData();
-    if (!locationId) return DEFAULT_SLOTS.map(clone);
-    const custom = map[locationId];
-    if (!custom || !Array.isArray(custom) || custom.length === 0) {
-      // return cloned default slots
-      return DEFAULT_SLOTS.map(clone);
+    const custom = locationId ? map[locationId] : null;
+    // no custom list -> cloned default slots
+    const slots = (!custom || !Array.isArray(custom) || custom.length === 0) ? DEFAULT_SLOTS.map(clone) : custom.map(clone);
+    if (!dateStr) return slots;
+
+    const ov = getOverride(locationId, dateStr);
+    if (ov && ov.closed) return [];
+    let daySlots = slots.filter(s => slotRunsOnDate(s, dateStr));
+    if (ov) {
+      daySlots = daySlots.concat((ov.extraSlots || []).map(clone));
+      if (ov.capacity != null) daySlots.forEach(s => { s.maxVol = Number(ov.capacity); });
     }
-    return custom.map(clone);
+    return daySlots.sort((a, b) => a.startHour - b.startHour);
+  }
+
+  // A slot without a days list runs every day
+  function slotRunsOnDate(slot, dateStr) {
+    if (!slot || !Array.isArray(slot.days) || slot.days.length === 0) return true;
+    const [y, m, d] = String(dateStr).split('-').map(Number);
+    if (!y || !m || !d) return true;
+    return slot.days.includes(new Date(y, m - 1, d).getDay());
+  }
+
+  function describeDays(days) {
+    if (!Array.isArray(days) || days.length === 0 || days.length === 7) return 'Every day';
+    if (days.length === 2 && days.includes(0) && days.includes(6)) return 'Weekends';
+    if (days.length === 5 && !days.includes(0) && !days.includes(6)) return 'Weekdays';
+    return days.map(d => DAY_LABELS[d]).join(', ');
   }
 
   function setSlotsForLocation(locationId, slotsArray) {
@@ -159,10 +175,111 @@
       startHour: Number(slot.startHour || 0),
       endHour: Number(slot.endHour || 0),
       minVol: Number(slot.minVol || 0),
-      maxVol: Number(slot.maxVol || 0)
+      maxVol: Number(slot.maxVol || 0),
+      days: normalizeDays(slot.days)
     };
   }
 
+  /* -------------------------
+     Date exceptions (closures, extra slots, capacity changes)
+     ------------------------- */
+  function loadOverrides() {
+    const obj = DataRepository.read(LS_OVERRIDES, {});
+    return obj && typeof obj === 'object' ? obj : {};
+  }
+  function saveOverrides(obj) {
+    DataRepository.write(LS_OVERRIDES, obj);
+  }
+
+  function getOverride(locationId, dateStr) {
+    const all = loadOverrides();
+    return all[locationId] && all[locationId][dateStr] ? clone(all[locationId][dateStr]) : null;
+  }
+
+  function getOverridesForLocation(locationId) {
+    return clone(loadOverrides()[locationId] || {});
+  }
+
+  // patch: { closed?, reason?, capacity?, extraSlots? } — merged into the existing exception for that date
+  function setOverride(locationId, dateStr, patch) {
+    if (!locationId || !dateStr) return null;
+    const all = loadOverrides();
+    all[locationId] = all[locationId] || {};
+    const current = all[locationId][dateStr] || { closed: false, reason: '', capacity: null, extraSlots: [] };
+    const next = Object.assign({}, current, patch);
+    next.extraSlots = (next.extraSlots || []).map(sl => Object.assign(normalizeSlot(sl), { extra: true }));
+    all[locationId][dateStr] = next;
+    saveOverridesAndEmit(all);
+    return clone(next);
+  }
+
+  function removeOverride(locationId, dateStr) {
+    const all = loadOverrides();
+    if (!all[locationId] || !all[locationId][dateStr]) return false;
+    delete all[locationId][dateStr];
+    if (!Object.keys(all[locationId]).length) delete all[locationId];
+    saveOverridesAndEmit(all);
+    return true;
+  }
+
+  function saveOverridesAndEmit(all) {
+    saveOverrides(all);
+    // overrides are not a repository dataset, so their change is announced here
+    document.dispatchEvent(new CustomEvent('cvsa:schedules:updated', { detail: { key: LS_OVERRIDES } }));
+    emitUpdated();
+  }
+
+  function isClosed(locationId, dateStr) {
+    const ov = getOverride(locationId, dateStr);
+    return !!(ov && ov.closed);
+  }
+
+  // Capacity for a location on a date: the date's capacity override, else the location default
+  function getCapacityFor(locationId, dateStr, fallback) {
+    const ov = dateStr ? getOverride(locationId, dateStr) : null;
+    if (ov && ov.capacity != null) return Number(ov.capacity);
+    return fallback;
+  }
+
+  // Bookings that fall on a closed date and need to be moved
+  function getBookingsNeedingReschedule() {
+    const bookings = DataRepository.read(LS_BOOKINGS, []);
+    const all = loadOverrides();
+    return bookings.filter(b => b && b.status !== 'cancelled' && all[b.locationId] && all[b.locationId][b.date] && all[b.locationId][b.date].closed);
+  }
+
+  function normalizeDays(days) {
+    if (!Array.isArray(days) || days.length === 0) return ALL_DAYS.slice();
+    return ALL_DAYS.filter(d => days.map(Number).includes(d));
+  }
+
+  // Row of weekday checkboxes; calls onChange(daysArray) when toggled
+  function buildDayToggles(days, onChange) {
+    const wrap = document.createElement('div');
+    wrap.className = 'slot-days small';
+    wrap.style.display = 'flex';
+    wrap.style.flexWrap = 'wrap';
+    wrap.style.gap = '0.5rem';
+    const selected = new Set(normalizeDays(days));
+    DAY_LABELS.forEach((name, d) => {
+      const lbl = document.createElement('label');
+      lbl.style.display = 'flex';
+      lbl.style.alignItems = 'center';
+      lbl.style.gap = '0.2rem';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = selected.has(d);
+      cb.addEventListener('change', () => {
+        if (cb.checked) selected.add(d); else selected.delete(d);
+        onChange(ALL_DAYS.filter(x => selected.has(x)));
+      });
+      lbl.appendChild(cb);
+      lbl.appendChild(document.createTextNode(name));
+      wrap.appendChild(lbl);
+    });
+    return wrap;
+  }
+
   function clone(obj) { return JSON.parse(JSON.stringify(obj)); }
 
   function uniqueId(prefix = '') {
@@ -260,7 +377,10 @@
       tdName.textContent = loc.name || locId;
 
       const tdSlots = document.createElement('td');
-      tdSlots.innerHTML = slots.map(s => `<div class="small">${escapeHtml(s.label)} <span class="kv">(${s.minVol || 0}-${s.maxVol || 0})</span></div>`).join('');
+      tdSlots.innerHTML = slots.map(s => {
+        const dayNote = describeDays(s.days) === 'Every day' ? '' : ` <span class="muted">· ${escapeHtml(describeDays(s.days))}</span>`;
+        return `<div class="small">${escapeHtml(s.label)} <span class="kv">(${s.minVol || 0}-${s.maxVol || 0})</span>${dayNote}</div>`;
+      }).join('');
 
       const tdActions = document.createElement('td');
       const editBtn = document.createElement('button');
@@ -289,8 +409,16 @@
         });
       });
 
+      const exceptionsBtn = document.createElement('button');
+      exceptionsBtn.className = 'muted-btn';
+      const excCount = Object.keys(getOverridesForLocation(locId)).length;
+      exceptionsBtn.textContent = excCount ? `Date exceptions (${excCount})` : 'Date exceptions';
+      exceptionsBtn.addEventListener('click', () => openDateExceptionsModal(locId));
+
       tdActions.appendChild(editBtn);
       tdActions.appendChild(document.createTextNode(' '));
+      tdActions.appendChild(exceptionsBtn);
+      tdActions.appendChild(document.createTextNode(' '));
       tdActions.appendChild(resetBtn);
 
       tr.appendChild(tdName);
@@ -300,6 +428,23 @@
     });
 
     table.appendChild(tbody);
+
+    // Bookings on closed dates need to be rescheduled by an admin
+    const affected = getBookingsNeedingReschedule();
+    if (affected.length) {
+      const warn = document.createElement('div');
+      warn.className = 'card small';
+      warn.style.borderLeft = '3px solid #dc2626';
+      warn.style.background = '#fef2f2';
+      warn.style.marginBottom = '0.75rem';
+      warn.innerHTML = `<strong style="color:#b91c1c">${affected.length} booking(s) fall on closed dates and need rescheduling:</strong>` +
+        affected.sort((a, b) => (a.date || '').localeCompare(b.date || '')).map(b => {
+          const ov = getOverride(b.locationId, b.date) || {};
+          return `<div>${escapeHtml(b.date)} · ${escapeHtml(b.locationName || b.locationId)} · ${escapeHtml(b.slotLabel || b.slotId)} — ${escapeHtml(b.displayName || b.username || '')}${ov.reason ? ` <span class="muted">(${escapeHtml(ov.reason)})</span>` : ''}</div>`;
+        }).join('');
+      container.appendChild(warn);
+    }
+
     container.appendChild(table);
 
     // Add a global control area (Add global slot, apply to all locations)
@@ -359,7 +504,7 @@
 
     const intro = document.createElement('div');
     intro.className = 'small muted';
-    intro.innerHTML = `<strong>${escapeHtml(loc.name)}</strong> — edit, add, or remove time slots. Set min/max volunteers per slot.`;
+    intro.innerHTML = `<strong>${escapeHtml(loc.name)}</strong> — edit, add, or remove time slots. Set min/max volunteers per slot and the days each slot runs.`;
     wrapper.appendChild(intro);
 
     const list = document.createElement('div');
@@ -431,11 +576,16 @@
           renderList();
         });
 
+        // weekdays this slot runs
+        const daysRow = buildDayToggles(s.days, (days) => { currentSlots[idx].days = days; });
+        daysRow.style.gridColumn = '1 / -1';
+
         row.appendChild(labelIn);
         row.appendChild(startIn);
         row.appendChild(endIn);
         row.appendChild(minIn);
         row.appendChild(maxIn);
+        row.appendChild(daysRow);
         list.appendChild(row);
         list.appendChild(delBtn);
       });
@@ -464,6 +614,10 @@
     addRow.appendChild(addBtn);
     wrapper.appendChild(addRow);
 
+    let newDays = ALL_DAYS.slice();
+    let newDaysRow = buildDayToggles(newDays, (days) => { newDays = days; });
+    wrapper.appendChild(newDaysRow);
+
     addBtn.addEventListener('click', (ev) => {
       ev.preventDefault();
       const label = (newLabel.value || '').trim();
@@ -477,13 +631,18 @@
       if (sH >= eH) validation.push('Start must be before end.');
       if (minV < 0 || maxV < 0) validation.push('Min/Max cannot be negative.');
       if (maxV > 0 && minV > maxV) validation.push('Min cannot be greater than Max.');
+      if (!newDays.length) validation.push('Select at least one day.');
       if (validation.length) {
         openModal({ title: 'Validation', content: `<div class="small">${validation.join('<br>')}</div>`, showConfirm: false });
         return;
       }
-      currentSlots.push(normalizeSlot({ id: uniqueId('slot-'), label, startHour: sH, endHour: eH, minVol: minV, maxVol: maxV }));
+      currentSlots.push(normalizeSlot({ id: uniqueId('slot-'), label, startHour: sH, endHour: eH, minVol: minV, maxVol: maxV, days: newDays }));
       // clear inputs
       newLabel.value = ''; newStart.value = ''; newEnd.value = ''; newMin.value = ''; newMax.value = '';
+      newDays = ALL_DAYS.slice();
+      const freshDaysRow = buildDayToggles(newDays, (days) => { newDays = days; });
+      wrapper.replaceChild(freshDaysRow, newDaysRow);
+      newDaysRow = freshDaysRow;
       renderList();
     });
 
@@ -503,6 +662,7 @@
           if (!Number.isFinite(s.startHour) || !Number.isFinite(s.endHour) || s.startHour >= s.endHour) errs.push(`Slot #${i + 1}: invalid hours`);
           if (s.minVol < 0 || s.maxVol < 0) errs.push(`Slot #${i + 1}: min/max cannot be negative`);
           if (s.maxVol > 0 && s.minVol > s.maxVol) errs.push(`Slot #${i + 1}: min cannot exceed max`);
+          if (Array.isArray(s.days) && s.days.length === 0) errs.push(`Slot #${i + 1}: select at least one day`);
         }
         if (errs.length) {
           openModal({ title: 'Validation errors', content: `<div class="small">${errs.join('<br>')}</div>`, showConfirm: false });
@@ -520,6 +680,165 @@
     });
   }
 
+  /* -------------------------
+     Modal editor for a location's date exceptions
+     ------------------------- */
+  function openDateExceptionsModal(locationId) {
+    const locations = getLocations();
+    const loc = locations.find(l => l.id === locationId) || { id: locationId, name: locationId };
+
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'grid';
+    wrapper.style.gap = '0.6rem';
+    wrapper.style.maxHeight = '60vh';
+    wrapper.style.overflow = 'auto';
+
+    const intro = document.createElement('div');
+    intro.className = 'small muted';
+    intro.innerHTML = `<strong>${escapeHtml(loc.name)}</strong> — close the location, add extra slots or change capacity on specific dates. Regular slots apply on all other dates.`;
+    wrapper.appendChild(intro);
+
+    const list = document.createElement('div');
+    list.style.display = 'grid';
+    list.style.gap = '0.4rem';
+    wrapper.appendChild(list);
+
+    function renderList() {
+      list.innerHTML = '';
+      const overrides = getOverridesForLocation(locationId);
+      const dates = Object.keys(overrides).sort();
+      if (!dates.length) {
+        list.innerHTML = '<div class="small muted">No date exceptions.</div>';
+        return;
+      }
+      dates.forEach(dateStr => {
+        const ov = overrides[dateStr];
+        const parts = [];
+        if (ov.closed) parts.push('<strong style="color:#b91c1c">Closed</strong>');
+        if (ov.capacity != null) parts.push(`Capacity ${Number(ov.capacity)}`);
+        (ov.extraSlots || []).forEach(sl => parts.push(`Extra: ${escapeHtml(sl.label)}`));
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.gap = '0.5rem';
+        row.style.alignItems = 'center';
+        row.style.padding = '0.4rem';
+        row.style.border = '1px solid #eef1f5';
+        row.style.borderRadius = '8px';
+        row.innerHTML = `<div style="flex:1"><div style="font-weight:700">${escapeHtml(dateStr)}</div><div class="small">${parts.join(' · ')}${ov.reason ? ` <span class="muted">— ${escapeHtml(ov.reason)}</span>` : ''}</div></div>`;
+        const delBtn = document.createElement('button');
+        delBtn.className = 'danger';
+        delBtn.textContent = 'Remove';
+        delBtn.addEventListener('click', () => { removeOverride(locationId, dateStr); renderList(); renderSchedulesOverview(); });
+        row.appendChild(delBtn);
+        list.appendChild(row);
+      });
+    }
+
+    // Add-exception form
+    const form = document.createElement('div');
+    form.style.display = 'grid';
+    form.style.gap = '0.4rem';
+    form.style.paddingTop = '0.6rem';
+    form.style.borderTop = '1px solid #eef1f5';
+
+    const topRow = document.createElement('div');
+    topRow.style.display = 'flex';
+    topRow.style.gap = '0.5rem';
+    topRow.style.alignItems = 'center';
+    const dateIn = document.createElement('input'); dateIn.type = 'date';
+    const typeSel = document.createElement('select');
+    typeSel.innerHTML = '<option value="closed">Closed</option><option value="extra">Extra slot</option><option value="capacity">Change capacity</option>';
+    const reasonIn = document.createElement('input'); reasonIn.type = 'text'; reasonIn.placeholder = 'Reason (optional)'; reasonIn.style.flex = '1';
+    topRow.appendChild(dateIn); topRow.appendChild(typeSel); topRow.appendChild(reasonIn);
+    form.appendChild(topRow);
+
+    const extraRow = document.createElement('div');
+    extraRow.style.display = 'none';
+    extraRow.style.gap = '0.5rem';
+    extraRow.style.alignItems = 'center';
+    const exLabel = document.createElement('input'); exLabel.placeholder = 'Label, e.g. 8:00 PM - 10:00 PM';
+    const exStart = document.createElement('input'); exStart.type = 'number'; exStart.min = 0; exStart.max = 23; exStart.placeholder = 'start';
+    const exEnd = document.createElement('input'); exEnd.type = 'number'; exEnd.min = 1; exEnd.max = 24; exEnd.placeholder = 'end';
+    const exMin = document.createElement('input'); exMin.type = 'number'; exMin.min = 0; exMin.placeholder = 'min';
+    const exMax = document.createElement('input'); exMax.type = 'number'; exMax.min = 0; exMax.placeholder = 'max';
+    [exLabel, exStart, exEnd, exMin, exMax].forEach(el => extraRow.appendChild(el));
+    form.appendChild(extraRow);
+
+    const capRow = document.createElement('div');
+    capRow.style.display = 'none';
+    capRow.style.gap = '0.5rem';
+    capRow.style.alignItems = 'center';
+    const capIn = document.createElement('input'); capIn.type = 'number'; capIn.min = 0; capIn.placeholder = 'volunteers per slot';
+    capRow.appendChild(document.createTextNode('Volunteers per slot:'));
+    capRow.appendChild(capIn);
+    form.appendChild(capRow);
+
+    const errEl = document.createElement('div');
+    errEl.className = 'small';
+    errEl.style.color = '#b91c1c';
+    form.appendChild(errEl);
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'success';
+    addBtn.textContent = 'Add exception';
+    addBtn.style.justifySelf = 'start';
+    form.appendChild(addBtn);
+
+    typeSel.addEventListener('change', () => {
+      extraRow.style.display = typeSel.value === 'extra' ? 'flex' : 'none';
+      capRow.style.display = typeSel.value === 'capacity' ? 'flex' : 'none';
+    });
+
+    addBtn.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const dateStr = dateIn.value;
+      const errors = [];
+      if (!dateStr) errors.push('Pick a date.');
+      const existing = dateStr ? (getOverride(locationId, dateStr) || {}) : {};
+      const patch = {};
+      if (reasonIn.value.trim()) patch.reason = reasonIn.value.trim();
+
+      if (typeSel.value === 'closed') {
+        patch.closed = true;
+      } else if (typeSel.value === 'capacity') {
+        const cap = Number(capIn.value);
+        if (capIn.value === '' || !Number.isFinite(cap) || cap < 0) errors.push('Capacity must be 0 or more.');
+        patch.capacity = cap;
+      } else {
+        const label = (exLabel.value || '').trim();
+        const sH = Number(exStart.value);
+        const eH = Number(exEnd.value);
+        const minV = Number(exMin.value || 0);
+        const maxV = Number(exMax.value || 0);
+        if (!label) errors.push('Label is required for a slot.');
+        if (exStart.value === '' || exEnd.value === '' || sH >= eH) errors.push('Start must be before end.');
+        if (maxV > 0 && minV > maxV) errors.push('Min cannot be greater than Max.');
+        patch.extraSlots = (existing.extraSlots || []).concat({ id: slugify(label) + '-' + uniqueId('x-'), label, startHour: sH, endHour: eH, minVol: minV, maxVol: maxV });
+      }
+      if (errors.length) { errEl.innerHTML = errors.join('<br>'); return; }
+      errEl.innerHTML = '';
+
+      setOverride(locationId, dateStr, patch);
+      if (patch.closed) {
+        const affected = getBookingsNeedingReschedule().filter(b => b.locationId === locationId && b.date === dateStr);
+        if (affected.length) errEl.innerHTML = `<span style="color:#b45309">${affected.length} existing booking(s) on ${escapeHtml(dateStr)} are now flagged for rescheduling.</span>`;
+      }
+      reasonIn.value = ''; exLabel.value = ''; exStart.value = ''; exEnd.value = ''; exMin.value = ''; exMax.value = ''; capIn.value = '';
+      renderList();
+      renderSchedulesOverview();
+    });
+
+    renderList();
+    wrapper.appendChild(form);
+
+    openModal({
+      title: `Date exceptions — ${loc.name}`,
+      content: wrapper,
+      showConfirm: false,
+      showCancel: true
+    });
+  }
+
   /* -------------------------
      Modal to add a global slot (applies to DEFAULT_SLOTS and optionally push to existing)
      ------------------------- */
@@ -610,9 +929,9 @@
   /* -------------------------
      Event emission
      ------------------------- */
+  // "cvsa:schedules:updated" for slot changes is emitted by DataRepository when the map is saved
   function emitUpdated() {
     try {
-      document.dispatchEvent(new CustomEvent('cvsa:schedules:updated', { detail: { time: Date.now() } }));
       // allow other modules to refresh (Volunteer dashboard should listen and adapt to new per-location slots)
       if (window.VDB && typeof window.VDB.renderLocationCards === 'function') {
         // VDB should be updated separately to read per-location slots; just trigger a re-render of cards
@@ -658,6 +977,15 @@
   window.AdminSchedules = {
     init,
     getSlotsForLocation,
+    slotRunsOnDate,
+    describeDays,
+    getOverride,
+    getOverridesForLocation,
+    setOverride,
+    removeOverride,
+    isClosed,
+    getCapacityFor,
+    getBookingsNeedingReschedule,
     setSlotsForLocation,
     addSlotToLocation,
     removeSlotFromLocation,
@@ -0,0 +1,279 @@
+/**
+ * admin-substitutes.js
+ * Congregation Volunteer Scheduler — Substitute finder
+ *
+ * Features:
+ * - Ranks volunteers who could cover a location/date/slot:
+ *     - structured availability that covers the slot (volunteer-availability.js)
+ *     - preferred location / time slot saved via AdvancedFeatures ("cvsa_preferences")
+ *     - "prefer with" partner or household member already in the slot (volunteer-pairing.js)
+ *     - fewer shifts so far (AdminVolunteers.countShiftsForVolunteer)
+ *   Volunteers with a conflict, an unavailability, an inactive record, missing qualifications for the
+ *   location (volunteer-eligibility.js) or a pairing rule against the slot (a trainee without an
+ *   experienced partner, a "never with" pair) are listed separately, not ranked.
+ * - One-click assign from the ranked list; when opened for a specific booking the substitute
+ *   replaces that booking (the drop-out) in the same step
+ *
+ * Integration notes:
+ * - Admin > Assignments: "Find substitute" in any cell below minVol
+ * - Admin > Reports: "Substitute" action on each booking row
+ * - Uses AdminAssignments.makeBooking / detectConflictFor when available
+ *
+ * Usage:
+ *  - Include after admin-assignments.js:
+ *      <script src="admin-substitutes.js"></script>
+ *
+ * Security note:
+ * - The substitute list is advisory; the assignment it makes goes through the same checks as a manual one.
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_LOCATIONS = 'cvsa_locations';
+  const LS_PREFERENCES = 'cvsa_preferences';
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadVolunteers() {
+    if (window.AdminVolunteers && typeof window.AdminVolunteers.getVolunteers === 'function') {
+      return window.AdminVolunteers.getVolunteers() || [];
+    }
+    return load(LS_VOLUNTEERS, []);
+  }
+
+  function loadLocations() {
+    if (window.AdminLocations && typeof window.AdminLocations.getLocations === 'function') {
+      return window.AdminLocations.getLocations() || [];
+    }
+    return load(LS_LOCATIONS, []);
+  }
+
+  function findSlot(locationId, dateStr, slotId) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
+      return window.AdminSchedules.getSlotsForLocation(locationId, dateStr).find(s => s.id === slotId)
+        || window.AdminSchedules.getSlotsForLocation(locationId).find(s => s.id === slotId)
+        || null;
+    }
+    return null;
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function displayNameOf(vol) {
+    return vol.name || [vol.firstName, vol.lastName].filter(Boolean).join(' ') || vol.email || vol.id;
+  }
+
+  function bookingBelongsTo(b, vol) {
+    if (b.volunteerId && b.volunteerId === vol.id) return true;
+    const email = (vol.email || '').toLowerCase();
+    const name = displayNameOf(vol).toLowerCase();
+    if (email && (b.username || '').toLowerCase() === email) return true;
+    if (name && (b.displayName || '').toLowerCase() === name) return true;
+    return false;
+  }
+
+  // AdvancedFeatures saves preferences under the sign-in username (the volunteer's email for most)
+  function preferencesFor(vol, allPrefs) {
+    const keys = [vol.id, vol.username, vol.email, vol.name].filter(Boolean).map(k => String(k).toLowerCase());
+    const match = Object.keys(allPrefs || {}).find(k => keys.indexOf(k.toLowerCase()) !== -1);
+    return match ? allPrefs[match] : null;
+  }
+
+  function shiftCountFor(vol) {
+    if (window.AdminVolunteers && typeof window.AdminVolunteers.countShiftsForVolunteer === 'function') {
+      return window.AdminVolunteers.countShiftsForVolunteer(vol);
+    }
+    return load(LS_BOOKINGS, []).filter(b => b.status !== 'cancelled' && bookingBelongsTo(b, vol)).length;
+  }
+
+  function conflictFor(vol, dateStr, slot) {
+    if (!window.AdminAssignments || typeof window.AdminAssignments.detectConflictFor !== 'function') return null;
+    for (const id of [vol.id, vol.email, vol.name].filter(Boolean)) {
+      const res = window.AdminAssignments.detectConflictFor(id, dateStr, slot);
+      if (res && res.conflict) return res;
+    }
+    return null;
+  }
+
+  function makeBooking(vol, location, slotObj, dateStr) {
+    if (window.AdminAssignments && typeof window.AdminAssignments.makeBooking === 'function') {
+      return Object.assign(window.AdminAssignments.makeBooking(vol, location, slotObj, dateStr), { source: 'substitute' });
+    }
+    return {
+      id: uid('bk-'),
+      username: vol.email || vol.id,
+      displayName: displayNameOf(vol),
+      volunteerId: vol.id,
+      role: 'volunteer',
+      locationId: location.id,
+      locationName: location.name,
+      date: dateStr,
+      slotId: slotObj.id,
+      slotLabel: slotObj.label,
+      startHour: slotObj.startHour,
+      endHour: slotObj.endHour,
+      createdAt: Date.now(),
+      source: 'substitute'
+    };
+  }
+
+  /* -------------------------
+     Ranking
+     ------------------------- */
+
+  /**
+   * Rank substitutes for a cell.
+   * options.replaceBookingId: the booking being replaced (its volunteer is excluded).
+   * returns { ranked: [{ vol, score, shifts, reasons }], excluded: [{ vol, reason }] }
+   */
+  function rankCandidates(locationId, dateStr, slotId, options = {}) {
+    const slot = findSlot(locationId, dateStr, slotId);
+    if (!slot) return { ranked: [], excluded: [] };
+    const bookings = load(LS_BOOKINGS, []);
+    const replacing = options.replaceBookingId ? bookings.find(b => b.id === options.replaceBookingId) : null;
+    const inCell = bookings.filter(b => b.status !== 'cancelled' && b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+    const allPrefs = load(LS_PREFERENCES, {});
+    // pairing rules (volunteer-pairing.js) against whoever stays in the slot
+    const pairing = window.VolunteerPairing || null;
+    const members = pairing ? pairing.volunteersForBookings(inCell.filter(b => !replacing || b.id !== replacing.id)) : [];
+    const ranked = [];
+    const excluded = [];
+
+    loadVolunteers().forEach(vol => {
+      if (inCell.some(b => bookingBelongsTo(b, vol))) {
+        if (!replacing || !bookingBelongsTo(replacing, vol)) excluded.push({ vol, reason: 'Already assigned to this slot' });
+        return;
+      }
+      if (vol.active === false) { excluded.push({ vol, reason: 'Inactive' }); return; }
+      const elig = window.VolunteerEligibility ? VolunteerEligibility.checkVolunteer(vol, locationId) : null;
+      if (elig && !elig.eligible) { excluded.push({ vol, reason: `Not qualified: ${elig.reasons.map(r => r.short).join(', ')}` }); return; }
+      const conflict = conflictFor(vol, dateStr, slot);
+      if (conflict) {
+        excluded.push({ vol, reason: conflict.reason === 'unavailable' ? conflict.existingSlot.label : `Overlaps ${conflict.existingSlot.label || conflict.existingSlot.id}` });
+        return;
+      }
+
+      if (pairing && !pairing.canJoin(vol, members)) {
+        excluded.push({ vol, reason: members.some(m => pairing.neverTogether(vol, m)) ? 'Not to be scheduled with someone in this slot' : 'Trainee — needs an experienced partner in this slot' });
+        return;
+      }
+
+      const reasons = [];
+      let score = 0;
+      if (window.VolunteerAvailability) {
+        const weekly = VolunteerAvailability.getAvailability(VolunteerAvailability.resolveKey(vol.id)).weekly;
+        if (weekly.length) { score += 2; reasons.push('Available at this time'); }
+      }
+      const prefs = preferencesFor(vol, allPrefs);
+      if (prefs && (prefs.preferredLocations || []).includes(locationId)) { score += 1; reasons.push('Preferred location'); }
+      if (prefs && (prefs.preferredSlots || []).includes(slotId)) { score += 1; reasons.push('Preferred time'); }
+      if (pairing && pairing.affinity(vol, members)) { score += 1; reasons.push('Serves with someone in this slot'); }
+      const shifts = shiftCountFor(vol);
+      ranked.push({ vol, score, shifts, reasons });
+    });
+
+    ranked.sort((a, b) => b.score - a.score || a.shifts - b.shifts || displayNameOf(a.vol).localeCompare(displayNameOf(b.vol)));
+    return { ranked, excluded };
+  }
+
+  /**
+   * Assign `vol` to the cell, replacing `replaceBookingId` when given.
+   */
+  function assignSubstitute(vol, locationId, dateStr, slotId, replaceBookingId) {
+    const loc = loadLocations().find(l => l.id === locationId);
+    const slot = findSlot(locationId, dateStr, slotId);
+    if (!loc || !slot) return null;
+    const booking = makeBooking(vol, loc, slot, dateStr);
+    if (window.AdminPublishing) AdminPublishing.stampDraft(booking);
+    let all = load(LS_BOOKINGS, []);
+    if (replaceBookingId) {
+      const replaced = all.find(b => b.id === replaceBookingId);
+      if (replaced) booking.substituteFor = { bookingId: replaced.id, username: replaced.username, displayName: replaced.displayName };
+      // in draft mode a published booking is only marked for removal until the schedule is published
+      if (replaced && booking.draft && !replaced.draft) replaced.pendingRemoval = true;
+      else all = all.filter(b => b.id !== replaceBookingId);
+    }
+    all.push(booking);
+    save(LS_BOOKINGS, all);
+    if (window.AdminAssignments && typeof window.AdminAssignments.buildAssignmentsUI === 'function') {
+      window.AdminAssignments.buildAssignmentsUI();
+    }
+    return booking;
+  }
+
+  /* -------------------------
+     UI
+     ------------------------- */
+
+  /**
+   * options: { replaceBookingId, onAssigned(booking) }
+   */
+  function openSubstituteFinder(locationId, dateStr, slotId, options = {}) {
+    const loc = loadLocations().find(l => l.id === locationId);
+    const slot = findSlot(locationId, dateStr, slotId);
+    if (!loc || !slot) return openModal({ title: 'Slot not found', content: '<p>This time slot is not configured for the location.</p>' });
+    const replacing = options.replaceBookingId ? load(LS_BOOKINGS, []).find(b => b.id === options.replaceBookingId) : null;
+    const { ranked, excluded } = rankCandidates(locationId, dateStr, slotId, options);
+
+    const wrap = document.createElement('div');
+    wrap.style.maxHeight = '65vh';
+    wrap.style.overflowY = 'auto';
+    wrap.innerHTML = `<div class="small muted" style="margin-bottom:0.5rem;">${escapeHtml(loc.name)} · ${escapeHtml(dateStr)} · ${escapeHtml(slot.label)}
+      ${replacing ? `<br>Replacing <strong>${escapeHtml(replacing.displayName || replacing.username)}</strong>` : ''}</div>`;
+
+    if (!ranked.length) {
+      wrap.innerHTML += '<p class="small">No volunteer is free for this slot.</p>';
+    }
+    let modal = null;
+    ranked.forEach((c, i) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '0.6rem';
+      row.style.padding = '0.45rem';
+      row.style.border = '1px solid #eef1f5';
+      row.style.borderRadius = '8px';
+      row.style.marginBottom = '0.35rem';
+      row.innerHTML = `<div style="width:1.6rem; text-align:center; font-weight:700;">${i + 1}</div>
+        <div style="flex:1;">
+          <div style="font-weight:700;">${escapeHtml(displayNameOf(c.vol))}</div>
+          <div class="small muted">${c.shifts} shift(s)${c.reasons.length ? ' · ' + escapeHtml(c.reasons.join(' · ')) : ''}</div>
+        </div>`;
+      const btn = document.createElement('button');
+      btn.className = 'success';
+      btn.textContent = replacing ? 'Replace' : 'Assign';
+      btn.addEventListener('click', () => {
+        const booking = assignSubstitute(c.vol, locationId, dateStr, slotId, options.replaceBookingId);
+        if (!booking) return;
+        if (modal) modal.close();
+        if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.success(`${displayNameOf(c.vol)} assigned`);
+        if (options.onAssigned) options.onAssigned(booking);
+      });
+      row.appendChild(btn);
+      wrap.appendChild(row);
+    });
+
+    if (excluded.length) {
+      const details = document.createElement('details');
+      details.style.marginTop = '0.5rem';
+      details.innerHTML = `<summary class="small">Not eligible (${excluded.length})</summary>`
+        + excluded.map(x => `<div class="small muted">${escapeHtml(displayNameOf(x.vol))} — ${escapeHtml(x.reason)}</div>`).join('');
+      wrap.appendChild(details);
+    }
+
+    modal = openModal({ title: 'Find substitute', content: wrap, showConfirm: false });
+  }
+
+  // Expose API
+  window.AdminSubstitutes = {
+    rankCandidates,
+    assignSubstitute,
+    openSubstituteFinder
+  };
+
+})();
@@ -7,10 +7,13 @@
  * - Add new volunteer (firstName, lastName, congregation, circuit, privilege, email, phone, S-73 approval, seminar attendance, active status, notes) via modal form
  * - Edit volunteer details via modal form
  * - Delete volunteer with confirmation
+ * - Edit structured availability per volunteer (weekly windows, unavailable dates) via volunteer-availability.js
+ * - Edit per-volunteer shift limits (e.g. max 2 per week while training) via shift-limits.js
+ * - Pairing fields in the form: trainee flag, household, "prefer with" / "never with" (volunteer-pairing.js)
  * - Import volunteers from CSV file (parses CSV and adds to list, skipping duplicates)
  * - Search/filter volunteers by name, email, phone, congregation, circuit, privilege
  * - Show all volunteer details in comprehensive table
- * - Persist volunteers to localStorage
+ * - Persist volunteers through DataRepository (data-repository.js)
  *
  * Integration expectations:
  * - Table body with id="volunteers-table-body" in Admin > Volunteers tab (existing template)
@@ -97,6 +100,7 @@
       approvedS73: true,
       attendedSeminar: false,
       active: true,
+      trainee: true,
       notes: 'New volunteer, needs training',
       createdAt: Date.now(), 
       updatedAt: Date.now() 
@@ -174,24 +178,14 @@
   ];
 
   /* -------------------------
-     LocalStorage helpers
+     Storage helpers (data-repository.js)
      ------------------------- */
   function save(key, value) {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch (err) {
-      console.error('admin-volunteers: failed to save to localStorage', err);
-    }
+    return DataRepository.write(key, value);
   }
 
   function load(key) {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (err) {
-      console.error('admin-volunteers: failed to load from localStorage', err);
-      return null;
-    }
+    return DataRepository.read(key, null);
   }
 
   function ensureDefaultVolunteers() {
@@ -218,7 +212,7 @@
     const email = (vol.email || '').trim().toLowerCase();
     // count bookings where displayName or username matches volunteer
     const matches = bookings.filter(b => {
-      if (!b) return false;
+      if (!b || b.status === 'cancelled') return false;
       if (b.displayName && String(b.displayName).trim() === name) return true;
       if (b.username && String(b.username).toLowerCase() === email && email) return true;
       if (b.username && String(b.username).trim() === name) return true;
@@ -444,8 +438,11 @@
 
       const tdActions = document.createElement('td');
       tdActions.setAttribute('data-label', 'Actions');
+      const ownLimits = !!(window.ShiftLimits && ShiftLimits.hasVolunteerRules(vol.id));
       tdActions.innerHTML = `
         <button class="edit-volunteer" data-volunteer-id="${escapeHtml(vol.id)}">Edit</button>
+        <button class="availability-volunteer" data-volunteer-id="${escapeHtml(vol.id)}">Availability</button>
+        <button class="limits-volunteer" data-volunteer-id="${escapeHtml(vol.id)}"${ownLimits ? ' title="Has own shift limits"' : ''}>Limits${ownLimits ? ' ✓' : ''}</button>
         <button class="delete-volunteer" data-volunteer-id="${escapeHtml(vol.id)}">Delete</button>
       `;
 
@@ -466,6 +463,8 @@
     // wire actions
     tbody.querySelectorAll('.edit-volunteer').forEach(btn => btn.addEventListener('click', onEditVolunteer));
     tbody.querySelectorAll('.delete-volunteer').forEach(btn => btn.addEventListener('click', onDeleteVolunteer));
+    tbody.querySelectorAll('.availability-volunteer').forEach(btn => btn.addEventListener('click', onEditAvailability));
+    tbody.querySelectorAll('.limits-volunteer').forEach(btn => btn.addEventListener('click', onEditLimits));
   }
 
   /* -------------------------
@@ -557,6 +556,37 @@
     activeLabel.style.display = 'flex'; activeLabel.style.alignItems = 'center'; activeLabel.style.gap = '0.5rem';
     activeRow.appendChild(activeLabel);
 
+    // Trainee (volunteer-pairing.js: must serve with an experienced volunteer)
+    const traineeRow = document.createElement('div'); traineeRow.className = 'form-row';
+    const traineeLabel = document.createElement('label');
+    const traineeCheckbox = document.createElement('input'); traineeCheckbox.type = 'checkbox'; traineeCheckbox.name = 'trainee'; traineeCheckbox.id = 'trainee';
+    if (vol) traineeCheckbox.checked = !!vol.trainee;
+    const traineeLabelText = document.createElement('span'); traineeLabelText.textContent = 'Trainee? (must serve with an experienced volunteer)';
+    traineeLabel.appendChild(traineeCheckbox); traineeLabel.appendChild(traineeLabelText);
+    traineeLabel.style.display = 'flex'; traineeLabel.style.alignItems = 'center'; traineeLabel.style.gap = '0.5rem';
+    traineeRow.appendChild(traineeLabel);
+
+    // Household (members are preferably scheduled together)
+    const householdRow = document.createElement('div'); householdRow.className = 'form-row';
+    const householdLabel = document.createElement('label'); householdLabel.textContent = 'Household (optional, e.g. "Cruz family")';
+    const householdInput = document.createElement('input'); householdInput.type = 'text'; householdInput.name = 'household';
+    if (vol) householdInput.value = vol.household || '';
+    householdRow.appendChild(householdLabel); householdRow.appendChild(householdInput);
+
+    // Prefer with / never with: other volunteers (hold Ctrl/Cmd to pick several)
+    const others = ensureDefaultVolunteers().filter(v => !vol || v.id !== vol.id)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    function buildPartnerSelect(name, labelText, selected) {
+      const row = document.createElement('div'); row.className = 'form-row';
+      const label = document.createElement('label'); label.textContent = labelText;
+      const select = document.createElement('select'); select.name = name; select.multiple = true; select.size = 4;
+      select.innerHTML = others.map(o => `<option value="${escapeHtml(o.id)}"${(selected || []).indexOf(o.id) !== -1 ? ' selected' : ''}>${escapeHtml(o.name || o.email || o.id)}</option>`).join('');
+      row.appendChild(label); row.appendChild(select);
+      return { row, select };
+    }
+    const prefer = buildPartnerSelect('preferWith', 'Prefer to serve with', vol && vol.preferWith);
+    const never = buildPartnerSelect('neverWith', 'Never schedule with', vol && vol.neverWith);
+
     // Notes
     const notesRow = document.createElement('div'); notesRow.className = 'form-row';
     const notesLabel = document.createElement('label'); notesLabel.textContent = 'Notes (optional)';
@@ -576,6 +606,10 @@
     form.appendChild(s73Row);
     form.appendChild(seminarRow);
     form.appendChild(activeRow);
+    form.appendChild(traineeRow);
+    form.appendChild(householdRow);
+    form.appendChild(prefer.row);
+    form.appendChild(never.row);
     form.appendChild(notesRow);
     form.appendChild(errorRow);
 
@@ -591,12 +625,18 @@
       const approvedS73 = s73Checkbox.checked;
       const attendedSeminar = seminarCheckbox.checked;
       const active = activeCheckbox.checked;
+      const trainee = traineeCheckbox.checked;
+      const household = (householdInput.value || '').trim();
+      const picked = select => Array.from(select.options).filter(o => o.selected).map(o => o.value);
+      const preferWith = picked(prefer.select);
+      const neverWith = picked(never.select);
       const errors = [];
       if (!firstName) errors.push('First Name is required.');
       if (!lastName) errors.push('Last Name is required.');
       // email optional but if present must look like an email
       if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Email looks invalid.');
-      return { valid: errors.length === 0, errors, payload: { firstName, lastName, email, phone, congregation, circuit, privilege, notes, approvedS73, attendedSeminar, active } };
+      if (preferWith.some(id => neverWith.indexOf(id) !== -1)) errors.push('A volunteer cannot be both "prefer with" and "never with".');
+      return { valid: errors.length === 0, errors, payload: { firstName, lastName, email, phone, congregation, circuit, privilege, notes, approvedS73, attendedSeminar, active, trainee, household, preferWith, neverWith } };
     };
 
     return form;
@@ -650,6 +690,10 @@
           approvedS73: payload.approvedS73,
           attendedSeminar: payload.attendedSeminar,
           active: payload.active,
+          trainee: payload.trainee,
+          household: payload.household,
+          preferWith: payload.preferWith,
+          neverWith: payload.neverWith,
           notes: payload.notes,
           // Keep legacy 'name' field for backward compatibility with bookings
           name: `${payload.firstName} ${payload.lastName}`.trim(),
@@ -665,6 +709,28 @@
     });
   }
 
+  function onEditAvailability(e) {
+    e && e.preventDefault();
+    const id = e.currentTarget && e.currentTarget.dataset && e.currentTarget.dataset.volunteerId;
+    if (!id) return;
+    const vol = ensureDefaultVolunteers().find(v => v.id === id);
+    if (!vol) return openModal({ title: 'Error', content: 'Volunteer not found.' });
+    if (!window.VolunteerAvailability) return openModal({ title: 'Unavailable', content: 'Availability module not loaded.' });
+    const displayName = vol.firstName && vol.lastName ? `${vol.firstName} ${vol.lastName}` : (vol.name || 'Unknown');
+    VolunteerAvailability.openAvailabilityEditor(vol.id, displayName);
+  }
+
+  function onEditLimits(e) {
+    e && e.preventDefault();
+    const id = e.currentTarget && e.currentTarget.dataset && e.currentTarget.dataset.volunteerId;
+    if (!id) return;
+    const vol = ensureDefaultVolunteers().find(v => v.id === id);
+    if (!vol) return openModal({ title: 'Error', content: 'Volunteer not found.' });
+    if (!window.ShiftLimits) return openModal({ title: 'Unavailable', content: 'Shift limits module not loaded.' });
+    const displayName = vol.firstName && vol.lastName ? `${vol.firstName} ${vol.lastName}` : (vol.name || 'Unknown');
+    ShiftLimits.openLimitsEditor(vol.id, displayName);
+  }
+
   function onEditVolunteer(e) {
     e && e.preventDefault();
     const id = e.currentTarget && e.currentTarget.dataset && e.currentTarget.dataset.volunteerId;
@@ -719,6 +785,10 @@
           approvedS73: payload.approvedS73,
           attendedSeminar: payload.attendedSeminar,
           active: payload.active,
+          trainee: payload.trainee,
+          household: payload.household,
+          preferWith: payload.preferWith,
+          neverWith: payload.neverWith,
           notes: payload.notes,
           // Keep legacy 'name' field for backward compatibility with bookings
           name: `${payload.firstName} ${payload.lastName}`.trim(),
@@ -954,9 +1024,8 @@
   function qs(selector, root = document) { return root.querySelector(selector); }
 
   function dispatchVolunteersUpdated() {
-    // notify other modules
+    // other modules get "cvsa:volunteers:updated" from DataRepository when the list is saved
     try {
-      document.dispatchEvent(new Event('cvsa:volunteers:updated'));
       if (window.AdminLocations && typeof window.AdminLocations.renderLocationsTable === 'function') {
         window.AdminLocations.renderLocationsTable();
       }
@@ -978,6 +1047,8 @@
 
       // Listen for external triggers (e.g., after CSV import or other module update)
       document.addEventListener('cvsa:volunteers:refresh', () => renderVolunteersTable(qs('#vol-search') ? qs('#vol-search').value : ''));
+      // the Limits button marks volunteers with their own shift limits
+      document.addEventListener('cvsa:limits:updated', () => renderVolunteersTable(qs('#vol-search') ? qs('#vol-search').value : ''));
     }
 
     if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', startup);
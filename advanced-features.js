@@ -137,7 +137,7 @@
     // Days of the month
     for (let day = 1; day <= daysInMonth; day++) {
       const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-      const dayBookings = bookings.filter(b => b.date === dateStr);
+      const dayBookings = bookings.filter(b => b.date === dateStr && b.status !== 'cancelled');
 
       const dayCell = document.createElement('div');
       dayCell.style.cssText = `
@@ -237,13 +237,14 @@
   }
 
   function showPreferencesModal() {
-    const user = Auth?.getCurrentUser();
-    if (!user) {
+    // preferences are keyed by the sign-in username (auto-fill and the substitute finder match on it)
+    const user = window.CVSAuth ? CVSAuth.currentSession() : null;
+    if (!user || !user.username) {
       SharedUtils.Toast.warning('Please sign in to manage preferences');
       return;
     }
 
-    const prefs = loadUserPreferences(user.id);
+    const prefs = loadUserPreferences(user.username);
     const form = buildPreferencesForm(prefs);
 
     SharedUtils.Modal.open({
@@ -252,7 +253,7 @@
       showConfirm: true,
       confirmText: 'Save Preferences',
       onConfirm: () => {
-        savePreferencesFromForm(form, user.id);
+        savePreferencesFromForm(form, user.username);
         SharedUtils.Toast.success('Preferences saved');
       }
     });
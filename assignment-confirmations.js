@@ -0,0 +1,309 @@
+/**
+ * assignment-confirmations.js
+ * Congregation Volunteer Scheduler — Confirmation workflow for admin-made bookings
+ *
+ * Features:
+ * - Bookings created by admins (AdminAssignments.makeBooking) start as "pending" and must be
+ *   confirmed or declined by the volunteer: assigned → confirmed / declined
+ * - Each request has a deadline: CONFIRM_WINDOW_HOURS after it was made, but no later than
+ *   LEAD_HOURS before the shift (short-notice bookings get SHORT_NOTICE_HOURS)
+ * - A declined booking, or one still pending after its deadline, is released: the record stays
+ *   but no longer holds the place, and the waitlist is offered the place
+ * - Volunteers see a "Please confirm" card on their dashboard with Confirm / Decline actions
+ * - Declines and expiries are logged so admins can see them in Reports
+ *
+ * Data:
+ *  - bookings in "cvsa_bookings" carry confirmation: 'pending' | 'confirmed' | 'declined' | 'expired',
+ *    confirmationRequestedAt, confirmationDeadline, confirmedAt, releasedAt
+ *    (bookings without the field, e.g. self-bookings, count as confirmed)
+ *  - released bookings also get status 'cancelled', so capacity, coverage and conflict checks
+ *    skip them like any cancelled booking
+ *  - localStorage "cvsa_confirmation_log":
+ *      [{ id, bookingId, username, displayName, locationId, locationName, date, slotId, slotLabel, outcome, at }]
+ *    outcome: 'declined' | 'expired'
+ *
+ * Integration notes:
+ * - Draft bookings (admin-publishing.js) are not swept; their deadline restarts on publish
+ * - Moving a booking asks for confirmation again; a swap or handover counts as confirmed
+ * - The Assignments grid and AdminReports flag pending bookings via isAwaiting()/describeDeadline();
+ *   AdminReports also flags released ones (isReleased()) and counts them apart from cancellations
+ * - Dispatches "cvsa:bookings:updated" when a booking is confirmed, declined or released
+ *
+ * Usage:
+ *  - Include before volunteer-dashboard.js:
+ *      <script src="assignment-confirmations.js"></script>
+ *
+ * Security note:
+ * - Deadlines are checked when a page loads, on the user's clock; a server should run the expiry job.
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_LOG = 'cvsa_confirmation_log';
+  const LS_NOTICES = 'cvsa_notices';
+  const LS_SESSION = 'cvsa_session';
+
+  const CONFIRM_WINDOW_HOURS = 48;
+  const LEAD_HOURS = 12;
+  const SHORT_NOTICE_HOURS = 2;
+  const MAX_LOG = 500;
+
+  const { load, save, uid, escapeHtml } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+  function saveBookings(list) { save(LS_BOOKINGS, list); }
+
+  function getLog() { return load(LS_LOG, []); }
+
+  function appendLog(booking, outcome) {
+    const log = getLog();
+    log.push({
+      id: uid('cf-'),
+      bookingId: booking.id,
+      username: booking.username,
+      displayName: booking.displayName,
+      locationId: booking.locationId,
+      locationName: booking.locationName,
+      date: booking.date,
+      slotId: booking.slotId,
+      slotLabel: booking.slotLabel,
+      outcome,
+      at: Date.now()
+    });
+    save(LS_LOG, log.slice(-MAX_LOG));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUser() {
+    const s = load(LS_SESSION, null);
+    return s && s.username ? { username: s.username, displayName: s.displayName || s.username, role: s.role } : null;
+  }
+
+  function shiftStart(b) {
+    const [y, m, d] = b.date.split('-').map(Number);
+    return new Date(y, m - 1, d, Number(b.startHour || 0), 0, 0, 0).getTime();
+  }
+
+  function notify(username, title, message) {
+    if (!username) return;
+    const notices = load(LS_NOTICES, []);
+    notices.push({ id: uid('nt-'), username, title, message, createdAt: Date.now(), read: false });
+    save(LS_NOTICES, notices);
+    document.dispatchEvent(new CustomEvent('cvsa:notices:updated'));
+  }
+
+  function describeBooking(b) {
+    return `${b.locationName || b.locationId} on ${b.date} (${b.slotLabel || b.slotId})`;
+  }
+
+  /* -------------------------
+     State
+     ------------------------- */
+
+  /**
+   * Mark a booking as awaiting the volunteer's confirmation and set its deadline. Returns it.
+   */
+  function requestConfirmation(booking, now = Date.now()) {
+    if (!booking || !booking.date) return booking;
+    const start = shiftStart(booking);
+    let deadline = Math.min(now + CONFIRM_WINDOW_HOURS * 3600000, start - LEAD_HOURS * 3600000);
+    if (deadline <= now) deadline = Math.min(now + SHORT_NOTICE_HOURS * 3600000, start);
+    booking.confirmation = 'pending';
+    booking.confirmationRequestedAt = now;
+    booking.confirmationDeadline = deadline;
+    delete booking.confirmedAt;
+    return booking;
+  }
+
+  /** Declined by the volunteer or not confirmed in time; the record no longer holds the place. */
+  function isReleased(b) {
+    return !!b && (b.confirmation === 'declined' || b.confirmation === 'expired');
+  }
+
+  /** Pending and visible to the volunteer (drafts are not asked yet, cancelled bookings no longer). */
+  function isAwaiting(b) {
+    return !!b && b.confirmation === 'pending' && !b.draft && b.status !== 'cancelled';
+  }
+
+  function isExpired(b, now = Date.now()) {
+    return isAwaiting(b) && Number(b.confirmationDeadline || Infinity) <= now;
+  }
+
+  function describeDeadline(b) {
+    if (!b || !b.confirmationDeadline) return '';
+    return new Date(b.confirmationDeadline).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  function getPendingFor(username) {
+    const u = (username || '').toLowerCase();
+    return loadBookings()
+      .filter(b => isAwaiting(b) && (b.username || '').toLowerCase() === u)
+      .sort((a, b) => a.date.localeCompare(b.date) || Number(a.startHour || 0) - Number(b.startHour || 0));
+  }
+
+  function awaitingCount() {
+    return loadBookings().filter(isAwaiting).length;
+  }
+
+  /* -------------------------
+     Actions
+     ------------------------- */
+  function findOwnPending(bookingId, user) {
+    if (!user) return { error: 'Please sign in first.' };
+    const all = loadBookings();
+    const b = all.find(x => x.id === bookingId);
+    if (!b || !isAwaiting(b)) return { error: 'This assignment no longer needs a response.' };
+    if ((b.username || '').toLowerCase() !== user.username.toLowerCase()) return { error: 'Only the assigned volunteer can respond.' };
+    return { all, booking: b };
+  }
+
+  function confirmBooking(bookingId, user = currentUser()) {
+    const found = findOwnPending(bookingId, user);
+    if (found.error) return { ok: false, error: found.error };
+    found.booking.confirmation = 'confirmed';
+    found.booking.confirmedAt = Date.now();
+    saveBookings(found.all);
+    return { ok: true, booking: found.booking };
+  }
+
+  // Mark bookings released (kept as records, no longer holding a place), log why, and offer the
+  // freed places to the waitlist
+  function release(bookings, outcome) {
+    const ids = bookings.map(b => b.id);
+    const now = Date.now();
+    const all = loadBookings();
+    all.filter(b => ids.indexOf(b.id) !== -1).forEach(b => {
+      b.status = 'cancelled';
+      b.confirmation = outcome;
+      b.releasedAt = now;
+    });
+    saveBookings(all);
+    bookings.forEach(b => appendLog(b, outcome));
+    if (window.Waitlist) bookings.forEach(b => Waitlist.promoteFor(b.locationId, b.date, b.slotId));
+  }
+
+  function declineBooking(bookingId, user = currentUser()) {
+    const found = findOwnPending(bookingId, user);
+    if (found.error) return { ok: false, error: found.error };
+    release([found.booking], 'declined');
+    return { ok: true, booking: found.booking };
+  }
+
+  /**
+   * Release every pending booking whose deadline has passed. Returns the released bookings.
+   */
+  function releaseExpired(now = Date.now()) {
+    const expired = loadBookings().filter(b => isExpired(b, now));
+    if (!expired.length) return [];
+    release(expired, 'expired');
+    expired.forEach(b => notify(b.username, 'Assignment released',
+      `You did not confirm ${describeBooking(b)} in time, so the place has been opened to others.`));
+    return expired;
+  }
+
+  /* -------------------------
+     Volunteer dashboard card
+     ------------------------- */
+  function renderPendingCard() {
+    const volDashboard = document.getElementById('volunteer-dashboard');
+    if (!volDashboard) return;
+    const user = currentUser();
+    const pending = user ? getPendingFor(user.username) : [];
+    let box = document.getElementById('confirmation-requests');
+    if (!pending.length) {
+      if (box) box.remove();
+      return;
+    }
+    if (!box) {
+      box = document.createElement('div');
+      box.id = 'confirmation-requests';
+      box.className = 'card';
+      box.style.borderLeft = '4px solid #f59e0b';
+      box.style.background = '#fffbeb';
+      box.style.marginBottom = '1rem';
+      box.setAttribute('role', 'region');
+      box.setAttribute('aria-label', 'Assignments awaiting your confirmation');
+      volDashboard.insertBefore(box, volDashboard.firstChild);
+    }
+    box.innerHTML = `<div style="font-weight:700;margin-bottom:0.3rem;">📋 Please confirm your assignment${pending.length > 1 ? 's' : ''}</div>`;
+    const errorBox = document.createElement('div');
+    errorBox.className = 'small';
+    errorBox.style.color = '#b91c1c';
+
+    pending.forEach(b => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.alignItems = 'center';
+      row.style.gap = '0.75rem';
+      row.style.padding = '0.35rem 0';
+      row.innerHTML = `<div><div>${escapeHtml(describeBooking(b))}</div><div class="small muted">Respond by ${escapeHtml(describeDeadline(b))}</div></div>`;
+
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = '0.4rem';
+      const ok = document.createElement('button');
+      ok.className = 'success';
+      ok.textContent = 'Confirm';
+      ok.addEventListener('click', () => {
+        const res = confirmBooking(b.id);
+        if (!res.ok) errorBox.textContent = res.error;
+      });
+      const no = document.createElement('button');
+      no.className = 'muted-btn';
+      no.textContent = 'Decline';
+      let armed = false;
+      no.addEventListener('click', () => {
+        // second click confirms; declining gives the place away
+        if (!armed) { armed = true; no.textContent = 'Click again to decline'; no.className = 'danger'; return; }
+        const res = declineBooking(b.id);
+        if (!res.ok) errorBox.textContent = res.error;
+      });
+      actions.appendChild(ok);
+      actions.appendChild(no);
+      row.appendChild(actions);
+      box.appendChild(row);
+    });
+    box.appendChild(errorBox);
+  }
+
+  function init() {
+    function tick() {
+      releaseExpired();
+      renderPendingCard();
+    }
+    function start() {
+      tick();
+      document.addEventListener('cvsa:bookings:updated', renderPendingCard);
+      // deadlines pass and sign-in emits no event, so re-check every minute
+      setInterval(tick, 60 * 1000);
+    }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else start();
+  }
+
+  // Expose API
+  window.AssignmentConfirmations = {
+    init,
+    requestConfirmation,
+    isAwaiting,
+    isReleased,
+    isExpired,
+    describeDeadline,
+    getPendingFor,
+    awaitingCount,
+    confirmBooking,
+    declineBooking,
+    releaseExpired,
+    getLog,
+    renderPendingCard
+  };
+
+  init();
+
+})();
@@ -5,7 +5,7 @@
  * Features:
  * - Login with username/password (demo accounts)
  * - Role-based access control (Volunteer, Elder, Admin, Coordinator, Shift Manager, Reporter)
- * - Session management in localStorage (token + expiry)
+ * - Session management through DataRepository (token + expiry)
  * - Logout
  * - Role-specific dashboard display (maps roles to page IDs; creates simple placeholders if missing)
  * - Form validation and inline error messages
@@ -67,21 +67,15 @@ function makeToken(len = 32) {
 }
 
 /* -----------------------------
-   Session management (localStorage)
+   Session management (data-repository.js)
    ----------------------------- */
 function saveSession(session) {
-  try {
-    localStorage.setItem(AUTH_CONFIG.storageKey, JSON.stringify(session));
-  } catch (err) {
-    console.error('Failed to save session to localStorage', err);
-  }
+  DataRepository.write(AUTH_CONFIG.storageKey, session);
 }
 
 function loadSession() {
   try {
-    const raw = localStorage.getItem(AUTH_CONFIG.storageKey);
-    if (!raw) return null;
-    const session = JSON.parse(raw);
+    const session = DataRepository.read(AUTH_CONFIG.storageKey, null);
     if (!session || !session.token || !session.expiry) return null;
     if (nowMs() > session.expiry) {
       // expired
@@ -90,17 +84,13 @@ function loadSession() {
     }
     return session;
   } catch (err) {
-    console.error('Failed to load session from localStorage', err);
+    console.error('Failed to load session', err);
     return null;
   }
 }
 
 function clearSession() {
-  try {
-    localStorage.removeItem(AUTH_CONFIG.storageKey);
-  } catch (err) {
-    console.error('Failed to clear session', err);
-  }
+  DataRepository.remove(AUTH_CONFIG.storageKey);
 }
 
 /* -----------------------------
@@ -275,7 +265,7 @@ function handleLoginSubmit(ev) {
   showDashboardForRole(roleToUse);
 
   // Optionally show a success toast / message (use modal-backdrop if exists)
-  showModalOnce('Signed in', `<p>Signed in as <strong>${escapeHtml(session.displayName)}</strong> (${escapeHtml(roleToUse)}) — demo session stored in localStorage.</p>`);
+  showModalOnce('Signed in', `<p>Signed in as <strong>${escapeHtml(session.displayName)}</strong> (${escapeHtml(roleToUse)}) — demo session stored in this browser.</p>`);
 }
 
 /* -----------------------------
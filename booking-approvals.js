@@ -0,0 +1,258 @@
+/**
+ * booking-approvals.js
+ * Congregation Volunteer Scheduler — Approval mode for self-service bookings
+ *
+ * Features:
+ * - Per-location setting "Bookings require approval" (location.requiresApproval, edited in
+ *   admin-locations.js)
+ * - Self-service bookings at such locations (VDB booking flows, waitlist promotion) are saved
+ *   with approval: 'pending'; they hold their place, so they count against capacity
+ * - Coordinators and admins get an approval queue: approving makes the booking final,
+ *   rejecting removes it, notifies the volunteer and offers the place to the waitlist
+ * - Volunteers see "Pending approval" on their bookings
+ *
+ * Data:
+ *  - bookings in "cvsa_bookings" carry approval: 'pending' | 'approved',
+ *    approvalRequestedAt, approvedBy, approvedAt
+ *    (bookings without the field never needed approval)
+ *  - Notices are appended to "cvsa_notices" (rendered on the volunteer dashboard by waitlist.js)
+ *
+ * Integration notes:
+ * - VDB and Waitlist.promoteFor call BookingApprovals.applyApprovalPolicy(booking) before saving
+ * - Bookings made by admins are not subject to approval
+ * - AdminAssignments header has an "Approvals…" button (openApprovalQueue); the coordinator
+ *   dashboard gets a "Booking approvals" card
+ * - Dispatches "cvsa:bookings:updated"
+ *
+ * Usage:
+ *  - Include before volunteer-dashboard.js:
+ *      <script src="booking-approvals.js"></script>
+ *
+ * Security note:
+ * - The approver role is read from the session record, which the browser can edit.
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_LOCATIONS = 'cvsa_locations';
+  const LS_NOTICES = 'cvsa_notices';
+  const LS_SESSION = 'cvsa_session';
+
+  const APPROVER_ROLES = ['admin', 'coordinator'];
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+  function saveBookings(list) { save(LS_BOOKINGS, list); }
+
+  function notify(username, title, message) {
+    const notices = load(LS_NOTICES, []);
+    notices.push({ id: uid('nt-'), username, title, message, createdAt: Date.now(), read: false });
+    save(LS_NOTICES, notices);
+    document.dispatchEvent(new CustomEvent('cvsa:notices:updated'));
+  }
+
+  // the bookings event comes from DataRepository when they are saved; the grid still needs a rebuild
+  function notifyBookingsChanged() {
+    if (window.AdminAssignments && typeof AdminAssignments.buildAssignmentsUI === 'function') {
+      AdminAssignments.buildAssignmentsUI();
+    }
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUser() {
+    const s = load(LS_SESSION, null);
+    if (!s || !s.username) return null;
+    return { username: s.username, displayName: s.displayName || s.username, role: s.role };
+  }
+
+  function canApprove(user) {
+    return !!user && APPROVER_ROLES.indexOf(user.role) !== -1;
+  }
+
+  function toast(kind, message) {
+    if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast[kind](message);
+  }
+
+  function getLocation(locationId) {
+    const locs = (window.AdminLocations && typeof AdminLocations.getLocations === 'function')
+      ? AdminLocations.getLocations()
+      : load(LS_LOCATIONS, []);
+    return (locs || []).find(l => l.id === locationId) || null;
+  }
+
+  function describeBooking(b) {
+    return `${b.locationName || b.locationId} · ${b.date} · ${b.slotLabel || b.slotId}`;
+  }
+
+  /* -------------------------
+     Policy + state
+     ------------------------- */
+  function requiresApproval(locationId) {
+    const loc = getLocation(locationId);
+    return !!(loc && loc.requiresApproval);
+  }
+
+  /**
+   * Mark a self-service booking as pending when its location requires approval. Returns it.
+   */
+  function applyApprovalPolicy(booking) {
+    if (booking && requiresApproval(booking.locationId)) {
+      booking.approval = 'pending';
+      booking.approvalRequestedAt = Date.now();
+    }
+    return booking;
+  }
+
+  function isPending(b) {
+    return !!b && b.approval === 'pending' && b.status !== 'cancelled';
+  }
+
+  function getPending() {
+    return loadBookings().filter(isPending).sort((a, b) => (a.approvalRequestedAt || 0) - (b.approvalRequestedAt || 0));
+  }
+
+  function pendingCount() {
+    return getPending().length;
+  }
+
+  /* -------------------------
+     Decisions
+     ------------------------- */
+  function approveBooking(bookingId, approver = currentUser()) {
+    if (!canApprove(approver)) return { ok: false, error: 'Only coordinators and admins can approve bookings.' };
+    const all = loadBookings();
+    const b = all.find(x => x.id === bookingId);
+    if (!b || !isPending(b)) return { ok: false, error: 'This booking is no longer waiting for approval.' };
+    b.approval = 'approved';
+    b.approvedBy = approver.username;
+    b.approvedAt = Date.now();
+    saveBookings(all);
+    notify(b.username, 'Booking approved', `Your booking for ${describeBooking(b)} has been approved.`);
+    notifyBookingsChanged();
+    return { ok: true, booking: b };
+  }
+
+  function rejectBooking(bookingId, reason = '', approver = currentUser()) {
+    if (!canApprove(approver)) return { ok: false, error: 'Only coordinators and admins can reject bookings.' };
+    const b = loadBookings().find(x => x.id === bookingId);
+    if (!b || !isPending(b)) return { ok: false, error: 'This booking is no longer waiting for approval.' };
+    saveBookings(loadBookings().filter(x => x.id !== bookingId));
+    notify(b.username, 'Booking not approved',
+      `Your booking for ${describeBooking(b)} was not approved${reason ? ': ' + reason : '.'}`);
+    // the held place goes to the next person on the waitlist
+    if (window.Waitlist) Waitlist.promoteFor(b.locationId, b.date, b.slotId);
+    notifyBookingsChanged();
+    return { ok: true, booking: b };
+  }
+
+  /* -------------------------
+     UI: approval queue (coordinator / admin)
+     ------------------------- */
+  function renderApprovalList(container, onChange) {
+    container.innerHTML = '';
+    const pending = getPending();
+    if (!pending.length) {
+      container.innerHTML = '<div class="small muted">No bookings are waiting for approval.</div>';
+      return;
+    }
+    const all = loadBookings();
+    pending.forEach(b => {
+      const held = all.filter(x => x.status !== 'cancelled' && x.locationId === b.locationId && x.date === b.date && x.slotId === b.slotId).length;
+      const card = document.createElement('div');
+      card.className = 'card';
+      card.style.padding = '0.6rem';
+      card.style.marginBottom = '0.5rem';
+      card.innerHTML = `<div style="font-weight:700;">${escapeHtml(b.displayName || b.username)}</div>
+        <div class="small">${escapeHtml(describeBooking(b))}</div>
+        <div class="small muted">Requested ${b.approvalRequestedAt ? new Date(b.approvalRequestedAt).toLocaleString() : '—'} · ${held} booking(s) in this slot incl. pending</div>`;
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = '0.4rem';
+      actions.style.marginTop = '0.4rem';
+      const approve = document.createElement('button');
+      approve.className = 'success';
+      approve.textContent = 'Approve';
+      approve.addEventListener('click', () => {
+        const res = approveBooking(b.id);
+        if (!res.ok) return toast('error', res.error);
+        toast('success', 'Booking approved');
+        renderApprovalList(container, onChange);
+        if (onChange) onChange();
+      });
+      const reject = document.createElement('button');
+      reject.className = 'danger';
+      reject.textContent = 'Reject';
+      reject.addEventListener('click', () => {
+        const reason = window.prompt('Reason for rejecting (optional):', '') || '';
+        const res = rejectBooking(b.id, reason);
+        if (!res.ok) return toast('error', res.error);
+        toast('info', 'Booking rejected — the place is open again');
+        renderApprovalList(container, onChange);
+        if (onChange) onChange();
+      });
+      actions.appendChild(approve);
+      actions.appendChild(reject);
+      card.appendChild(actions);
+      container.appendChild(card);
+    });
+  }
+
+  function openApprovalQueue() {
+    const wrap = document.createElement('div');
+    wrap.style.maxHeight = '70vh';
+    wrap.style.overflowY = 'auto';
+    renderApprovalList(wrap);
+    openModal({ title: 'Booking approvals', content: wrap, showConfirm: false });
+  }
+
+  /* -------------------------
+     Dashboard entry points
+     ------------------------- */
+
+  // The coordinator page is generated by auth.js on sign-in, so watch for it to appear
+  function setupCoordinatorPanel() {
+    const page = document.getElementById('coordinator-dashboard');
+    if (!page || document.getElementById('coordinator-booking-approvals')) return;
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.id = 'coordinator-booking-approvals';
+    card.innerHTML = '<h3 style="margin-top:0;">Booking approvals</h3>';
+    const list = document.createElement('div');
+    card.appendChild(list);
+    page.appendChild(card);
+    renderApprovalList(list);
+    document.addEventListener('cvsa:bookings:updated', () => renderApprovalList(list));
+  }
+
+  function init() {
+    function start() {
+      setupCoordinatorPanel();
+      const main = document.querySelector('main') || document.body;
+      if (window.MutationObserver) new MutationObserver(setupCoordinatorPanel).observe(main, { childList: true });
+    }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else start();
+  }
+
+  // Expose API
+  window.BookingApprovals = {
+    init,
+    requiresApproval,
+    applyApprovalPolicy,
+    isPending,
+    getPending,
+    pendingCount,
+    approveBooking,
+    rejectBooking,
+    openApprovalQueue
+  };
+
+  init();
+
+})();
@@ -0,0 +1,315 @@
+/**
+ * booking-policies.js
+ * Congregation Volunteer Scheduler — Booking window and cancellation policy
+ *
+ * Features:
+ * - Organization-wide policy (Admin > Settings > "Booking policy"):
+ *     - bookingOpensDays     how many days ahead a date opens for booking (0 = no limit)
+ *     - bookingCutoffMinutes booking closes this long before the shift starts
+ *     - cancelCutoffMinutes  volunteers may cancel up to this long before the shift (default 30)
+ *     - maxBookingsPerWeek   bookings per volunteer per Monday–Sunday week (0 = no limit)
+ * - Per-location overrides (location.bookingPolicy, edited in admin-locations.js); fields left
+ *   blank inherit the organization value
+ * - Admins can override: when an admin books or cancels from the volunteer views, broken rules
+ *   are shown and can be accepted; the booking records who overrode which rules
+ *
+ * Data:
+ *  - localStorage "cvsa_booking_policy": { bookingOpensDays, bookingCutoffMinutes, cancelCutoffMinutes, maxBookingsPerWeek }
+ *  - location.bookingPolicy in "cvsa_locations": same fields, all optional
+ *  - bookings may carry policyOverride: { by, at, rules: ['window' | 'cutoff' | 'weekly' | 'cancel'] }
+ *    (plus shift-limits.js rules such as 'week' or 'gap' when a blocking limit was overridden)
+ *
+ * Integration notes:
+ * - VDB checks checkBooking()/checkCancellation() in the location modal, the step-by-step
+ *   booking flow and My Assignments; date pickers are limited with bookingWindow()
+ * - Bookings made from Admin > Assignments are admin decisions and are not checked
+ *
+ * Usage:
+ *  - Include before admin-locations.js and volunteer-dashboard.js:
+ *      <script src="booking-policies.js"></script>
+ *
+ * Security note:
+ * - The rules run in the browser and can be bypassed; a backend has to apply them again.
+ */
+
+(function () {
+  const LS_POLICY = 'cvsa_booking_policy';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_LOCATIONS = 'cvsa_locations';
+  const LS_SESSION = 'cvsa_session';
+
+  const DEFAULT_POLICY = {
+    bookingOpensDays: 0,
+    bookingCutoffMinutes: 0,
+    cancelCutoffMinutes: 30,
+    maxBookingsPerWeek: 0
+  };
+
+  const FIELDS = [
+    { key: 'bookingOpensDays', label: 'Booking opens (days ahead, 0 = no limit)' },
+    { key: 'bookingCutoffMinutes', label: 'Booking closes (minutes before start)' },
+    { key: 'cancelCutoffMinutes', label: 'Cancellation cutoff (minutes before start)' },
+    { key: 'maxBookingsPerWeek', label: 'Max bookings per volunteer per week (0 = no limit)' }
+  ];
+
+  const OVERRIDE_ROLES = ['admin'];
+
+  const { load, save, escapeHtml } = SharedUtils;
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUser() {
+    const s = load(LS_SESSION, null);
+    return s && s.username ? { username: s.username, displayName: s.displayName || s.username, role: s.role } : null;
+  }
+
+  function toast(kind, message) {
+    if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast[kind](message);
+  }
+
+  function formatDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function shiftStart(dateStr, slot) {
+    const d = parseDateStr(dateStr);
+    d.setHours(Number((slot && slot.startHour) || 0), 0, 0, 0);
+    return d.getTime();
+  }
+
+  function weekStartOf(dateStr) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return formatDate(d);
+  }
+
+  /** 30 → "30 minutes", 120 → "2 hours", 2880 → "2 days" */
+  function formatDuration(minutes) {
+    const m = Number(minutes) || 0;
+    const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    if (m && m % 1440 === 0) return plural(m / 1440, 'day');
+    if (m && m % 60 === 0) return plural(m / 60, 'hour');
+    return plural(m, 'minute');
+  }
+
+  function getLocation(locationId) {
+    const locs = (window.AdminLocations && typeof AdminLocations.getLocations === 'function')
+      ? AdminLocations.getLocations()
+      : load(LS_LOCATIONS, []);
+    return (locs || []).find(l => l.id === locationId) || null;
+  }
+
+  /* -------------------------
+     Policy
+     ------------------------- */
+
+  // Keep only non-negative whole numbers; anything else falls back to the inherited value
+  function cleanPolicy(raw) {
+    const out = {};
+    FIELDS.forEach(({ key }) => {
+      const v = raw ? raw[key] : null;
+      if (v === null || v === undefined || v === '') return;
+      const n = Number(v);
+      if (Number.isInteger(n) && n >= 0) out[key] = n;
+    });
+    return out;
+  }
+
+  function getOrgPolicy() {
+    return Object.assign({}, DEFAULT_POLICY, cleanPolicy(load(LS_POLICY, {})));
+  }
+
+  function saveOrgPolicy(policy) {
+    save(LS_POLICY, Object.assign({}, DEFAULT_POLICY, cleanPolicy(policy)));
+    document.dispatchEvent(new CustomEvent('cvsa:policy:updated'));
+  }
+
+  /** Effective policy for a location: its own overrides on top of the organization policy. */
+  function getPolicy(locationId) {
+    const loc = locationId ? getLocation(locationId) : null;
+    return Object.assign(getOrgPolicy(), cleanPolicy(loc && loc.bookingPolicy));
+  }
+
+  function hasLocationOverrides(loc) {
+    return !!loc && Object.keys(cleanPolicy(loc.bookingPolicy)).length > 0;
+  }
+
+  function canOverride(user) {
+    return !!user && OVERRIDE_ROLES.indexOf(user.role) !== -1;
+  }
+
+  /**
+   * Dates a volunteer may pick at this location: { min, max } as YYYY-MM-DD (max is null when unlimited).
+   */
+  function bookingWindow(locationId, now = Date.now()) {
+    const policy = getPolicy(locationId);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    let max = null;
+    if (policy.bookingOpensDays > 0) {
+      const last = new Date(today);
+      last.setDate(last.getDate() + policy.bookingOpensDays);
+      max = formatDate(last);
+    }
+    return { min: formatDate(today), max };
+  }
+
+  function countWeekBookings(username, dateStr) {
+    const u = (username || '').toLowerCase();
+    const week = weekStartOf(dateStr);
+    return load(LS_BOOKINGS, []).filter(b => (b.username || '').toLowerCase() === u &&
+      b.status !== 'cancelled' && !b.draft && !b.pendingRemoval && b.date && weekStartOf(b.date) === week).length;
+  }
+
+  /**
+   * Rules a new booking would break. Returns { ok, violations: [{ rule, message }] }.
+   */
+  function checkBooking(username, locationId, dateStr, slot, now = Date.now()) {
+    const policy = getPolicy(locationId);
+    const violations = [];
+    const start = shiftStart(dateStr, slot);
+
+    const { max } = bookingWindow(locationId, now);
+    if (max && dateStr > max) {
+      const opens = parseDateStr(dateStr);
+      opens.setDate(opens.getDate() - policy.bookingOpensDays);
+      violations.push({ rule: 'window', message: `Booking opens ${policy.bookingOpensDays} days ahead — this date opens on ${formatDate(opens)}.` });
+    }
+
+    if (start <= now) {
+      violations.push({ rule: 'cutoff', message: 'This shift has already started.' });
+    } else if (start - now < policy.bookingCutoffMinutes * 60000) {
+      violations.push({ rule: 'cutoff', message: `Booking closes ${formatDuration(policy.bookingCutoffMinutes)} before the shift starts.` });
+    }
+
+    if (policy.maxBookingsPerWeek > 0 && username) {
+      const n = countWeekBookings(username, dateStr);
+      if (n >= policy.maxBookingsPerWeek) {
+        violations.push({ rule: 'weekly', message: `You already have ${n} booking${n === 1 ? '' : 's'} that week (limit ${policy.maxBookingsPerWeek}).` });
+      }
+    }
+    return { ok: violations.length === 0, violations };
+  }
+
+  /**
+   * Whether a booking may still be cancelled. Returns { ok, violations: [{ rule, message }] }.
+   */
+  function checkCancellation(locationId, dateStr, slot, now = Date.now()) {
+    const policy = getPolicy(locationId);
+    const ok = shiftStart(dateStr, slot) - now >= policy.cancelCutoffMinutes * 60000;
+    return ok ? { ok, violations: [] } : { ok, violations: [{ rule: 'cancel', message: cancellationNote(locationId) }] };
+  }
+
+  function cancellationNote(locationId) {
+    return `Reservations may be cancelled up to ${formatDuration(getPolicy(locationId).cancelCutoffMinutes)} prior to duty.`;
+  }
+
+  /** Stamp the rules an admin chose to override onto a booking. Returns it. */
+  function recordOverride(booking, violations, user = currentUser()) {
+    if (booking && violations && violations.length) {
+      booking.policyOverride = { by: user ? user.username : null, at: Date.now(), rules: violations.map(v => v.rule) };
+    }
+    return booking;
+  }
+
+  /** Warning block for a confirm dialog, or '' when nothing is broken. */
+  function violationsHtml(violations, overriding) {
+    if (!violations || !violations.length) return '';
+    return `<div class="small" style="margin-top:8px; padding:0.5rem; background:#fef2f2; border-left:3px solid #ef4444; border-radius:4px;">
+      ${overriding ? '<strong>Admin override:</strong> this breaks the booking policy:' : ''}
+      ${violations.map(v => `<div>${escapeHtml(v.message)}</div>`).join('')}
+    </div>`;
+  }
+
+  /* -------------------------
+     UI: Admin > Settings card
+     ------------------------- */
+  function setupSettingsCard() {
+    const tab = document.getElementById('tab-settings');
+    if (!tab || document.getElementById('booking-policy-settings')) return;
+    const policy = getOrgPolicy();
+
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.id = 'booking-policy-settings';
+    card.style.marginTop = '1rem';
+    card.innerHTML = '<h4 style="margin-top:0;">Booking policy</h4>' +
+      '<p class="small muted">Applies to volunteer self-bookings at every location unless a location sets its own values (Admin &gt; Locations).</p>';
+
+    const inputs = {};
+    FIELDS.forEach(({ key, label }) => {
+      const row = document.createElement('div');
+      row.className = 'form-row';
+      const lab = document.createElement('label');
+      lab.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 1;
+      input.value = policy[key];
+      row.appendChild(lab);
+      row.appendChild(input);
+      card.appendChild(row);
+      inputs[key] = input;
+    });
+
+    const status = document.createElement('div');
+    status.className = 'small';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'success';
+    saveBtn.textContent = 'Save booking policy';
+    saveBtn.addEventListener('click', () => {
+      const next = {};
+      const bad = FIELDS.filter(({ key }) => {
+        const n = Number(inputs[key].value);
+        next[key] = n;
+        return inputs[key].value === '' || !Number.isInteger(n) || n < 0;
+      });
+      if (bad.length) {
+        status.style.color = '#b91c1c';
+        status.textContent = 'Please enter whole numbers of 0 or more.';
+        return;
+      }
+      saveOrgPolicy(next);
+      status.style.color = '';
+      status.textContent = '';
+      toast('success', 'Booking policy saved');
+    });
+    card.appendChild(saveBtn);
+    card.appendChild(status);
+    tab.appendChild(card);
+  }
+
+  function init() {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', setupSettingsCard, { once: true });
+    else setupSettingsCard();
+  }
+
+  // Expose API
+  window.BookingPolicies = {
+    init,
+    DEFAULT_POLICY,
+    FIELDS,
+    getOrgPolicy,
+    saveOrgPolicy,
+    getPolicy,
+    hasLocationOverrides,
+    canOverride,
+    bookingWindow,
+    checkBooking,
+    checkCancellation,
+    cancellationNote,
+    recordOverride,
+    violationsHtml,
+    formatDuration
+  };
+
+  init();
+
+})();
@@ -0,0 +1,261 @@
+/**
+ * data-migrations.js
+ * Congregation Volunteer Scheduler — Ordered, versioned upgrades of stored data
+ *
+ * Features:
+ * - A registry of migration steps, each tagged with the storage version it upgrades to
+ *   (register({ version, description, up(ctx) }))
+ * - run() applies every step newer than the stored "cvsa_version", oldest first, up to the target
+ *   version (SharedUtils.STORAGE_VERSION)
+ * - Steps work on a staged copy of the data; nothing is saved unless every step succeeds and the
+ *   core datasets still pass DataRepository validation
+ * - The values a run is about to change are backed up first; if saving the upgrade fails part way,
+ *   restoreBackup() puts them back
+ * - Dry run: run({ dryRun: true }) reports what each pending step would change without saving
+ *
+ * Data:
+ *  - "cvsa_version": the storage version the data was last upgraded to ('0.0.0' when missing)
+ *  - "cvsa_migration_backup": { createdAt, fromVersion, toVersion, data: { [key]: value | null } }
+ *    Only the latest run is kept; a null value means the key did not exist before
+ *
+ * Steps:
+ *  - 1.1.0  bookings made in the volunteer dashboard get status, startHour/endHour and volunteerId
+ *  - 1.2.0  volunteers are saved with firstName / lastName / name / privilege filled in
+ *
+ * Integration notes:
+ * - SharedUtils.Storage.migrate() runs the pending steps at startup
+ * - Admin > Settings > Data Management ("Data Version") shows the dry-run report and offers the
+ *   backed-up data as a download
+ *
+ * Usage:
+ *  - Include right after data-repository.js (before shared-utils.js):
+ *      <script src="data-migrations.js"></script>
+ *  - A step's up(ctx) uses ctx.read(key, fallback), ctx.write(key, value) and ctx.note(message)
+ *
+ * Security note:
+ * - Migrations rewrite only this browser's stored data.
+ */
+
+(function () {
+  const LS_VERSION = 'cvsa_version';
+  const LS_BACKUP = 'cvsa_migration_backup';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_SLOTS = 'cvsa_location_slots';
+
+  const steps = [];
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function compareVersions(a, b) {
+    const pa = String(a || '0').split('.').map(Number);
+    const pb = String(b || '0').split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const diff = (pa[i] || 0) - (pb[i] || 0);
+      if (diff) return diff < 0 ? -1 : 1;
+    }
+    return 0;
+  }
+
+  function clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  function datasetForKey(key) {
+    const schemas = DataRepository.SCHEMAS;
+    return Object.keys(schemas).find(name => schemas[name].key === key) || null;
+  }
+
+  function getVersion() {
+    return DataRepository.read(LS_VERSION, '0.0.0');
+  }
+
+  /* -------------------------
+     Registry
+     ------------------------- */
+
+  /** Add a step: { version: '1.3.0', description, up(ctx) }. Steps are kept in version order. */
+  function register(step) {
+    if (!step || !step.version || typeof step.up !== 'function') throw new Error('data-migrations: a step needs a version and an up() function');
+    if (steps.some(s => compareVersions(s.version, step.version) === 0)) throw new Error(`data-migrations: version ${step.version} is already registered`);
+    steps.push(step);
+    steps.sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  /** Steps newer than `fromVersion`, up to and including `toVersion`. */
+  function pending(fromVersion, toVersion) {
+    return steps.filter(s => compareVersions(s.version, fromVersion) > 0 && (!toVersion || compareVersions(s.version, toVersion) <= 0));
+  }
+
+  /* -------------------------
+     Running
+     ------------------------- */
+
+  /**
+   * Apply the pending steps. Options: { targetVersion, dryRun }.
+   * Returns { ok, dryRun, fromVersion, toVersion, steps: [{ version, description, changes: [text] }], error }.
+   */
+  function run(options = {}) {
+    const fromVersion = getVersion();
+    const latest = steps.length ? steps[steps.length - 1].version : fromVersion;
+    const toVersion = options.targetVersion || latest;
+    const dryRun = !!options.dryRun;
+    const report = { ok: true, dryRun, fromVersion, toVersion, steps: [], error: null };
+    if (compareVersions(fromVersion, toVersion) >= 0) return report;
+
+    // stage every change in memory first
+    const original = {};
+    const staged = {};
+    function read(key, fallback) {
+      if (!(key in staged)) {
+        original[key] = DataRepository.readRaw(key, null);
+        staged[key] = clone(original[key]);
+      }
+      return staged[key] == null ? fallback : staged[key];
+    }
+    for (const step of pending(fromVersion, toVersion)) {
+      const entry = { version: step.version, description: step.description || '', changes: [] };
+      report.steps.push(entry);
+      try {
+        step.up({
+          read,
+          write(key, value) { read(key, null); staged[key] = value; },
+          note(message) { entry.changes.push(message); }
+        });
+      } catch (e) {
+        console.error('data-migrations: step failed', step.version, e);
+        return Object.assign(report, { ok: false, error: `Step ${step.version} failed: ${e.message || e}` });
+      }
+    }
+
+    const changed = Object.keys(staged).filter(k => JSON.stringify(staged[k]) !== JSON.stringify(original[k]));
+    const errors = [];
+    changed.forEach(key => {
+      const dataset = datasetForKey(key);
+      if (dataset) errors.push(...DataRepository.validate(dataset, staged[key], original[key]).errors);
+    });
+    if (errors.length) return Object.assign(report, { ok: false, error: `The upgraded data would not be valid: ${errors.slice(0, 3).join(' ')}` });
+    if (dryRun) return report;
+
+    if (changed.length) {
+      const data = {};
+      changed.forEach(key => { data[key] = original[key]; });
+      const backup = { createdAt: Date.now(), fromVersion, toVersion, data };
+      if (!DataRepository.write(LS_BACKUP, backup).ok) {
+        return Object.assign(report, { ok: false, error: 'Could not back up the data before upgrading (storage may be full).' });
+      }
+      for (const key of changed) {
+        const res = DataRepository.write(key, staged[key]);
+        if (!res.ok) {
+          restoreBackup();
+          return Object.assign(report, { ok: false, error: `Could not save ${key}: ${res.errors.join(' ')}` });
+        }
+      }
+    }
+    DataRepository.write(LS_VERSION, toVersion);
+    return report;
+  }
+
+  /* -------------------------
+     Backup
+     ------------------------- */
+  function getBackup() {
+    return DataRepository.read(LS_BACKUP, null);
+  }
+
+  /** Put back the values saved before the last upgrade and its starting version. Returns { ok, errors }. */
+  function restoreBackup() {
+    const backup = getBackup();
+    if (!backup) return { ok: false, errors: ['There is no upgrade to undo.'] };
+    const errors = [];
+    Object.keys(backup.data || {}).forEach(key => {
+      const value = backup.data[key];
+      if (value == null) { DataRepository.remove(key); return; }
+      const res = DataRepository.write(key, value);
+      if (!res.ok) errors.push(...res.errors);
+    });
+    if (errors.length) return { ok: false, errors };
+    DataRepository.write(LS_VERSION, backup.fromVersion);
+    DataRepository.remove(LS_BACKUP);
+    return { ok: true, errors };
+  }
+
+  /* -------------------------
+     Steps
+     ------------------------- */
+  register({
+    version: '1.1.0',
+    description: 'Complete bookings made in the volunteer dashboard (status, hours, volunteer)',
+    up(ctx) {
+      const bookings = ctx.read(LS_BOOKINGS, []);
+      // records saved with only first/last name are matched on the full name too
+      const vols = ctx.read(LS_VOLUNTEERS, []).map(DataRepository.normalizeVolunteer);
+      const slotMap = ctx.read(LS_SLOTS, {});
+      function findSlot(b) {
+        const list = (window.AdminSchedules && typeof AdminSchedules.getSlotsForLocation === 'function')
+          ? AdminSchedules.getSlotsForLocation(b.locationId)
+          : slotMap[b.locationId];
+        return (list || []).find(s => s.id === b.slotId) || null;
+      }
+      function findVolunteer(b) {
+        const u = (b.username || '').toLowerCase();
+        const name = (b.displayName || '').toLowerCase();
+        return (u && vols.find(v => (v.email || '').toLowerCase() === u))
+          || (name && vols.find(v => (v.name || '').toLowerCase() === name))
+          || null;
+      }
+
+      let statuses = 0, hours = 0, linked = 0;
+      bookings.forEach(b => {
+        if (!b.status) { b.status = b.checkedInAt ? 'checked-in' : 'assigned'; statuses++; }
+        if (b.startHour == null || b.endHour == null) {
+          const slot = findSlot(b);
+          if (slot) {
+            b.startHour = slot.startHour;
+            b.endHour = slot.endHour;
+            b.slotLabel = b.slotLabel || slot.label;
+            hours++;
+          }
+        }
+        if (b.volunteerId === undefined) {
+          const vol = findVolunteer(b);
+          b.volunteerId = vol ? vol.id : null;
+          if (vol) linked++;
+        }
+      });
+      if (statuses) ctx.note(`${statuses} booking(s) given a status`);
+      if (hours) ctx.note(`${hours} booking(s) given start and end hours`);
+      if (linked) ctx.note(`${linked} booking(s) linked to a volunteer record`);
+      ctx.write(LS_BOOKINGS, bookings);
+    }
+  });
+
+  register({
+    version: '1.2.0',
+    description: 'Save volunteers with first name, last name, full name and privilege',
+    up(ctx) {
+      const vols = ctx.read(LS_VOLUNTEERS, []);
+      let fixed = 0;
+      const out = vols.map(v => {
+        const n = DataRepository.normalizeVolunteer(v);
+        if (JSON.stringify(n) !== JSON.stringify(v)) fixed++;
+        return n;
+      });
+      if (fixed) ctx.note(`${fixed} volunteer record(s) completed`);
+      ctx.write(LS_VOLUNTEERS, out);
+    }
+  });
+
+  // Expose API
+  window.DataMigrations = {
+    register,
+    pending,
+    run,
+    getVersion,
+    getBackup,
+    restoreBackup,
+    compareVersions
+  };
+
+})();
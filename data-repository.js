@@ -0,0 +1,621 @@
+/**
+ * data-repository.js
+ * Congregation Volunteer Scheduler — Single data repository for every module
+ *
+ * Features:
+ * - The one read/write path to browser storage; modules keep their small load/save helpers, but
+ *   those delegate here instead of touching storage themselves
+ * - IndexedDB backend where the browser has it: bookings, volunteers and locations are saved one
+ *   record per row (only changed records are written), bookings are indexed on date, location
+ *   and volunteer (collection.findBy()); other keys are saved whole
+ * - Reads stay synchronous: they are served from an in-memory cache of the IndexedDB data
+ * - Typed collections for the core datasets, validated against a shared schema (SCHEMAS):
+ *     volunteers, locations, slots (per-location map), bookings, preferences
+ * - One volunteer shape: firstName / lastName / privilege plus the derived `name` — records saved
+ *   with only `name` (older localstore.js data) are split, records without `name` get one
+ * - Writing a core dataset emits its change event:
+ *     cvsa:volunteers:updated, cvsa:locations:updated, cvsa:schedules:updated,
+ *     cvsa:bookings:updated, cvsa:preferences:updated
+ * - read()/write() for the keys modules own themselves (waitlist, swaps, policies, session, ...)
+ *
+ * Data:
+ *  - Keys are unchanged ("cvsa_volunteers", "cvsa_bookings", ...), so existing data stays readable
+ *  - New or changed records that fail validation are not saved; write() returns { ok: false, errors }
+ *  - IndexedDB database "cvsa_scheduler": stores "kv" ({ key, value }), "bookings", "volunteers",
+ *    "locations" ({ id, pos, value })
+ *  - On the first load with IndexedDB the "cvsa_*" localStorage keys are copied into it and removed
+ *    from localStorage once saved; the session ("cvsa_session") always stays in localStorage
+ *  - Without IndexedDB (or if it fails to open) everything stays in localStorage as before
+ *
+ * Integration notes:
+ * - CVSAStorage (localstore.js) and SharedUtils.Storage are thin wrappers over this module
+ * - Events are emitted here, so callers no longer dispatch them after saving
+ * - IndexedDB opens asynchronously; until then reads return the localStorage copy. When it has
+ *   loaded, the change events of the loaded datasets fire and whenReady() callbacks run
+ *   (SharedUtils runs the data migrations and CVSAStorage seeds demo data from there)
+ * - IndexedDB save errors are reported with "cvsa:storage:error" ({ key, message, quota }); the
+ *   save finishes after write() has returned, so a full store is only known from that event
+ * - Open tabs share the data: after a save the other tabs reload that key from IndexedDB
+ *   (BroadcastChannel) and core datasets emit their change event there. A save writes and
+ *   deletes only the records its tab changed, so it never removes records it has not seen
+ *
+ * Usage:
+ *  - Include before every other script (runtime-fixes.js reads the session on load):
+ *      <script src="data-repository.js"></script>
+ *
+ * Security note:
+ * - This is a client-side demo; the server must validate data again.
+ */
+
+(function () {
+  const KEYS = {
+    VOLUNTEERS: 'cvsa_volunteers',
+    LOCATIONS: 'cvsa_locations',
+    SLOTS: 'cvsa_location_slots',
+    BOOKINGS: 'cvsa_bookings',
+    PREFERENCES: 'cvsa_preferences'
+  };
+
+  const BOOKING_STATUSES = ['assigned', 'checked-in', 'no-show', 'cancelled'];
+
+  /*
+   * Shared schema. `required` fields must be present and non-empty; `fields` are type-checked
+   * when present ('string' | 'number' | 'boolean' | 'array' | 'object' | 'date' | [allowed values]).
+   */
+  const SCHEMAS = {
+    volunteers: {
+      key: KEYS.VOLUNTEERS,
+      kind: 'list',
+      event: 'cvsa:volunteers:updated',
+      required: ['id', 'name'],
+      fields: {
+        id: 'string', name: 'string', firstName: 'string', lastName: 'string', email: 'string',
+        phone: 'string', congregation: 'string', circuit: 'string', privilege: 'string',
+        approvedS73: 'boolean', attendedSeminar: 'boolean', active: 'boolean', trainee: 'boolean',
+        household: 'string', preferWith: 'array', neverWith: 'array', notes: 'string'
+      },
+      normalize: normalizeVolunteer
+    },
+    locations: {
+      key: KEYS.LOCATIONS,
+      kind: 'list',
+      event: 'cvsa:locations:updated',
+      required: ['id', 'name'],
+      fields: {
+        id: 'string', name: 'string', address: 'string', slotCapacity: 'number',
+        requiresS73: 'boolean', requiresSeminar: 'boolean', notes: 'string'
+      }
+    },
+    slots: {
+      key: KEYS.SLOTS,
+      kind: 'map',
+      event: 'cvsa:schedules:updated',
+      // each value is the list of slots of one location
+      item: {
+        required: ['id'],
+        fields: { id: 'string', label: 'string', startHour: 'number', endHour: 'number', minVol: 'number', maxVol: 'number', days: 'array' }
+      }
+    },
+    bookings: {
+      key: KEYS.BOOKINGS,
+      kind: 'list',
+      event: 'cvsa:bookings:updated',
+      required: ['id', 'locationId', 'date', 'slotId'],
+      fields: {
+        id: 'string', username: 'string', displayName: 'string', locationId: 'string', date: 'date',
+        slotId: 'string', startHour: 'number', endHour: 'number', status: BOOKING_STATUSES,
+        lead: 'boolean', draft: 'boolean', pendingRemoval: 'boolean'
+      }
+    },
+    preferences: {
+      key: KEYS.PREFERENCES,
+      kind: 'map',
+      event: 'cvsa:preferences:updated',
+      // keyed by user id; each value is that user's preference object
+      value: 'object'
+    }
+  };
+
+  /* -------------------------
+     Backends
+     ------------------------- */
+
+  // Always kept in localStorage: read synchronously on load, before IndexedDB has opened
+  const LOCAL_KEYS = ['cvsa_session'];
+
+  const DB_NAME = 'cvsa_scheduler';
+  const DB_VERSION = 1;
+  const KV_STORE = 'kv';
+  // List datasets saved one record per row ({ id, pos, value }); pos keeps the order of the list
+  const RECORD_STORES = {
+    cvsa_bookings: { store: 'bookings', indexes: { date: 'value.date', locationId: 'value.locationId', volunteerId: 'value.volunteerId' } },
+    cvsa_volunteers: { store: 'volunteers', indexes: {} },
+    cvsa_locations: { store: 'locations', indexes: {} }
+  };
+
+  let backend = window.indexedDB ? 'indexeddb' : 'localStorage';
+  let ready = backend === 'localStorage';
+  let db = null;
+  const readyCallbacks = [];
+  const cache = {};               // key -> JSON text, the synchronous view of the IndexedDB data
+  const fromLocalStorage = {};    // keys still in localStorage, to move into IndexedDB
+  const pendingKeys = {};         // keys written while IndexedDB was opening
+  const rows = {};                // record-store key -> Map(id -> { json, pos }) as last saved
+  const kvState = {};             // key -> 'value' | 'records' (a marker entry for record stores)
+  const writes = {};              // key -> number of writes from this tab (see refreshKey)
+  // other tabs of the app post { key } here after saving, so this tab reloads that key
+  const channel = window.BroadcastChannel ? new BroadcastChannel(DB_NAME) : null;
+
+  function usesCache(key) {
+    return backend === 'indexeddb' && LOCAL_KEYS.indexOf(key) === -1;
+  }
+
+  // `quota` tells listeners the save failed because storage is full
+  function reportError(key, err) {
+    console.error('data-repository: could not save', key, err);
+    const quota = !!err && err.name === 'QuotaExceededError';
+    const message = quota ? 'Storage is full.' : `Could not save ${key}.`;
+    document.dispatchEvent(new CustomEvent('cvsa:storage:error', { detail: { key, message, quota } }));
+  }
+
+  /* -------------------------
+     localStorage backend
+     ------------------------- */
+  function localRead(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) { console.error('data-repository: read', key, e); return fallback; }
+  }
+
+  function localWrite(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return { ok: true, errors: [] };
+    } catch (e) {
+      console.error('data-repository: write', key, e);
+      return { ok: false, errors: [e.name === 'QuotaExceededError' ? 'Storage is full.' : String(e.message || e)] };
+    }
+  }
+
+  function localRemove(key) {
+    try { localStorage.removeItem(key); }
+    catch (e) { console.error('data-repository: remove', key, e); }
+  }
+
+  /* -------------------------
+     IndexedDB backend
+     ------------------------- */
+  function fitsRecordStore(list) {
+    if (!Array.isArray(list)) return false;
+    const seen = {};
+    return list.every(r => {
+      if (!r || typeof r !== 'object' || (typeof r.id !== 'string' && typeof r.id !== 'number') || seen[r.id]) return false;
+      seen[r.id] = true;
+      return true;
+    });
+  }
+
+  // Only the records that changed since the last save are written
+  function putRecords(store, key, list) {
+    let prev = rows[key];
+    if (!prev) { store.clear(); prev = new Map(); }
+    const next = new Map();
+    let last = -1;
+    list.forEach(rec => {
+      const json = JSON.stringify(rec);
+      const old = prev.get(rec.id);
+      const pos = old && old.pos > last ? old.pos : last + 1;
+      last = pos;
+      next.set(rec.id, { json, pos });
+      if (!old || old.json !== json || old.pos !== pos) store.put({ id: rec.id, pos, value: rec });
+    });
+    prev.forEach((_, id) => { if (!next.has(id)) store.delete(id); });
+    rows[key] = next;
+  }
+
+  /** Save one key to IndexedDB (`value` undefined removes it). Returns the transaction. */
+  function persist(key, value) {
+    const spec = RECORD_STORES[key];
+    const asRecords = !!spec && value !== undefined && fitsRecordStore(value);
+    const tx = db.transaction(spec ? [KV_STORE, spec.store] : [KV_STORE], 'readwrite');
+    tx.addEventListener('complete', () => { if (channel) channel.postMessage({ key }); });
+    tx.onabort = () => {
+      delete kvState[key];
+      // record stores go back to what IndexedDB holds, other tabs' records included; other keys
+      // keep the unsaved value so a listener can retry it (the next save rewrites it in full)
+      if (spec) refreshKey(key);
+      reportError(key, tx.error);
+    };
+    const kv = tx.objectStore(KV_STORE);
+    if (value === undefined) {
+      kv.delete(key);
+      delete kvState[key];
+    } else if (asRecords) {
+      if (kvState[key] !== 'records') kv.put({ key, records: true });
+      kvState[key] = 'records';
+    } else {
+      kv.put({ key, value });
+      kvState[key] = 'value';
+    }
+    if (spec) {
+      const store = tx.objectStore(spec.store);
+      if (asRecords) putRecords(store, key, value);
+      else if (!rows[key] || rows[key].size) { store.clear(); rows[key] = new Map(); }
+    }
+    return tx;
+  }
+
+  function markReady() {
+    ready = true;
+    readyCallbacks.splice(0).forEach(fn => {
+      try { fn(); } catch (e) { console.error('data-repository: ready callback', e); }
+    });
+  }
+
+  // IndexedDB unusable: keep everything in localStorage as before
+  function fallBack(err) {
+    console.warn('data-repository: IndexedDB unavailable, using localStorage', err);
+    backend = 'localStorage';
+    Object.keys(pendingKeys).forEach(key => {
+      if (!(key in cache)) { localRemove(key); return; }
+      const res = localWrite(key, JSON.parse(cache[key]));
+      if (!res.ok) {
+        const quota = res.errors[0] === 'Storage is full.';
+        document.dispatchEvent(new CustomEvent('cvsa:storage:error', { detail: { key, message: res.errors[0], quota } }));
+      }
+    });
+    markReady();
+  }
+
+  function openDatabase() {
+    let req;
+    try { req = indexedDB.open(DB_NAME, DB_VERSION); } catch (e) { fallBack(e); return; }
+    req.onupgradeneeded = () => {
+      const d = req.result;
+      if (!d.objectStoreNames.contains(KV_STORE)) d.createObjectStore(KV_STORE, { keyPath: 'key' });
+      Object.keys(RECORD_STORES).forEach(key => {
+        const spec = RECORD_STORES[key];
+        if (d.objectStoreNames.contains(spec.store)) return;
+        const store = d.createObjectStore(spec.store, { keyPath: 'id' });
+        Object.keys(spec.indexes).forEach(name => store.createIndex(name, spec.indexes[name]));
+      });
+    };
+    req.onerror = () => fallBack(req.error);
+    req.onsuccess = () => {
+      db = req.result;
+      db.onversionchange = () => db.close();
+      loadDatabase();
+    };
+  }
+
+  function loadDatabase() {
+    const keys = Object.keys(RECORD_STORES);
+    let tx;
+    try { tx = db.transaction([KV_STORE].concat(keys.map(k => RECORD_STORES[k].store)), 'readonly'); } catch (e) { fallBack(e); return; }
+    const kvReq = tx.objectStore(KV_STORE).getAll();
+    const rowReqs = {};
+    keys.forEach(key => { rowReqs[key] = tx.objectStore(RECORD_STORES[key].store).getAll(); });
+    tx.onabort = () => fallBack(tx.error);
+    tx.oncomplete = () => {
+      // what IndexedDB holds replaces the localStorage copy and anything written while it opened
+      const stored = {};
+      kvReq.result.forEach(entry => {
+        stored[entry.key] = true;
+        applyStored(entry.key, entry, rowReqs[entry.key] ? rowReqs[entry.key].result : []);
+      });
+
+      // the rest (localStorage data on the first run, new keys written meanwhile) moves into IndexedDB
+      const rest = {};
+      Object.keys(cache).concat(Object.keys(pendingKeys)).forEach(key => { if (!stored[key]) rest[key] = true; });
+      Object.keys(rest).forEach(key => {
+        if (!(key in cache) && !fromLocalStorage[key]) return;
+        try {
+          const write = persist(key, key in cache ? JSON.parse(cache[key]) : undefined);
+          if (fromLocalStorage[key]) write.addEventListener('complete', () => localRemove(key));
+        } catch (e) { reportError(key, e); }
+      });
+
+      Object.keys(stored).forEach(key => {
+        const dataset = datasetForKey(key);
+        if (dataset) document.dispatchEvent(new CustomEvent(SCHEMAS[dataset].event, { detail: { key } }));
+      });
+      markReady();
+    };
+  }
+
+  // Take a key as IndexedDB holds it (kv `entry`, or undefined when missing) into the cache
+  function applyStored(key, entry, records) {
+    if (!entry) {
+      delete cache[key];
+      delete kvState[key];
+      if (RECORD_STORES[key]) rows[key] = new Map(records.map(r => [r.id, { json: JSON.stringify(r.value), pos: r.pos }]));
+    } else if (entry.records) {
+      const list = records.slice().sort((a, b) => a.pos - b.pos);
+      rows[key] = new Map(list.map(r => [r.id, { json: JSON.stringify(r.value), pos: r.pos }]));
+      cache[key] = JSON.stringify(list.map(r => r.value));
+      kvState[key] = 'records';
+    } else {
+      cache[key] = JSON.stringify(entry.value);
+      kvState[key] = 'value';
+    }
+  }
+
+  /**
+   * Reload a key another tab has saved. If this tab writes the key meanwhile, it reloads again
+   * afterwards (transactions run in order, so the second read sees both saves).
+   */
+  function refreshKey(key) {
+    if (!ready || backend !== 'indexeddb' || !db || LOCAL_KEYS.indexOf(key) !== -1) return;
+    const spec = RECORD_STORES[key];
+    const seen = writes[key] || 0;
+    let tx;
+    try { tx = db.transaction(spec ? [KV_STORE, spec.store] : [KV_STORE], 'readonly'); } catch (e) { console.warn('data-repository: refresh', key, e); return; }
+    const kvReq = tx.objectStore(KV_STORE).get(key);
+    const rowReq = spec ? tx.objectStore(spec.store).getAll() : null;
+    tx.oncomplete = () => {
+      if ((writes[key] || 0) !== seen) { refreshKey(key); return; }
+      const before = cache[key];
+      applyStored(key, kvReq.result, rowReq ? rowReq.result : []);
+      const dataset = datasetForKey(key);
+      if (dataset && cache[key] !== before) document.dispatchEvent(new CustomEvent(SCHEMAS[dataset].event, { detail: { key } }));
+    };
+  }
+
+  function boot() {
+    if (backend !== 'indexeddb') return;
+    // serve the localStorage data from the cache until IndexedDB has loaded
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || key.indexOf('cvsa_') !== 0 || LOCAL_KEYS.indexOf(key) !== -1) continue;
+        cache[key] = localStorage.getItem(key);
+        fromLocalStorage[key] = true;
+      }
+    } catch (e) { console.warn('data-repository: could not read localStorage', e); }
+    if (channel) channel.onmessage = (event) => { if (event.data && event.data.key) refreshKey(event.data.key); };
+    openDatabase();
+  }
+
+  /** Run `fn` once the stored data is loaded (right away with the localStorage backend). */
+  function whenReady(fn) {
+    if (ready) fn(); else readyCallbacks.push(fn);
+  }
+
+  /* -------------------------
+     Raw storage
+     ------------------------- */
+
+  /** Value exactly as stored, without normalizing (data-migrations.js needs the old shapes). */
+  function readRaw(key, fallback) {
+    if (!usesCache(key)) return localRead(key, fallback);
+    if (!(key in cache)) return fallback;
+    try { return JSON.parse(cache[key]); } catch (e) { console.error('data-repository: read', key, e); return fallback; }
+  }
+
+  function writeRaw(key, value) {
+    if (!usesCache(key)) return localWrite(key, value);
+    writes[key] = (writes[key] || 0) + 1;
+    cache[key] = JSON.stringify(value);
+    if (!ready) { pendingKeys[key] = true; return { ok: true, errors: [] }; }
+    try { persist(key, value); } catch (e) { reportError(key, e); }
+    return { ok: true, errors: [] };
+  }
+
+  function remove(key) {
+    if (!usesCache(key)) { localRemove(key); return; }
+    writes[key] = (writes[key] || 0) + 1;
+    delete cache[key];
+    if (!ready) { pendingKeys[key] = true; return; }
+    try { persist(key, undefined); } catch (e) { reportError(key, e); }
+  }
+
+  /* -------------------------
+     Schema
+     ------------------------- */
+  function datasetForKey(key) {
+    return Object.keys(SCHEMAS).find(name => SCHEMAS[name].key === key) || null;
+  }
+
+  function checkType(value, type) {
+    if (Array.isArray(type)) return type.indexOf(value) !== -1;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'number') return value === '' || !isNaN(Number(value));
+    if (type === 'date') return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return typeof value === type;
+  }
+
+  function checkRecord(record, rules, label, errors) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push(`${label}: not a record.`);
+      return;
+    }
+    (rules.required || []).forEach(f => {
+      if (record[f] == null || record[f] === '') errors.push(`${label}: "${f}" is required.`);
+    });
+    Object.keys(rules.fields || {}).forEach(f => {
+      const value = record[f];
+      if (value == null) return;
+      const type = rules.fields[f];
+      if (!checkType(value, type)) {
+        errors.push(`${label}: "${f}" must be ${Array.isArray(type) ? 'one of ' + type.join(', ') : 'a ' + type}.`);
+      }
+    });
+  }
+
+  // `checked` (optional) limits the report to ids of records that are being checked
+  function checkUniqueIds(list, label, errors, checked) {
+    const seen = {};
+    list.forEach(r => {
+      if (!r || r.id == null) return;
+      if (seen[r.id] && (!checked || checked[r.id])) errors.push(`${label}: duplicate id "${r.id}".`);
+      seen[r.id] = true;
+    });
+  }
+
+  /**
+   * Validate a dataset value. Returns { ok, errors }. With `stored` (the value saved now), records
+   * and map entries that are unchanged are not checked again, so one older record that no longer
+   * passes doesn't block every later save.
+   */
+  function validate(dataset, value, stored) {
+    const schema = SCHEMAS[dataset];
+    if (!schema) return { ok: false, errors: [`Unknown dataset "${dataset}".`] };
+    const errors = [];
+    if (schema.kind === 'list') {
+      if (!Array.isArray(value)) return { ok: false, errors: [`${dataset} must be a list.`] };
+      const before = {};
+      if (Array.isArray(stored)) stored.forEach(r => { if (r && r.id != null) before[r.id] = JSON.stringify(r); });
+      const checked = {};
+      value.forEach((r, i) => {
+        if (r && r.id != null && before[r.id] === JSON.stringify(r)) return;
+        if (r && r.id != null) checked[r.id] = true;
+        checkRecord(r, schema, `${dataset}[${r && r.id ? r.id : i}]`, errors);
+      });
+      checkUniqueIds(value, dataset, errors, stored ? checked : null);
+    } else {
+      if (!checkType(value, 'object')) return { ok: false, errors: [`${dataset} must be an object.`] };
+      const before = checkType(stored, 'object') ? stored : {};
+      Object.keys(value).forEach(k => {
+        const entry = value[k];
+        if (k in before && JSON.stringify(before[k]) === JSON.stringify(entry)) return;
+        if (schema.item) {
+          if (!Array.isArray(entry)) { errors.push(`${dataset}[${k}] must be a list.`); return; }
+          entry.forEach((r, i) => checkRecord(r, schema.item, `${dataset}[${k}][${r && r.id ? r.id : i}]`, errors));
+          checkUniqueIds(entry, `${dataset}[${k}]`, errors);
+        } else if (schema.value && !checkType(entry, schema.value)) {
+          errors.push(`${dataset}[${k}] must be a ${schema.value}.`);
+        }
+      });
+    }
+    return { ok: errors.length === 0, errors };
+  }
+
+  function normalizeVolunteer(vol) {
+    if (!vol || typeof vol !== 'object') return vol;
+    const out = Object.assign({}, vol);
+    const first = String(out.firstName || '').trim();
+    const last = String(out.lastName || '').trim();
+    const name = String(out.name || '').trim();
+    if (!name && (first || last)) out.name = `${first} ${last}`.trim();
+    if (name && !first && !last) {
+      const parts = name.split(/\s+/);
+      out.firstName = parts.shift();
+      out.lastName = parts.join(' ');
+    }
+    if (out.privilege == null) out.privilege = '';
+    return out;
+  }
+
+  function normalize(dataset, value) {
+    const schema = SCHEMAS[dataset];
+    if (!schema || !schema.normalize || !Array.isArray(value)) return value;
+    return value.map(schema.normalize);
+  }
+
+  /* -------------------------
+     Read / write
+     ------------------------- */
+
+  /** Value stored under a key, or `fallback`. Core datasets come back normalized. */
+  function read(key, fallback = null) {
+    const value = readRaw(key, fallback);
+    const dataset = datasetForKey(key);
+    return dataset && value !== fallback ? normalize(dataset, value) : value;
+  }
+
+  /**
+   * Save a value under a key. Core datasets are normalized and their new or changed records
+   * validated first (nothing is saved when validation fails) and emit their change event.
+   * Returns { ok, errors }.
+   */
+  function write(key, value) {
+    const dataset = datasetForKey(key);
+    if (!dataset) return writeRaw(key, value);
+    const data = normalize(dataset, value);
+    const check = validate(dataset, data, normalize(dataset, readRaw(key, null)));
+    if (!check.ok) {
+      console.error(`data-repository: rejected ${dataset}`, check.errors);
+      return check;
+    }
+    const res = writeRaw(key, data);
+    if (res.ok) document.dispatchEvent(new CustomEvent(SCHEMAS[dataset].event, { detail: { key } }));
+    return res;
+  }
+
+  function readDataset(dataset) {
+    const schema = SCHEMAS[dataset];
+    const value = readRaw(schema.key, null);
+    if (schema.kind === 'list') return Array.isArray(value) ? normalize(dataset, value) : [];
+    return checkType(value, 'object') ? value : {};
+  }
+
+  /* -------------------------
+     Collections
+     ------------------------- */
+  function listCollection(dataset) {
+    const key = SCHEMAS[dataset].key;
+    return {
+      list: () => readDataset(dataset),
+      save: list => write(key, list),
+      find: id => readDataset(dataset).find(r => r.id === id) || null,
+      upsert(record) {
+        const all = readDataset(dataset);
+        const idx = all.findIndex(r => r.id === record.id);
+        if (idx >= 0) all[idx] = record; else all.push(record);
+        return write(key, all);
+      },
+      remove: id => write(key, readDataset(dataset).filter(r => r.id !== id)),
+      /** Records whose `field` equals `value` (Promise); uses the IndexedDB index when there is one. */
+      findBy(field, value) {
+        const spec = RECORD_STORES[key];
+        if (!ready || backend !== 'indexeddb' || !spec || !spec.indexes[field] || kvState[key] !== 'records' || value == null) {
+          return Promise.resolve(readDataset(dataset).filter(r => r[field] === value));
+        }
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction([spec.store], 'readonly');
+          const req = tx.objectStore(spec.store).index(field).getAll(value);
+          tx.oncomplete = () => resolve(normalize(dataset, req.result.sort((a, b) => a.pos - b.pos).map(r => r.value)));
+          tx.onabort = () => reject(tx.error);
+        });
+      }
+    };
+  }
+
+  function mapCollection(dataset) {
+    const key = SCHEMAS[dataset].key;
+    return {
+      all: () => readDataset(dataset),
+      save: map => write(key, map),
+      get: id => readDataset(dataset)[id] || null,
+      set(id, value) {
+        const all = readDataset(dataset);
+        if (value == null) delete all[id]; else all[id] = value;
+        return write(key, all);
+      }
+    };
+  }
+
+  // Expose API
+  window.DataRepository = {
+    KEYS,
+    SCHEMAS,
+    read,
+    readRaw,
+    write,
+    remove,
+    whenReady,
+    backend: () => backend,
+    validate,
+    normalizeVolunteer,
+    volunteers: listCollection('volunteers'),
+    locations: listCollection('locations'),
+    bookings: listCollection('bookings'),
+    slots: mapCollection('slots'),
+    preferences: mapCollection('preferences')
+  };
+
+  boot();
+
+})();
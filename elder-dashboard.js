@@ -8,7 +8,8 @@
  * - Display attendance summary (checked-in, no-shows, cancelled, pending).
  * - Show service hours per volunteer (sum of slot durations from bookings).
  * - Show participation metrics (total shifts, shifts in last 30/90 days).
- * - List all shifts (bookings) for volunteers in the selected congregation.
+ * - List all shifts (bookings) for volunteers in the selected congregation, with each slot's shift lead
+ *   (shift-leads.js); "None" marks a slot nobody leads yet.
  * - Filter by date range and volunteer name.
  * - Printable report format (opens a print window).
  * - All data read-only; no edit/delete controls are provided.
@@ -35,13 +36,7 @@
      Utilities
      ------------------------- */
   function loadJSON(key) {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (e) {
-      console.error('elder-dashboard: load error', key, e);
-      return null;
-    }
+    return DataRepository.read(key, null);
   }
 
   function qs(sel, root = document) { return root.querySelector(sel); }
@@ -87,6 +82,7 @@
     return { start: 0, end: 0 };
   }
   function durationHoursFromBooking(b) {
+    if (b.status === 'cancelled') return 0;
     const { start, end } = slotHoursFromBooking(b);
     const dur = Number(end) - Number(start);
     return isFinite(dur) && dur > 0 ? dur : 0;
@@ -97,7 +93,8 @@
      ------------------------- */
   function getSession() { return loadJSON(LS.SESSION) || {}; }
   function getVolunteers() { return loadJSON(LS.VOLUNTEERS) || []; }
-  function getBookings() { return loadJSON(LS.BOOKINGS) || []; }
+  // unpublished drafts (admin-publishing.js) are only visible on the admin side
+  function getBookings() { return (loadJSON(LS.BOOKINGS) || []).filter(b => !b.draft); }
   function getLocations() { return loadJSON(LS.LOCATIONS) || []; }
 
   function uniqueCongregationsFromVolunteers() {
@@ -385,9 +382,9 @@
       return;
     }
 
-    // Table of shifts: Date | Time | Location | Volunteer | Status | Hours
+    // Table of shifts: Date | Time | Location | Volunteer | Shift lead | Status | Hours
     const shiftsTable = document.createElement('table');
-    shiftsTable.innerHTML = `<thead><tr><th>Date</th><th>Time</th><th>Location</th><th>Volunteer</th><th>Status</th><th>Hours</th></tr></thead>`;
+    shiftsTable.innerHTML = `<thead><tr><th>Date</th><th>Time</th><th>Location</th><th>Volunteer</th><th>Shift lead</th><th>Status</th><th>Hours</th></tr></thead>`;
     const shiftsBody = document.createElement('tbody');
 
     // map of locations to names
@@ -406,6 +403,7 @@
                         <td>${escapeHtml(bk.slotLabel || bk.slotId || '')}</td>
                         <td>${escapeHtml(loc)}</td>
                         <td>${volDisplay}</td>
+                        <td>${renderShiftLead(bk, bookings)}</td>
                         <td>${renderStatusReadOnly(bk.status)}</td>
                         <td>${hours.toFixed(2)}</td>`;
         shiftsBody.appendChild(tr);
@@ -415,6 +413,14 @@
     shiftsContainer.appendChild(shiftsTable);
   }
 
+  // lead of the booking's slot, whichever congregation they belong to (shift-leads.js)
+  function renderShiftLead(bk, bookings) {
+    if (!window.ShiftLeads || bk.status === 'cancelled') return '';
+    const lead = ShiftLeads.getLead(bk.locationId, bk.date, bk.slotId, bookings);
+    if (!lead) return `<span style="color:#b45309;">None</span>`;
+    return lead.id === bk.id ? `<strong>★ ${escapeHtml(lead.displayName || lead.username)}</strong>` : escapeHtml(lead.displayName || lead.username);
+  }
+
   function renderStatusReadOnly(status) {
     if (!status || status === 'assigned') return `<span class="small muted">Assigned</span>`;
     if (status === 'checked-in') return `<span style="color:#065f46; font-weight:700;">Checked-in</span>`;
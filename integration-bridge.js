@@ -186,6 +186,7 @@
       <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
         <button id="backup-btn" class="success">Download Backup</button>
         <button id="restore-btn" class="muted-btn">Restore Backup</button>
+        <button id="migrations-btn" class="muted-btn">Data Version</button>
         <button id="clear-all-btn" class="danger">Clear All Data</button>
       </div>
       <input type="file" id="restore-file" accept=".json" style="display: none;">
@@ -216,6 +217,8 @@
       });
     });
 
+    document.getElementById('migrations-btn')?.addEventListener('click', showMigrationReport);
+
     document.getElementById('clear-all-btn')?.addEventListener('click', () => {
       SharedUtils.Modal.open({
         title: 'Clear All Data',
@@ -239,6 +242,49 @@
     });
   }
 
+  // Dry-run report of pending upgrades (data-migrations.js) and the data saved before the last one
+  function showMigrationReport() {
+    const esc = SharedUtils.Sanitizer.escape;
+    const report = SharedUtils.Storage.migrate({ dryRun: true });
+    const backup = DataMigrations.getBackup();
+    let html = `<p>Stored data version: <strong>${esc(report.fromVersion)}</strong> — this app expects <strong>${esc(SharedUtils.version)}</strong>.</p>`;
+    if (!report.ok) {
+      html += `<p style="color: #b91c1c;">The pending upgrade cannot run: ${esc(report.error)}</p>`;
+    } else if (report.steps.length) {
+      html += '<p>Pending upgrades (nothing has been changed yet):</p><ul>' + report.steps.map(s =>
+        `<li><strong>${esc(s.version)}</strong> ${esc(s.description)}<div class="small muted">${s.changes.length ? s.changes.map(esc).join('; ') : 'No changes needed'}</div></li>`
+      ).join('') + '</ul>';
+    } else {
+      html += '<p>Your data is up to date.</p>';
+    }
+    if (backup) {
+      html += `<p class="small muted">The data changed by the upgrade from ${esc(backup.fromVersion)} to ${esc(backup.toVersion)} on ${esc(new Date(backup.createdAt).toLocaleString())} was backed up. The download can be loaded with Restore Backup (it is upgraded again on the next start).</p>`;
+    }
+    SharedUtils.Modal.open({
+      title: 'Data Version',
+      content: html,
+      showConfirm: !!backup,
+      confirmText: 'Download Pre-upgrade Data',
+      onConfirm: () => {
+        // same file format as SharedUtils.Storage.backup()
+        const file = {};
+        Object.keys(backup.data).forEach(key => {
+          if (backup.data[key] != null) file[key] = JSON.stringify(backup.data[key]);
+        });
+        // the old version travels with the data, so restoring it runs the upgrade again
+        file[SharedUtils.STORAGE_KEYS.VERSION] = JSON.stringify(backup.fromVersion);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `cvsa-pre-upgrade-${backup.fromVersion}-${backup.createdAt}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        return true;
+      }
+    });
+  }
+
   function setupMobileNavigation() {
     // Add mobile menu toggle for header
     const header = document.querySelector('header');
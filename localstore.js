@@ -7,6 +7,8 @@
  * - Initialize demo data when localStorage is empty
  * - Expose a stable API for other modules to read/write volunteers, locations, slots, assignments, session
  * - Emit events when datasets change so UI modules can re-render (cvsa:...:updated)
+ * - Reads and writes go through DataRepository (data-repository.js), which validates the core
+ *   datasets against the shared schema and emits their events
  * - Export / import / clear data utilities for backup & testing
  *
  * Usage:
@@ -125,28 +127,20 @@
   function clone(v){ return JSON.parse(JSON.stringify(v)); }
   function emit(name, detail = {}) { document.dispatchEvent(new CustomEvent(name, { detail })); }
 
-  // Read/write wrappers
+  // Read/write wrappers (data-repository.js validates the core datasets and emits their events)
   function _read(key) {
-    const raw = localStorage.getItem(key);
-    return safeParse(raw, null);
+    return DataRepository.read(key, null);
   }
   function _write(key, value) {
-    try {
-      localStorage.setItem(key, safeStringify(value));
-      return true;
-    } catch (e) {
-      console.error('CVSAStorage write error for key', key, e);
-      return false;
-    }
+    return DataRepository.write(key, value).ok;
   }
-  function _remove(key) { localStorage.removeItem(key); }
+  function _remove(key) { DataRepository.remove(key); }
 
   // Public dataset functions
   function getVolunteers() { const v = _read(LS_KEYS.VOLUNTEERS); return Array.isArray(v) ? clone(v) : []; }
   function saveVolunteers(list) {
     const arr = Array.isArray(list) ? list : [];
     _write(LS_KEYS.VOLUNTEERS, arr);
-    emit('cvsa:volunteers:updated', { count: arr.length });
     emit('cvsa:data:changed');
     return arr;
   }
@@ -155,7 +149,6 @@
   function saveLocations(list) {
     const arr = Array.isArray(list) ? list : [];
     _write(LS_KEYS.LOCATIONS, arr);
-    emit('cvsa:locations:updated', { count: arr.length });
     emit('cvsa:data:changed');
     return arr;
   }
@@ -169,7 +162,6 @@
   function saveLocationSlotsMap(map) {
     const obj = (map && typeof map === 'object') ? map : {};
     _write(LS_KEYS.SLOTS, obj);
-    emit('cvsa:schedules:updated', { locations: Object.keys(obj).length });
     emit('cvsa:data:changed');
     return obj;
   }
@@ -189,7 +181,6 @@
   function saveAssignments(list) {
     const arr = Array.isArray(list) ? list : [];
     _write(LS_KEYS.BOOKINGS, arr);
-    emit('cvsa:bookings:updated', { count: arr.length });
     emit('cvsa:data:changed');
     return arr;
   }
@@ -386,11 +377,7 @@
       }
     }
 
-    // Emit batch events
-    emit('cvsa:volunteers:updated', { count: getVolunteers().length });
-    emit('cvsa:locations:updated', { count: getLocations().length });
-    emit('cvsa:schedules:updated', { locations: Object.keys(getLocationSlotsMap()).length });
-    emit('cvsa:bookings:updated', { count: getAssignments().length });
+    // Emit batch events (dataset events were emitted by each save)
     emit('cvsa:session:updated', { session: getSession() });
     emit('cvsa:data:loaded', { imported: true });
 
@@ -497,14 +484,16 @@
   // Attach to window for global usage
   window.CVSAStorage = API;
 
-  // Auto-initialize (seed demo if empty)
+  // Auto-initialize (seed demo if empty) once the stored data has loaded
   if (typeof window !== 'undefined') {
     document.addEventListener('DOMContentLoaded', () => {
-      try {
-        init({ seedDemoIfEmpty: true });
-      } catch (e) {
-        console.error('CVSAStorage init failed', e);
-      }
+      DataRepository.whenReady(() => {
+        try {
+          init({ seedDemoIfEmpty: true });
+        } catch (e) {
+          console.error('CVSAStorage init failed', e);
+        }
+      });
     });
   }
 
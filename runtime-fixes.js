@@ -60,7 +60,7 @@
       if (!el) return;
       const rolesAttr = el.getAttribute('data-required-roles') || '';
       const allowed = rolesAttr.split(',').map(s => s.trim()).filter(Boolean);
-      const session = safeCall(() => (window.CVSAStorage && window.CVSAStorage.getSession ? window.CVSAStorage.getSession() : JSON.parse(localStorage.getItem('cvsa_session') || 'null')));
+      const session = safeCall(() => (window.CVSAStorage && window.CVSAStorage.getSession ? window.CVSAStorage.getSession() : DataRepository.read('cvsa_session', null)));
       const role = session && session.role;
       if (!role || !allowed.includes(role)) {
         ev.preventDefault();
@@ -89,7 +89,7 @@
       if (window.CVSAStorage && typeof window.CVSAStorage.clearSession === 'function') {
         window.CVSAStorage.clearSession();
       } else {
-        localStorage.removeItem('cvsa_session');
+        DataRepository.remove('cvsa_session');
       }
       // show login page
       const pages = document.querySelectorAll('.page');
@@ -234,7 +234,7 @@
   function onDataLoaded() {
     triggerRenders();
     // Enforce role-based landing
-    const session = safeCall(() => (window.CVSAStorage && window.CVSAStorage.getSession ? window.CVSAStorage.getSession() : JSON.parse(localStorage.getItem('cvsa_session') || 'null')));
+    const session = safeCall(() => (window.CVSAStorage && window.CVSAStorage.getSession ? window.CVSAStorage.getSession() : DataRepository.read('cvsa_session', null)));
     if (session && session.role) {
       showPageForRole(session.role);
       // show logout button
@@ -18,7 +18,8 @@ const SharedUtils = (function() {
   /* -------------------------
      Constants
      ------------------------- */
-  const STORAGE_VERSION = '1.0.0';
+  // latest step in data-migrations.js; raise both together
+  const STORAGE_VERSION = '1.2.0';
   const STORAGE_KEYS = {
     VERSION: 'cvsa_version',
     LOCATIONS: 'cvsa_locations',
@@ -26,7 +27,18 @@ const SharedUtils = (function() {
     BOOKINGS: 'cvsa_bookings',
     SESSION: 'cvsa_session',
     SCHEDULES: 'cvsa_location_slots',
-    PREFERENCES: 'cvsa_preferences'
+    PREFERENCES: 'cvsa_preferences',
+    SERIES: 'cvsa_series',
+    SLOT_OVERRIDES: 'cvsa_slot_overrides',
+    AVAILABILITY: 'cvsa_availability',
+    WAITLIST: 'cvsa_waitlist',
+    NOTICES: 'cvsa_notices',
+    SWAPS: 'cvsa_swaps',
+    PUBLISH_STATE: 'cvsa_publish_state',
+    SCHEDULE_VERSIONS: 'cvsa_schedule_versions',
+    CONFIRMATION_LOG: 'cvsa_confirmation_log',
+    BOOKING_POLICY: 'cvsa_booking_policy',
+    SHIFT_LIMITS: 'cvsa_shift_limits'
   };
 
   /* -------------------------
@@ -77,45 +89,31 @@ const SharedUtils = (function() {
 
   /* -------------------------
      LocalStorage with Error Handling & Versioning
+     (reads and writes go through DataRepository, data-repository.js)
      ------------------------- */
   const Storage = {
     save(key, value) {
-      try {
-        localStorage.setItem(key, JSON.stringify(value));
-        return { success: true };
-      } catch (err) {
-        ErrorHandler.error(`Storage save failed for key: ${key}`, err);
-        if (err.name === 'QuotaExceededError') {
-          Toast.error('Storage quota exceeded. Please clear some data.');
-        }
-        return { success: false, error: err };
+      const res = DataRepository.write(key, value);
+      if (!res.ok) {
+        ErrorHandler.error(`Storage save failed for key: ${key}`, res.errors);
+        Toast.error(res.errors[0] || 'Could not save data.');
+        return { success: false, error: res.errors };
       }
+      return { success: true };
     },
 
     load(key, defaultValue = null) {
-      try {
-        const raw = localStorage.getItem(key);
-        if (!raw) return defaultValue;
-        return JSON.parse(raw);
-      } catch (err) {
-        ErrorHandler.error(`Storage load failed for key: ${key}`, err);
-        return defaultValue;
-      }
+      return DataRepository.read(key, defaultValue);
     },
 
     remove(key) {
-      try {
-        localStorage.removeItem(key);
-        return { success: true };
-      } catch (err) {
-        ErrorHandler.error(`Storage remove failed for key: ${key}`, err);
-        return { success: false, error: err };
-      }
+      DataRepository.remove(key);
+      return { success: true };
     },
 
     clear() {
       try {
-        localStorage.clear();
+        Object.values(STORAGE_KEYS).forEach(key => DataRepository.remove(key));
         return { success: true };
       } catch (err) {
         ErrorHandler.error('Storage clear failed', err);
@@ -127,8 +125,8 @@ const SharedUtils = (function() {
       try {
         const backup = {};
         Object.values(STORAGE_KEYS).forEach(key => {
-          const value = localStorage.getItem(key);
-          if (value) backup[key] = value;
+          const value = DataRepository.read(key, null);
+          if (value != null) backup[key] = JSON.stringify(value);
         });
         const json = JSON.stringify(backup, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
@@ -151,9 +149,17 @@ const SharedUtils = (function() {
         reader.onload = (e) => {
           try {
             const backup = JSON.parse(e.target.result);
+            // each dataset is validated again on the way in; rejected ones keep their current data
+            const failed = [];
             Object.entries(backup).forEach(([key, value]) => {
-              localStorage.setItem(key, value);
+              if (!DataRepository.write(key, JSON.parse(value)).ok) failed.push(key);
             });
+            if (failed.length) {
+              ErrorHandler.error('Restore incomplete', failed);
+              Toast.error(`Not restored (invalid data): ${failed.join(', ')}`);
+              reject(new Error(`Not restored: ${failed.join(', ')}`));
+              return;
+            }
             Toast.success('Backup restored successfully');
             resolve();
           } catch (err) {
@@ -176,20 +182,20 @@ const SharedUtils = (function() {
       this.save(STORAGE_KEYS.VERSION, version);
     },
 
-    migrate() {
-      const currentVersion = this.getVersion();
-      if (currentVersion === STORAGE_VERSION) return;
-
-      ErrorHandler.info(`Migrating from ${currentVersion} to ${STORAGE_VERSION}`);
-
-      // Add migration logic here as schema evolves
-      // Example:
-      // if (compareVersions(currentVersion, '1.0.0') < 0) {
-      //   // Perform migration
-      // }
+    // Runs the pending steps of data-migrations.js; { dryRun: true } only reports them
+    migrate(options = {}) {
+      const report = DataMigrations.run({ targetVersion: STORAGE_VERSION, dryRun: !!options.dryRun });
+      if (report.dryRun) return report;
+      if (!report.ok) {
+        ErrorHandler.error(`Migration from ${report.fromVersion} to ${STORAGE_VERSION} failed`, report.error);
+        Toast.error('Stored data could not be upgraded; it was left unchanged.');
+        return report;
+      }
+      if (!report.steps.length) return report;
 
-      this.setVersion(STORAGE_VERSION);
-      Toast.info('Data migrated to latest version');
+      ErrorHandler.info(`Migrated from ${report.fromVersion} to ${STORAGE_VERSION}`, report.steps);
+      if (report.steps.some(s => s.changes.length)) Toast.info('Data migrated to latest version');
+      return report;
     }
   };
 
@@ -233,8 +239,11 @@ const SharedUtils = (function() {
         return null;
       }
 
+      // A modal opened from inside another replaces it; drop the old key and backdrop handlers
+      this._detachHandlers(elements.backdrop);
+
       // Store previous focus for restoration
-      this.previousFocus = document.activeElement;
+      if (!this.activeModal) this.previousFocus = document.activeElement;
 
       // Set content
       elements.title.innerHTML = Sanitizer.escape(title);
@@ -323,15 +332,7 @@ const SharedUtils = (function() {
       if (elements.cancel) elements.cancel.onclick = null;
       if (elements.close) elements.close.onclick = null;
 
-      if (this._keyHandler) {
-        document.removeEventListener('keydown', this._keyHandler);
-        this._keyHandler = null;
-      }
-
-      if (this._backdropHandler) {
-        elements.backdrop.removeEventListener('click', this._backdropHandler);
-        this._backdropHandler = null;
-      }
+      this._detachHandlers(elements.backdrop);
 
       // Restore focus
       if (this.previousFocus && this.previousFocus.focus) {
@@ -367,8 +368,20 @@ const SharedUtils = (function() {
       });
     },
 
+    _detachHandlers(backdrop) {
+      if (this._keyHandler) {
+        document.removeEventListener('keydown', this._keyHandler);
+        this._keyHandler = null;
+      }
+
+      if (this._backdropHandler) {
+        backdrop.removeEventListener('click', this._backdropHandler);
+        this._backdropHandler = null;
+      }
+    },
+
     _fallback(options) {
-      const { title, content, showConfirm, onConfirm } = options;
+      const { title, content, showConfirm, onConfirm, onClose } = options;
       const message = (title ? title + '\n\n' : '') + (typeof content === 'string' ? content.replace(/<[^>]+>/g, '') : '');
       
       if (showConfirm) {
@@ -376,6 +389,7 @@ const SharedUtils = (function() {
       } else {
         window.alert(message);
       }
+      if (onClose) onClose();
     },
 
     _trapFocus(container) {
@@ -771,13 +785,37 @@ const SharedUtils = (function() {
     return prefix + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
   }
 
+  /* -------------------------
+     Shortcuts for feature modules
+     load/save go straight to DataRepository: save returns its { ok, errors }
+     and leaves reporting to the caller (Storage.save shows a toast itself).
+     ------------------------- */
+  function load(key, fallback = null) {
+    return DataRepository.read(key, fallback);
+  }
+
+  function save(key, value) {
+    return DataRepository.write(key, value);
+  }
+
+  function openModal(options) {
+    return Modal.open(options);
+  }
+
   /* -------------------------
      Initialize
      ------------------------- */
   function init() {
     ErrorHandler.info('SharedUtils initialized', { version: STORAGE_VERSION });
     Toast.init();
-    Storage.migrate();
+    // migrations need the stored data, which IndexedDB loads asynchronously
+    DataRepository.whenReady(() => Storage.migrate());
+
+    // IndexedDB saves finish after save() has returned; their errors arrive here
+    document.addEventListener('cvsa:storage:error', (event) => {
+      ErrorHandler.error('Storage save failed', event.detail);
+      Toast.error(event.detail.message);
+    });
     
     // Global error handler
     window.addEventListener('error', (event) => {
@@ -816,6 +854,10 @@ const SharedUtils = (function() {
     Loading,
     ErrorHandler,
     uid,
+    escapeHtml: Sanitizer.escape,
+    openModal,
+    load,
+    save,
     STORAGE_KEYS
   };
 })();
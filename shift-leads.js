@@ -0,0 +1,151 @@
+/**
+ * shift-leads.js
+ * Congregation Volunteer Scheduler — Designated shift lead per slot
+ *
+ * Features:
+ * - One volunteer per location/date/slot can be marked as the shift lead (responsible for the
+ *   equipment and literature)
+ * - Only volunteers whose privilege is Elder, Ministerial Servant or Regular Pioneer can lead
+ * - Staffed slots without a lead are reported (missingLead / slotsWithoutLead)
+ *
+ * Data:
+ *  - A flag on the booking in "cvsa_bookings": lead: true (at most one active booking per slot)
+ *  - A cancelled lead booking no longer counts; moving a booking or handing it over in a swap
+ *    drops the flag, so the slot asks for a lead again
+ *
+ * Integration notes:
+ * - AdminAssignments: ★ button on each eligible volunteer in a cell, "Lead" tag, and a
+ *   "No shift lead" warning on staffed cells
+ * - VDB shows the lead on the volunteer's bookings and in the slot list; ElderDashboard and
+ *   AdminReports show it in their tables and printed reports
+ * - Lead changes are saved through DataRepository, which emits "cvsa:bookings:updated"
+ *
+ * Usage:
+ *  - Include before admin-assignments.js:
+ *      <script src="shift-leads.js"></script>
+ *
+ * Security note:
+ * - Lead flags live on the booking records; only the UI restricts who can set them.
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+
+  const LEAD_PRIVILEGES = ['Elder', 'Ministerial Servant', 'Regular Pioneer'];
+
+  const { load, save } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function isActiveBooking(b) {
+    return !!b && b.status !== 'cancelled';
+  }
+
+  function inCell(b, locationId, dateStr, slotId) {
+    return b.locationId === locationId && b.date === dateStr && b.slotId === slotId;
+  }
+
+  function volunteerForBooking(b) {
+    const vols = load(LS_VOLUNTEERS, []);
+    const u = (b.username || '').toLowerCase();
+    const name = (b.displayName || '').toLowerCase();
+    return (b.volunteerId && vols.find(v => v.id === b.volunteerId))
+      || (u && vols.find(v => (v.email || '').toLowerCase() === u))
+      || (name && vols.find(v => (v.name || '').toLowerCase() === name))
+      || null;
+  }
+
+  /* -------------------------
+     Rules
+     ------------------------- */
+  function canLead(vol) {
+    if (!vol || vol.active === false) return false;
+    const privilege = String(vol.privilege || '').trim().toLowerCase();
+    return LEAD_PRIVILEGES.some(p => p.toLowerCase() === privilege);
+  }
+
+  function canLeadBooking(b) {
+    return canLead(volunteerForBooking(b));
+  }
+
+  function isLead(b) {
+    return isActiveBooking(b) && !!b.lead;
+  }
+
+  /** The lead booking of a slot, or null. Pass `bookings` to look in a filtered list (e.g. without drafts). */
+  function getLead(locationId, dateStr, slotId, bookings) {
+    return (bookings || loadBookings()).find(b => isLead(b) && inCell(b, locationId, dateStr, slotId)) || null;
+  }
+
+  /** True when the slot has volunteers but none of them is the lead. */
+  function missingLead(locationId, dateStr, slotId, bookings) {
+    const list = (bookings || loadBookings()).filter(b => isActiveBooking(b) && !b.pendingRemoval && inCell(b, locationId, dateStr, slotId));
+    return list.length > 0 && !list.some(isLead);
+  }
+
+  /** Staffed slots without a lead: [{ locationId, locationName, date, slotId, slotLabel, count }]. */
+  function slotsWithoutLead(bookings) {
+    const cells = {};
+    (bookings || loadBookings()).filter(b => isActiveBooking(b) && !b.pendingRemoval).forEach(b => {
+      const key = [b.locationId, b.date, b.slotId].join('|');
+      const cell = cells[key] = cells[key] || { locationId: b.locationId, locationName: b.locationName, date: b.date, slotId: b.slotId, slotLabel: b.slotLabel, count: 0, hasLead: false };
+      cell.count += 1;
+      if (isLead(b)) cell.hasLead = true;
+    });
+    return Object.keys(cells).map(k => cells[k]).filter(c => !c.hasLead)
+      .map(c => ({ locationId: c.locationId, locationName: c.locationName, date: c.date, slotId: c.slotId, slotLabel: c.slotLabel, count: c.count }))
+      .sort((a, b) => (a.date || '').localeCompare(b.date || '') || (a.locationName || '').localeCompare(b.locationName || ''));
+  }
+
+  /* -------------------------
+     Actions
+     ------------------------- */
+
+  /**
+   * Make a booking the lead of its slot; any other lead in the slot is cleared.
+   * Returns { ok, error }.
+   */
+  function setLead(bookingId) {
+    const all = loadBookings();
+    const booking = all.find(b => b.id === bookingId);
+    if (!booking || !isActiveBooking(booking)) return { ok: false, error: 'Assignment not found.' };
+    if (!canLeadBooking(booking)) {
+      return { ok: false, error: `${booking.displayName || booking.username} cannot lead a shift (${LEAD_PRIVILEGES.join(', ')} only).` };
+    }
+    all.forEach(b => {
+      if (b.id !== booking.id && b.lead && inCell(b, booking.locationId, booking.date, booking.slotId)) delete b.lead;
+    });
+    booking.lead = true;
+    save(LS_BOOKINGS, all);
+    return { ok: true };
+  }
+
+  function clearLead(bookingId) {
+    const all = loadBookings();
+    const booking = all.find(b => b.id === bookingId);
+    if (!booking || !booking.lead) return;
+    delete booking.lead;
+    save(LS_BOOKINGS, all);
+  }
+
+  // Expose API
+  window.ShiftLeads = {
+    LEAD_PRIVILEGES,
+    canLead,
+    canLeadBooking,
+    isLead,
+    getLead,
+    missingLead,
+    slotsWithoutLead,
+    setLead,
+    clearLead
+  };
+
+})();
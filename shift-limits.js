@@ -0,0 +1,462 @@
+/**
+ * shift-limits.js
+ * Congregation Volunteer Scheduler — Shift limits and rest rules
+ *
+ * Features:
+ * - Rules on top of overlap detection (0 = no limit):
+ *     - maxPerDay / maxPerWeek / maxPerMonth  shifts per volunteer per day, Monday–Sunday week, calendar month
+ *     - minGapHours                          rest between the end of one shift and the start of the next
+ *     - maxConsecutiveDays                   days in a row with at least one shift
+ * - Global rules (Admin > Settings > "Shift limits") and per-volunteer rules (Admin > Volunteers >
+ *   "Limits"), e.g. "max 2 per week while training"; per-volunteer fields left blank inherit the
+ *   global value
+ * - Mode: 'warn' lets the assignment go ahead after a warning, 'block' refuses it; a volunteer can
+ *   have a different mode from the global one
+ *
+ * Data (localStorage "cvsa_shift_limits"):
+ *  { global: { maxPerDay, maxPerWeek, maxPerMonth, minGapHours, maxConsecutiveDays, mode },
+ *    volunteers: { [key]: { ...same fields, all optional, note, updatedAt } } }
+ *  - key is the volunteer id when the person is in cvsa_volunteers, else 'usr:' + username
+ *    (same keys as volunteer-availability.js)
+ *
+ * Integration notes:
+ * - AdminAssignments checks check() on drop, manual assign, bulk assign and moves
+ * - VDB checks it in the location modal and the step-by-step booking flow; blocking limits are
+ *   handled like booking-policy rules there, so admins can override them
+ * - Swap claims and approvals (shift-swaps.js) and waitlist promotion refuse blocking limits
+ * - Cancelled bookings and drafts pending removal are not counted
+ * - Dispatches "cvsa:limits:updated" after every save
+ *
+ * Usage:
+ *  - Include after volunteer-availability.js and before admin-assignments.js:
+ *      <script src="shift-limits.js"></script>
+ *
+ * Security note:
+ * - Limits are checked in the browser only; a backend has to apply them again.
+ */
+
+(function () {
+  const LS_LIMITS = 'cvsa_shift_limits';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+
+  const DEFAULT_RULES = {
+    maxPerDay: 0,
+    maxPerWeek: 0,
+    maxPerMonth: 0,
+    minGapHours: 0,
+    maxConsecutiveDays: 0,
+    mode: 'warn'
+  };
+
+  const FIELDS = [
+    { key: 'maxPerDay', label: 'Max shifts per day (0 = no limit)' },
+    { key: 'maxPerWeek', label: 'Max shifts per week (0 = no limit)' },
+    { key: 'maxPerMonth', label: 'Max shifts per month (0 = no limit)' },
+    { key: 'minGapHours', label: 'Minimum hours between shifts (0 = none)' },
+    { key: 'maxConsecutiveDays', label: 'Max consecutive days (0 = no limit)' }
+  ];
+
+  const MODES = ['warn', 'block'];
+
+  const { load, save, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadStore() {
+    const raw = load(LS_LIMITS, {}) || {};
+    return { global: raw.global || {}, volunteers: raw.volunteers || {} };
+  }
+
+  function saveStore(store) {
+    save(LS_LIMITS, store);
+    document.dispatchEvent(new CustomEvent('cvsa:limits:updated'));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function toast(kind, message) {
+    if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast[kind](message);
+  }
+
+  function formatDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function parseDateStr(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(dateStr, n) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() + n);
+    return formatDate(d);
+  }
+
+  function weekStartOf(dateStr) {
+    const d = parseDateStr(dateStr);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return formatDate(d);
+  }
+
+  function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+  }
+
+  function findVolunteer(identifier) {
+    if (!identifier) return null;
+    const v = String(identifier).toLowerCase();
+    const vols = load(LS_VOLUNTEERS, []);
+    return vols.find(x => x.id === identifier)
+      || vols.find(x => (x.email || '').toLowerCase() === v)
+      || vols.find(x => (x.name || '').toLowerCase() === v)
+      || null;
+  }
+
+  /**
+   * Map any identifier (volunteer id, email, name or session username) to a limits key.
+   */
+  function resolveKey(identifier) {
+    if (!identifier) return null;
+    const vol = findVolunteer(identifier);
+    return vol ? vol.id : 'usr:' + String(identifier).toLowerCase();
+  }
+
+  /* -------------------------
+     Rules
+     ------------------------- */
+
+  // Keep only non-negative whole numbers and known modes; anything else falls back to the inherited value
+  function cleanRules(raw) {
+    const out = {};
+    FIELDS.forEach(({ key }) => {
+      const v = raw ? raw[key] : null;
+      if (v === null || v === undefined || v === '') return;
+      const n = Number(v);
+      if (Number.isInteger(n) && n >= 0) out[key] = n;
+    });
+    if (raw && MODES.indexOf(raw.mode) !== -1) out.mode = raw.mode;
+    return out;
+  }
+
+  function getGlobalRules() {
+    return Object.assign({}, DEFAULT_RULES, cleanRules(loadStore().global));
+  }
+
+  function saveGlobalRules(rules) {
+    const store = loadStore();
+    store.global = Object.assign({}, DEFAULT_RULES, cleanRules(rules));
+    saveStore(store);
+  }
+
+  /** The volunteer's own overrides only: { ...fields set, note } (empty object when none). */
+  function getVolunteerRules(key) {
+    const rec = key ? loadStore().volunteers[key] : null;
+    if (!rec) return {};
+    const out = cleanRules(rec);
+    if (rec.note) out.note = rec.note;
+    return out;
+  }
+
+  function saveVolunteerRules(key, rules) {
+    if (!key) return;
+    const store = loadStore();
+    const clean = cleanRules(rules);
+    const note = String((rules && rules.note) || '').trim();
+    if (!Object.keys(clean).length && !note) delete store.volunteers[key];
+    else store.volunteers[key] = Object.assign(clean, { note, updatedAt: Date.now() });
+    saveStore(store);
+  }
+
+  function hasVolunteerRules(identifier) {
+    return Object.keys(getVolunteerRules(resolveKey(identifier))).length > 0;
+  }
+
+  /** Effective rules: the volunteer's overrides on top of the global rules. */
+  function getRules(identifier) {
+    const own = getVolunteerRules(resolveKey(identifier));
+    return Object.assign(getGlobalRules(), own, { note: own.note || '' });
+  }
+
+  /* -------------------------
+     Checks
+     ------------------------- */
+  function bookingBelongsTo(b, identifier, vol) {
+    if (vol) {
+      if (b.volunteerId && b.volunteerId === vol.id) return true;
+      const email = (vol.email || '').toLowerCase();
+      const name = (vol.name || '').toLowerCase();
+      if (email && (b.username || '').toLowerCase() === email) return true;
+      if (name && (b.displayName || '').toLowerCase() === name) return true;
+    }
+    const v = String(identifier).toLowerCase();
+    return (b.username || '').toLowerCase() === v || (b.displayName || '').toLowerCase() === v;
+  }
+
+  // Bookings still holding a place for this volunteer
+  function bookingsFor(identifier, ignoreBookingId) {
+    const vol = findVolunteer(identifier);
+    return load(LS_BOOKINGS, []).filter(b => b && b.date && b.id !== ignoreBookingId &&
+      b.status !== 'cancelled' && !b.pendingRemoval && bookingBelongsTo(b, identifier, vol));
+  }
+
+  // Bookings made by volunteers carry no hours, so look their slot up in the schedule
+  function hoursOf(b) {
+    if (b.startHour !== undefined && b.endHour !== undefined) return { startHour: Number(b.startHour), endHour: Number(b.endHour) };
+    if (window.AdminSchedules && typeof AdminSchedules.getSlotsForLocation === 'function') {
+      const slot = AdminSchedules.getSlotsForLocation(b.locationId, b.date).find(s => s.id === b.slotId)
+        || AdminSchedules.getSlotsForLocation(b.locationId).find(s => s.id === b.slotId);
+      if (slot) return { startHour: Number(slot.startHour), endHour: Number(slot.endHour) };
+    }
+    return null;
+  }
+
+  function rangeOf(dateStr, hours) {
+    const day = parseDateStr(dateStr).getTime();
+    return { start: day + hours.startHour * 3600000, end: day + hours.endHour * 3600000 };
+  }
+
+  /**
+   * Limits a new shift would break for this volunteer.
+   * identifier: volunteer id, email, name or username; slot: { startHour, endHour }
+   * opts.ignoreBookingId: leave this booking out (used when moving it)
+   * opts.pending: bookings of this volunteer that are not saved yet but count (e.g. a new series)
+   * Returns { ok, block, mode, note, violations: [{ rule, message }] }.
+   */
+  function check(identifier, dateStr, slot, opts = {}) {
+    const rules = getRules(identifier);
+    const result = { ok: true, block: false, mode: rules.mode, note: rules.note, violations: [] };
+    if (!identifier || !dateStr) return result;
+    const existing = bookingsFor(identifier, opts.ignoreBookingId).concat(opts.pending || []);
+    const violations = result.violations;
+
+    if (rules.maxPerDay > 0) {
+      const n = existing.filter(b => b.date === dateStr).length;
+      if (n >= rules.maxPerDay) violations.push({ rule: 'day', message: `Already ${plural(n, 'shift')} on ${dateStr} (limit ${rules.maxPerDay} per day).` });
+    }
+    if (rules.maxPerWeek > 0) {
+      const week = weekStartOf(dateStr);
+      const n = existing.filter(b => weekStartOf(b.date) === week).length;
+      if (n >= rules.maxPerWeek) violations.push({ rule: 'week', message: `Already ${plural(n, 'shift')} in the week of ${week} (limit ${rules.maxPerWeek} per week).` });
+    }
+    if (rules.maxPerMonth > 0) {
+      const month = dateStr.slice(0, 7);
+      const n = existing.filter(b => b.date.slice(0, 7) === month).length;
+      if (n >= rules.maxPerMonth) violations.push({ rule: 'month', message: `Already ${plural(n, 'shift')} in ${month} (limit ${rules.maxPerMonth} per month).` });
+    }
+
+    if (rules.minGapHours > 0 && slot) {
+      const mine = rangeOf(dateStr, { startHour: Number(slot.startHour || 0), endHour: Number(slot.endHour || 0) });
+      const minGap = rules.minGapHours * 3600000;
+      const tooClose = existing.find(b => {
+        const hours = hoursOf(b);
+        if (!hours) return false;
+        const other = rangeOf(b.date, hours);
+        // overlaps are double-bookings, which conflict detection reports
+        const gap = mine.start >= other.end ? mine.start - other.end : other.start >= mine.end ? other.start - mine.end : -1;
+        return gap >= 0 && gap < minGap;
+      });
+      if (tooClose) {
+        violations.push({ rule: 'gap', message: `Less than ${plural(rules.minGapHours, 'hour')} of rest from ${tooClose.locationName || tooClose.locationId} · ${tooClose.date} · ${tooClose.slotLabel || tooClose.slotId}.` });
+      }
+    }
+
+    if (rules.maxConsecutiveDays > 0) {
+      const days = new Set(existing.map(b => b.date));
+      days.add(dateStr);
+      let run = 1;
+      for (let d = addDays(dateStr, -1); days.has(d); d = addDays(d, -1)) run++;
+      for (let d = addDays(dateStr, 1); days.has(d); d = addDays(d, 1)) run++;
+      if (run > rules.maxConsecutiveDays) violations.push({ rule: 'consecutive', message: `This would make ${run} days in a row (limit ${rules.maxConsecutiveDays}).` });
+    }
+
+    result.ok = violations.length === 0;
+    result.block = !result.ok && rules.mode === 'block';
+    return result;
+  }
+
+  /**
+   * check() for a session user or booking owner ({ username, displayName }): demo sign-ins may
+   * only match a volunteer record by display name.
+   */
+  function checkPerson(person, dateStr, slot, opts = {}) {
+    const p = person || {};
+    const byName = p.username && p.displayName && resolveKey(p.username).indexOf('usr:') === 0 &&
+      resolveKey(p.displayName).indexOf('usr:') !== 0;
+    return check(byName ? p.displayName : p.username, dateStr, slot, opts);
+  }
+
+  /** Warning block for a dialog, or '' when nothing is broken. */
+  function violationsHtml(result) {
+    if (!result || !result.violations.length) return '';
+    const color = result.block ? '#ef4444' : '#f59e0b';
+    const bg = result.block ? '#fef2f2' : '#fffbeb';
+    return `<div class="small" style="margin-top:8px; padding:0.5rem; background:${bg}; border-left:3px solid ${color}; border-radius:4px;">
+      ${result.violations.map(v => `<div>${escapeHtml(v.message)}</div>`).join('')}
+      ${result.note ? `<div class="muted">Personal limits: ${escapeHtml(result.note)}</div>` : ''}
+    </div>`;
+  }
+
+  /* -------------------------
+     UI: shared rule inputs
+     ------------------------- */
+
+  // Number inputs for every rule plus the mode select. With `inherit`, blank means "use the global value".
+  function buildRuleInputs(container, values, inherit) {
+    const inputs = {};
+    FIELDS.forEach(({ key, label }) => {
+      const row = document.createElement('div');
+      row.className = 'form-row';
+      const lab = document.createElement('label');
+      lab.textContent = label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 1;
+      input.value = values[key] !== undefined ? values[key] : '';
+      if (inherit) input.placeholder = `Default: ${inherit[key]}`;
+      row.appendChild(lab);
+      row.appendChild(input);
+      container.appendChild(row);
+      inputs[key] = input;
+    });
+
+    const modeRow = document.createElement('div');
+    modeRow.className = 'form-row';
+    const modeLabel = document.createElement('label');
+    modeLabel.textContent = 'When a limit is reached';
+    const modeSel = document.createElement('select');
+    modeSel.innerHTML = (inherit ? `<option value="">Default (${inherit.mode === 'block' ? 'block' : 'warn'})</option>` : '') +
+      '<option value="warn">Warn, allow to proceed</option><option value="block">Block the assignment</option>';
+    modeSel.value = values.mode || (inherit ? '' : 'warn');
+    modeRow.appendChild(modeLabel);
+    modeRow.appendChild(modeSel);
+    container.appendChild(modeRow);
+    inputs.mode = modeSel;
+    return inputs;
+  }
+
+  // Read the inputs back; returns null when a number is invalid (blank allowed only when inheriting)
+  function readRuleInputs(inputs, allowBlank) {
+    const next = { mode: inputs.mode.value };
+    const bad = FIELDS.some(({ key }) => {
+      const raw = inputs[key].value;
+      if (raw === '') { next[key] = ''; return !allowBlank; }
+      const n = Number(raw);
+      next[key] = n;
+      return !Number.isInteger(n) || n < 0;
+    });
+    return bad ? null : next;
+  }
+
+  /* -------------------------
+     UI: per-volunteer editor
+     ------------------------- */
+  function openLimitsEditor(key, displayName) {
+    if (!key) return;
+    const own = getVolunteerRules(key);
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.5rem';
+    wrap.innerHTML = '<div class="small muted">Leave a field blank to use the global value (Admin &gt; Settings).</div>';
+
+    const inputs = buildRuleInputs(wrap, own, getGlobalRules());
+
+    const noteRow = document.createElement('div');
+    noteRow.className = 'form-row';
+    const noteLabel = document.createElement('label');
+    noteLabel.textContent = 'Note (e.g. "while training")';
+    const noteIn = document.createElement('input');
+    noteIn.type = 'text';
+    noteIn.value = own.note || '';
+    noteRow.appendChild(noteLabel);
+    noteRow.appendChild(noteIn);
+    wrap.appendChild(noteRow);
+
+    const errEl = document.createElement('div');
+    errEl.className = 'small';
+    errEl.style.color = '#b91c1c';
+    wrap.appendChild(errEl);
+
+    openModal({
+      title: `Shift limits${displayName ? ' — ' + displayName : ''}`,
+      content: wrap,
+      showConfirm: true,
+      confirmText: 'Save limits',
+      onConfirm: () => {
+        const next = readRuleInputs(inputs, true);
+        if (!next) { errEl.textContent = 'Please enter whole numbers of 0 or more, or leave blank.'; return false; }
+        next.note = noteIn.value;
+        saveVolunteerRules(key, next);
+        toast('success', 'Shift limits saved');
+      }
+    });
+  }
+
+  /* -------------------------
+     UI: Admin > Settings card
+     ------------------------- */
+  function setupSettingsCard() {
+    const tab = document.getElementById('tab-settings');
+    if (!tab || document.getElementById('shift-limits-settings')) return;
+
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.id = 'shift-limits-settings';
+    card.style.marginTop = '1rem';
+    card.innerHTML = '<h4 style="margin-top:0;">Shift limits</h4>' +
+      '<p class="small muted">Applies to every volunteer unless they have their own limits (Admin &gt; Volunteers &gt; Limits). Checked in Assignments and when volunteers book.</p>';
+
+    const inputs = buildRuleInputs(card, getGlobalRules(), null);
+
+    const status = document.createElement('div');
+    status.className = 'small';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'success';
+    saveBtn.textContent = 'Save shift limits';
+    saveBtn.addEventListener('click', () => {
+      const next = readRuleInputs(inputs, false);
+      if (!next) {
+        status.style.color = '#b91c1c';
+        status.textContent = 'Please enter whole numbers of 0 or more.';
+        return;
+      }
+      saveGlobalRules(next);
+      status.style.color = '';
+      status.textContent = '';
+      toast('success', 'Shift limits saved');
+    });
+    card.appendChild(saveBtn);
+    card.appendChild(status);
+    tab.appendChild(card);
+  }
+
+  function init() {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', setupSettingsCard, { once: true });
+    else setupSettingsCard();
+  }
+
+  // Expose API
+  window.ShiftLimits = {
+    init,
+    DEFAULT_RULES,
+    FIELDS,
+    resolveKey,
+    getGlobalRules,
+    saveGlobalRules,
+    getVolunteerRules,
+    saveVolunteerRules,
+    hasVolunteerRules,
+    getRules,
+    check,
+    checkPerson,
+    violationsHtml,
+    openLimitsEditor
+  };
+
+  init();
+
+})();
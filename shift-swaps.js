@@ -0,0 +1,631 @@
+/**
+ * shift-swaps.js
+ * Congregation Volunteer Scheduler — Shift swap / handover requests
+ *
+ * Features:
+ * - A volunteer offers one of their upcoming bookings (My Assignments > "Offer swap")
+ * - Other volunteers browse open offers on the Swap Board and either claim the shift (handover)
+ *   or propose a trade with one of their own upcoming bookings
+ * - Coordinators and admins approve or reject claimed offers; approval re-checks conflicts and
+ *   moves the booking(s) to the new owner(s)
+ * - Claiming and approving check both sides of a trade for overlaps, location qualifications
+ *   (volunteer-eligibility.js) and shift limits (shift-limits.js; blocking limits refuse, limits in
+ *   warn mode are shown on the Swap Board and in the approval queue)
+ * - Every approved change is appended to booking.swapHistory; notices go to both volunteers
+ *
+ * Data:
+ *  - localStorage "cvsa_swaps": [{
+ *      id, bookingId, offeredBy: { username, displayName }, note,
+ *      status: 'open' | 'pending' | 'approved' | 'rejected' | 'withdrawn',
+ *      claim: { username, displayName, tradeBookingId, at } | null,
+ *      log: [{ action, by, at }], createdAt, decidedAt, decidedBy }]
+ *  - booking.swapHistory: [{ swapId, type: 'handover'|'trade', from, to, approvedBy, at }]
+ *  - Notices are appended to "cvsa_notices" (rendered on the volunteer dashboard by waitlist.js)
+ *
+ * Integration notes:
+ * - VDB.renderMyAssignments calls ShiftSwaps.buildOfferControls for upcoming bookings.
+ * - AdminAssignments header has a "Swaps…" button (openApprovalQueue); the coordinator dashboard
+ *   gets a "Swap requests" card.
+ * - Dispatches "cvsa:swaps:updated" and "cvsa:bookings:updated".
+ *
+ * Usage:
+ *  - Include before volunteer-dashboard.js:
+ *      <script src="shift-swaps.js"></script>
+ *
+ * Security note:
+ * - Claims and approvals are checked against the session role, which the browser can edit.
+ */
+
+(function () {
+  const LS_SWAPS = 'cvsa_swaps';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_NOTICES = 'cvsa_notices';
+  const LS_SESSION = 'cvsa_session';
+
+  const APPROVER_ROLES = ['admin', 'coordinator'];
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadSwaps() { return load(LS_SWAPS, []); }
+  function saveSwaps(list) {
+    save(LS_SWAPS, list);
+    document.dispatchEvent(new CustomEvent('cvsa:swaps:updated'));
+  }
+
+  function loadBookings() { return load(LS_BOOKINGS, []); }
+  function saveBookings(list) { save(LS_BOOKINGS, list); }
+
+  function notify(username, title, message) {
+    const notices = load(LS_NOTICES, []);
+    notices.push({ id: uid('nt-'), username, title, message, createdAt: Date.now(), read: false });
+    save(LS_NOTICES, notices);
+    document.dispatchEvent(new CustomEvent('cvsa:notices:updated'));
+  }
+
+  // the bookings event comes from DataRepository when they are saved; the grid still needs a rebuild
+  function notifyBookingsChanged() {
+    if (window.AdminAssignments && typeof AdminAssignments.buildAssignmentsUI === 'function') {
+      AdminAssignments.buildAssignmentsUI();
+    }
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function currentUser() {
+    const s = load(LS_SESSION, null);
+    if (!s || !s.username) return null;
+    return { username: s.username, displayName: s.displayName || s.username, role: s.role };
+  }
+
+  function canApprove(user) {
+    return !!user && APPROVER_ROLES.indexOf(user.role) !== -1;
+  }
+
+  function toast(kind, message) {
+    if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast[kind](message);
+  }
+
+  function findSlot(b) {
+    if (window.AdminSchedules && typeof AdminSchedules.getSlotsForLocation === 'function') {
+      const s = AdminSchedules.getSlotsForLocation(b.locationId, b.date).find(x => x.id === b.slotId)
+        || AdminSchedules.getSlotsForLocation(b.locationId).find(x => x.id === b.slotId);
+      if (s) return s;
+    }
+    return { id: b.slotId, label: b.slotLabel || b.slotId, startHour: b.startHour || 0, endHour: b.endHour || 0 };
+  }
+
+  function startsAt(b) {
+    const [y, m, d] = b.date.split('-').map(Number);
+    return new Date(y, m - 1, d, Number(findSlot(b).startHour || 0), 0, 0, 0);
+  }
+
+  // cancelled bookings (kept for reliability tracking) can't be offered, traded or taken over
+  function isUpcoming(b) { return b.status !== 'cancelled' && startsAt(b) > new Date(); }
+
+  function describeBooking(b) {
+    return `${b.locationName || b.locationId} · ${b.date} · ${findSlot(b).label}`;
+  }
+
+  function ownsBooking(user, b) {
+    return !!user && !!b && b.username === user.username;
+  }
+
+  function isActive(swap) { return swap.status === 'open' || swap.status === 'pending'; }
+
+  /* -------------------------
+     Queries
+     ------------------------- */
+  function getSwaps(filter = {}) {
+    return loadSwaps().filter(s => !filter.status || s.status === filter.status);
+  }
+
+  function activeSwapForBooking(bookingId) {
+    return loadSwaps().find(s => s.bookingId === bookingId && isActive(s)) || null;
+  }
+
+  /**
+   * Checks whether `person` ({ username, displayName }) can take booking `target`, optionally
+   * giving up `tradeBooking`: slot, overlaps, location qualifications and shift limits.
+   * returns { ok: true, limits } or { ok: false, reason }; limits is a ShiftLimits result in
+   * warn mode to show before going ahead, or null
+   */
+  function checkTakeover(person, target, tradeBooking) {
+    const username = person.username;
+    const all = loadBookings();
+    if (all.some(b => b.id !== (tradeBooking && tradeBooking.id) && b.username === username && b.status !== 'cancelled'
+      && b.locationId === target.locationId && b.date === target.date && b.slotId === target.slotId)) {
+      return { ok: false, reason: 'already booked in this slot' };
+    }
+    if (window.AdminAssignments && typeof AdminAssignments.detectConflictFor === 'function') {
+      // the booking given up in a trade is skipped, so a second overlap is still found
+      const c = AdminAssignments.detectConflictFor(username, target.date, findSlot(target), tradeBooking && tradeBooking.id);
+      if (c && c.conflict && !(c.booking && c.booking.id === target.id)) {
+        return { ok: false, reason: c.existingSlot && c.existingSlot.label ? `conflict: ${c.existingSlot.label}` : 'schedule conflict' };
+      }
+    }
+    if (window.VolunteerEligibility) {
+      const elig = VolunteerEligibility.checkPerson(person, target.locationId);
+      if (!elig.eligible) return { ok: false, reason: `not qualified for ${target.locationName || target.locationId}: ${elig.reasons.map(r => r.short).join(', ')}` };
+    }
+    let limits = null;
+    if (window.ShiftLimits) {
+      limits = ShiftLimits.checkPerson(person, target.date, findSlot(target), { ignoreBookingId: tradeBooking && tradeBooking.id });
+      if (limits.block) return { ok: false, reason: `shift limit: ${limits.violations.map(v => v.message).join(' ').replace(/\.$/, '')}` };
+    }
+    return { ok: true, limits: limits && !limits.ok ? limits : null };
+  }
+
+  // Warnings (limits in warn mode) for the claimer and, on a trade, the offerer
+  function takeoverWarningsHtml(checks) {
+    return checks.filter(c => c.check.ok && c.check.limits)
+      .map(c => `<div class="small" style="margin-top:4px;">${escapeHtml(c.who)}:</div>${ShiftLimits.violationsHtml(c.check.limits)}`)
+      .join('');
+  }
+
+  /* -------------------------
+     Mutations
+     ------------------------- */
+  function updateSwap(id, mutate) {
+    const all = loadSwaps();
+    const swap = all.find(s => s.id === id);
+    if (!swap) return null;
+    mutate(swap);
+    saveSwaps(all);
+    return swap;
+  }
+
+  function offerBooking(bookingId, note = '') {
+    const user = currentUser();
+    const booking = loadBookings().find(b => b.id === bookingId);
+    if (!booking) return { ok: false, error: 'Booking not found.' };
+    if (!ownsBooking(user, booking)) return { ok: false, error: 'You can only offer your own bookings.' };
+    if (!isUpcoming(booking)) return { ok: false, error: 'This shift has already started.' };
+    if (activeSwapForBooking(bookingId)) return { ok: false, error: 'This booking is already offered.' };
+    const swap = {
+      id: uid('sw-'),
+      bookingId,
+      offeredBy: { username: user.username, displayName: user.displayName },
+      note: String(note || '').trim(),
+      status: 'open',
+      claim: null,
+      log: [{ action: 'offered', by: user.username, at: Date.now() }],
+      createdAt: Date.now()
+    };
+    const all = loadSwaps();
+    all.push(swap);
+    saveSwaps(all);
+    return { ok: true, swap };
+  }
+
+  function withdrawOffer(swapId) {
+    const user = currentUser();
+    const swap = loadSwaps().find(s => s.id === swapId);
+    if (!swap || !isActive(swap)) return { ok: false, error: 'Offer is no longer active.' };
+    if (!user || swap.offeredBy.username !== user.username) return { ok: false, error: 'Only the volunteer who made the offer can withdraw it.' };
+    updateSwap(swapId, s => { s.status = 'withdrawn'; s.log.push({ action: 'withdrawn', by: user.username, at: Date.now() }); });
+    if (swap.claim) notify(swap.claim.username, 'Swap offer withdrawn', `${swap.offeredBy.displayName} withdrew the shift you claimed.`);
+    return { ok: true };
+  }
+
+  /**
+   * Claim an open offer. tradeBookingId (optional) proposes a trade with one of the claimer's bookings.
+   */
+  function claimOffer(swapId, tradeBookingId = null) {
+    const user = currentUser();
+    const swap = loadSwaps().find(s => s.id === swapId);
+    if (!user) return { ok: false, error: 'Please sign in.' };
+    if (!swap || swap.status !== 'open') return { ok: false, error: 'This offer is no longer open.' };
+    if (swap.offeredBy.username === user.username) return { ok: false, error: 'You cannot claim your own offer.' };
+    const all = loadBookings();
+    const target = all.find(b => b.id === swap.bookingId);
+    if (!target || !isUpcoming(target)) return { ok: false, error: 'The offered shift is no longer available.' };
+    let trade = null;
+    if (tradeBookingId) {
+      trade = all.find(b => b.id === tradeBookingId);
+      if (!ownsBooking(user, trade) || !isUpcoming(trade)) return { ok: false, error: 'Pick one of your own upcoming bookings to trade.' };
+    }
+    const check = checkTakeover(user, target, trade);
+    if (!check.ok) return { ok: false, error: `You cannot take this shift (${check.reason}).` };
+    if (trade) {
+      const back = checkTakeover(swap.offeredBy, trade, target);
+      if (!back.ok) return { ok: false, error: `${swap.offeredBy.displayName} cannot take your shift (${back.reason}).` };
+    }
+
+    updateSwap(swapId, s => {
+      s.status = 'pending';
+      s.claim = { username: user.username, displayName: user.displayName, tradeBookingId: trade ? trade.id : null, at: Date.now() };
+      s.log.push({ action: trade ? 'trade-proposed' : 'claimed', by: user.username, at: Date.now() });
+    });
+    notify(swap.offeredBy.username, 'Your swap offer was claimed',
+      `${user.displayName} ${trade ? 'proposed a trade for' : 'claimed'} ${describeBooking(target)}. Waiting for coordinator approval.`);
+    return { ok: true };
+  }
+
+  function approveSwap(swapId) {
+    const approver = currentUser();
+    if (!canApprove(approver)) return { ok: false, error: 'Only coordinators and admins can approve swaps.' };
+    const swap = loadSwaps().find(s => s.id === swapId);
+    if (!swap || swap.status !== 'pending' || !swap.claim) return { ok: false, error: 'This request is not awaiting approval.' };
+
+    const all = loadBookings();
+    const target = all.find(b => b.id === swap.bookingId);
+    const trade = swap.claim.tradeBookingId ? all.find(b => b.id === swap.claim.tradeBookingId) : null;
+    if (!target || (swap.claim.tradeBookingId && !trade) || target.status === 'cancelled' || (trade && trade.status === 'cancelled')) {
+      return { ok: false, error: 'One of the bookings no longer exists.' };
+    }
+    if (target.username !== swap.offeredBy.username || (trade && trade.username !== swap.claim.username)) {
+      return { ok: false, error: 'Booking ownership changed since the request was made.' };
+    }
+    const check = checkTakeover(swap.claim, target, trade);
+    if (!check.ok) return { ok: false, error: `${swap.claim.displayName} can no longer take the shift (${check.reason}).` };
+    if (trade) {
+      const back = checkTakeover(swap.offeredBy, trade, target);
+      if (!back.ok) return { ok: false, error: `${swap.offeredBy.displayName} cannot take the traded shift (${back.reason}).` };
+    }
+
+    const at = Date.now();
+    const type = trade ? 'trade' : 'handover';
+    const from = { username: swap.offeredBy.username, displayName: swap.offeredBy.displayName };
+    const to = { username: swap.claim.username, displayName: swap.claim.displayName };
+    function reassign(b, owner, prev) {
+      b.username = owner.username;
+      b.displayName = owner.displayName;
+      delete b.volunteerId;
+      // the shift lead role is not handed over with the booking (shift-leads.js)
+      delete b.lead;
+      b.swapHistory = (b.swapHistory || []).concat({ swapId: swap.id, type, from: prev, to: owner, approvedBy: approver.username, at });
+      // the new owner asked for this shift, so no confirmation request is needed
+      if (b.confirmation) { b.confirmation = 'confirmed'; b.confirmedAt = at; }
+    }
+    reassign(target, to, from);
+    if (trade) reassign(trade, from, to);
+    saveBookings(all);
+
+    updateSwap(swapId, s => {
+      s.status = 'approved';
+      s.decidedAt = at;
+      s.decidedBy = approver.username;
+      s.log.push({ action: 'approved', by: approver.username, at });
+    });
+    notify(from.username, 'Swap approved', trade
+      ? `You now serve ${describeBooking(trade)} instead of ${describeBooking(target)}.`
+      : `${to.displayName} now serves ${describeBooking(target)}.`);
+    notify(to.username, 'Swap approved', `You are now booked for ${describeBooking(target)}.`);
+    notifyBookingsChanged();
+    return { ok: true };
+  }
+
+  /**
+   * Reject a pending claim. The offer goes back to "open" so someone else can claim it.
+   */
+  function rejectSwap(swapId, reason = '') {
+    const approver = currentUser();
+    if (!canApprove(approver)) return { ok: false, error: 'Only coordinators and admins can reject swaps.' };
+    const swap = loadSwaps().find(s => s.id === swapId);
+    if (!swap || swap.status !== 'pending') return { ok: false, error: 'This request is not awaiting approval.' };
+    const claimer = swap.claim;
+    updateSwap(swapId, s => {
+      s.status = 'open';
+      s.claim = null;
+      s.log.push({ action: 'rejected', by: approver.username, at: Date.now(), claimant: claimer.username, reason: String(reason || '') });
+    });
+    notify(claimer.username, 'Swap request declined', `Your request for ${swap.offeredBy.displayName}'s shift was declined${reason ? ': ' + reason : '.'}`);
+    return { ok: true };
+  }
+
+  /* -------------------------
+     UI: volunteer side
+     ------------------------- */
+
+  /**
+   * Controls for a booking card in My Assignments: "Offer swap" or the offer's status with "Withdraw".
+   */
+  function buildOfferControls(booking, onChange) {
+    const user = currentUser();
+    if (!ownsBooking(user, booking) || !isUpcoming(booking)) return null;
+    const wrap = document.createElement('span');
+    wrap.style.display = 'inline-flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.gap = '0.4rem';
+    const active = activeSwapForBooking(booking.id);
+    const btn = document.createElement('button');
+    btn.className = 'muted-btn';
+    if (active) {
+      const pill = document.createElement('span');
+      pill.className = 'small';
+      pill.style.cssText = 'background:#fef3c7; color:#92400e; padding:0.25rem 0.5rem; border-radius:999px;';
+      pill.textContent = active.status === 'pending'
+        ? `Swap claimed by ${active.claim.displayName} — awaiting approval`
+        : 'Offered for swap';
+      wrap.appendChild(pill);
+      btn.textContent = 'Withdraw offer';
+      btn.addEventListener('click', () => {
+        const res = withdrawOffer(active.id);
+        if (!res.ok) return openModal({ title: 'Swap', content: `<p>${escapeHtml(res.error)}</p>` });
+        toast('info', 'Swap offer withdrawn');
+        if (onChange) onChange();
+      });
+    } else {
+      btn.textContent = 'Offer swap';
+      btn.addEventListener('click', () => openOfferModal(booking, onChange));
+    }
+    wrap.appendChild(btn);
+    return wrap;
+  }
+
+  function openOfferModal(booking, onChange) {
+    const form = document.createElement('div');
+    form.innerHTML = `<p class="small">Offer <strong>${escapeHtml(describeBooking(booking))}</strong> to other volunteers.
+      They can take it over or propose a trade; a coordinator approves the change. You stay booked until then.</p>
+      <label class="small" style="display:block; margin-top:0.5rem;">Note (optional)
+        <input type="text" id="swap-note" style="width:100%;" placeholder="e.g. Travelling that weekend" /></label>`;
+    openModal({
+      title: 'Offer shift for swap',
+      content: form,
+      showConfirm: true,
+      confirmText: 'Offer shift',
+      onConfirm: () => {
+        const res = offerBooking(booking.id, form.querySelector('#swap-note').value);
+        if (!res.ok) { toast('error', res.error); return false; }
+        toast('success', 'Shift offered on the Swap Board');
+        if (onChange) setTimeout(onChange, 0);
+      }
+    });
+  }
+
+  function openSwapBoard() {
+    const user = currentUser();
+    if (!user) return openModal({ title: 'Not signed in', content: '<p>Please sign in to view the Swap Board.</p>' });
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.75rem';
+    wrap.style.maxHeight = '70vh';
+    wrap.style.overflowY = 'auto';
+
+    function render() {
+      wrap.innerHTML = '';
+      const all = loadBookings();
+      const open = getSwaps({ status: 'open' })
+        .map(s => ({ swap: s, booking: all.find(b => b.id === s.bookingId) }))
+        .filter(x => x.booking && isUpcoming(x.booking) && x.swap.offeredBy.username !== user.username)
+        .sort((a, b) => a.booking.date.localeCompare(b.booking.date));
+      const myTradeable = all.filter(b => ownsBooking(user, b) && isUpcoming(b) && !activeSwapForBooking(b.id));
+
+      const openHead = document.createElement('div');
+      openHead.style.fontWeight = '700';
+      openHead.textContent = `Open offers (${open.length})`;
+      wrap.appendChild(openHead);
+      if (!open.length) {
+        const empty = document.createElement('div');
+        empty.className = 'small muted';
+        empty.textContent = 'No shifts are offered right now.';
+        wrap.appendChild(empty);
+      }
+      open.forEach(({ swap, booking }) => {
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.padding = '0.6rem';
+        const check = checkTakeover(user, booking, null);
+        card.innerHTML = `<div style="font-weight:700;">${escapeHtml(describeBooking(booking))}</div>
+          <div class="small muted">Offered by ${escapeHtml(swap.offeredBy.displayName)}${swap.note ? ' — ' + escapeHtml(swap.note) : ''}</div>
+          ${check.ok ? '' : `<div class="small" style="color:#b91c1c;">You can't take this shift: ${escapeHtml(check.reason)}</div>`}
+          ${check.ok && check.limits ? ShiftLimits.violationsHtml(check.limits) : ''}`;
+        const actions = document.createElement('div');
+        actions.style.display = 'flex';
+        actions.style.gap = '0.4rem';
+        actions.style.marginTop = '0.4rem';
+        actions.style.flexWrap = 'wrap';
+
+        const claimBtn = document.createElement('button');
+        claimBtn.className = 'success';
+        claimBtn.textContent = 'Take this shift';
+        claimBtn.disabled = !check.ok;
+        claimBtn.addEventListener('click', () => {
+          const res = claimOffer(swap.id, null);
+          if (!res.ok) return toast('error', res.error);
+          toast('success', 'Request sent for coordinator approval');
+          render();
+        });
+        actions.appendChild(claimBtn);
+
+        if (myTradeable.length) {
+          const sel = document.createElement('select');
+          sel.innerHTML = '<option value="">Trade with one of my shifts…</option>'
+            + myTradeable.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(describeBooking(b))}</option>`).join('');
+          const tradeBtn = document.createElement('button');
+          tradeBtn.className = 'muted-btn';
+          tradeBtn.textContent = 'Propose trade';
+          tradeBtn.addEventListener('click', () => {
+            if (!sel.value) return toast('warning', 'Pick one of your shifts to trade.');
+            const res = claimOffer(swap.id, sel.value);
+            if (!res.ok) return toast('error', res.error);
+            toast('success', 'Trade proposed — waiting for coordinator approval');
+            render();
+          });
+          actions.appendChild(sel);
+          actions.appendChild(tradeBtn);
+        }
+        card.appendChild(actions);
+        wrap.appendChild(card);
+      });
+
+      // requests involving me (my offers and my claims)
+      const mine = loadSwaps()
+        .filter(s => s.offeredBy.username === user.username || (s.claim && s.claim.username === user.username))
+        .filter(s => isActive(s))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      if (mine.length) {
+        const head = document.createElement('div');
+        head.style.fontWeight = '700';
+        head.style.marginTop = '0.5rem';
+        head.textContent = 'My swap requests';
+        wrap.appendChild(head);
+        mine.forEach(s => {
+          const b = all.find(x => x.id === s.bookingId);
+          const row = document.createElement('div');
+          row.className = 'small';
+          const role = s.offeredBy.username === user.username ? 'Offered' : 'Claimed';
+          const state = s.status === 'pending' ? 'awaiting approval' : 'open';
+          row.textContent = `${role}: ${b ? describeBooking(b) : s.bookingId} — ${state}`;
+          wrap.appendChild(row);
+        });
+      }
+    }
+
+    render();
+    openModal({ title: '🔁 Swap Board', content: wrap, showConfirm: false });
+  }
+
+  /* -------------------------
+     UI: approval queue (coordinator / admin)
+     ------------------------- */
+  function renderApprovalList(container, onChange) {
+    container.innerHTML = '';
+    const all = loadBookings();
+    const pending = getSwaps({ status: 'pending' }).sort((a, b) => a.claim.at - b.claim.at);
+    if (!pending.length) {
+      container.innerHTML = '<div class="small muted">No swap requests are waiting for approval.</div>';
+    }
+    pending.forEach(s => {
+      const target = all.find(b => b.id === s.bookingId);
+      const trade = s.claim.tradeBookingId ? all.find(b => b.id === s.claim.tradeBookingId) : null;
+      const checks = target ? [{ who: s.claim.displayName, check: checkTakeover(s.claim, target, trade) }] : [];
+      if (target && trade) checks.push({ who: s.offeredBy.displayName, check: checkTakeover(s.offeredBy, trade, target) });
+      const blocked = checks.filter(c => !c.check.ok);
+      const card = document.createElement('div');
+      card.className = 'card';
+      card.style.padding = '0.6rem';
+      card.style.marginBottom = '0.5rem';
+      card.innerHTML = `<div style="font-weight:700;">${trade ? 'Trade' : 'Handover'}: ${escapeHtml(s.offeredBy.displayName)} → ${escapeHtml(s.claim.displayName)}</div>
+        <div class="small">${escapeHtml(target ? describeBooking(target) : 'Booking removed')}</div>
+        ${trade ? `<div class="small">in exchange for ${escapeHtml(describeBooking(trade))}</div>` : ''}
+        ${s.note ? `<div class="small muted">Note: ${escapeHtml(s.note)}</div>` : ''}
+        <div class="small muted">Requested ${new Date(s.claim.at).toLocaleString()}</div>
+        ${blocked.map(c => `<div class="small" style="color:#b91c1c;">${escapeHtml(c.who)} can't take the shift: ${escapeHtml(c.check.reason)}</div>`).join('')}
+        ${takeoverWarningsHtml(checks)}`;
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = '0.4rem';
+      actions.style.marginTop = '0.4rem';
+      const approve = document.createElement('button');
+      approve.className = 'success';
+      approve.textContent = 'Approve';
+      approve.disabled = blocked.length > 0;
+      approve.addEventListener('click', () => {
+        const res = approveSwap(s.id);
+        if (!res.ok) return toast('error', res.error);
+        toast('success', 'Swap approved');
+        renderApprovalList(container, onChange);
+        if (onChange) onChange();
+      });
+      const reject = document.createElement('button');
+      reject.className = 'danger';
+      reject.textContent = 'Reject';
+      reject.addEventListener('click', () => {
+        const reason = window.prompt('Reason for rejecting (optional):', '') || '';
+        const res = rejectSwap(s.id, reason);
+        if (!res.ok) return toast('error', res.error);
+        toast('info', 'Swap rejected — the offer is open again');
+        renderApprovalList(container, onChange);
+        if (onChange) onChange();
+      });
+      actions.appendChild(approve);
+      actions.appendChild(reject);
+      card.appendChild(actions);
+      container.appendChild(card);
+    });
+
+    const history = getSwaps({ status: 'approved' }).sort((a, b) => b.decidedAt - a.decidedAt).slice(0, 10);
+    if (history.length) {
+      const head = document.createElement('div');
+      head.style.fontWeight = '700';
+      head.style.marginTop = '0.75rem';
+      head.textContent = 'Recently approved';
+      container.appendChild(head);
+      history.forEach(s => {
+        const row = document.createElement('div');
+        row.className = 'small muted';
+        row.textContent = `${new Date(s.decidedAt).toLocaleDateString()} — ${s.offeredBy.displayName} → ${s.claim.displayName}${s.claim.tradeBookingId ? ' (trade)' : ''}, approved by ${s.decidedBy}`;
+        container.appendChild(row);
+      });
+    }
+  }
+
+  function openApprovalQueue() {
+    const wrap = document.createElement('div');
+    wrap.style.maxHeight = '70vh';
+    wrap.style.overflowY = 'auto';
+    renderApprovalList(wrap);
+    openModal({ title: 'Swap requests', content: wrap, showConfirm: false });
+  }
+
+  function pendingCount() {
+    return getSwaps({ status: 'pending' }).length;
+  }
+
+  /* -------------------------
+     Dashboard entry points
+     ------------------------- */
+  function setupVolunteerButton() {
+    const volDashboard = document.getElementById('volunteer-dashboard');
+    if (!volDashboard || document.getElementById('open-swap-board')) return;
+    const firstCard = volDashboard.querySelector('.card');
+    if (!firstCard) return;
+    const btn = document.createElement('button');
+    btn.id = 'open-swap-board';
+    btn.className = 'muted-btn';
+    btn.textContent = '🔁 Swap Board';
+    btn.style.cssText = 'margin-top: 1rem; margin-left: 0.5rem;';
+    btn.addEventListener('click', openSwapBoard);
+    firstCard.appendChild(btn);
+  }
+
+  // The coordinator page is generated by auth.js on sign-in, so watch for it to appear
+  function setupCoordinatorPanel() {
+    const page = document.getElementById('coordinator-dashboard');
+    if (!page || document.getElementById('coordinator-swap-queue')) return;
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.id = 'coordinator-swap-queue';
+    card.innerHTML = '<h3 style="margin-top:0;">Swap requests</h3>';
+    const list = document.createElement('div');
+    card.appendChild(list);
+    page.appendChild(card);
+    renderApprovalList(list);
+    document.addEventListener('cvsa:swaps:updated', () => renderApprovalList(list));
+  }
+
+  function init() {
+    function start() {
+      setupVolunteerButton();
+      setupCoordinatorPanel();
+      const main = document.querySelector('main') || document.body;
+      if (window.MutationObserver) new MutationObserver(setupCoordinatorPanel).observe(main, { childList: true });
+    }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else start();
+  }
+
+  // Expose API
+  window.ShiftSwaps = {
+    init,
+    getSwaps,
+    activeSwapForBooking,
+    offerBooking,
+    withdrawOffer,
+    claimOffer,
+    approveSwap,
+    rejectSwap,
+    pendingCount,
+    buildOfferControls,
+    openSwapBoard,
+    openApprovalQueue
+  };
+
+  init();
+
+})();
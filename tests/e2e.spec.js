@@ -123,4 +123,274 @@ test.describe('CVSA demo smoke tests', () => {
     expect(visibleVolunteer).not.toBeNull();
   });
 
+  // ---- data repository ----
+
+  // DataRepository opens IndexedDB asynchronously; reads are complete once it is ready
+  async function repositoryReady(page) {
+    await page.evaluate(() => new Promise(resolve => DataRepository.whenReady(resolve)));
+  }
+
+  test('repository moves localStorage data into IndexedDB and keeps writes across reloads', async ({ page }) => {
+    await page.goto(base);
+    await repositoryReady(page);
+    // start again from data saved by an older version: localStorage only, no database
+    await page.evaluate(() => new Promise(resolve => {
+      localStorage.clear();
+      localStorage.setItem('cvsa_bookings', JSON.stringify([
+        { id: 'bk-e2e-legacy', username: 'volunteer', displayName: 'Volunteer', locationId: 'taytay-market', date: '2030-01-07', slotId: '6-8am', status: 'assigned' }
+      ]));
+      const req = indexedDB.deleteDatabase('cvsa_scheduler');
+      req.onsuccess = req.onerror = req.onblocked = () => resolve();
+    }));
+    await page.reload();
+    await repositoryReady(page);
+
+    const loaded = await page.evaluate(() => ({
+      backend: DataRepository.backend(),
+      ids: DataRepository.bookings.list().map(b => b.id)
+    }));
+    expect(loaded.backend).toBe('indexeddb');
+    expect(loaded.ids).toContain('bk-e2e-legacy');
+    // the localStorage copy is dropped once IndexedDB has saved it
+    await expect.poll(() => page.evaluate(() => localStorage.getItem('cvsa_bookings'))).toBeNull();
+
+    const res = await page.evaluate(() => DataRepository.bookings.upsert(
+      { id: 'bk-e2e-new', username: 'volunteer', displayName: 'Volunteer', locationId: 'taytay-market', date: '2030-01-08', slotId: '8-10am', status: 'assigned' }
+    ));
+    expect(res.ok).toBe(true);
+    await page.waitForTimeout(300);
+    await page.reload();
+    await repositoryReady(page);
+
+    const ids = await page.evaluate(() => DataRepository.bookings.list().map(b => b.id));
+    expect(ids).toEqual(expect.arrayContaining(['bk-e2e-legacy', 'bk-e2e-new']));
+    const onDate = await page.evaluate(() => DataRepository.bookings.findBy('date', '2030-01-08').then(list => list.map(b => b.id)));
+    expect(onDate).toEqual(['bk-e2e-new']);
+  });
+
+  test('repository rejects invalid records and keeps the stored data', async ({ page }) => {
+    await page.goto(base);
+    await repositoryReady(page);
+    const result = await page.evaluate(() => {
+      const before = DataRepository.bookings.list().length;
+      const noSlot = DataRepository.bookings.upsert({ id: 'bk-e2e-bad', locationId: 'taytay-market', date: '2030-01-07' });
+      const badDate = DataRepository.bookings.upsert({ id: 'bk-e2e-bad', locationId: 'taytay-market', date: '07/01/2030', slotId: '6-8am' });
+      return { noSlot, badDate, before, after: DataRepository.bookings.list().length };
+    });
+    expect(result.noSlot.ok).toBe(false);
+    expect(result.noSlot.errors.join(' ')).toContain('slotId');
+    expect(result.badDate.ok).toBe(false);
+    expect(result.badDate.errors.join(' ')).toContain('date');
+    expect(result.after).toBe(result.before);
+  });
+
+  // ---- schema migrations ----
+
+  test('data migrations report a dry run, then upgrade with a backup', async ({ page }) => {
+    await page.goto(base);
+    await repositoryReady(page);
+    const report = await page.evaluate(() => {
+      DataRepository.bookings.upsert({ id: 'bk-e2e-old', username: 'volunteer', displayName: 'Volunteer', locationId: 'taytay-market', date: '2030-01-07', slotId: '6-8am' });
+      DataRepository.write('cvsa_version', '1.0.0');
+      const dry = DataMigrations.run({ dryRun: true });
+      const statusAfterDryRun = DataRepository.bookings.find('bk-e2e-old').status || null;
+      const applied = DataMigrations.run();
+      return {
+        dry,
+        statusAfterDryRun,
+        applied,
+        status: DataRepository.bookings.find('bk-e2e-old').status,
+        version: DataMigrations.getVersion(),
+        backup: DataMigrations.getBackup()
+      };
+    });
+    expect(report.dry.ok).toBe(true);
+    expect(report.dry.steps.map(s => s.version)).toEqual(['1.1.0', '1.2.0']);
+    expect(report.statusAfterDryRun).toBeNull();
+    expect(report.applied.ok).toBe(true);
+    expect(report.status).toBe('assigned');
+    expect(report.version).toBe('1.2.0');
+    expect(report.backup.fromVersion).toBe('1.0.0');
+  });
+
+  // ---- booking rules ----
+
+  async function login(page, role) {
+    await page.fill('#username', role);
+    await page.fill('#password', role);
+    await page.selectOption('#role', role);
+    await page.click('#login-form button[type="submit"]');
+  }
+
+  function dateFromToday(days) {
+    const d = new Date();
+    d.setDate(d.getDate() + days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  async function openLocation(page, locationId, dateStr) {
+    await page.click(`#location-cards .view-location[data-location-id="${locationId}"]`);
+    await page.waitForSelector('#modal-backdrop[aria-hidden="false"]');
+    await page.fill('#modal-body input[type="date"]', dateStr);
+    await page.dispatchEvent('#modal-body input[type="date"]', 'change');
+  }
+
+  test('booking policy: weekly limit blocks another booking', async ({ page }) => {
+    const tomorrow = dateFromToday(1);
+    await page.goto(base);
+    await repositoryReady(page);
+    await page.evaluate((dateStr) => {
+      const loc = DataRepository.locations.find('taytay-market');
+      DataRepository.locations.upsert(Object.assign({}, loc, { bookingPolicy: { maxBookingsPerWeek: 1 } }));
+      DataRepository.bookings.upsert({ id: 'bk-e2e-week', username: 'volunteer', displayName: 'Volunteer', locationId: 'angono-plaza', date: dateStr, slotId: '6-8am', status: 'assigned' });
+    }, tomorrow);
+    await login(page, 'volunteer');
+    await page.waitForSelector('#volunteer-dashboard');
+    await openLocation(page, 'taytay-market', tomorrow);
+    await expect(page.locator('#modal-body')).toContainText('limit 1');
+    await expect(page.locator('#modal-body .timeslot .success').first()).toBeDisabled();
+  });
+
+  test('eligibility: a location requiring S-73 cannot be booked without it', async ({ page }) => {
+    await page.goto(base);
+    await repositoryReady(page);
+    await page.evaluate(() => {
+      const loc = DataRepository.locations.find('taytay-market');
+      DataRepository.locations.upsert(Object.assign({}, loc, { requiresS73: true }));
+      DataRepository.volunteers.upsert({ id: 'vol-e2e', name: 'E2E Volunteer', email: 'volunteer', approvedS73: false, active: true });
+    });
+    await login(page, 'volunteer');
+    await page.waitForSelector('#volunteer-dashboard');
+    await expect(page.locator('#location-cards .location-card[data-location-id="taytay-market"]')).toContainText("You can't book here yet");
+    await openLocation(page, 'taytay-market', dateFromToday(1));
+    await expect(page.locator('#modal-body .timeslot .success').first()).toBeDisabled();
+  });
+
+  test('approval: a booking at an approval location waits for the coordinator', async ({ page }) => {
+    const tomorrow = dateFromToday(1);
+    await page.goto(base);
+    await repositoryReady(page);
+    await page.evaluate(() => {
+      const loc = DataRepository.locations.find('taytay-market');
+      DataRepository.locations.upsert(Object.assign({}, loc, { requiresApproval: true }));
+    });
+    await login(page, 'volunteer');
+    await page.waitForSelector('#volunteer-dashboard');
+    await openLocation(page, 'taytay-market', tomorrow);
+    await page.click('#modal-body .timeslot .success:not([disabled])');
+    await page.click('#modal-confirm');
+    const booking = await page.evaluate((dateStr) => DataRepository.bookings.list()
+      .find(b => b.username === 'volunteer' && b.locationId === 'taytay-market' && b.date === dateStr), tomorrow);
+    expect(booking).toBeTruthy();
+    expect(booking.approval).toBe('pending');
+  });
+
+  // ---- scheduling workflows ----
+
+  test('waitlist: the first volunteer in the queue is booked when a place opens', async ({ page }) => {
+    const day = dateFromToday(3);
+    await page.goto(base);
+    await repositoryReady(page);
+    const result = await page.evaluate((dateStr) => {
+      const loc = DataRepository.locations.find('pritil-exit');
+      DataRepository.locations.upsert(Object.assign({}, loc, { slotCapacity: 1 }));
+      DataRepository.bookings.upsert({ id: 'bk-e2e-full', username: 'helper', displayName: 'Helper', locationId: 'pritil-exit', locationName: 'Pritil Exit', date: dateStr, slotId: '6-8am', startHour: 6, endHour: 8, status: 'assigned' });
+      const joined = Waitlist.join({ username: 'volunteer', displayName: 'Volunteer Demo' }, 'pritil-exit', dateStr, '6-8am');
+      AdminAssignments.removeAssignmentById('bk-e2e-full');
+      const booking = DataRepository.bookings.list().find(b => b.username === 'volunteer' && b.locationId === 'pritil-exit' && b.date === dateStr);
+      return {
+        joined: joined.ok,
+        position: joined.position,
+        source: booking ? booking.source : null,
+        queue: Waitlist.getQueue('pritil-exit', dateStr, '6-8am').length,
+        notices: Waitlist.getUnreadNotices('volunteer').map(n => n.title)
+      };
+    }, day);
+    expect(result.joined).toBe(true);
+    expect(result.position).toBe(1);
+    expect(result.source).toBe('waitlist');
+    expect(result.queue).toBe(0);
+    expect(result.notices).toContain('You have been booked from the waitlist');
+  });
+
+  test('swaps: a trade goes through only after coordinator approval', async ({ page }) => {
+    const day = dateFromToday(3);
+    await page.goto(base);
+    await repositoryReady(page);
+    const result = await page.evaluate((dateStr) => {
+      const actAs = (username, role) => DataRepository.write('cvsa_session', { username, displayName: username, role, token: 'e2e', expiry: Date.now() + 3600000 });
+      DataRepository.bookings.upsert({ id: 'bk-e2e-mine', username: 'volunteer', displayName: 'Volunteer Demo', locationId: 'taytay-market', date: dateStr, slotId: '6-8am', startHour: 6, endHour: 8, status: 'assigned' });
+      DataRepository.bookings.upsert({ id: 'bk-e2e-theirs', username: 'helper', displayName: 'Helper', locationId: 'angono-plaza', date: dateStr, slotId: '10-12pm', startHour: 10, endHour: 12, status: 'assigned' });
+      actAs('volunteer', 'volunteer');
+      const offer = ShiftSwaps.offerBooking('bk-e2e-mine');
+      actAs('helper', 'volunteer');
+      const claim = ShiftSwaps.claimOffer(offer.swap.id, 'bk-e2e-theirs');
+      const byVolunteer = ShiftSwaps.approveSwap(offer.swap.id);
+      actAs('coordinator', 'coordinator');
+      const approved = ShiftSwaps.approveSwap(offer.swap.id);
+      const owner = id => DataRepository.bookings.find(id).username;
+      return { offer: offer.ok, claim: claim.ok, byVolunteer: byVolunteer.ok, approved: approved.ok, mine: owner('bk-e2e-mine'), theirs: owner('bk-e2e-theirs') };
+    }, day);
+    expect(result.offer).toBe(true);
+    expect(result.claim).toBe(true);
+    expect(result.byVolunteer).toBe(false);
+    expect(result.approved).toBe(true);
+    expect(result.mine).toBe('helper');
+    expect(result.theirs).toBe('volunteer');
+  });
+
+  test('draft mode: volunteers see names only after the schedule is published', async ({ page }) => {
+    const day = dateFromToday(3);
+    await page.goto(base);
+    await repositoryReady(page);
+    const pending = await page.evaluate((dateStr) => {
+      AdminPublishing.setDraftMode(true);
+      const loc = DataRepository.locations.find('taytay-market');
+      AdminAssignments.addAssignment(AdminAssignments.makeBooking({ id: 'vol-e2e-draft', name: 'Dana Draft', email: 'dana' }, loc,
+        { id: '8-10am', label: '8:00 AM - 10:00 AM', startHour: 8, endHour: 10 }, dateStr));
+      return AdminPublishing.pendingCount();
+    }, day);
+    expect(pending).toBe(1);
+    await login(page, 'volunteer');
+    await page.waitForSelector('#volunteer-dashboard');
+    await openLocation(page, 'taytay-market', day);
+    await expect(page.locator('#modal-body')).toContainText('1 place reserved');
+    await expect(page.locator('#modal-body')).not.toContainText('Dana Draft');
+    await page.click('#modal-cancel');
+
+    const left = await page.evaluate(() => {
+      AdminPublishing.publish();
+      return AdminPublishing.pendingCount();
+    });
+    expect(left).toBe(0);
+    await openLocation(page, 'taytay-market', day);
+    await expect(page.locator('#modal-body')).toContainText('Dana Draft');
+  });
+
+  test('history: rollback restores a version but keeps later cancellations', async ({ page }) => {
+    const day = dateFromToday(3);
+    await page.goto(base);
+    await repositoryReady(page);
+    const result = await page.evaluate((dateStr) => {
+      const base = { username: 'volunteer', displayName: 'Volunteer Demo', locationId: 'taytay-market', date: dateStr, startHour: 6, endHour: 8, status: 'assigned' };
+      DataRepository.bookings.upsert(Object.assign({ id: 'bk-e2e-kept', slotId: '6-8am' }, base));
+      const version = AdminHistory.snapshot('manual', 'Before the e2e changes');
+      DataRepository.bookings.upsert(Object.assign({ id: 'bk-e2e-added', slotId: '8-10am' }, base, { startHour: 8, endHour: 10 }));
+      // cancelled after the version was taken: the rollback must not bring it back
+      DataRepository.bookings.upsert(Object.assign({ id: 'bk-e2e-kept', slotId: '6-8am' }, base, { status: 'cancelled', cancelledAt: Date.now() }));
+      const res = AdminHistory.rollback(version.id);
+      const versions = AdminHistory.getVersions();
+      return {
+        ok: res.ok,
+        added: !!DataRepository.bookings.find('bk-e2e-added'),
+        keptStatus: DataRepository.bookings.find('bk-e2e-kept').status,
+        latest: versions[versions.length - 1].label
+      };
+    }, day);
+    expect(result.ok).toBe(true);
+    expect(result.added).toBe(false);
+    expect(result.keptStatus).toBe('cancelled');
+    expect(result.latest).toMatch(/^Rolled back to v\d+$/);
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * volunteer-availability.js
+ * Congregation Volunteer Scheduler — Structured volunteer availability
+ *
+ * Features:
+ * - Weekly availability windows (e.g. Tue 6:00-12:00, Sat 6:00-20:00)
+ * - Dated unavailability periods (travel, illness) with an optional reason
+ * - Editor modal used from the volunteer dashboard ("My availability") and Admin > Volunteers
+ * - checkAvailability(identifier, date, slot) for the assignment grid and conflict detection
+ *
+ * Data (localStorage "cvsa_availability"):
+ *  { [key]: { weekly: [{ day: 0-6, startHour, endHour }], unavailable: [{ id, from, to, reason }], updatedAt } }
+ *  - key is the volunteer id when the person is in cvsa_volunteers, else 'usr:' + username
+ *    (demo sign-ins that are not linked to a volunteer record).
+ *  - An empty weekly list means "available any time"; dated periods always apply.
+ *
+ * Integration notes:
+ * - AdminAssignments.detectConflictFor treats "unavailable" as a clash.
+ * - Dispatches "cvsa:availability:updated" after every save.
+ *
+ * Usage:
+ *  - Include after admin-volunteers.js:
+ *      <script src="volunteer-availability.js"></script>
+ */
+
+(function () {
+  const LS_AVAILABILITY = 'cvsa_availability';
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_SESSION = 'cvsa_session';
+
+  const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const { load, save, uid, escapeHtml, openModal } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function emptyRecord() { return { weekly: [], unavailable: [] }; }
+
+  function getAvailability(key) {
+    const all = load(LS_AVAILABILITY, {});
+    const rec = all[key];
+    if (!rec) return emptyRecord();
+    return { weekly: Array.isArray(rec.weekly) ? rec.weekly : [], unavailable: Array.isArray(rec.unavailable) ? rec.unavailable : [], updatedAt: rec.updatedAt };
+  }
+
+  function saveAvailability(key, record) {
+    if (!key) return;
+    const all = load(LS_AVAILABILITY, {});
+    all[key] = {
+      weekly: (record.weekly || []).map(w => ({ day: Number(w.day), startHour: Number(w.startHour), endHour: Number(w.endHour) }))
+        .sort((a, b) => a.day - b.day || a.startHour - b.startHour),
+      unavailable: (record.unavailable || []).map(u => ({ id: u.id || uid('un-'), from: u.from, to: u.to || u.from, reason: u.reason || '' }))
+        .sort((a, b) => a.from.localeCompare(b.from)),
+      updatedAt: Date.now()
+    };
+    save(LS_AVAILABILITY, all);
+    document.dispatchEvent(new CustomEvent('cvsa:availability:updated', { detail: { key } }));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function weekdayOf(dateStr) {
+    const [y, m, d] = String(dateStr).split('-').map(Number);
+    return new Date(y, m - 1, d).getDay();
+  }
+
+  function formatHour(h) {
+    const n = Number(h);
+    const suffix = n >= 12 && n < 24 ? 'PM' : 'AM';
+    const hr = n % 12 === 0 ? 12 : n % 12;
+    return `${hr}:00 ${suffix}`;
+  }
+
+  /**
+   * Map any identifier (volunteer id, email, name or session username) to an availability key.
+   */
+  function resolveKey(identifier) {
+    if (!identifier) return null;
+    const v = String(identifier).toLowerCase();
+    const vols = load(LS_VOLUNTEERS, []);
+    const vol = vols.find(x => x.id === identifier)
+      || vols.find(x => (x.email || '').toLowerCase() === v)
+      || vols.find(x => (x.name || '').toLowerCase() === v);
+    return vol ? vol.id : 'usr:' + v;
+  }
+
+  function sessionKey() {
+    const session = load(LS_SESSION, null);
+    if (!session || !session.username) return null;
+    const byUser = resolveKey(session.username);
+    if (byUser && byUser.indexOf('usr:') !== 0) return byUser;
+    const byName = session.displayName ? resolveKey(session.displayName) : null;
+    return byName && byName.indexOf('usr:') !== 0 ? byName : byUser;
+  }
+
+  /* -------------------------
+     Availability checks
+     ------------------------- */
+  function unavailablePeriodOn(key, dateStr) {
+    return getAvailability(key).unavailable.find(u => dateStr >= u.from && dateStr <= (u.to || u.from)) || null;
+  }
+
+  /**
+   * returns { available: true } or { available: false, reason: 'unavailable'|'outside-window', detail }
+   */
+  function checkAvailability(identifier, dateStr, slot) {
+    const key = resolveKey(identifier);
+    if (!key) return { available: true };
+    const period = unavailablePeriodOn(key, dateStr);
+    if (period) {
+      return { available: false, reason: 'unavailable', detail: period.reason ? `Unavailable — ${period.reason}` : 'Unavailable on this date' };
+    }
+    const rec = getAvailability(key);
+    if (!rec.weekly.length || !slot) return { available: true };
+    const day = weekdayOf(dateStr);
+    const start = Number(slot.startHour || 0);
+    const end = Number(slot.endHour || 0);
+    const fits = rec.weekly.some(w => w.day === day && w.startHour <= start && w.endHour >= end);
+    return fits ? { available: true } : { available: false, reason: 'outside-window', detail: `Not available ${DAY_LABELS[day]} ${formatHour(start)}–${formatHour(end)}` };
+  }
+
+  function describeWeekly(weekly) {
+    if (!weekly || !weekly.length) return 'Any time';
+    return weekly.map(w => `${DAY_LABELS[w.day]} ${formatHour(w.startHour)}–${formatHour(w.endHour)}`).join(', ');
+  }
+
+  /* -------------------------
+     UI: editor
+     ------------------------- */
+  function openAvailabilityEditor(key, displayName) {
+    if (!key) return openModal({ title: 'Not signed in', content: '<p>Please sign in to manage your availability.</p>' });
+    const draft = getAvailability(key);
+
+    const wrap = document.createElement('div');
+    wrap.style.display = 'grid';
+    wrap.style.gap = '0.75rem';
+
+    // Weekly windows
+    const weeklySection = document.createElement('div');
+    weeklySection.innerHTML = `<div style="font-weight:700;">Weekly availability</div>
+      <div class="small muted">Leave empty if available any time. A shift must fit inside one window.</div>`;
+    const weeklyList = document.createElement('div');
+    weeklyList.style.display = 'grid';
+    weeklyList.style.gap = '0.3rem';
+    weeklyList.style.marginTop = '0.4rem';
+    weeklySection.appendChild(weeklyList);
+
+    const weeklyAdd = document.createElement('div');
+    weeklyAdd.style.display = 'flex';
+    weeklyAdd.style.gap = '0.4rem';
+    weeklyAdd.style.alignItems = 'center';
+    weeklyAdd.style.marginTop = '0.4rem';
+    const daySel = document.createElement('select');
+    daySel.innerHTML = DAY_LABELS.map((d, i) => `<option value="${i}">${d}</option>`).join('');
+    const startIn = document.createElement('input'); startIn.type = 'number'; startIn.min = 0; startIn.max = 23; startIn.placeholder = 'from (0-23)';
+    const endIn = document.createElement('input'); endIn.type = 'number'; endIn.min = 1; endIn.max = 24; endIn.placeholder = 'to (1-24)';
+    const addWeekly = document.createElement('button'); addWeekly.type = 'button'; addWeekly.className = 'muted-btn'; addWeekly.textContent = 'Add window';
+    [daySel, startIn, endIn, addWeekly].forEach(el => weeklyAdd.appendChild(el));
+    weeklySection.appendChild(weeklyAdd);
+    wrap.appendChild(weeklySection);
+
+    // Dated unavailability
+    const datedSection = document.createElement('div');
+    datedSection.innerHTML = `<div style="font-weight:700;">Unavailable dates</div>
+      <div class="small muted">Travel, illness or other dates you cannot serve.</div>`;
+    const datedList = document.createElement('div');
+    datedList.style.display = 'grid';
+    datedList.style.gap = '0.3rem';
+    datedList.style.marginTop = '0.4rem';
+    datedSection.appendChild(datedList);
+
+    const datedAdd = document.createElement('div');
+    datedAdd.style.display = 'flex';
+    datedAdd.style.gap = '0.4rem';
+    datedAdd.style.alignItems = 'center';
+    datedAdd.style.marginTop = '0.4rem';
+    const fromIn = document.createElement('input'); fromIn.type = 'date';
+    const toIn = document.createElement('input'); toIn.type = 'date';
+    const reasonIn = document.createElement('input'); reasonIn.type = 'text'; reasonIn.placeholder = 'Reason (optional)'; reasonIn.style.flex = '1';
+    const addDated = document.createElement('button'); addDated.type = 'button'; addDated.className = 'muted-btn'; addDated.textContent = 'Add';
+    [fromIn, toIn, reasonIn, addDated].forEach(el => datedAdd.appendChild(el));
+    datedSection.appendChild(datedAdd);
+    wrap.appendChild(datedSection);
+
+    const errEl = document.createElement('div');
+    errEl.className = 'small';
+    errEl.style.color = '#b91c1c';
+    wrap.appendChild(errEl);
+
+    function rowWithRemove(html, onRemove) {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '0.5rem';
+      row.style.padding = '0.3rem 0.4rem';
+      row.style.border = '1px solid #eef1f5';
+      row.style.borderRadius = '6px';
+      row.innerHTML = `<div class="small" style="flex:1">${html}</div>`;
+      const del = document.createElement('button');
+      del.type = 'button'; del.className = 'danger'; del.textContent = '✕'; del.title = 'Remove';
+      del.addEventListener('click', onRemove);
+      row.appendChild(del);
+      return row;
+    }
+
+    function render() {
+      weeklyList.innerHTML = '';
+      if (!draft.weekly.length) weeklyList.innerHTML = '<div class="small muted">Any time</div>';
+      draft.weekly.forEach((w, i) => {
+        weeklyList.appendChild(rowWithRemove(`${DAY_LABELS[w.day]} · ${formatHour(w.startHour)} – ${formatHour(w.endHour)}`, () => { draft.weekly.splice(i, 1); render(); }));
+      });
+      datedList.innerHTML = '';
+      if (!draft.unavailable.length) datedList.innerHTML = '<div class="small muted">None</div>';
+      draft.unavailable.forEach((u, i) => {
+        const range = u.to && u.to !== u.from ? `${u.from} → ${u.to}` : u.from;
+        datedList.appendChild(rowWithRemove(`${escapeHtml(range)}${u.reason ? ' — ' + escapeHtml(u.reason) : ''}`, () => { draft.unavailable.splice(i, 1); render(); }));
+      });
+    }
+
+    addWeekly.addEventListener('click', () => {
+      const sH = Number(startIn.value);
+      const eH = Number(endIn.value);
+      if (startIn.value === '' || endIn.value === '' || !(sH >= 0 && eH <= 24 && sH < eH)) { errEl.textContent = 'Window start must be before end (hours 0-24).'; return; }
+      errEl.textContent = '';
+      draft.weekly.push({ day: Number(daySel.value), startHour: sH, endHour: eH });
+      draft.weekly.sort((a, b) => a.day - b.day || a.startHour - b.startHour);
+      startIn.value = ''; endIn.value = '';
+      render();
+    });
+
+    addDated.addEventListener('click', () => {
+      const from = fromIn.value;
+      const to = toIn.value || from;
+      if (!from) { errEl.textContent = 'Pick a start date.'; return; }
+      if (to < from) { errEl.textContent = 'End date must be on or after the start date.'; return; }
+      errEl.textContent = '';
+      draft.unavailable.push({ id: uid('un-'), from, to, reason: reasonIn.value.trim() });
+      draft.unavailable.sort((a, b) => a.from.localeCompare(b.from));
+      fromIn.value = ''; toIn.value = ''; reasonIn.value = '';
+      render();
+    });
+
+    render();
+
+    openModal({
+      title: `Availability${displayName ? ' — ' + displayName : ''}`,
+      content: wrap,
+      showConfirm: true,
+      confirmText: 'Save availability',
+      onConfirm: () => {
+        saveAvailability(key, draft);
+        if (window.SharedUtils && SharedUtils.Toast) SharedUtils.Toast.success('Availability saved');
+      }
+    });
+  }
+
+  function openMyAvailability() {
+    const session = load(LS_SESSION, null);
+    openAvailabilityEditor(sessionKey(), session ? session.displayName || session.username : '');
+  }
+
+  /* -------------------------
+     Volunteer dashboard entry point
+     ------------------------- */
+  function setupDashboardButton() {
+    const volDashboard = document.getElementById('volunteer-dashboard');
+    if (!volDashboard || document.getElementById('edit-availability')) return;
+    const firstCard = volDashboard.querySelector('.card');
+    if (!firstCard) return;
+    const btn = document.createElement('button');
+    btn.id = 'edit-availability';
+    btn.className = 'muted-btn';
+    btn.textContent = '🗓️ My Availability';
+    btn.style.cssText = 'margin-top: 1rem; margin-left: 0.5rem;';
+    btn.addEventListener('click', openMyAvailability);
+    firstCard.appendChild(btn);
+  }
+
+  function init() {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', setupDashboardButton);
+    else setupDashboardButton();
+  }
+
+  // Expose API
+  window.VolunteerAvailability = {
+    init,
+    resolveKey,
+    getAvailability,
+    saveAvailability,
+    checkAvailability,
+    describeWeekly,
+    openAvailabilityEditor,
+    openMyAvailability
+  };
+
+  init();
+
+})();
@@ -9,9 +9,18 @@
  * - Users can book an available time slot (prevents duplicates & enforces capacity)
  * - Confirmation shown after booking (modal)
  * - "My Assignments" view lists user's bookings and allows cancellations
- * - Cancelling a booking enforces 30-minute notice before the slot start
+ * - Cancelled bookings are kept with status 'cancelled' and their lead time (volunteer-reliability.js)
+ * - Booking window, booking cutoff, weekly limit and cancellation cutoff follow the org-wide or
+ *   per-location policy (booking-policies.js; 30-minute cancellation notice by default); admins may override
+ * - Shift limits (shift-limits.js): blocking limits stop a booking like a policy rule, warnings are
+ *   shown in the confirm dialog
+ * - Locations the volunteer doesn't qualify for (S-73 / seminar, volunteer-eligibility.js) are marked,
+ *   can't be picked in the booking steps and explain the reason instead of offering Book
+ * - The shift lead (shift-leads.js) is marked in the slot list and on the volunteer's bookings
+ * - Full slots offer "Join waitlist" (waitlist.js); cancellations promote the next waitlisted volunteer
+ * - Upcoming bookings can be offered for swap/handover (shift-swaps.js)
  * - All data persists in localStorage (bookings + optional custom locations)
- * - Note displayed: "Reservations may be cancelled up to 30 minutes prior to duty"
+ * - Note displayed: "Reservations may be cancelled up to <cutoff> prior to duty"
  *
  * Integration notes:
  * - This script expects your page to include (recommended IDs/classes):
@@ -47,23 +56,13 @@ const VDB = (function () {
   // We'll load them dynamically from those modules instead of using hardcoded constants
 
   /* -------------------------
-     LocalStorage helpers
+     Storage helpers (data-repository.js)
      ------------------------- */
   function save(key, value) {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch (err) {
-      console.error('LocalStorage save error', err);
-    }
+    return DataRepository.write(key, value);
   }
   function load(key) {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (err) {
-      console.error('LocalStorage load error', err);
-      return null;
-    }
+    return DataRepository.read(key, null);
   }
 
   /* -------------------------
@@ -76,10 +75,10 @@ const VDB = (function () {
       console.log('VDB: Loaded locations from AdminLocations:', locs);
       return locs;
     }
-    // Fallback to localStorage if AdminLocations not loaded yet
+    // Fallback to the stored list if AdminLocations not loaded yet
     const stored = load(LS_KEYS.LOCATIONS);
     if (stored && Array.isArray(stored) && stored.length > 0) {
-      console.log('VDB: Loaded locations from localStorage:', stored);
+      console.log('VDB: Loaded locations from storage:', stored);
       return stored;
     }
     // Last resort: return empty array (will be populated by admin)
@@ -87,10 +86,11 @@ const VDB = (function () {
     return [];
   }
 
-  function getSlotsForLocation(locationId) {
+  // dateStr (optional) limits the result to slots that run on that weekday
+  function getSlotsForLocation(locationId, dateStr) {
     // Try to get per-location time slots from AdminSchedules module
     if (window.AdminSchedules && typeof window.AdminSchedules.getSlotsForLocation === 'function') {
-      const slots = window.AdminSchedules.getSlotsForLocation(locationId);
+      const slots = window.AdminSchedules.getSlotsForLocation(locationId, dateStr);
       return slots;
     }
     // Fallback to default 7 slots if AdminSchedules not loaded
@@ -106,6 +106,73 @@ const VDB = (function () {
     ];
   }
 
+  // Per-slot capacity for a location on a date (date exceptions from AdminSchedules win)
+  function capacityFor(loc, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getCapacityFor === 'function') {
+      return window.AdminSchedules.getCapacityFor(loc.id, dateStr, loc.slotCapacity);
+    }
+    return loc.slotCapacity;
+  }
+
+  // Date exception for a location if it is closed that day, else null
+  function closureFor(locationId, dateStr) {
+    if (window.AdminSchedules && typeof window.AdminSchedules.getOverride === 'function') {
+      const ov = window.AdminSchedules.getOverride(locationId, dateStr);
+      return ov && ov.closed ? ov : null;
+    }
+    return null;
+  }
+
+  // Slot lookup by id for an existing booking (includes extra slots added for that date)
+  function findSlotForBooking(b) {
+    return getSlotsForLocation(b.locationId, b.date).find(s => s.id === b.slotId)
+      || getSlotsForLocation(b.locationId).find(s => s.id === b.slotId)
+      || null;
+  }
+
+  function renderClosedNotice(ov) {
+    return `<div class="small" style="grid-column:1/-1; padding:1rem; text-align:center; background:#f3f4f6; color:#6b7280; border-radius:6px;">
+              🚫 Closed on this date${ov.reason ? ` — ${escapeHtml(ov.reason)}` : ''}. Please pick another date.
+            </div>`;
+  }
+  // Waitlist controls for a full slot: "Join waitlist" or the user's position with a "Leave" button
+  function buildWaitlistControls(user, loc, dateStr, ts, onChange) {
+    if (!window.Waitlist || !user) return null;
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.gap = '0.5rem';
+    wrap.style.flexWrap = 'wrap';
+    const position = Waitlist.positionOf(user.username, loc.id, dateStr, ts.id);
+    const queueLen = Waitlist.getQueue(loc.id, dateStr, ts.id).length;
+    const btn = document.createElement('button');
+    if (position) {
+      wrap.innerHTML = `<span class="small" style="font-weight:600; color:#b45309;">⏳ Waitlisted #${position} of ${queueLen}</span>`;
+      btn.className = 'muted-btn';
+      btn.textContent = 'Leave waitlist';
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        Waitlist.leave(user.username, loc.id, dateStr, ts.id);
+        showToast('Removed from waitlist');
+        onChange();
+      });
+    } else {
+      if (queueLen) wrap.innerHTML = `<span class="small muted">${queueLen} waiting</span>`;
+      btn.className = 'muted-btn';
+      btn.textContent = 'Join waitlist';
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const res = Waitlist.join(user, loc.id, dateStr, ts.id);
+        if (!res.ok) return openModal({ title: 'Waitlist', content: `<p>${escapeHtml(res.error)}</p>` });
+        showToast(`Added to waitlist (position ${res.position})`);
+        onChange();
+      });
+    }
+    wrap.appendChild(btn);
+    return wrap;
+  }
+
+
   /* -------------------------
      Bookings model
      booking shape:
@@ -126,16 +193,44 @@ const VDB = (function () {
     return load(LS_KEYS.BOOKINGS) || [];
   }
   function saveBookings(list) {
-    save(LS_KEYS.BOOKINGS, list);
+    return save(LS_KEYS.BOOKINGS, list);
   }
+  // Same shape as admin-made bookings; older ones are completed by data-migrations.js (1.1.0).
+  // Returns DataRepository's { ok, errors }.
   function addBooking(booking) {
+    const slot = findSlotForBooking(booking);
+    const vol = window.VolunteerEligibility
+      ? VolunteerEligibility.findVolunteer(booking.username) || VolunteerEligibility.findVolunteer(booking.displayName)
+      : null;
+    booking.status = booking.status || 'assigned';
+    if (slot && booking.startHour == null) { booking.startHour = slot.startHour; booking.endHour = slot.endHour; }
+    if (booking.volunteerId === undefined) booking.volunteerId = vol ? vol.id : null;
     const all = loadBookings();
     all.push(booking);
-    saveBookings(all);
+    return saveBookings(all);
+  }
+  function bookingNotSaved(res) {
+    setTimeout(() => openModal({ title: 'Booking not saved', content: `<p>${escapeHtml(res.errors[0] || 'Your booking could not be saved.')}</p>` }), 0);
   }
-  function removeBookingById(id) {
-    const all = loadBookings().filter(b => b.id !== id);
+  // Cancelled bookings are kept (status 'cancelled') with their lead time for reliability tracking
+  function cancelBookingById(id) {
+    const all = loadBookings();
+    const cancelled = all.find(b => b.id === id && isActiveBooking(b));
+    if (!cancelled) return all;
+    const slot = findSlotForBooking(cancelled) || { startHour: cancelled.startHour || 0 };
+    const now = Date.now();
+    const user = currentUser();
+    Object.assign(cancelled, {
+      status: 'cancelled',
+      cancelledAt: now,
+      cancelLeadMinutes: Math.round((slotStartDateTime(cancelled.date, slot) - now) / 60000),
+      cancelledBy: user ? user.username : null
+    });
     saveBookings(all);
+    // hand the freed place to the first eligible volunteer on the waitlist
+    if (window.Waitlist) {
+      if (Waitlist.promoteFor(cancelled.locationId, cancelled.date, cancelled.slotId).length) return loadBookings();
+    }
     return all;
   }
 
@@ -278,7 +373,9 @@ const VDB = (function () {
     const locations = getLocations();
     container.innerHTML = ''; // clear
 
+    const user = currentUser();
     locations.forEach(loc => {
+      const elig = checkEligibility(user, loc.id);
       const card = document.createElement('article');
       card.className = 'card location-card';
       card.setAttribute('data-location-id', loc.id);
@@ -286,10 +383,11 @@ const VDB = (function () {
       card.style.cursor = 'pointer';
       card.innerHTML = `
         <h3>${escapeHtml(loc.name)}</h3>
-        <div class="location-meta">${escapeHtml(loc.address)} · Required per slot: <strong>${loc.slotCapacity}</strong></div>
+        <div class="location-meta">${escapeHtml(loc.address)} · Required per slot today: <strong>${capacityFor(loc, formatDate(new Date()))}</strong></div>
+        ${elig.eligible ? '' : `<div class="small" style="color:#b45309;">You can't book here yet: ${escapeHtml(elig.reasons.map(r => r.message).join(' '))}</div>`}
         <div class="small">Next shifts for today:</div>
         <ul class="small" id="summary-${loc.id}">
-          ${getSlotsForLocation(loc.id).slice(0, 2).map(ts => `<li>${escapeHtml(ts.id)} — loading...</li>`).join('')}
+          ${getSlotsForLocation(loc.id, formatDate(new Date())).slice(0, 2).map(ts => `<li>${escapeHtml(ts.id)} — loading...</li>`).join('')}
         </ul>
         <div class="btn-row" style="margin-top:0.5rem;">
           <button class="view-location" data-location-id="${loc.id}">View slots</button>
@@ -313,10 +411,10 @@ const VDB = (function () {
         const summaryEl = document.getElementById(`summary-${loc.id}`);
         if (summaryEl) {
           const todayStr = formatDate(new Date());
-          const locationSlots = getSlotsForLocation(loc.id);
+          const locationSlots = getSlotsForLocation(loc.id, todayStr);
           const counts = locationSlots.slice(0,2).map(ts => {
             const assigned = getBookingsFor(loc.id, todayStr, ts.id);
-            return `${escapeHtml(ts.id)} — ${assigned.length}/${loc.slotCapacity}`;
+            return `${escapeHtml(ts.id)} — ${assigned.length}/${capacityFor(loc, todayStr)}`;
           });
           openModal({ title: `${loc.name} — Today summary`, content: `<div class="small">${counts.map(c => `<div>${c}</div>`).join('')}</div>` });
         }
@@ -333,28 +431,128 @@ const VDB = (function () {
     locations.forEach(loc => {
       const summaryEl = document.getElementById(`summary-${loc.id}`);
       if (!summaryEl) return;
-      const locationSlots = getSlotsForLocation(loc.id);
-      summaryEl.innerHTML = locationSlots.slice(0, 2).map(ts => {
-        const assigned = getBookingsFor(loc.id, todayStr, ts.id);
-        return `<li>${escapeHtml(ts.id)} — ${assigned.length}/${loc.slotCapacity}</li>`;
-      }).join('');
+      const locationSlots = getSlotsForLocation(loc.id, todayStr);
+      const closed = closureFor(loc.id, todayStr);
+      summaryEl.innerHTML = closed ? `<li class="muted">Closed today${closed.reason ? ` — ${escapeHtml(closed.reason)}` : ''}</li>`
+        : locationSlots.length ? locationSlots.slice(0, 2).map(ts => {
+          const assigned = getBookingsFor(loc.id, todayStr, ts.id);
+          return `<li>${escapeHtml(ts.id)} — ${assigned.length}/${capacityFor(loc, todayStr)}</li>`;
+        }).join('') : '<li class="muted">No shifts today</li>';
     });
   }
 
   /* -------------------------
      Booking queries
      ------------------------- */
+  function isActiveBooking(b) {
+    return b && b.status !== 'cancelled';
+  }
+  // every active booking of the slot, drafts included: they hold their place against capacity
   function getBookingsFor(locationId, dateStr, slotId) {
     const all = loadBookings();
-    return all.filter(b => b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+    return all.filter(b => isActiveBooking(b) && b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+  }
+  // the bookings of a slot whose names may be shown: drafts stay hidden until published
+  function publishedOnly(bookings) {
+    return bookings.filter(b => !b.draft);
   }
   function getUserBookings(username) {
     const all = loadBookings();
-    return all.filter(b => b.username && b.username.toLowerCase() === (username || '').toLowerCase());
+    // draft bookings (admin-publishing.js) stay hidden until the schedule is published
+    return all.filter(b => isActiveBooking(b) && b.username && b.username.toLowerCase() === (username || '').toLowerCase() && !b.draft);
   }
   function userHasBookingForSlot(username, locationId, dateStr, slotId) {
     const all = loadBookings();
-    return all.some(b => b.username === username && b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+    return all.some(b => isActiveBooking(b) && b.username === username && b.locationId === locationId && b.date === dateStr && b.slotId === slotId);
+  }
+  // bookings at approval-mode locations wait for a coordinator (booking-approvals.js)
+  function isPendingApproval(b) {
+    return !!(window.BookingApprovals && BookingApprovals.isPending(b));
+  }
+  function userBookingPendingApproval(username, locationId, dateStr, slotId) {
+    return loadBookings().some(b => isActiveBooking(b) && b.username === username && b.locationId === locationId && b.date === dateStr && b.slotId === slotId && isPendingApproval(b));
+  }
+  // designated shift lead of a booking's slot (shift-leads.js)
+  function isShiftLead(b) {
+    return !!window.ShiftLeads && ShiftLeads.isLead(b);
+  }
+  function shiftLeadChip(booking) {
+    if (!window.ShiftLeads) return '';
+    if (isShiftLead(booking)) return '<span style="background:#dbeafe; color:#1d4ed8; padding:0.25rem 0.5rem; border-radius:999px;">★ You are the shift lead</span>';
+    const lead = ShiftLeads.getLead(booking.locationId, booking.date, booking.slotId, publishedOnly(getBookingsFor(booking.locationId, booking.date, booking.slotId)));
+    return lead ? `<span style="background:#eff6ff; padding:0.25rem 0.5rem; border-radius:999px;">Shift lead: ${escapeHtml(lead.displayName || lead.username)}</span>` : '';
+  }
+
+  function approvalNoteFor(locationId) {
+    if (!window.BookingApprovals || !BookingApprovals.requiresApproval(locationId)) return '';
+    return '<div class="small" style="margin-top:8px; padding:0.5rem; background:#f5f3ff; border-left:3px solid #8b5cf6; border-radius:4px;">This location requires coordinator approval. Your booking holds the place but stays <strong>pending</strong> until it is approved.</div>';
+  }
+
+  // booking window / cancellation rules (booking-policies.js); admins may override them
+  function checkBookingPolicy(user, locationId, dateStr, slot) {
+    const policy = window.BookingPolicies && user
+      ? BookingPolicies.checkBooking(user.username, locationId, dateStr, slot)
+      : { ok: true, violations: [] };
+    // missing qualifications and blocking shift limits (shift-limits.js) stop a booking the same way
+    const elig = checkEligibility(user, locationId);
+    const limits = checkShiftLimits(user, dateStr, slot);
+    const extra = elig.reasons.map(r => ({ rule: r.rule, message: r.message })).concat(limits.block ? limits.violations : []);
+    return extra.length ? { ok: false, violations: extra.concat(policy.violations) } : policy;
+  }
+  // S-73 / seminar requirements of the location (volunteer-eligibility.js)
+  function checkEligibility(user, locationId) {
+    if (!window.VolunteerEligibility || !user) return { eligible: true, reasons: [] };
+    return VolunteerEligibility.checkPerson(user, locationId);
+  }
+  function checkShiftLimits(user, dateStr, slot) {
+    if (!window.ShiftLimits || !user) return { ok: true, block: false, violations: [] };
+    return ShiftLimits.checkPerson(user, dateStr, slot);
+  }
+  // limits in warn mode don't stop the booking; they are shown in the confirm dialog
+  function shiftLimitWarningHtml(user, dateStr, slot) {
+    const limits = checkShiftLimits(user, dateStr, slot);
+    return limits.ok || limits.block ? '' : ShiftLimits.violationsHtml(limits);
+  }
+  function checkCancelPolicy(locationId, dateStr, slot) {
+    if (!window.BookingPolicies) {
+      const ok = slotStartDateTime(dateStr, slot) - Date.now() >= 30 * 60 * 1000;
+      return { ok, violations: ok ? [] : [{ rule: 'cancel', message: cancellationNote(locationId) }] };
+    }
+    return BookingPolicies.checkCancellation(locationId, dateStr, slot);
+  }
+  function canOverridePolicy(user) {
+    return !!(window.BookingPolicies && BookingPolicies.canOverride(user));
+  }
+  function cancellationNote(locationId) {
+    return window.BookingPolicies ? BookingPolicies.cancellationNote(locationId) : 'Reservations may be cancelled up to 30 minutes prior to duty.';
+  }
+  function cancelCutoffText(locationId) {
+    return window.BookingPolicies ? BookingPolicies.formatDuration(BookingPolicies.getPolicy(locationId).cancelCutoffMinutes) : '30 minutes';
+  }
+  function policyWarningHtml(violations) {
+    return window.BookingPolicies ? BookingPolicies.violationsHtml(violations, true) : '';
+  }
+  function showPolicyBlocked(title, violations) {
+    openModal({ title, content: violations.map(v => `<p>${escapeHtml(v.message)}</p>`).join('') });
+  }
+  // Cancel a booking after the policy check; admins past the cutoff see the override warning
+  function confirmCancellation(user, booking, slot, onDone) {
+    const policy = checkCancelPolicy(booking.locationId, booking.date, slot);
+    const overriding = !policy.ok && canOverridePolicy(user);
+    if (!policy.ok && !overriding) return showPolicyBlocked('Too late to cancel', policy.violations);
+    openModal({
+      title: 'Confirm cancellation',
+      content: `<p>Cancel your booking on <strong>${escapeHtml(booking.date)}</strong> for <strong>${escapeHtml(slot.label || booking.slotLabel)}</strong> at ${escapeHtml(booking.locationName)}?</p>${overriding ? policyWarningHtml(policy.violations) : ''}`,
+      showConfirm: true,
+      confirmText: overriding ? 'Cancel anyway' : 'Cancel booking',
+      onConfirm: () => {
+        cancelBookingById(booking.id);
+        showToast('Booking canceled');
+        onDone();
+        updateAllSummaries();
+        updateReservationSummary();
+      }
+    });
   }
 
   /* -------------------------
@@ -365,9 +563,6 @@ const VDB = (function () {
     const loc = locations.find(l => l.id === locationId);
     if (!loc) return showToast('Location not found.');
 
-    // Get location-specific time slots
-    const locationSlots = getSlotsForLocation(locationId);
-
     // Build modal content: header with date picker, timeslot grid
     const wrapper = document.createElement('div');
     wrapper.style.display = 'grid';
@@ -405,7 +600,7 @@ const VDB = (function () {
     noteDiv.style.borderRadius = '4px';
     noteDiv.style.marginTop = '0.5rem';
     noteDiv.style.marginBottom = '0.5rem';
-    noteDiv.innerHTML = '<strong>📌 Note:</strong> Reservations may be cancelled up to 30 minutes prior to duty.';
+    noteDiv.innerHTML = `<strong>📌 Note:</strong> ${escapeHtml(cancellationNote(loc.id))}`;
     wrapper.appendChild(noteDiv);
 
     // timeslot grid
@@ -415,8 +610,24 @@ const VDB = (function () {
 
     function renderGridForDate(dateStr) {
       grid.innerHTML = '';
+      grid.style.opacity = '1';
+      const closed = closureFor(locationId, dateStr);
+      if (closed) {
+        grid.style.opacity = '0.6';
+        grid.innerHTML = renderClosedNotice(closed);
+        return;
+      }
+      const capacity = capacityFor(loc, dateStr);
+      // location-specific time slots that run on this weekday
+      const locationSlots = getSlotsForLocation(locationId, dateStr);
+      if (!locationSlots.length) {
+        grid.innerHTML = '<div class="small muted">No time slots at this location on the selected day.</div>';
+        return;
+      }
       locationSlots.forEach(ts => {
         const assigned = getBookingsFor(loc.id, dateStr, ts.id);
+        const named = publishedOnly(assigned);
+        const held = assigned.length - named.length;
         const slotCard = document.createElement('div');
         slotCard.className = 'timeslot card';
         slotCard.style.display = 'flex';
@@ -432,8 +643,8 @@ const VDB = (function () {
         const body = document.createElement('div');
         body.className = 'small';
         body.style.marginTop = '0.4rem';
-        body.innerHTML = `<div>Assigned: <strong>${assigned.length}</strong> / ${loc.slotCapacity}</div>
-                          <div style="margin-top:6px;"><em>${assigned.length ? assigned.map(a => escapeHtml(a.displayName)).join(', ') : 'No volunteers yet'}</em></div>`;
+        body.innerHTML = `<div>Assigned: <strong>${assigned.length}</strong> / ${capacity}</div>
+                          <div style="margin-top:6px;"><em>${named.length ? named.map(a => escapeHtml(a.displayName) + (isShiftLead(a) ? ' ★ lead' : '') + (isPendingApproval(a) ? ' (pending)' : '')).join(', ') : held ? '' : 'No volunteers yet'}${held ? `${named.length ? ', ' : ''}${held} place${held === 1 ? '' : 's'} reserved` : ''}</em></div>`;
         slotCard.appendChild(body);
 
         // Actions
@@ -445,13 +656,23 @@ const VDB = (function () {
         const bookBtn = document.createElement('button');
         bookBtn.className = 'success';
         bookBtn.textContent = 'Book';
-        bookBtn.disabled = assigned.length >= loc.slotCapacity;
+        bookBtn.disabled = assigned.length >= capacity;
 
         // if user already booked this slot, change to "Booked" / cancel option
         const user = currentUser();
         const alreadyBooked = user ? userHasBookingForSlot(user.username, loc.id, dateStr, ts.id) : false;
+        const policy = alreadyBooked ? { ok: true, violations: [] } : checkBookingPolicy(user, loc.id, dateStr, ts);
+        if (!policy.ok) {
+          const reason = document.createElement('div');
+          reason.className = 'small';
+          reason.style.marginTop = '6px';
+          reason.style.color = '#b45309';
+          reason.textContent = policy.violations.map(v => v.message).join(' ');
+          body.appendChild(reason);
+          if (!canOverridePolicy(user)) bookBtn.disabled = true;
+        }
         if (alreadyBooked) {
-          bookBtn.textContent = 'Booked';
+          bookBtn.textContent = userBookingPendingApproval(user.username, loc.id, dateStr, ts.id) ? 'Pending approval' : 'Booked';
           bookBtn.className = 'muted-btn';
           bookBtn.disabled = true;
         }
@@ -461,7 +682,7 @@ const VDB = (function () {
             openModal({ title: 'Not signed in', content: '<p>Please sign in to book a slot.</p>' });
             return;
           }
-          if (assigned.length >= loc.slotCapacity) {
+          if (assigned.length >= capacity) {
             openModal({ title: 'Full', content: '<p>This slot is already full.</p>' });
             return;
           }
@@ -469,6 +690,12 @@ const VDB = (function () {
             openModal({ title: 'Already booked', content: '<p>You already have a booking for this slot.</p>' });
             return;
           }
+          const policyNow = checkBookingPolicy(user, loc.id, dateStr, ts);
+          const overriding = !policyNow.ok && canOverridePolicy(user);
+          if (!policyNow.ok && !overriding) {
+            showPolicyBlocked('Booking not available', policyNow.violations);
+            return;
+          }
 
           // Confirm booking flow
           openModal({
@@ -476,9 +703,9 @@ const VDB = (function () {
             content: `<div class="small">Date: <strong>${escapeHtml(dateStr)}</strong></div>
                       <div class="small">Time: <strong>${escapeHtml(ts.label)}</strong></div>
                       <div class="small">Location: <strong>${escapeHtml(loc.name)}</strong></div>
-                      <p style="margin-top:8px;">Do you want to book this slot?</p>`,
+                      <p style="margin-top:8px;">Do you want to book this slot?</p>${approvalNoteFor(loc.id)}${shiftLimitWarningHtml(user, dateStr, ts)}${overriding ? policyWarningHtml(policyNow.violations) : ''}`,
             showConfirm: true,
-            confirmText: 'Book',
+            confirmText: overriding ? 'Book anyway' : 'Book',
             onConfirm: () => {
               const booking = {
                 id: uid('bk-'),
@@ -492,8 +719,11 @@ const VDB = (function () {
                 slotLabel: ts.label,
                 createdAt: Date.now()
               };
-              addBooking(booking);
-              showToast('Booking confirmed');
+              if (overriding) BookingPolicies.recordOverride(booking, policyNow.violations, user);
+              if (window.BookingApprovals) BookingApprovals.applyApprovalPolicy(booking);
+              const saved = addBooking(booking);
+              if (!saved.ok) return bookingNotSaved(saved);
+              showToast(isPendingApproval(booking) ? 'Booking requested — pending coordinator approval' : 'Booking confirmed');
               renderGridForDate(dateStr);
               updateAllSummaries();
               updateReservationSummary();
@@ -509,33 +739,20 @@ const VDB = (function () {
           cancelBtn.addEventListener('click', function () {
             // find the booking id for this user/loc/date/slot
             const all = loadBookings();
-            const b = all.find(item => item.username === user.username && item.locationId === loc.id && item.date === dateStr && item.slotId === ts.id);
+            const b = all.find(item => isActiveBooking(item) && item.username === user.username && item.locationId === loc.id && item.date === dateStr && item.slotId === ts.id);
             if (!b) return showToast('Booking not found.');
-            // cancellation rule: must be 30 minutes before slot start
-            const slotStart = slotStartDateTime(dateStr, ts);
-            const diffMs = slotStart - Date.now();
-            if (diffMs < 30 * 60 * 1000) {
-              openModal({ title: 'Too late to cancel', content: '<p>Reservations may be cancelled up to 30 minutes prior to duty.</p>' });
-              return;
-            }
-            openModal({
-              title: 'Confirm cancellation',
-              content: `<p>Cancel your booking on <strong>${escapeHtml(dateStr)}</strong> for <strong>${escapeHtml(ts.label)}</strong> at ${escapeHtml(loc.name)}?</p>`,
-              showConfirm: true,
-              confirmText: 'Cancel booking',
-              onConfirm: () => {
-                removeBookingById(b.id);
-                showToast('Booking canceled');
-                renderGridForDate(dateStr);
-                updateAllSummaries();
-                updateReservationSummary();
-              }
-            });
+            // cancellation cutoff comes from the location's booking policy
+            confirmCancellation(user, b, ts, () => renderGridForDate(dateStr));
           });
           actions.appendChild(cancelBtn);
         }
 
         actions.appendChild(bookBtn);
+        // volunteers who can't serve at the location aren't offered the waitlist either
+        if (!alreadyBooked && assigned.length >= capacity && checkEligibility(user, loc.id).eligible) {
+          const wl = buildWaitlistControls(user, loc, dateStr, ts, () => renderGridForDate(dateStr));
+          if (wl) actions.appendChild(wl);
+        }
         slotCard.appendChild(actions);
 
         grid.appendChild(slotCard);
@@ -581,7 +798,8 @@ const VDB = (function () {
     noteDiv.style.backgroundColor = '#eff6ff';
     noteDiv.style.borderLeft = '4px solid #3b82f6';
     noteDiv.style.borderRadius = '6px';
-    noteDiv.innerHTML = '<strong>📌 Reminder:</strong> Reservations may be cancelled up to 30 minutes before your shift.';
+    noteDiv.innerHTML = `<strong>📌 Reminder:</strong> ${escapeHtml(cancellationNote(null))}` +
+      (window.BookingPolicies && allLocations.some(BookingPolicies.hasLocationOverrides) ? ' Some locations set their own cutoff.' : '');
     container.appendChild(noteDiv);
 
     if (!bookings.length) {
@@ -589,6 +807,8 @@ const VDB = (function () {
       emptyMsg.className = 'empty-state';
       emptyMsg.innerHTML = '<div class="empty-state-icon">🗓️</div><p>You have no reservations yet.</p>';
       container.appendChild(emptyMsg);
+      const waitlistOnly = buildWaitlistSection();
+      if (waitlistOnly) container.appendChild(waitlistOnly);
       openModal({ title: 'My Assignments', content: container, showConfirm: false });
       return;
     }
@@ -597,8 +817,7 @@ const VDB = (function () {
     const grouped = { upcoming: [], past: [] };
 
     bookings.forEach(b => {
-      const locationSlots = getSlotsForLocation(b.locationId);
-      const slot = locationSlots.find(s => s.id === b.slotId) || { label: b.slotLabel, startHour: 0 };
+      const slot = findSlotForBooking(b) || { label: b.slotLabel, startHour: 0 };
       const slotStart = slotStartDateTime(b.date, slot);
       const location = allLocations.find(loc => loc.id === b.locationId) || null;
       const bucket = slotStart >= now ? 'upcoming' : 'past';
@@ -606,6 +825,8 @@ const VDB = (function () {
     });
 
     container.appendChild(buildSummaryCard(grouped));
+    const waitlistSection = buildWaitlistSection();
+    if (waitlistSection) container.appendChild(waitlistSection);
     container.appendChild(buildSection('Upcoming Reservations', grouped.upcoming, 'No upcoming reservations. Book a slot to see it here.', true));
     container.appendChild(buildSection('Past Reservations', grouped.past, 'No past reservations yet.', false));
 
@@ -634,6 +855,41 @@ const VDB = (function () {
       return card;
     }
 
+    function buildWaitlistSection() {
+      if (!window.Waitlist) return null;
+      const entries = Waitlist.getEntriesForUser(user.username).filter(e => e.date >= formatDate(new Date()));
+      if (!entries.length) return null;
+      const section = document.createElement('section');
+      section.style.background = '#fffbeb';
+      section.style.borderRadius = '10px';
+      section.style.padding = '0.75rem';
+      section.style.border = '1px solid #fde68a';
+      section.innerHTML = `<h4 style="margin:0 0 0.5rem; font-size:1rem;">Waitlisted</h4>`;
+      entries.forEach(e => {
+        const loc = allLocations.find(l => l.id === e.locationId);
+        const slot = findSlotForBooking(e) || { label: e.slotId };
+        const row = document.createElement('div');
+        row.className = 'small';
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.alignItems = 'center';
+        row.style.gap = '0.5rem';
+        row.style.padding = '0.3rem 0';
+        row.innerHTML = `<span><strong>${escapeHtml(loc ? loc.name : e.locationId)}</strong> · ${escapeHtml(e.date)} · ${escapeHtml(slot.label)} — position #${Waitlist.positionOf(user.username, e.locationId, e.date, e.slotId)}</span>`;
+        const leaveBtn = document.createElement('button');
+        leaveBtn.className = 'muted-btn';
+        leaveBtn.textContent = 'Leave';
+        leaveBtn.addEventListener('click', () => {
+          Waitlist.leave(user.username, e.locationId, e.date, e.slotId);
+          showToast('Removed from waitlist');
+          renderMyAssignments();
+        });
+        row.appendChild(leaveBtn);
+        section.appendChild(row);
+      });
+      return section;
+    }
+
     function buildSection(title, list, emptyText, allowCancel) {
       const section = document.createElement('section');
       section.style.background = '#f9fafb';
@@ -686,7 +942,10 @@ const VDB = (function () {
         metaRow.innerHTML = `
           <span style="background:#eef2ff; padding:0.25rem 0.5rem; border-radius:999px;">${slotStart.toLocaleDateString(undefined, { weekday: 'short' })}</span>
           <span style="background:#fff7ed; padding:0.25rem 0.5rem; border-radius:999px;">${slotStart.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
-          <span style="background:#ecfccb; padding:0.25rem 0.5rem; border-radius:999px;">Capacity: ${escapeHtml(String(location ? location.slotCapacity : 'N/A'))}</span>
+          <span style="background:#ecfccb; padding:0.25rem 0.5rem; border-radius:999px;">Capacity: ${escapeHtml(String(location ? capacityFor(location, booking.date) : 'N/A'))}</span>
+          ${closureFor(booking.locationId, booking.date) ? '<span style="background:#fee2e2; color:#b91c1c; padding:0.25rem 0.5rem; border-radius:999px;">Location closed — awaiting reschedule</span>' : ''}
+          ${isPendingApproval(booking) ? '<span style="background:#f5f3ff; color:#6d28d9; padding:0.25rem 0.5rem; border-radius:999px;">Pending approval</span>' : ''}
+          ${shiftLeadChip(booking)}
         `;
         card.appendChild(metaRow);
 
@@ -712,30 +971,16 @@ const VDB = (function () {
         });
         actions.appendChild(detailsBtn);
 
+        if (allowCancel && window.ShiftSwaps) {
+          const swapControls = ShiftSwaps.buildOfferControls(booking, renderMyAssignments);
+          if (swapControls) actions.appendChild(swapControls);
+        }
+
         if (allowCancel) {
           const cancelBtn = document.createElement('button');
           cancelBtn.className = 'danger';
           cancelBtn.textContent = 'Cancel';
-          cancelBtn.addEventListener('click', () => {
-            const diffMs = slotStart - Date.now();
-            if (diffMs < 30 * 60 * 1000) {
-              openModal({ title: 'Too late to cancel', content: '<p>Reservations may be cancelled up to 30 minutes prior to duty.</p>' });
-              return;
-            }
-            openModal({
-              title: 'Confirm cancellation',
-              content: `<p>Cancel your booking on <strong>${escapeHtml(booking.date)}</strong> for <strong>${escapeHtml(slot.label)}</strong> at ${escapeHtml(booking.locationName)}?</p>`,
-              showConfirm: true,
-              confirmText: 'Cancel booking',
-              onConfirm: () => {
-                removeBookingById(booking.id);
-                showToast('Booking canceled');
-                renderMyAssignments();
-                updateAllSummaries();
-                updateReservationSummary();
-              }
-            });
-          });
+          cancelBtn.addEventListener('click', () => confirmCancellation(currentUser(), booking, slot, renderMyAssignments));
           actions.appendChild(cancelBtn);
         }
 
@@ -765,8 +1010,7 @@ const VDB = (function () {
     const bookings = getUserBookings(user.username)
       .filter(b => {
         // Show only upcoming bookings
-        const locationSlots = getSlotsForLocation(b.locationId);
-        const slot = locationSlots.find(s => s.id === b.slotId) || { startHour: 0 };
+        const slot = findSlotForBooking(b) || { startHour: 0 };
         const slotStart = slotStartDateTime(b.date, slot);
         return slotStart > Date.now();
       })
@@ -782,15 +1026,13 @@ const VDB = (function () {
     console.log('✅ Showing summary with', bookings.length, 'upcoming bookings');
     summaryCard.style.display = 'block';
     summaryContent.innerHTML = bookings.map(b => {
-      const locationSlots = getSlotsForLocation(b.locationId);
-      const slot = locationSlots.find(s => s.id === b.slotId) || { label: b.slotLabel };
+      const slot = findSlotForBooking(b) || { label: b.slotLabel };
       return `<div style="margin:0.25rem 0;">• <strong>${escapeHtml(b.locationName)}</strong> — ${escapeHtml(b.date)} at ${escapeHtml(slot.label)}</div>`;
     }).join('');
 
     // Add "and X more" if there are more bookings
     const total = getUserBookings(user.username).filter(b => {
-      const locationSlots = getSlotsForLocation(b.locationId);
-      const slot = locationSlots.find(s => s.id === b.slotId) || { startHour: 0 };
+      const slot = findSlotForBooking(b) || { startHour: 0 };
       const slotStart = slotStartDateTime(b.date, slot);
       return slotStart > Date.now();
     }).length;
@@ -821,11 +1063,11 @@ const VDB = (function () {
       
       locDiv.innerHTML = `
         <h4 style="margin:0 0 0.5rem 0; color:#1f2937;">${escapeHtml(loc.name)}</h4>
-        <div class="small muted" style="margin-bottom:0.75rem;">📍 ${escapeHtml(loc.address || 'N/A')} • Capacity: ${loc.slotCapacity} per slot</div>
+        <div class="small muted" style="margin-bottom:0.75rem;">📍 ${escapeHtml(loc.address || 'N/A')} • Capacity: ${capacityFor(loc, today)} per slot</div>
         <div style="display:grid; grid-template-columns:repeat(auto-fit, minmax(120px, 1fr)); gap:0.5rem;">
-          ${getSlotsForLocation(loc.id).map(ts => {
+          ${closureFor(loc.id, today) ? renderClosedNotice(closureFor(loc.id, today)) : getSlotsForLocation(loc.id, today).map(ts => {
             const assigned = getBookingsFor(loc.id, today, ts.id);
-            const available = loc.slotCapacity - assigned.length;
+            const available = capacityFor(loc, today) - assigned.length;
             return `
               <div style="padding:0.4rem; background:#fff; border-radius:4px; text-align:center; border:1px solid #e5e7eb;">
                 <div class="small" style="font-weight:600; margin-bottom:0.25rem;">${escapeHtml(ts.id)}</div>
@@ -879,10 +1121,17 @@ const VDB = (function () {
     }
     
     locationSelect.innerHTML = '<option value="">-- Select a location --</option>';
+    const bookingUser = currentUser();
     locations.forEach(loc => {
       const option = document.createElement('option');
       option.value = loc.id;
       option.textContent = `${loc.name} (${loc.address || ''})`;
+      // locations the volunteer doesn't qualify for stay listed with the reason (admins may override)
+      const elig = checkEligibility(bookingUser, loc.id);
+      if (!elig.eligible) {
+        option.textContent += ` — not available to you: ${elig.reasons.map(r => r.tag).join(', ')}`;
+        option.disabled = !canOverridePolicy(bookingUser);
+      }
       locationSelect.appendChild(option);
     });
     console.log(`✅ Loaded ${locations.length} locations into dropdown`);
@@ -903,19 +1152,40 @@ const VDB = (function () {
       }
 
       selectedLocation = locations.find(l => l.id === locId);
+      // the dropdown is built at load time, so check qualifications again for whoever is signed in now
+      const user = currentUser();
+      const elig = checkEligibility(user, locId);
+      if (!elig.eligible && !canOverridePolicy(user)) {
+        dateInput.disabled = true;
+        dateInput.value = '';
+        locationInfo.style.display = 'block';
+        locationInfo.textContent = `You can't book ${selectedLocation.name} yet: ${elig.reasons.map(r => r.message).join(' ')}`;
+        resetDateAndSlot();
+        return;
+      }
       dateInput.disabled = false;
       dateInput.value = formatDate(new Date()); // Default to today
+      // dates past the location's booking window can't be picked (admins may override)
+      const bookingWindow = window.BookingPolicies ? BookingPolicies.bookingWindow(locId) : { max: null };
+      dateInput.max = bookingWindow.max && !canOverridePolicy(currentUser()) ? bookingWindow.max : '';
       locationInfo.style.display = 'block';
-      locationInfo.textContent = `📍 ${selectedLocation.address} • Capacity: ${selectedLocation.slotCapacity} per slot`;
+      showLocationInfo();
       
       // Auto-trigger date change to load slots
       dateInput.dispatchEvent(new Event('change'));
     });
 
+    // capacity can differ by date (AdminSchedules date exceptions)
+    function showLocationInfo() {
+      const dateStr = dateInput.value || formatDate(new Date());
+      locationInfo.textContent = `📍 ${selectedLocation.address} • Capacity: ${capacityFor(selectedLocation, dateStr)} per slot on ${dateStr}`;
+    }
+
     // Step 2: Date selected
     dateInput.addEventListener('change', function() {
       selectedDate = this.value;
       selectedSlot = null;
+      if (selectedLocation && selectedDate) showLocationInfo();
       
       if (!selectedLocation || !selectedDate) {
         timeslotGrid.innerHTML = '<div class="small muted" style="padding:1rem; text-align:center; grid-column:1/-1;">Pick a date to see available time slots</div>';
@@ -947,11 +1217,18 @@ const VDB = (function () {
       }
 
       const assigned = getBookingsFor(selectedLocation.id, selectedDate, selectedSlot.id);
-      if (assigned.length >= selectedLocation.slotCapacity) {
+      if (assigned.length >= capacityFor(selectedLocation, selectedDate)) {
         openModal({ title: 'Slot full', content: '<p>This slot is already full.</p>' });
         return;
       }
 
+      const policy = checkBookingPolicy(user, selectedLocation.id, selectedDate, selectedSlot);
+      const overriding = !policy.ok && canOverridePolicy(user);
+      if (!policy.ok && !overriding) {
+        showPolicyBlocked('Booking not available', policy.violations);
+        return;
+      }
+
       // Confirm and book
       openModal({
         title: 'Confirm Booking',
@@ -964,12 +1241,15 @@ const VDB = (function () {
               <div><strong>🕐 Time:</strong> ${escapeHtml(selectedSlot.label)}</div>
             </div>
             <div class="small muted" style="padding:0.5rem; background:#fef3c7; border-left:3px solid #f59e0b; border-radius:4px;">
-              <strong>⚠️ Remember:</strong> Cancellations must be made at least 30 minutes before your scheduled time.
+              <strong>⚠️ Remember:</strong> Cancellations must be made at least ${escapeHtml(cancelCutoffText(selectedLocation.id))} before your scheduled time.
             </div>
+            ${approvalNoteFor(selectedLocation.id)}
+            ${shiftLimitWarningHtml(user, selectedDate, selectedSlot)}
+            ${overriding ? policyWarningHtml(policy.violations) : ''}
           </div>
         `,
         showConfirm: true,
-        confirmText: 'Confirm Booking',
+        confirmText: overriding ? 'Book anyway' : 'Confirm Booking',
         onConfirm: () => {
           const booking = {
             id: uid('bk-'),
@@ -983,9 +1263,14 @@ const VDB = (function () {
             slotLabel: selectedSlot.label,
             createdAt: Date.now()
           };
-
-          addBooking(booking);
-          showToast(`✅ Booking confirmed! ${selectedLocation.name} on ${selectedDate}`);
+          if (overriding) BookingPolicies.recordOverride(booking, policy.violations, user);
+          if (window.BookingApprovals) BookingApprovals.applyApprovalPolicy(booking);
+
+          const saved = addBooking(booking);
+          if (!saved.ok) return bookingNotSaved(saved);
+          showToast(isPendingApproval(booking)
+            ? `⏳ Booking requested — pending coordinator approval. ${selectedLocation.name} on ${selectedDate}`
+            : `✅ Booking confirmed! ${selectedLocation.name} on ${selectedDate}`);
           
           // Update UI
           updateReservationSummary();
@@ -1001,21 +1286,38 @@ const VDB = (function () {
 
     function renderTimeslotCards() {
       timeslotGrid.innerHTML = '';
+      timeslotGrid.style.opacity = '1';
+
+      const closed = closureFor(selectedLocation.id, selectedDate);
+      if (closed) {
+        timeslotGrid.style.opacity = '0.6';
+        timeslotGrid.innerHTML = renderClosedNotice(closed);
+        confirmBtn.disabled = true;
+        selectionSummary.style.display = 'none';
+        return;
+      }
+      const capacity = capacityFor(selectedLocation, selectedDate);
 
-      // Get time slots configured for this specific location by admin
-      const locationSlots = getSlotsForLocation(selectedLocation.id);
+      // Get time slots configured for this specific location by admin (for the chosen weekday)
+      const locationSlots = getSlotsForLocation(selectedLocation.id, selectedDate);
+      if (!locationSlots.length) {
+        timeslotGrid.innerHTML = '<div class="small muted" style="padding:1rem; text-align:center; grid-column:1/-1;">No time slots at this location on the selected day. Please pick another date.</div>';
+        return;
+      }
 
       locationSlots.forEach(ts => {
         const assigned = getBookingsFor(selectedLocation.id, selectedDate, ts.id);
-        const available = selectedLocation.slotCapacity - assigned.length;
+        const available = capacity - assigned.length;
         const isFull = available <= 0;
 
         const user = currentUser();
         const alreadyBooked = user ? userHasBookingForSlot(user.username, selectedLocation.id, selectedDate, ts.id) : false;
+        const policy = alreadyBooked ? { ok: true, violations: [] } : checkBookingPolicy(user, selectedLocation.id, selectedDate, ts);
+        const blocked = !policy.ok && !canOverridePolicy(user);
 
         const card = document.createElement('div');
         card.className = 'card';
-        card.style.cursor = isFull || alreadyBooked ? 'not-allowed' : 'pointer';
+        card.style.cursor = isFull || alreadyBooked || blocked ? 'not-allowed' : 'pointer';
         card.style.padding = '1rem';
         card.style.border = selectedSlot?.id === ts.id ? '2px solid #3b82f6' : '1px solid #e6eef7';
         card.style.background = selectedSlot?.id === ts.id ? '#eff6ff' : (isFull ? '#f9fafb' : '#fff');
@@ -1034,13 +1336,17 @@ const VDB = (function () {
               ${isFull ? '🔴 Full' : (available <= 1 ? '⚠️ Almost Full' : '✅ Available')}
             </span>
             <span class="small">
-              ${available} of ${selectedLocation.slotCapacity} left
+              ${available} of ${capacity} left
             </span>
           </div>
-          ${alreadyBooked ? '<div class="small" style="color:#0284c7; font-weight:600; text-align:center;">✓ Already Booked</div>' : ''}
+          ${alreadyBooked ? (userBookingPendingApproval(user.username, selectedLocation.id, selectedDate, ts.id)
+            ? '<div class="small" style="color:#6d28d9; font-weight:600; text-align:center;">⏳ Pending approval</div>'
+            : '<div class="small" style="color:#0284c7; font-weight:600; text-align:center;">✓ Already Booked</div>') : ''}
+          ${policy.ok ? '' : `<div class="small" style="color:#b45309; text-align:center;">${escapeHtml(policy.violations.map(v => v.message).join(' '))}${blocked ? '' : ' (admin override)'}</div>`}
         `;
+        if (blocked) card.style.opacity = '0.6';
 
-        if (!isFull && !alreadyBooked) {
+        if (!isFull && !alreadyBooked && !blocked) {
           card.addEventListener('click', function() {
             selectedSlot = ts;
             confirmBtn.disabled = false;
@@ -1064,6 +1370,15 @@ const VDB = (function () {
           });
         }
 
+        if (isFull && !alreadyBooked) {
+          const wl = buildWaitlistControls(user, selectedLocation, selectedDate, ts, renderTimeslotCards);
+          if (wl) {
+            card.style.opacity = '1';
+            wl.style.marginTop = '0.25rem';
+            card.appendChild(wl);
+          }
+        }
+
         timeslotGrid.appendChild(card);
       });
     }
@@ -1171,7 +1486,7 @@ const VDB = (function () {
     updateReservationSummary,
     loadBookings,
     addBooking,
-    removeBookingById,
+    cancelBookingById,
     getBookingsFor,
     getLocations,
     getSlotsForLocation
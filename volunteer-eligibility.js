@@ -0,0 +1,136 @@
+/**
+ * volunteer-eligibility.js
+ * Congregation Volunteer Scheduler — Qualification rules per location
+ *
+ * Features:
+ * - Per-location requirements (edited in admin-locations.js):
+ *     - location.requiresS73      only volunteers with an approved S-73 form (volunteer.approvedS73)
+ *     - location.requiresSeminar  only volunteers who attended the seminar (volunteer.attendedSeminar)
+ * - Inactive volunteers (volunteer.active === false) are not eligible anywhere
+ * - checkVolunteer()/check() explain why someone is not eligible, in words a volunteer understands
+ *
+ * Data:
+ *  - No storage of its own; reads "cvsa_volunteers" and "cvsa_locations"
+ *  - Sign-ins not linked to a volunteer record (matched by id, email or name) have no
+ *    qualifications on file and are not gated
+ *
+ * Integration notes:
+ * - AdminAssignments filters its volunteer picker ("Qualified for") and the manual-assign list, and
+ *   refuses drop, bulk assign and moves for volunteers who don't qualify
+ * - Auto-fill skips them; the substitute finder lists them as excluded
+ * - VDB marks locations the volunteer can't book and gives the reason instead of a Book button
+ *
+ * Usage:
+ *  - Include before admin-locations.js:
+ *      <script src="volunteer-eligibility.js"></script>
+ *
+ * Security note:
+ * - Qualifications are entered by admins and not verified against any outside record.
+ */
+
+(function () {
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+  const LS_LOCATIONS = 'cvsa_locations';
+
+  const REQUIREMENTS = [
+    {
+      key: 'requiresS73',
+      field: 'approvedS73',
+      label: 'Requires approved S-73 form',
+      tag: 'S-73 required',
+      missing: 'No S-73',
+      message: 'This location requires an approved S-73 form, and yours has not been approved yet.'
+    },
+    {
+      key: 'requiresSeminar',
+      field: 'attendedSeminar',
+      label: 'Requires seminar attendance',
+      tag: 'Seminar required',
+      missing: 'No seminar',
+      message: 'This location requires attendance at the volunteer seminar, which is not on your record yet.'
+    }
+  ];
+
+  const { load } = SharedUtils;
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function getLocation(locationId) {
+    const locs = (window.AdminLocations && typeof AdminLocations.getLocations === 'function')
+      ? AdminLocations.getLocations()
+      : load(LS_LOCATIONS, []);
+    return (locs || []).find(l => l.id === locationId) || null;
+  }
+
+  function findVolunteer(identifier) {
+    if (!identifier) return null;
+    const v = String(identifier).toLowerCase();
+    const vols = load(LS_VOLUNTEERS, []);
+    return vols.find(x => x.id === identifier)
+      || vols.find(x => (x.email || '').toLowerCase() === v)
+      || vols.find(x => (x.name || '').toLowerCase() === v)
+      || null;
+  }
+
+  /* -------------------------
+     Rules
+     ------------------------- */
+
+  /** Requirements switched on for a location (subset of REQUIREMENTS). */
+  function requirementsFor(locationOrId) {
+    const loc = typeof locationOrId === 'string' ? getLocation(locationOrId) : locationOrId;
+    return loc ? REQUIREMENTS.filter(r => loc[r.key]) : [];
+  }
+
+  /**
+   * Whether a volunteer record may serve at a location.
+   * Returns { eligible, reasons: [{ rule, message, short, tag }] } — message is addressed to the
+   * volunteer, short ("No S-73") is for admin lists, tag ("S-73 required") for location labels.
+   */
+  function checkVolunteer(vol, locationId) {
+    const reasons = [];
+    if (!vol) return { eligible: true, reasons };
+    if (vol.active === false) {
+      reasons.push({ rule: 'inactive', short: 'Inactive', tag: 'Inactive record', message: 'Your volunteer record is inactive. Please contact your coordinator.' });
+    }
+    requirementsFor(locationId).forEach(r => {
+      if (!vol[r.field]) reasons.push({ rule: r.key, short: r.missing, tag: r.tag, message: r.message });
+    });
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  /** Same as checkVolunteer, for a volunteer id, email, name or session username. */
+  function check(identifier, locationId) {
+    return checkVolunteer(findVolunteer(identifier), locationId);
+  }
+
+  /**
+   * Same as checkVolunteer for a session user, booking owner or waitlist entry
+   * ({ volunteerId, username, displayName }); demo sign-ins may only match a record by name.
+   */
+  function checkPerson(person, locationId) {
+    const p = person || {};
+    return checkVolunteer(findVolunteer(p.volunteerId) || findVolunteer(p.username) || findVolunteer(p.displayName), locationId);
+  }
+
+  /** Missing qualifications of a volunteer regardless of location, e.g. ['No S-73', 'Inactive']. */
+  function missingQualifications(vol) {
+    if (!vol) return [];
+    const out = REQUIREMENTS.filter(r => !vol[r.field]).map(r => r.missing);
+    if (vol.active === false) out.push('Inactive');
+    return out;
+  }
+
+  // Expose API
+  window.VolunteerEligibility = {
+    REQUIREMENTS,
+    findVolunteer,
+    requirementsFor,
+    checkVolunteer,
+    check,
+    checkPerson,
+    missingQualifications
+  };
+
+})();
@@ -0,0 +1,142 @@
+/**
+ * volunteer-pairing.js
+ * Congregation Volunteer Scheduler — Pairing rules for who serves together
+ *
+ * Features:
+ * - Trainees (volunteer.trainee) must share a slot with at least one experienced volunteer
+ *   (active and not a trainee)
+ * - "Never with" (volunteer.neverWith: [volunteerId]) — the two must not share a slot; applies
+ *   both ways, whichever record lists the other
+ * - "Prefer with" (volunteer.preferWith: [volunteerId]) and households (volunteer.household, a
+ *   free-text group name) — soft preferences: auto-fill and the substitute finder rank such
+ *   partners higher
+ * - Rule checks return plain-language warnings for the grid and the assign dialogs
+ *
+ * Data:
+ *  - Fields on the volunteer records in "cvsa_volunteers" (edited in admin-volunteers.js):
+ *      trainee: boolean, household: string, preferWith: [id], neverWith: [id]
+ *  - Ids of deleted volunteers are ignored
+ *
+ * Integration notes:
+ * - AdminAssignments warns on drop, manual and bulk assign and moves, and flags grid cells that
+ *   break a rule; the warnings can be overridden
+ * - Auto-fill and the substitute finder never place a trainee without an experienced partner or a
+ *   "never with" pair; auto-fill reports cells it could not pair
+ *
+ * Usage:
+ *  - Include before admin-assignments.js:
+ *      <script src="volunteer-pairing.js"></script>
+ */
+
+(function () {
+  const LS_VOLUNTEERS = 'cvsa_volunteers';
+
+  const { load } = SharedUtils;
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function nameOf(vol) {
+    return vol.name || `${vol.firstName || ''} ${vol.lastName || ''}`.trim() || vol.email || 'Volunteer';
+  }
+
+  function householdOf(vol) {
+    return String(vol.household || '').trim().toLowerCase();
+  }
+
+  function bookingBelongsTo(b, vol) {
+    if (b.volunteerId && b.volunteerId === vol.id) return true;
+    const email = (vol.email || '').toLowerCase();
+    const name = (vol.name || '').toLowerCase();
+    if (email && (b.username || '').toLowerCase() === email) return true;
+    return !!name && (b.displayName || '').toLowerCase() === name;
+  }
+
+  /** Volunteer records behind a list of bookings (bookings without a record are skipped). */
+  function volunteersForBookings(bookings) {
+    const vols = load(LS_VOLUNTEERS, []);
+    const out = [];
+    (bookings || []).forEach(b => {
+      const vol = vols.find(v => bookingBelongsTo(b, v));
+      if (vol && out.indexOf(vol) === -1) out.push(vol);
+    });
+    return out;
+  }
+
+  /* -------------------------
+     Rules
+     ------------------------- */
+  function isTrainee(vol) {
+    return !!(vol && vol.trainee);
+  }
+
+  function isExperienced(vol) {
+    return !!vol && !vol.trainee && vol.active !== false;
+  }
+
+  function neverTogether(a, b) {
+    return (a.neverWith || []).indexOf(b.id) !== -1 || (b.neverWith || []).indexOf(a.id) !== -1;
+  }
+
+  /**
+   * Rule problems for a group sharing one slot.
+   * Returns [{ rule: 'trainee-alone' | 'never-with', ids: [volunteerId], message }].
+   */
+  function groupIssues(vols) {
+    const group = (vols || []).filter(Boolean);
+    const issues = [];
+    if (!group.some(isExperienced)) {
+      group.filter(isTrainee).forEach(t => issues.push({
+        rule: 'trainee-alone',
+        ids: [t.id],
+        message: `${nameOf(t)} is a trainee and has no experienced partner in this slot.`
+      }));
+    }
+    group.forEach((a, i) => group.slice(i + 1).forEach(b => {
+      if (neverTogether(a, b)) {
+        issues.push({ rule: 'never-with', ids: [a.id, b.id], message: `${nameOf(a)} and ${nameOf(b)} should not be scheduled together.` });
+      }
+    }));
+    return issues;
+  }
+
+  /** Problems the newcomers would cause or be part of when joining `existing` in a slot. */
+  function issuesForAdding(newVols, existing) {
+    const ids = (newVols || []).map(v => v.id);
+    const existingOnly = (existing || []).filter(v => ids.indexOf(v.id) === -1);
+    return groupIssues(existingOnly.concat(newVols || [])).filter(issue => issue.ids.some(id => ids.indexOf(id) !== -1));
+  }
+
+  /**
+   * Whether `vol` may join the slot without breaking a hard rule, given who is already in it.
+   * Used by auto-fill: a trainee needs an experienced volunteer already there.
+   */
+  function canJoin(vol, existing) {
+    const group = existing || [];
+    if (group.some(other => neverTogether(vol, other))) return false;
+    return !isTrainee(vol) || group.some(isExperienced);
+  }
+
+  /** How many of `others` the volunteer prefers, is preferred by, or shares a household with. */
+  function affinity(vol, others) {
+    const household = householdOf(vol);
+    return (others || []).filter(o => o.id !== vol.id && (
+      (vol.preferWith || []).indexOf(o.id) !== -1 ||
+      (o.preferWith || []).indexOf(vol.id) !== -1 ||
+      (household && householdOf(o) === household)
+    )).length;
+  }
+
+  // Expose API
+  window.VolunteerPairing = {
+    isTrainee,
+    isExperienced,
+    neverTogether,
+    volunteersForBookings,
+    groupIssues,
+    issuesForAdding,
+    canJoin,
+    affinity
+  };
+
+})();
@@ -0,0 +1,102 @@
+/**
+ * volunteer-reliability.js
+ * Congregation Volunteer Scheduler — Late cancellations and reliability
+ *
+ * Features:
+ * - Cancelled bookings are kept (status: 'cancelled') with the time of cancellation and the lead
+ *   time before the shift, so late cancellations stay visible after the place is freed
+ * - A cancellation with less than LATE_CANCEL_HOURS of notice counts as a late cancel
+ * - Per-volunteer reliability from check-ins, no-shows and late cancels:
+ *     score = check-ins / (check-ins + no-shows + late cancels), null while there is no history
+ * - Shown in Admin > Reports (by volunteer) and next to volunteers in the Assignments picker
+ *
+ * Data:
+ *  - bookings in "cvsa_bookings" with status 'cancelled' carry cancelledAt, cancelLeadMinutes
+ *    and cancelledBy (the username that cancelled)
+ *  - Nothing else is stored; figures are computed from the bookings on demand
+ *
+ * Integration notes:
+ * - VDB.cancelBookingById marks the booking cancelled instead of deleting it
+ * - Modules that count places or clashes skip cancelled bookings (isActiveBooking)
+ *
+ * Usage:
+ *  - Include before admin-assignments.js:
+ *      <script src="volunteer-reliability.js"></script>
+ */
+
+(function () {
+  const LS_BOOKINGS = 'cvsa_bookings';
+
+  const LATE_CANCEL_HOURS = 24;
+
+  const { load, escapeHtml } = SharedUtils;
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function isActiveBooking(b) {
+    return !!b && b.status !== 'cancelled';
+  }
+
+  function isLateCancel(b) {
+    return !!b && b.status === 'cancelled' && Number(b.cancelLeadMinutes) < LATE_CANCEL_HOURS * 60;
+  }
+
+  function bookingBelongsTo(b, vol) {
+    if (!b || !vol) return false;
+    if (b.volunteerId && b.volunteerId === vol.id) return true;
+    const email = (vol.email || '').trim().toLowerCase();
+    const name = (vol.name || '').trim().toLowerCase();
+    if (email && (b.username || '').toLowerCase() === email) return true;
+    return !!name && (b.displayName || '').toLowerCase() === name;
+  }
+
+  /* -------------------------
+     Reliability
+     ------------------------- */
+
+  /**
+   * Summarize one volunteer's bookings:
+   * { checkIns, noShows, cancels, lateCancels, score } where score is 0–100 or null.
+   */
+  function summarize(bookings) {
+    const list = bookings || [];
+    const checkIns = list.filter(b => b.status === 'checked-in').length;
+    const noShows = list.filter(b => b.status === 'no-show').length;
+    // declined or expired confirmation requests (assignment-confirmations.js) are not cancellations
+    const cancels = list.filter(b => b.status === 'cancelled' && b.confirmation !== 'declined' && b.confirmation !== 'expired').length;
+    const lateCancels = list.filter(isLateCancel).length;
+    const counted = checkIns + noShows + lateCancels;
+    return { checkIns, noShows, cancels, lateCancels, score: counted ? Math.round((checkIns / counted) * 100) : null };
+  }
+
+  function getReliability(vol, bookings = load(LS_BOOKINGS, [])) {
+    return summarize(bookings.filter(b => bookingBelongsTo(b, vol)));
+  }
+
+  function describe(stats) {
+    if (!stats || stats.score === null) return 'No attendance history yet';
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return `${stats.score}% reliable · ${plural(stats.checkIns, 'check-in')} · ${plural(stats.noShows, 'no-show')} · ${plural(stats.lateCancels, 'late cancel')}`;
+  }
+
+  /** Compact colored badge with the full breakdown in its tooltip. */
+  function renderBadge(stats) {
+    if (!stats || stats.score === null) return '<span class="small muted" title="No attendance history yet">New</span>';
+    const color = stats.score >= 90 ? '#065f46' : stats.score >= 70 ? '#b45309' : '#b91c1c';
+    const title = describe(stats) + (stats.cancels > stats.lateCancels ? ` · ${stats.cancels - stats.lateCancels} on-time cancel(s)` : '');
+    return `<span class="small" style="color:${color}; font-weight:600;" title="${escapeHtml(title)}">${stats.score}% reliable</span>`;
+  }
+
+  // Expose API
+  window.VolunteerReliability = {
+    LATE_CANCEL_HOURS,
+    isActiveBooking,
+    isLateCancel,
+    summarize,
+    getReliability,
+    describe,
+    renderBadge
+  };
+
+})();
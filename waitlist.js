@@ -0,0 +1,320 @@
+/**
+ * waitlist.js
+ * Congregation Volunteer Scheduler — Waitlist for full slots
+ *
+ * Features:
+ * - Volunteers can join a waitlist for a full location/date/slot and see their position
+ * - When a booking is cancelled or removed, the first eligible waitlisted volunteer is promoted
+ *   into the freed place automatically (skips people who already hold the slot, now conflict,
+ *   lack the location's qualifications, would break its booking policy or a hard shift limit,
+ *   or whose entry is for a closed/past date)
+ * - Promoted volunteers get an in-app notice on their dashboard
+ *
+ * Data:
+ *  - localStorage "cvsa_waitlist": [{ id, locationId, date, slotId, username, displayName, volunteerId, joinedAt }]
+ *  - localStorage "cvsa_notices":  [{ id, username, title, message, createdAt, read }]
+ *
+ * Integration notes:
+ * - VDB.cancelBookingById, AdminReports.removeBookingById and AdminAssignments.removeAssignmentById
+ *   call Waitlist.promoteFor(locationId, date, slotId) after cancelling or deleting a booking.
+ * - Dispatches "cvsa:waitlist:updated", "cvsa:notices:updated" and "cvsa:bookings:updated" (on promotion).
+ *
+ * Usage:
+ *  - Include before volunteer-dashboard.js:
+ *      <script src="waitlist.js"></script>
+ *
+ * Security note:
+ * - Promotion runs in the browser; two tabs releasing places at the same time are not coordinated.
+ */
+
+(function () {
+  const LS_WAITLIST = 'cvsa_waitlist';
+  const LS_NOTICES = 'cvsa_notices';
+  const LS_BOOKINGS = 'cvsa_bookings';
+  const LS_LOCATIONS = 'cvsa_locations';
+  const LS_SESSION = 'cvsa_session';
+
+  const { load, save, uid, escapeHtml } = SharedUtils;
+
+  /* -------------------------
+     Storage helpers
+     ------------------------- */
+  function loadWaitlist() { return load(LS_WAITLIST, []); }
+  function saveWaitlist(list) {
+    save(LS_WAITLIST, list);
+    document.dispatchEvent(new CustomEvent('cvsa:waitlist:updated'));
+  }
+
+  function loadNotices() { return load(LS_NOTICES, []); }
+  function saveNotices(list) {
+    save(LS_NOTICES, list);
+    document.dispatchEvent(new CustomEvent('cvsa:notices:updated'));
+  }
+
+  /* -------------------------
+     Utilities
+     ------------------------- */
+  function sameCell(x, locationId, dateStr, slotId) {
+    return x.locationId === locationId && x.date === dateStr && x.slotId === slotId;
+  }
+
+  function getLocation(locationId) {
+    const locs = (window.AdminLocations && typeof AdminLocations.getLocations === 'function')
+      ? AdminLocations.getLocations()
+      : load(LS_LOCATIONS, []);
+    return locs.find(l => l.id === locationId) || null;
+  }
+
+  function findSlot(locationId, dateStr, slotId) {
+    if (window.AdminSchedules && typeof AdminSchedules.getSlotsForLocation === 'function') {
+      return AdminSchedules.getSlotsForLocation(locationId, dateStr).find(s => s.id === slotId) || null;
+    }
+    return null;
+  }
+
+  function capacityFor(loc, dateStr) {
+    if (window.AdminSchedules && typeof AdminSchedules.getCapacityFor === 'function') {
+      return AdminSchedules.getCapacityFor(loc.id, dateStr, loc.slotCapacity);
+    }
+    return loc.slotCapacity;
+  }
+
+  function slotStart(dateStr, slot) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d, Number(slot.startHour || 0), 0, 0, 0);
+  }
+
+  function bookingsForCell(locationId, dateStr, slotId) {
+    // cancelled bookings are kept for reliability tracking but no longer hold a place
+    return load(LS_BOOKINGS, []).filter(b => b.status !== 'cancelled' && sameCell(b, locationId, dateStr, slotId));
+  }
+
+  // location qualifications (S-73, elder, ...) of a signed-in user or a waitlist entry
+  function checkEligibility(person, locationId) {
+    if (!window.VolunteerEligibility) return { eligible: true, reasons: [] };
+    return VolunteerEligibility.checkPerson(person, locationId);
+  }
+
+  function holdsBooking(entry, bookings) {
+    return bookings.some(b => b.username === entry.username || (entry.volunteerId && b.volunteerId === entry.volunteerId));
+  }
+
+  /* -------------------------
+     Queue operations
+     ------------------------- */
+
+  /**
+   * Ordered queue for one cell. Entries whose volunteer has since booked the slot are left out
+   * (join and promoteFor remove them from storage).
+   */
+  function getQueue(locationId, dateStr, slotId) {
+    const booked = bookingsForCell(locationId, dateStr, slotId);
+    return loadWaitlist()
+      .filter(e => sameCell(e, locationId, dateStr, slotId) && !holdsBooking(e, booked))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  // Drop the cell's entries whose volunteer has since booked the slot
+  function pruneStale(locationId, dateStr, slotId) {
+    const all = loadWaitlist();
+    const booked = bookingsForCell(locationId, dateStr, slotId);
+    const next = all.filter(e => !(sameCell(e, locationId, dateStr, slotId) && holdsBooking(e, booked)));
+    if (next.length !== all.length) saveWaitlist(next);
+  }
+
+  /** 1-based position of the user in the queue, or 0 when not waitlisted. */
+  function positionOf(username, locationId, dateStr, slotId) {
+    return getQueue(locationId, dateStr, slotId).findIndex(e => e.username === username) + 1;
+  }
+
+  function join(user, locationId, dateStr, slotId) {
+    if (!user || !user.username) return { ok: false, error: 'Please sign in to join the waitlist.' };
+    pruneStale(locationId, dateStr, slotId);
+    if (positionOf(user.username, locationId, dateStr, slotId)) return { ok: false, error: 'You are already on the waitlist for this slot.' };
+    if (holdsBooking(user, bookingsForCell(locationId, dateStr, slotId))) return { ok: false, error: 'You already have a booking for this slot.' };
+    const eligibility = checkEligibility(user, locationId);
+    if (!eligibility.eligible) return { ok: false, error: eligibility.reasons[0].message };
+    const entry = {
+      id: uid('wl-'),
+      locationId,
+      date: dateStr,
+      slotId,
+      username: user.username,
+      displayName: user.displayName || user.username,
+      volunteerId: user.volunteerId || null,
+      joinedAt: Date.now()
+    };
+    const all = loadWaitlist();
+    all.push(entry);
+    saveWaitlist(all);
+    return { ok: true, entry, position: positionOf(user.username, locationId, dateStr, slotId) };
+  }
+
+  function leave(username, locationId, dateStr, slotId) {
+    const all = loadWaitlist();
+    const next = all.filter(e => !(sameCell(e, locationId, dateStr, slotId) && e.username === username));
+    if (next.length !== all.length) saveWaitlist(next);
+    return next.length !== all.length;
+  }
+
+  function getEntriesForUser(username) {
+    return loadWaitlist().filter(e => e.username === username).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /* -------------------------
+     Promotion
+     ------------------------- */
+  function isEligible(entry, loc, slot) {
+    if (window.AdminSchedules && typeof AdminSchedules.isClosed === 'function' && AdminSchedules.isClosed(loc.id, entry.date)) return false;
+    if (slotStart(entry.date, slot) <= new Date()) return false;
+    if (!checkEligibility(entry, loc.id).eligible) return false;
+    // promotion is a booking like any other: the location's policy and hard shift limits apply, with no override
+    if (window.BookingPolicies && !BookingPolicies.checkBooking(entry.username, loc.id, entry.date, slot).ok) return false;
+    if (window.ShiftLimits && ShiftLimits.check(entry.volunteerId || entry.username, entry.date, slot).block) return false;
+    if (window.AdminAssignments && typeof AdminAssignments.detectConflictFor === 'function') {
+      const c = AdminAssignments.detectConflictFor(entry.volunteerId || entry.username, entry.date, slot);
+      if (c && c.conflict) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Fill free places in a cell from its waitlist. Returns the bookings created.
+   */
+  function promoteFor(locationId, dateStr, slotId) {
+    const loc = getLocation(locationId);
+    const slot = findSlot(locationId, dateStr, slotId);
+    if (!loc || !slot) return [];
+    pruneStale(locationId, dateStr, slotId);
+    const capacity = capacityFor(loc, dateStr);
+    const queue = getQueue(locationId, dateStr, slotId);
+    const promoted = [];
+    let free = capacity - bookingsForCell(locationId, dateStr, slotId).length;
+
+    for (const entry of queue) {
+      if (free <= 0) break;
+      if (!isEligible(entry, loc, slot)) continue;
+      const booking = {
+        id: uid('bk-'),
+        username: entry.username,
+        displayName: entry.displayName,
+        volunteerId: entry.volunteerId || undefined,
+        role: 'volunteer',
+        locationId: loc.id,
+        locationName: loc.name,
+        date: dateStr,
+        slotId: slot.id,
+        slotLabel: slot.label,
+        startHour: slot.startHour,
+        endHour: slot.endHour,
+        source: 'waitlist',
+        createdAt: Date.now()
+      };
+      // approval-mode locations (booking-approvals.js) still need a coordinator's OK
+      if (window.BookingApprovals) BookingApprovals.applyApprovalPolicy(booking);
+      const bookings = load(LS_BOOKINGS, []);
+      bookings.push(booking);
+      save(LS_BOOKINGS, bookings);
+      promoted.push({ entry, booking });
+      free--;
+    }
+
+    if (!promoted.length) return [];
+
+    const ids = promoted.map(p => p.entry.id);
+    saveWaitlist(loadWaitlist().filter(e => ids.indexOf(e.id) === -1));
+    const notices = loadNotices();
+    promoted.forEach(({ entry, booking }) => notices.push({
+      id: uid('nt-'),
+      username: entry.username,
+      title: 'You have been booked from the waitlist',
+      message: `A place opened at ${loc.name} on ${dateStr} (${slot.label}). ` +
+        (booking.approval === 'pending' ? 'Your booking is pending coordinator approval.' : 'You are now booked for this shift.'),
+      createdAt: Date.now(),
+      read: false
+    }));
+    saveNotices(notices);
+    return promoted.map(p => p.booking);
+  }
+
+  /* -------------------------
+     Notices (in-app)
+     ------------------------- */
+  function getUnreadNotices(username) {
+    return loadNotices().filter(n => n.username === username && !n.read);
+  }
+
+  function markNoticeRead(id) {
+    const all = loadNotices();
+    const n = all.find(x => x.id === id);
+    if (!n) return;
+    n.read = true;
+    saveNotices(all);
+  }
+
+  function renderNotices() {
+    const volDashboard = document.getElementById('volunteer-dashboard');
+    if (!volDashboard) return;
+    const session = load(LS_SESSION, null);
+    let box = document.getElementById('waitlist-notices');
+    const unread = session && session.username ? getUnreadNotices(session.username) : [];
+    if (!unread.length) {
+      if (box) box.remove();
+      return;
+    }
+    if (!box) {
+      box = document.createElement('div');
+      box.id = 'waitlist-notices';
+      box.className = 'card';
+      box.style.borderLeft = '4px solid #10b981';
+      box.style.background = '#ecfdf5';
+      box.style.marginBottom = '1rem';
+      box.setAttribute('role', 'status');
+      volDashboard.insertBefore(box, volDashboard.firstChild);
+    }
+    box.innerHTML = '';
+    unread.forEach(n => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.alignItems = 'flex-start';
+      row.style.gap = '0.75rem';
+      row.style.padding = '0.35rem 0';
+      row.innerHTML = `<div><div style="font-weight:700;">🔔 ${escapeHtml(n.title)}</div><div class="small">${escapeHtml(n.message)}</div></div>`;
+      const dismiss = document.createElement('button');
+      dismiss.className = 'muted-btn';
+      dismiss.textContent = 'Dismiss';
+      dismiss.addEventListener('click', () => markNoticeRead(n.id));
+      row.appendChild(dismiss);
+      box.appendChild(row);
+    });
+  }
+
+  function init() {
+    function start() {
+      renderNotices();
+      document.addEventListener('cvsa:notices:updated', renderNotices);
+      // sign-in does not emit an event, so re-check periodically (same cadence as VDB summaries)
+      setInterval(renderNotices, 30 * 1000);
+    }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else start();
+  }
+
+  // Expose API
+  window.Waitlist = {
+    init,
+    getQueue,
+    positionOf,
+    join,
+    leave,
+    getEntriesForUser,
+    promoteFor,
+    getUnreadNotices,
+    markNoticeRead,
+    renderNotices
+  };
+
+  init();
+
+})();